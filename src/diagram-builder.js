@@ -1,7 +1,14 @@
 'use strict';
 const PositionReader = require('./io/readers/position-reader');
+const XlsxReader = require('./io/readers/xlsx-reader');
 const ReaderManager = require('./io/reader-manager');
 const LatexRenderer = require('./renderers/latex-renderer');
+const TextRenderer = require('./renderers/text-renderer');
+const SvgRenderer = require('./renderers/svg-renderer');
+const DotRenderer = require('./renderers/dot-renderer');
+const MermaidRenderer = require('./renderers/mermaid-renderer');
+const PlantUmlRenderer = require('./renderers/plantuml-renderer');
+const DrawioRenderer = require('./renderers/drawio-renderer');
 const { Node } = require('./io/models/node');
 const fs = require('fs');
 const LatexStyleHandler = require('./styles/latex-style-handler');
@@ -13,13 +20,26 @@ const { Position, PositionType } = require('./geometry/position');
 const Dimensions = require('./geometry/dimensions');
 //const StyleCollection = require('./io/style-collection');
 const DynamicProperty = require('./io/models/dynamic-property');
+const NodeDependencies = require('./geometry/node-dependencies');
+const PositionMapWriter = require('./io/writers/position-map-writer');
+const Container = require('./geometry/container');
+const LayeredLayout = require('./layout/layered-layout');
+const ForceLayout = require('./layout/force-layout');
+const TreeLayout = require('./layout/tree-layout');
+const { ValidationReport } = require('./validation/validation-report');
+const TagFilter = require('./utils/tag-filter');
+const DiagramReader = require('./io/readers/diagram-reader');
+const SourceLocation = require('./io/source-location');
+const RevealSteps = require('./utils/reveal-steps');
 
 class DiagramBuilder {
     constructor(options = {}) {
         this.verbose = options.verbose || false;
         this.grid = options.grid || null;
         this.rendererType = options.renderer;
-        this.log = this.verbose ? console.log.bind(console) : () => {};
+        // Where progress messages go, an object with log and info methods
+        this.logger = options.logger || console;
+        this.log = this.verbose ? (...messages) => this.logger.log(...messages) : () => {};
         
         // Store all options
         this.options = options;
@@ -27,8 +47,14 @@ class DiagramBuilder {
         // Create renderer based on type and pass the configuration
         this.renderer = this.createRenderer(this.rendererType, options);
 
+        // Problems found while loading, see validate()
+        this.report = new ValidationReport();
+
+        // Nodes and edges to draw, by tag
+        this.tagFilter = new TagFilter({ include: options.includeTags, exclude: options.excludeTags });
+
         // Initialize the reader manager with style and page handlers
-        this.readerManager = new ReaderManager();
+        this.readerManager = new ReaderManager({ report: this.report, logger: this.logger });
         
         this.nodePositions = new Map();
 
@@ -39,15 +65,26 @@ class DiagramBuilder {
         switch (type.toLowerCase()) {
 
             case 'text':
-                // For future implementation
-                // const TextRenderer = require('./renderers/text');
-                // return new TextRenderer(options);
-                console.warn('Text renderer not yet implemented');
-                throw new Error('Text renderer not yet implemented');
+                return new TextRenderer(options);
 
             case 'latex':
                 return new LatexRenderer(options);
 
+            case 'svg':
+                return new SvgRenderer(options);
+
+            case 'dot':
+                return new DotRenderer(options);
+
+            case 'mermaid':
+                return new MermaidRenderer(options);
+
+            case 'plantuml':
+                return new PlantUmlRenderer(options);
+
+            case 'drawio':
+                return new DrawioRenderer(options);
+
             default:
                 console.warn(`Unknown renderer type: ${type}, falling back to LaTeX`);
                 throw new Error(`Unknown renderer type: ${type}`);
@@ -55,72 +92,192 @@ class DiagramBuilder {
         }
     }
 
+    /**
+     * Create the automatic layout chosen by the page document
+     * @param {string|Object} settings - Layout type, or settings with a type
+     * @param {Object} scale - The page's scale configuration
+     * @returns {Layout|null} Layout, or null if nodes are only placed explicitly
+     */
+    createLayout(settings, scale) {
+        if (!settings) {
+            return null;
+        }
+
+        // layout: layered is shorthand for layout: { type: layered }
+        if (typeof settings === 'string') {
+            settings = { type: settings };
+        }
+
+        switch (String(settings.type || '').toLowerCase()) {
+
+            case '':
+            case 'none':
+                return null;
+
+            case 'layered':
+                return new LayeredLayout(settings, scale);
+
+            case 'force':
+                return new ForceLayout(settings, scale);
+
+            case 'tree':
+                return new TreeLayout(settings, scale);
+
+            default:
+                throw new Error(`Unknown layout type: ${settings.type}`);
+
+        }
+    }
+
+    /**
+     * Discard all loaded data and styles before loading again
+     * Creates a fresh renderer (and with it a fresh style handler) and reader manager
+     * @param {ValidationReport} report - Report to go on collecting problems in (default: a fresh one)
+     */
+    reset(report = new ValidationReport()) {
+        this.renderer = this.createRenderer(this.rendererType, this.options);
+        this.report = report;
+        this.readerManager = new ReaderManager({ report: this.report, logger: this.logger });
+        this.nodePositions = new Map();
+        this.tagFilter = new TagFilter({ include: this.options.includeTags, exclude: this.options.excludeTags });
+    }
+
+    /**
+     * Run the full load pipeline without rendering and collect every problem found
+     * Takes the same arguments as loadData
+     * @returns {Promise<ValidationReport>} Report of errors and warnings
+     */
+    async validate(stylePaths, nodePaths, edgePaths, positionFile, mixedYamlFile) {
+        try {
+            await this.loadData(stylePaths, nodePaths, edgePaths, positionFile, mixedYamlFile);
+        } catch (error) {
+            this.report.error(error.message);
+        }
+
+        return this.report;
+    }
+
+    /**
+     * Render the loaded diagram without writing any files
+     * Only renderers with a renderToString method support this
+     * @returns {Promise<string>} Rendered diagram
+     */
+    async renderDiagramToString() {
+        if (typeof this.renderer.renderToString !== 'function') {
+            throw new Error(`The ${this.rendererType} renderer cannot render to a string`);
+        }
+
+        const { nodes, edges } = this.getVisibleNodesAndEdges();
+        return this.renderer.renderToString(nodes, edges, { grid: this.grid });
+    }
+
+    /**
+     * Write the layout of the loaded diagram as a position map that can be read back with -m
+     * @param {string} mapFile - Path of the CSV file to write
+     * @param {Object} options - PositionMapWriter options, such as grid
+     * @returns {Promise<string>} Path written
+     */
+    async exportPositionMap(mapFile, options = {}) {
+        const scale = this.renderer.styleHandler.getPageScale();
+        await PositionMapWriter.writeFile(mapFile, this.readerManager.getNodes(), { scale, ...options });
+        this.log(`Wrote position map to ${mapFile}`);
+        return mapFile;
+    }
+
     async renderDiagram(outputPath) {
         // Just use the already instantiated renderer
-        const result = await this.renderer.render(
-            Array.from(this.readerManager.getNodes().values()),
-            this.readerManager.getEdges(),
-            outputPath,
-            { grid: this.grid }
-        );
+        const { nodes, edges } = this.getVisibleNodesAndEdges();
+
+        // Nodes and edges with a step field are revealed one step at a time
+        const frames = RevealSteps.getFrames(nodes, edges);
+        this.stepCount = frames.length;
+        if (frames.length > 1) {
+            this.log(`Rendering ${frames.length} reveal steps`);
+            return this.renderer.renderSteps(frames, outputPath, { grid: this.grid });
+        }
+
+        const result = await this.renderer.render(nodes, edges, outputPath, { grid: this.grid });
         
         return result;
     }
 
+    /**
+     * Files written by the last renderDiagram, one per reveal step for renderers that write steps separately
+     * @param {string} outputPath - Base output path, without extension
+     * @returns {Array<string>} Output paths
+     */
+    getOutputPaths(outputPath) {
+        return this.stepCount > 1
+            ? this.renderer.getStepOutputPaths(outputPath, this.stepCount)
+            : [this.renderer.getOutputPath(outputPath)];
+    }
+
+    /**
+     * Nodes in the order they are drawn: containers before their members, so members
+     * are drawn on top, and otherwise in the order they were defined
+     * @returns {Array<Object>} Nodes
+     */
+    getNodesInDrawingOrder() {
+        const nodes = this.readerManager.getNodes();
+        const containersOf = new Map();
+        for (const [container, members] of NodeDependencies.getMembers(nodes)) {
+            members.forEach(member => containersOf.set(member, [...(containersOf.get(member) || []), container]));
+        }
+
+        const ordered = [];
+        const seen = new Set();
+        const visit = (name) => {
+            if (seen.has(name)) {
+                return;
+            }
+            seen.add(name);
+            (containersOf.get(name) || []).forEach(visit);
+            ordered.push(nodes.get(name));
+        };
+        [...nodes.keys()].forEach(visit);
+
+        return ordered;
+    }
+
+    /**
+     * Nodes in drawing order and edges, less the ones hidden by the include and exclude tags
+     * @returns {{nodes: Array<Object>, edges: Array<Object>}} Nodes and edges to render
+     */
+    getVisibleNodesAndEdges() {
+        const visible = this.tagFilter.apply(this.getNodesInDrawingOrder(), this.readerManager.getEdges());
+        if (this.tagFilter.isActive()) {
+            this.log(`Drawing ${visible.nodes.length} nodes and ${visible.edges.length} edges after filtering by tag`);
+        }
+        return visible;
+    }
+
     async loadData(stylePaths, nodePaths, edgePaths, positionFile, mixedYamlFile) {
+        const inputs = await this.readInputs(stylePaths, nodePaths, edgePaths, positionFile, mixedYamlFile);
+        this.buildDiagram(inputs);
+        return inputs;
+    }
+
+    /**
+     * Read every input file once, without positioning anything
+     * The result can be built into any number of diagrams, see buildDiagram
+     * @returns {Promise<Object>} Style documents, node records, positions, edge records and diagram documents
+     */
+    async readInputs(stylePaths, nodePaths, edgePaths, positionFile, mixedYamlFile) {
         try {
-            // Process style files
+            // Read style files, the mixed YAML file can hold styles too
             const styleFiles = Array.isArray(stylePaths) ? stylePaths : (stylePaths ? [stylePaths] : []);
-            let allStyleRecords = [];
-            
-            if(styleFiles.length > 0) {
-                this.log(`Processing styles from ${styleFiles.length} dedicated style files`);
-                allStyleRecords = await this.readerManager.processStyleFiles(styleFiles, this.renderer.styleHandler);
+            if (styleFiles.length > 0) {
+                this.log(`Reading styles from ${styleFiles.length} dedicated style files`);
             }
-
-            // Process edges from mixed YAML file if provided
             if (mixedYamlFile) {
-                this.log(`Processing styles from mixed YAML file: ${mixedYamlFile}`);
-                const mixedStyleRecords = await this.readerManager.processStyleFiles([mixedYamlFile], this.renderer.styleHandler);
-                
-                // Add mixed style records to all style records
-                allStyleRecords = [...allStyleRecords, ...mixedStyleRecords];
+                this.log(`Reading styles from mixed YAML file: ${mixedYamlFile}`);
             }
-            
-            this.renderer.styleHandler.loadPageAndStyles(allStyleRecords) 
-
-            // // Apply all collected styles to the style handler
-            // for (const styleRecord of allStyleRecords) {
-            //     this.renderer.styleHandler.mergeStylesheet(styleRecord);
-            // }
-
-
-            // for (const rec of allStyleRecords) {
-            //   if (rec.style) {
-            //     for (const [name, data] of Object.entries(rec.style)) {
-            //       const rawProps = data._dynamicProperties || data.dynamicProperties || [];
-            //       this.renderer.styleHandler.addStyleProperties(rawProps, name);
-            //     }
-            //   }
-            // }
-
-            // for (const rec of allStyleRecords) {
-            //     if (rec.style) {
-            //       for (const [name, data] of Object.entries(rec.style)) {
-            //         const rawProps = data._dynamicProperties || data.dynamicProperties || [];
-            //         this.renderer.styleHandler.addStyleProperties(rawProps, name);
-            //       }
-            //     }
-            
-            //     if (rec.page) {
-            //       for (const [name, data] of Object.entries(rec.page)) {
-            //         const rawProps = data._dynamicProperties || data.dynamicProperties || [];
-            //         this.renderer.styleHandler.addPageProperties(rawProps, name);
-            //       }
-            //     }
-            // }
-
+            const styleAndMixedFiles = [...styleFiles, ...(mixedYamlFile ? [mixedYamlFile] : [])];
+            const styleDocuments = styleAndMixedFiles.length > 0 ? await this.readerManager.readStyleFiles(styleAndMixedFiles) : [];
+            const diagrams = await this.readerManager.readDiagramFiles(styleAndMixedFiles);
 
+            // Page documents can rename node and edge columns and set the CSV dialect, so they are read first
+            this.readerManager.readPageSettings(styleDocuments);
 
             // Handle node files (CSV or YAML)
             const nodeFiles = Array.isArray(nodePaths) ? nodePaths : (nodePaths ? [nodePaths] : []);
@@ -136,6 +293,75 @@ class DiagramBuilder {
                 await this.readerManager.processNodeFiles([mixedYamlFile]);
             }
 
+            // Read position data
+            let positions = null;
+            if (positionFile) {
+                this.log(`Loading positions from ${positionFile}`);
+                positions = XlsxReader.isWorkbook(positionFile)
+                    ? await PositionReader.readFromXlsx(positionFile)
+                    : await PositionReader.readFromCsv(positionFile, this.readerManager.csvDialect);
+            } else {
+                this.log('No position file specified; using positions from node files or default (0,0).');
+            }
+
+            // Handle edge files (CSV or YAML)
+            const edgeFiles = Array.isArray(edgePaths) ? edgePaths : (edgePaths ? [edgePaths] : []);
+            if (edgeFiles.length > 0) {
+                this.log(`Reading edges from ${edgeFiles.length} dedicated edge files`);
+            }
+            
+            // Read edges from mixed YAML file if provided
+            if (mixedYamlFile) {
+                this.log(`Reading edges from mixed YAML file: ${mixedYamlFile}`);
+            }
+
+            const edgeRecords = await this.readerManager.readEdgeRecords([...edgeFiles, ...(mixedYamlFile ? [mixedYamlFile] : [])]);
+
+            return {
+                styleDocuments,
+                diagrams,
+                nodeRecords: this.readerManager.allNodeRecords,
+                nodeSources: new Map(this.readerManager.nodeSources),
+                positions,
+                positionFile,
+                edgeRecords
+            };
+
+        } catch (error) {
+            this.log(`Error loading data: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Build a diagram from inputs read by readInputs: apply the styles, create,
+     * position and scale the nodes, and create the edges
+     * Call reset() first when building more than one diagram with the same builder
+     * @param {Object} inputs - Inputs from readInputs
+     * @param {Object|null} diagram - Diagram document choosing the page settings and what is drawn, see DiagramReader
+     */
+    buildDiagram(inputs, diagram = null) {
+        try {
+            const styleHandler = this.renderer.styleHandler;
+            styleHandler.processPageAndStyleDocuments(inputs.styleDocuments);
+
+            if (diagram) {
+                this.log(`Building diagram '${diagram.name}'`);
+                const pageDocument = DiagramReader.getPageDocument(diagram);
+                if (pageDocument) {
+                    styleHandler.processPageAndStyleDocuments([pageDocument]);
+                }
+                this.tagFilter = new TagFilter({
+                    include: diagram.include_tags ?? this.options.includeTags,
+                    exclude: [...TagFilter.parseTags(this.options.excludeTags), ...TagFilter.parseTags(diagram.exclude_tags)],
+                    nodes: diagram.nodes
+                });
+            }
+
+            // Records read once are shared by every diagram, merging copies them
+            this.readerManager.allNodeRecords = [...inputs.nodeRecords];
+            this.readerManager.nodeSources = new Map(inputs.nodeSources);
+
             // Merge all node records after loading from all sources
             this.log('Merging all node records');
             const mergedRecords = this.readerManager.mergeNodeRecords();
@@ -144,42 +370,116 @@ class DiagramBuilder {
             this.log('Creating nodes from merged records');
             this.readerManager.createNodesFromRecords(mergedRecords);
 
-            // Load and apply position data
-            if (positionFile) {
-                await this.loadPositions(positionFile);
-            } else {
-                this.log('No position file specified; using positions from node files or default (0,0).');
+            // Apply position data
+            if (inputs.positions) {
+                this.applyPositions(inputs.positions, inputs.positionFile);
             }
 
+            // Automatic layouts place nodes from the edges, before anything is positioned
+            const edgeRecords = [...inputs.edgeRecords];
+            const generated = this.applyLayout(edgeRecords.map(entry => entry.record));
+            edgeRecords.push(...generated.map(record => ({ file: null, record })));
+
             this.positionAndScaleAllNodes();
+            this.checkNodes();
+            if (diagram) {
+                this.checkDiagram(diagram);
+            }
 
             // Now that all nodes are loaded, positioned and scaled, process edges
-
-            // Handle edge files (CSV or YAML)
-            const edgeFiles = Array.isArray(edgePaths) ? edgePaths : (edgePaths ? [edgePaths] : []);
-            if (edgeFiles.length > 0) {
-                this.log(`Processing edges from ${edgeFiles.length} dedicated edge files`);
-                await this.readerManager.processEdgeFiles(edgeFiles, this.renderer.styleHandler);
-            }
-            
-            // Process edges from mixed YAML file if provided
-            if (mixedYamlFile) {
-                this.log(`Processing edges from mixed YAML file: ${mixedYamlFile}`);
-                await this.readerManager.processEdgeFiles([mixedYamlFile], this.renderer.styleHandler);
+            if (this.readerManager.getNodes().size > 0) {
+                this.log(`Processing ${edgeRecords.length} edge records`);
+                this.readerManager.processEdgeRecords(edgeRecords, styleHandler);
             }
 
+            this.log(`Loaded ${this.readerManager.getNodes().size} nodes and ${this.readerManager.getEdges().length} edges`);
+
         } catch (error) {
             this.log(`Error loading data: ${error.message}`);
             throw error;
         }
     }
 
+    /**
+     * Read the inputs once and render every diagram document in them, or the
+     * whole diagram if there are none
+     * Each diagram is written next to outputPath, named after its output field or its name
+     * @param {string} outputPath - Output path without extension, for the whole diagram or the directory of named diagrams
+     * @returns {Promise<Array<{name: string|null, outputs: Array<string>}>>} Files written for each diagram
+     */
+    async renderDiagrams(stylePaths, nodePaths, edgePaths, positionFile, mixedYamlFile, outputPath) {
+        const inputs = await this.readInputs(stylePaths, nodePaths, edgePaths, positionFile, mixedYamlFile);
+
+        if (inputs.diagrams.length === 0) {
+            this.buildDiagram(inputs);
+            await this.renderDiagram(outputPath);
+            return [{ name: null, outputs: this.getOutputPaths(outputPath) }];
+        }
+
+        const rendered = [];
+        for (const diagram of inputs.diagrams) {
+            // Problems found while reading are kept with those of each diagram
+            this.reset(this.report);
+            this.buildDiagram(inputs, diagram);
+
+            const diagramPath = DiagramBuilder.getDiagramOutputPath(diagram, outputPath);
+            fs.mkdirSync(path.dirname(diagramPath), { recursive: true });
+            await this.renderDiagram(diagramPath);
+            rendered.push({ name: String(diagram.name), outputs: this.getOutputPaths(diagramPath) });
+        }
+
+        return rendered;
+    }
+
+    /**
+     * Output path of a named diagram: its output field, or else its name, in the directory of the base output path
+     * @param {Object} diagram - Diagram document
+     * @param {string} outputPath - Base output path without extension
+     * @returns {string} Output path without extension
+     */
+    static getDiagramOutputPath(diagram, outputPath) {
+        const output = String(diagram.output || diagram.name).replace(/\.(pdf|tex|svg|txt|dot|mmd|puml|drawio)$/i, '');
+        return path.isAbsolute(output) ? output : path.join(path.dirname(outputPath), output);
+    }
+
+    /**
+     * Report nodes chosen by a diagram that do not exist
+     * @param {Object} diagram - Diagram document
+     */
+    checkDiagram(diagram) {
+        const nodes = this.readerManager.getNodes();
+        for (const name of TagFilter.parseTags(diagram.nodes)) {
+            if (!nodes.has(name)) {
+                this.report.warning(`Diagram '${diagram.name}' selects missing node '${name}'`,
+                    { ...SourceLocation.get(diagram), field: 'nodes' });
+            }
+        }
+    }
+
     async loadPositions(positionFile) {
         this.log(`Loading positions from ${positionFile}`);
-        const positions = await PositionReader.readFromCsv(positionFile);
+        const positions = XlsxReader.isWorkbook(positionFile)
+            ? await PositionReader.readFromXlsx(positionFile)
+            : await PositionReader.readFromCsv(positionFile, this.readerManager.csvDialect);
+        this.applyPositions(positions, positionFile);
+    }
+
+    /**
+     * Place nodes at the positions read from a position map, creating the ones that do not exist
+     * Nodes spanning several map cells are sized to cover them, unless their records give a size
+     * @param {Map} positions - Unscaled positions by node name
+     * @param {string} positionFile - File the positions were read from
+     */
+    applyPositions(positions, positionFile) {
         const nodes = this.readerManager.getNodes();
+        const scaleConfig = this.renderer.styleHandler.getPageScale();
+        const recorded = new Set(nodes.keys());
         
         positions.forEach((pos, name) => {
+            if (!this.readerManager.nodeSources.has(name)) {
+                this.readerManager.nodeSources.set(name, { file: positionFile });
+            }
+
             let node = nodes.get(name);
             
             if (node) {
@@ -210,17 +510,88 @@ class DiagramBuilder {
                 nodes.set(name, node);
                 this.log(`Created new node '${name}' with position (${node.x}, ${node.y})`);
             }
+
+            if (pos.anchor) {
+                node.anchor = pos.anchor;
+            }
+
+            // Sizes given by a node's record, directly or relative to other nodes, win over the span
+            const created = !recorded.has(name);
+            if (pos.xSpan > 0 && (created || (!node.width && !node.w_of && !node.w_from))) {
+                node.width = DiagramBuilder.getSpanSize(pos.xSpan, scaleConfig?.position?.x, scaleConfig?.size?.w);
+            }
+            if (pos.ySpan > 0 && (created || (!node.height && !node.h_of && !node.h_from))) {
+                node.height = DiagramBuilder.getSpanSize(pos.ySpan, scaleConfig?.position?.y, scaleConfig?.size?.h);
+            }
         });
     }
 
+    /**
+     * Unscaled size of a node spanning map cells: one node wide, plus the distance
+     * between its outer cells, which is in position units
+     * @param {number} span - Distance between the outer cells' map positions
+     * @param {number} positionScale - Page position scale on the same axis
+     * @param {number} sizeScale - Page size scale on the same axis
+     * @returns {number} Width or height before scaling
+     */
+    static getSpanSize(span, positionScale = 1, sizeScale = 1) {
+        return 1 + span * (positionScale || 1) / (sizeScale || 1);
+    }
+
+    /**
+     * Place nodes that have no position with the page's automatic layout, if it has one
+     * @param {Array} edgeRecords - Edge records, the layout follows their from and to
+     * @returns {Array<Object>} Edge records added by the layout, such as tree parent edges
+     */
+    applyLayout(edgeRecords) {
+        const styleHandler = this.renderer.styleHandler;
+        const layout = this.createLayout(styleHandler.getPage().layout, styleHandler.getPageScale());
+        if (!layout) {
+            return [];
+        }
+
+        // Resolve the explicitly positioned nodes first, so layouts can work around them
+        const nodes = this.readerManager.getNodes();
+        this.positionAndScaleNodes(NodeDependencies.resolveOrder(nodes).order);
+
+        // Containers are fitted around their members afterwards, so layouts leave them out
+        const members = NodeDependencies.getMembers(nodes);
+        const laidOut = new Map([...nodes].filter(([name]) => !members.has(name)));
+
+        const placed = layout.apply(laidOut, edgeRecords, layout.getPinnedCentres(laidOut));
+        this.log(`Placed ${placed.length} nodes with the ${layout.constructor.name}`);
+
+        return layout.createEdgeRecords(nodes, edgeRecords);
+    }
+
     // Method for positioning and scaling all nodes
     positionAndScaleAllNodes() {
         const nodes = this.readerManager.getNodes();
+
+        // Resolve referenced nodes before the nodes that reference them
+        const { order, cycles } = NodeDependencies.resolveOrder(nodes);
+
+        for (const cycle of cycles) {
+            const message = `Reference cycle: ${cycle.join(' -> ')}`;
+            this.report.error(message, { ...this.readerManager.nodeSources.get(cycle[0]), node: cycle[0] });
+        }
+
+        this.positionAndScaleNodes(order);
+    }
+
+    /**
+     * Position and scale nodes
+     * @param {Array<string>} order - Node names, each after the nodes it references
+     */
+    positionAndScaleNodes(order) {
+        const nodes = this.readerManager.getNodes();
         const scaleConfig = this.renderer.styleHandler.getPageScale();
+        const members = NodeDependencies.getMembers(nodes);
 
         // Single pass: handle both relative sizing and positioning
-        for (const [nodeName, node] of nodes.entries()) {
-            
+        for (const nodeName of order) {
+            const node = nodes.get(nodeName);
+
             const position = Position.calculatePositionAndScale(nodes, node.x, node.y, node.at, node.position_of, node.x_of, node.y_of, undefined, undefined, node.x_offset, node.y_offset, scaleConfig)
             
             node["position"] = position;
@@ -230,10 +601,73 @@ class DiagramBuilder {
 
             // Recalculate anchor vector with scaled dimensions
             node.anchorVector = this.renderer.getNodeAnchor(node);
+
+            if (members.has(nodeName)) {
+                this.fitContainer(node, members.get(nodeName).map(name => nodes.get(name)), scaleConfig);
+            }
             
             this.log(`Scaled node '${nodeName}' to (${node?.position?.xScaled}, ${node?.position?.yScaled}) with dimensions ${node.dimensions.widthScaled}x${node.dimensions.heightScaled}`);
         }
     }
+
+    /**
+     * Size and position a container node around its members
+     * Containers put their label in the north west corner unless label_corner says otherwise
+     * @param {Object} node - Container node
+     * @param {Array<Object>} members - Member nodes, already positioned
+     * @param {Object} scaleConfig - Scale configuration
+     */
+    fitContainer(node, members, scaleConfig) {
+        const fitted = Container.fit(node, members, scaleConfig, node.anchorVector);
+        if (!fitted) {
+            node.position = new Position({ message: `Container '${node.name}' has no positioned members` });
+            return;
+        }
+
+        node.position = fitted.position;
+        node.dimensions = fitted.dimensions;
+        if (!node.label_corner) {
+            node.label_corner = 'north west';
+        }
+    }
+
+    /**
+     * Report references to nodes that do not exist and nodes that could not be positioned
+     */
+    checkNodes() {
+        const nodes = this.readerManager.getNodes();
+
+        for (const [nodeName, node] of nodes.entries()) {
+            const location = { ...this.readerManager.nodeSources.get(nodeName), node: nodeName };
+            let missingReference = false;
+
+            for (const { field, name } of NodeDependencies.getReferences(node)) {
+                if (!nodes.has(name)) {
+                    this.report.error(`Node '${nodeName}' references missing node '${name}'`, { ...location, field });
+                    missingReference = true;
+                }
+            }
+
+            for (const group of NodeDependencies.parseNames(node.group)) {
+                if (!nodes.has(group)) {
+                    this.report.error(`Node '${nodeName}' is in missing group '${group}'`, { ...location, field: 'group' });
+                }
+            }
+
+            if (node.parent && !nodes.has(String(node.parent))) {
+                this.report.error(`Node '${nodeName}' has missing parent '${node.parent}'`, { ...location, field: 'parent' });
+            }
+
+            if (!missingReference && node.position && !node.position.success) {
+                this.report.warning(node.position.message || `Node '${nodeName}' has no position`, location);
+            }
+        }
+
+        for (const cycle of TreeLayout.findParentCycles(nodes)) {
+            const location = { ...this.readerManager.nodeSources.get(cycle[0]), node: cycle[0], field: 'parent' };
+            this.report.error(`Parent cycle: ${[...cycle, cycle[0]].join(' -> ')}`, location);
+        }
+    }
 }
 
 module.exports = DiagramBuilder;
\ No newline at end of file
@@ -0,0 +1,254 @@
+'use strict';
+const DiagramBuilder = require('./diagram-builder');
+const NodeReader = require('./io/readers/node-reader');
+const EdgeReader = require('./io/readers/edge-reader');
+const StyleReader = require('./io/readers/style-reader');
+const PositionReader = require('./io/readers/position-reader');
+const DiagramReader = require('./io/readers/diagram-reader');
+
+/**
+ * Builds a diagram from data in memory, for use as a library
+ *
+ * Styles, nodes, edges and positions are given as plain objects or as the content
+ * of the files the command line reads, and the rendered diagram is returned as a
+ * string without touching the disk:
+ *
+ *   const svg = await new Diagram({ renderer: 'svg' })
+ *       .style({ default: { node: { width: 2 } } })
+ *       .node({ name: 'web', x: 0, y: 0 })
+ *       .node({ name: 'db', x: 3, y: 0 })
+ *       .edge({ from: 'web', to: 'db' })
+ *       .render();
+ *
+ * Everything is read when the diagram is built, in the order it was added,
+ * so later node records are merged over earlier ones just as with files.
+ */
+class Diagram {
+    /**
+     * @param {Object} options - DiagramBuilder options, such as renderer, grid and includeTags
+     * @param {string} options.renderer - Renderer type (default: svg)
+     */
+    constructor(options = {}) {
+        this.options = { ...options, renderer: options.renderer || 'svg' };
+        this.sources = [];
+    }
+
+    /**
+     * Add styles and page settings
+     * @param {Object|string} styles - Object shaped like a JSON style file, or JSON or YAML content
+     * @param {string} format - Format of string content, json or yaml (default: yaml)
+     * @returns {Diagram} This diagram
+     */
+    style(styles, format = 'yaml') {
+        this.sources.push({ kind: 'style', content: styles, format });
+        return this;
+    }
+
+    /**
+     * Add node records
+     * @param {...Object} records - Node records, with the same fields as a node CSV or YAML file
+     * @returns {Diagram} This diagram
+     */
+    node(...records) {
+        this.sources.push({ kind: 'node', content: records.flat() });
+        return this;
+    }
+
+    /**
+     * Add nodes from CSV, YAML or JSON content
+     * @param {string|Array<Object>} content - CSV, YAML or JSON content, or node records
+     * @param {string} format - Format of string content, csv, tsv, yaml or json (default: csv)
+     * @returns {Diagram} This diagram
+     */
+    nodes(content, format = 'csv') {
+        this.sources.push({ kind: 'node', content, format });
+        return this;
+    }
+
+    /**
+     * Add edge records
+     * @param {...Object} records - Edge records, with the same fields as an edge CSV or YAML file
+     * @returns {Diagram} This diagram
+     */
+    edge(...records) {
+        this.sources.push({ kind: 'edge', content: records.flat() });
+        return this;
+    }
+
+    /**
+     * Add edges from CSV, YAML or JSON content
+     * @param {string|Array<Object>} content - CSV, YAML or JSON content, or edge records
+     * @param {string} format - Format of string content, csv, tsv, yaml or json (default: csv)
+     * @returns {Diagram} This diagram
+     */
+    edges(content, format = 'csv') {
+        this.sources.push({ kind: 'edge', content, format });
+        return this;
+    }
+
+    /**
+     * Add node positions
+     * @param {string|Map|Object} positions - Position map CSV content, or unscaled { x, y } positions by node name
+     * @param {string} format - Format of string content, csv or tsv (default: csv)
+     * @returns {Diagram} This diagram
+     */
+    positions(positions, format = 'csv') {
+        this.sources.push({ kind: 'position', content: positions, format });
+        return this;
+    }
+
+    /**
+     * Add the content of a mixed YAML file, with any of style, page, node, edge and diagram documents
+     * @param {string} content - YAML content
+     * @returns {Diagram} This diagram
+     */
+    yaml(content) {
+        this.sources.push({ kind: 'mixed', content, format: 'yaml' });
+        return this;
+    }
+
+    /**
+     * Add the content of a mixed JSON file, an array of style, page, node, edge and diagram documents
+     * @param {string} content - JSON content
+     * @returns {Diagram} This diagram
+     */
+    json(content) {
+        this.sources.push({ kind: 'mixed', content, format: 'json' });
+        return this;
+    }
+
+    /**
+     * Read everything added so far into inputs for DiagramBuilder.buildDiagram
+     * Node records are checked into the builder's reader manager as they are read
+     * @param {DiagramBuilder} builder - Builder the inputs are for
+     * @returns {Promise<Object>} Inputs, see DiagramBuilder.readInputs
+     */
+    async readInputs(builder) {
+        const readerManager = builder.readerManager;
+        const inputs = {
+            styleDocuments: [],
+            diagrams: [],
+            positions: null,
+            positionFile: null,
+            edgeRecords: []
+        };
+        const addNodes = (records) => readerManager.allNodeRecords.push(...readerManager.checkNodeRecords(records, null));
+        const addEdges = (records) => inputs.edgeRecords.push(
+            ...readerManager.applyColumnAliases(records, 'edge', null).map(record => ({ file: null, record })));
+        // Page documents can rename node and edge columns, and set the CSV dialect, of the sources added after them
+        const addStyles = (documents) => {
+            inputs.styleDocuments.push(...documents);
+            readerManager.readPageSettings(inputs.styleDocuments);
+        };
+        const csvDialect = (format) => format === 'tsv'
+            ? { ...readerManager.csvDialect, delimiter: 'tab' }
+            : readerManager.csvDialect;
+
+        for (const { kind, content, format } of this.sources) {
+            switch (kind) {
+                case 'style':
+                    addStyles(Diagram.readStyles(content, format));
+                    break;
+
+                case 'node':
+                    addNodes(typeof content !== 'string' ? content
+                        : format === 'yaml' ? NodeReader.loadRecordsFromYaml(content)
+                        : format === 'json' ? NodeReader.loadRecordsFromJson(content)
+                        : await NodeReader.loadRecordsFromCsv(content, csvDialect(format)));
+                    break;
+
+                case 'edge':
+                    addEdges(typeof content !== 'string' ? content
+                        : format === 'yaml' ? EdgeReader.loadFromYaml(content)
+                        : format === 'json' ? EdgeReader.loadFromJson(content)
+                        : await EdgeReader.loadFromCsv(content, csvDialect(format)));
+                    break;
+
+                case 'position': {
+                    const positions = await Diagram.readPositions(content, csvDialect(format));
+                    inputs.positions = new Map([...(inputs.positions || []), ...positions]);
+                    break;
+                }
+
+                case 'mixed':
+                    if (format === 'json') {
+                        addStyles(StyleReader.loadFromJson(content));
+                        addNodes(NodeReader.loadRecordsFromJson(content));
+                        addEdges(EdgeReader.loadFromJson(content));
+                        inputs.diagrams.push(...DiagramReader.loadFromJson(content));
+                    } else {
+                        addStyles(StyleReader.loadFromYaml(content));
+                        addNodes(NodeReader.loadRecordsFromYaml(content));
+                        addEdges(EdgeReader.loadFromYaml(content));
+                        inputs.diagrams.push(...DiagramReader.loadFromYaml(content));
+                    }
+                    break;
+            }
+        }
+
+        return {
+            ...inputs,
+            nodeRecords: readerManager.allNodeRecords,
+            nodeSources: new Map(readerManager.nodeSources)
+        };
+    }
+
+    /**
+     * Build the diagram, ready to inspect or render
+     * @param {string} name - Name of a diagram document to build instead of the whole diagram, see DiagramReader
+     * @returns {Promise<DiagramBuilder>} Builder holding the positioned nodes and edges
+     */
+    async build(name = null) {
+        const builder = new DiagramBuilder(this.options);
+        const inputs = await this.readInputs(builder);
+
+        let diagram = null;
+        if (name !== null) {
+            diagram = inputs.diagrams.find(candidate => String(candidate.name) === String(name));
+            if (!diagram) {
+                throw new Error(`No diagram named '${name}'`);
+            }
+        }
+
+        builder.buildDiagram(inputs, diagram);
+        return builder;
+    }
+
+    /**
+     * Render the diagram without writing any files
+     * The LaTeX renderer returns the LaTeX source, as compiling it needs the disk
+     * @param {string} name - Name of a diagram document to render instead of the whole diagram
+     * @returns {Promise<string>} Rendered diagram
+     */
+    async render(name = null) {
+        const builder = await this.build(name);
+        return builder.renderDiagramToString();
+    }
+
+    /**
+     * Read styles given as an object or as JSON or YAML content
+     */
+    static readStyles(styles, format) {
+        if (typeof styles !== 'string') {
+            return StyleReader.loadFromObject(styles);
+        }
+        return format === 'json' ? StyleReader.loadFromJson(styles) : StyleReader.loadFromYaml(styles);
+    }
+
+    /**
+     * Read positions given as position map CSV content or by node name
+     * @param {string|Map|Object} positions - Position map CSV content, or {x, y} by node name
+     * @param {Object} dialect - CSV dialect options, see CsvReader.getDialect
+     * @returns {Promise<Map>} Unscaled positions by node name
+     */
+    static async readPositions(positions, dialect = {}) {
+        if (typeof positions === 'string') {
+            return PositionReader.loadFromCsv(positions, dialect);
+        }
+
+        const entries = positions instanceof Map ? [...positions] : Object.entries(positions || {});
+        return new Map(entries.map(([name, { x, y }]) => [name, { xUnscaled: Number(x), yUnscaled: Number(y) }]));
+    }
+}
+
+module.exports = Diagram;
@@ -0,0 +1,95 @@
+const { BoundingBox } = require('./bounding-box');
+const { Position, PositionType } = require('./position');
+const Dimensions = require('./dimensions');
+const { Direction } = require('./direction');
+
+// Space between a container's border and its members, in unscaled size units
+const DEFAULT_PADDING = 0.5;
+
+/**
+ * Fits container nodes around their members
+ *
+ * A container's size is the union of its members' bounding boxes plus padding
+ * on every side, and its position is worked out from that box and the
+ * container's anchor. Any x, y, width or height given for the container is ignored.
+ */
+class Container {
+    /**
+     * Work out a container's position and dimensions from its members
+     * @param {Object} node - Container node, padding is read from it
+     * @param {Array<Object>} members - Member nodes, unpositioned members are left out
+     * @param {Object} scaleConfig - Scale configuration
+     * @param {{x: number, y: number}} anchorVector - The container's anchor vector
+     * @returns {{position: Position, dimensions: Dimensions}|null} Fitted geometry, or null if no member has a position
+     */
+    static fit(node, members, scaleConfig, anchorVector = { x: 0, y: 0 }) {
+        const positioned = members.filter(member => member?.position?.success && member.position.positionType === PositionType.COORDINATES);
+        const result = BoundingBox.fromNodes(positioned);
+        if (!result.success) {
+            return null;
+        }
+
+        const padding = this.getPadding(node);
+        const sizeScale = { w: scaleConfig?.size?.w || 1, h: scaleConfig?.size?.h || 1 };
+        const positionScale = { x: scaleConfig?.position?.x || 1, y: scaleConfig?.position?.y || 1 };
+
+        const box = result.boundingBox;
+        const widthScaled = box.width + 2 * padding * sizeScale.w;
+        const heightScaled = box.height + 2 * padding * sizeScale.h;
+        const centre = box.center();
+
+        const vector = anchorVector || { x: 0, y: 0 };
+        const xScaled = centre.x + vector.x * widthScaled / 2;
+        const yScaled = centre.y + vector.y * heightScaled / 2;
+
+        return {
+            position: new Position({
+                success: true,
+                xUnscaled: xScaled / positionScale.x,
+                yUnscaled: yScaled / positionScale.y,
+                xScaled,
+                yScaled,
+                positionType: PositionType.COORDINATES
+            }),
+            dimensions: new Dimensions({
+                widthUnscaled: widthScaled / sizeScale.w,
+                heightUnscaled: heightScaled / sizeScale.h,
+                widthScaled,
+                heightScaled
+            })
+        };
+    }
+
+    /**
+     * Padding of a container, the default if none is given
+     * @param {Object} node - Container node
+     * @returns {number} Padding in unscaled size units
+     */
+    static getPadding(node) {
+        const padding = Number(node.padding);
+        return node.padding !== undefined && node.padding !== null && node.padding !== '' && Number.isFinite(padding)
+            ? padding
+            : DEFAULT_PADDING;
+    }
+
+    /**
+     * Corner (or side) a node's label is drawn in, from its label_corner field
+     * @param {Object} node - Node
+     * @returns {{vector: Object, name: string}|null} Direction of the corner from the centre and
+     *   its full name such as 'north west', or null if the label is centred
+     */
+    static getLabelCorner(node) {
+        if (!node?.label_corner) {
+            return null;
+        }
+
+        const vector = Direction.getVector(String(node.label_corner).trim(), false, false);
+        if (!vector || (vector.x === 0 && vector.y === 0)) {
+            return null;
+        }
+
+        return { vector, name: Direction.getDirectionNameFromVector(vector) };
+    }
+}
+
+module.exports = Container;
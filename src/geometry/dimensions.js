@@ -42,7 +42,7 @@ class Dimensions {
             // Try to calculate width from w_of attribute
             if (w_of && nodes.has(w_of)) {
                 const referenceNode = nodes.get(w_of);
-                dimensions.widthUnscaled = referenceNode.widthUnscaled + (w_offset || 0);
+                dimensions.widthUnscaled = referenceNode.dimensions?.widthUnscaled + (w_offset || 0);
                 dimensions.widthScaled = dimensions.widthUnscaled * scaleConfig.size.w;
             }
             // If no width yet and both w_from and w_to are specified
@@ -76,7 +76,7 @@ class Dimensions {
             // Try to calculate height from h_of attribute
             if (h_of && nodes.has(h_of)) {
                 const referenceNode = nodes.get(h_of);
-                dimensions.heightUnscaled = referenceNode.heightUnscaled + (h_offset || 0);
+                dimensions.heightUnscaled = referenceNode.dimensions?.heightUnscaled + (h_offset || 0);
                 dimensions.heightScaled = dimensions.heightUnscaled * scaleConfig.size.h;
             }
             // If no height yet and both h_from and h_to are specified
@@ -123,7 +123,7 @@ class Dimensions {
             // Try to calculate width from w_of attribute
             if (w_of && nodes.has(w_of)) {
                 const referenceNode = nodes.get(w_of);
-                dimensions.widthUnscaled = referenceNode.widthUnscaled + (w_offset || 0);
+                dimensions.widthUnscaled = referenceNode.dimensions?.widthUnscaled + (w_offset || 0);
                 dimensions.widthScaled = dimensions.widthUnscaled * scaleConfig.size.w;
             }
             // If no width yet and both w_from and w_to are specified
@@ -170,7 +170,7 @@ class Dimensions {
             // Try to calculate height from h_of attribute
             if (h_of && nodes.has(h_of)) {
                 const referenceNode = nodes.get(h_of);
-                dimensions.heightUnscaled = referenceNode.heightUnscaled + (h_offset || 0);
+                dimensions.heightUnscaled = referenceNode.dimensions?.heightUnscaled + (h_offset || 0);
                 dimensions.heightScaled = dimensions.heightUnscaled * scaleConfig.size.h;
             }
             // If no height yet and both h_from and h_to are specified
@@ -0,0 +1,136 @@
+/**
+ * Works out the order nodes must be positioned and sized in
+ *
+ * A node that is positioned or sized relative to other nodes can only be
+ * resolved once those nodes have been, so nodes are resolved depth first:
+ * every node comes after the nodes it references. Nodes that do not depend
+ * on each other keep the order they were defined in.
+ *
+ * Container nodes are fitted around their members, so they depend on them:
+ * a container lists its members in contains, or a member names its container
+ * in group.
+ */
+class NodeDependencies {
+    /**
+     * Node fields that name another node, optionally followed by .anchor
+     */
+    static REFERENCE_FIELDS = ['position_of', 'x_of', 'y_of', 'w_of', 'h_of', 'w_from', 'w_to', 'h_from', 'h_to'];
+
+    /**
+     * Get the nodes a node references
+     * @param {Object} node - Node
+     * @returns {Array<{field: string, name: string}>} Referenced node names and the fields naming them
+     */
+    static getReferences(node) {
+        const references = [];
+
+        for (const field of this.REFERENCE_FIELDS) {
+            const reference = node[field];
+            if (reference === undefined || reference === null || reference === '') {
+                continue;
+            }
+            references.push({ field, name: String(reference).split('.')[0] });
+        }
+
+        for (const name of this.parseNames(node.contains)) {
+            references.push({ field: 'contains', name });
+        }
+
+        return references;
+    }
+
+    /**
+     * Get the members of every container node
+     * Members come from the container's contains list and from the group field of other nodes
+     * @param {Map} nodes - Map of node name to node
+     * @returns {Map<string, Array<string>>} Member names by container name, existing nodes only
+     */
+    static getMembers(nodes) {
+        const members = new Map();
+        const add = (container, member) => {
+            if (container === member || !nodes.has(container) || !nodes.has(member)) {
+                return;
+            }
+            if (!members.has(container)) {
+                members.set(container, []);
+            }
+            if (!members.get(container).includes(member)) {
+                members.get(container).push(member);
+            }
+        };
+
+        for (const [name, node] of nodes) {
+            this.parseNames(node.contains).forEach(member => add(name, member));
+            this.parseNames(node.group).forEach(container => add(container, name));
+        }
+
+        return members;
+    }
+
+    /**
+     * Read a list of node names, given as a YAML list or separated by commas or semicolons
+     * @param {Array|string} value - Names
+     * @returns {Array<string>} Trimmed names
+     */
+    static parseNames(value) {
+        if (value === undefined || value === null) {
+            return [];
+        }
+        const names = Array.isArray(value) ? value : String(value).split(/[,;]/);
+        return names.map(name => String(name).trim()).filter(name => name !== '');
+    }
+
+    /**
+     * Order nodes so that each comes after the nodes it references
+     *
+     * References to nodes that do not exist are ignored. Nodes in a reference
+     * cycle are still ordered, as well as the cycle allows, and each cycle is
+     * returned as the chain of names that closes it, e.g. ['a', 'b', 'c', 'a'].
+     *
+     * @param {Map} nodes - Map of node name to node
+     * @returns {{order: Array<string>, cycles: Array<Array<string>>}} Resolution order and reference cycles
+     */
+    static resolveOrder(nodes) {
+        const order = [];
+        const cycles = [];
+        const done = new Set();
+        const members = this.getMembers(nodes);
+        // Nodes on the current path, in the order they were entered
+        const path = [];
+
+        const visit = (name) => {
+            if (done.has(name)) {
+                return;
+            }
+
+            const pathIndex = path.indexOf(name);
+            if (pathIndex !== -1) {
+                cycles.push([...path.slice(pathIndex), name]);
+                return;
+            }
+
+            path.push(name);
+            const dependencies = new Set([
+                ...this.getReferences(nodes.get(name)).map(reference => reference.name),
+                ...(members.get(name) || [])
+            ]);
+            for (const dependency of dependencies) {
+                if (nodes.has(dependency)) {
+                    visit(dependency);
+                }
+            }
+            path.pop();
+
+            done.add(name);
+            order.push(name);
+        };
+
+        for (const name of nodes.keys()) {
+            visit(name);
+        }
+
+        return { order, cycles };
+    }
+}
+
+module.exports = NodeDependencies;
@@ -0,0 +1,351 @@
+const { BoundingBox } = require('./bounding-box');
+const { Point2D } = require('./basic-points');
+
+// Clearance kept around nodes, in scaled units
+const DEFAULT_MARGIN = 0.25;
+
+// Extra cost of a bend, in scaled units of path length
+const DEFAULT_BEND_PENALTY = 1;
+
+const DIRECTIONS = [
+    { x: 1, y: 0 },
+    { x: -1, y: 0 },
+    { x: 0, y: 1 },
+    { x: 0, y: -1 }
+];
+
+/**
+ * Finds right-angle routes between two points that go around a set of boxes
+ *
+ * Routes run along a sparse grid made from the sides of the boxes, grown by the
+ * margin, and the coordinates of the two ends. The cheapest route is found with
+ * Dijkstra's algorithm, where every bend costs as much as bendPenalty of length.
+ *
+ * An end is a point, optionally with the box it belongs to and the direction the
+ * route must leave it in (or arrive from, for the far end). An end without a
+ * direction inside its box is free: the route may leave the box on any side and
+ * starts where it crosses the box's border.
+ */
+class OrthogonalRouter {
+    /**
+     * @param {Array<BoundingBox>} obstacles - Boxes to go around, in scaled coordinates
+     * @param {Object} options - Options
+     * @param {number} options.margin - Clearance kept around boxes (default 0.25)
+     * @param {number} options.bendPenalty - Cost of a bend in lengths of path (default 1)
+     */
+    constructor(obstacles = [], options = {}) {
+        this.margin = options.margin ?? DEFAULT_MARGIN;
+        this.bendPenalty = options.bendPenalty ?? DEFAULT_BEND_PENALTY;
+        this.obstacles = obstacles.map(box => this.grow(box));
+    }
+
+    /**
+     * Route from one end to another
+     * @param {{point: Point2D, box: BoundingBox|null, direction: Object|null}} from - Start of the route
+     * @param {{point: Point2D, box: BoundingBox|null, direction: Object|null}} to - End of the route, direction points out of the end box
+     * @returns {Array<Point2D>|null} Corners of the route including both ends, or null if there is no route
+     */
+    route(from, to) {
+        const fromBlocker = from.box ? this.grow(from.box) : null;
+        const toBlocker = to.box ? this.grow(to.box) : null;
+        if (fromBlocker && toBlocker && from.box.overlaps(to.box)) {
+            return null;
+        }
+
+        const blockers = [
+            ...this.obstacles.map(box => ({ box })),
+            ...(fromBlocker ? [{ box: fromBlocker, end: 'from' }] : []),
+            ...(toBlocker ? [{ box: toBlocker, end: 'to' }] : [])
+        ];
+
+        const grid = this.createGrid(from, to, blockers);
+        const path = this.findPath(grid, from, to);
+        if (!path) {
+            return null;
+        }
+
+        const points = removeStraightCorners(path);
+        clipFreeEnd(points, 0, 1, from);
+        clipFreeEnd(points, points.length - 1, points.length - 2, to);
+
+        return points.map(point => new Point2D(round(point.x), round(point.y)));
+    }
+
+    grow(box) {
+        return new BoundingBox(box.left - this.margin, box.bottom - this.margin, box.right + this.margin, box.top + this.margin);
+    }
+
+    /**
+     * Grid lines through the ends, the sides of every box and the gap between the end boxes
+     */
+    createGrid(from, to, blockers) {
+        const xs = [from.point.x, to.point.x];
+        const ys = [from.point.y, to.point.y];
+
+        for (const { box } of blockers) {
+            xs.push(box.left, box.right);
+            ys.push(box.bottom, box.top);
+        }
+
+        const fromBox = from.box || new BoundingBox(from.point.x, from.point.y, from.point.x, from.point.y);
+        const toBox = to.box || new BoundingBox(to.point.x, to.point.y, to.point.x, to.point.y);
+        xs.push(gapMiddle(fromBox.left, fromBox.right, toBox.left, toBox.right));
+        ys.push(gapMiddle(fromBox.bottom, fromBox.top, toBox.bottom, toBox.top));
+
+        const grid = {
+            xs: uniqueSorted(xs),
+            ys: uniqueSorted(ys),
+            blockers
+        };
+        grid.start = { ix: grid.xs.indexOf(round(from.point.x)), iy: grid.ys.indexOf(round(from.point.y)) };
+        grid.goal = { ix: grid.xs.indexOf(round(to.point.x)), iy: grid.ys.indexOf(round(to.point.y)) };
+
+        // The ends may be inside their own boxes, every other grid point must be clear
+        const isEnd = (ix, iy) => (ix === grid.start.ix && iy === grid.start.iy) || (ix === grid.goal.ix && iy === grid.goal.iy);
+        grid.open = grid.xs.map((x, ix) => grid.ys.map((y, iy) =>
+            isEnd(ix, iy) || !blockers.some(({ box }) => x > box.left && x < box.right && y > box.bottom && y < box.top)
+        ));
+
+        return grid;
+    }
+
+    /**
+     * Nearest open grid point in a direction, if the way there is clear
+     * @returns {{ix: number, iy: number}|null} Grid point
+     */
+    step(grid, ix, iy, direction) {
+        let nx = ix + direction.x;
+        let ny = iy + direction.y;
+        while (nx >= 0 && ny >= 0 && nx < grid.xs.length && ny < grid.ys.length && !grid.open[nx][ny]) {
+            nx += direction.x;
+            ny += direction.y;
+        }
+        if (nx < 0 || ny < 0 || nx >= grid.xs.length || ny >= grid.ys.length) {
+            return null;
+        }
+
+        const touches = (point) => (point.ix === ix && point.iy === iy) || (point.ix === nx && point.iy === ny);
+        const left = Math.min(grid.xs[ix], grid.xs[nx]);
+        const right = Math.max(grid.xs[ix], grid.xs[nx]);
+        const bottom = Math.min(grid.ys[iy], grid.ys[ny]);
+        const top = Math.max(grid.ys[iy], grid.ys[ny]);
+
+        // A line crosses a box if it runs through its inside, lines along its sides are fine.
+        // Lines from an end may cross that end's own box.
+        const blocked = grid.blockers.some(({ box, end }) => {
+            if ((end === 'from' && touches(grid.start)) || (end === 'to' && touches(grid.goal))) {
+                return false;
+            }
+            const crossesX = left === right ? left > box.left && left < box.right : left < box.right && right > box.left;
+            const crossesY = bottom === top ? bottom > box.bottom && bottom < box.top : bottom < box.top && top > box.bottom;
+            return crossesX && crossesY;
+        });
+
+        return blocked ? null : { ix: nx, iy: ny };
+    }
+
+    /**
+     * Cheapest route over the grid, searching by point and the direction it was reached in
+     * @returns {Array<{x: number, y: number}>|null} Grid points on the route
+     */
+    findPath(grid, from, to) {
+        const { start, goal } = grid;
+        if (start.ix < 0 || goal.ix < 0) {
+            return null;
+        }
+
+        const width = grid.ys.length;
+        const key = (point, direction) => ((point.ix * width + point.iy) * DIRECTIONS.length) + direction;
+        const startDirections = allowedDirections(from.direction);
+        const goalDirections = allowedDirections(to.direction && { x: -to.direction.x, y: -to.direction.y });
+
+        const costs = new Map();
+        const previous = new Map();
+        const points = new Map();
+        const queue = new MinQueue();
+
+        // The first line may go any allowed way without counting as a bend
+        for (const direction of startDirections) {
+            const next = this.step(grid, start.ix, start.iy, DIRECTIONS[direction]);
+            if (next) {
+                const state = key(next, direction);
+                const cost = distance(grid, start, next);
+                if (cost < (costs.get(state) ?? Infinity)) {
+                    costs.set(state, cost);
+                    previous.set(state, null);
+                    points.set(state, next);
+                    queue.push(cost, state);
+                }
+            }
+        }
+
+        while (queue.size > 0) {
+            const { cost, value: state } = queue.pop();
+            if (cost > costs.get(state)) {
+                continue;
+            }
+
+            const point = points.get(state);
+            const direction = state % DIRECTIONS.length;
+            if (point.ix === goal.ix && point.iy === goal.iy) {
+                if (goalDirections.includes(direction)) {
+                    return this.tracePath(grid, start, state, previous, points);
+                }
+                continue;
+            }
+
+            DIRECTIONS.forEach((vector, turn) => {
+                // Never double back
+                if (vector.x === -DIRECTIONS[direction].x && vector.y === -DIRECTIONS[direction].y) {
+                    return;
+                }
+                const next = this.step(grid, point.ix, point.iy, vector);
+                if (!next) {
+                    return;
+                }
+
+                const nextState = key(next, turn);
+                const nextCost = cost + distance(grid, point, next) + (turn === direction ? 0 : this.bendPenalty);
+                if (nextCost < (costs.get(nextState) ?? Infinity)) {
+                    costs.set(nextState, nextCost);
+                    previous.set(nextState, state);
+                    points.set(nextState, next);
+                    queue.push(nextCost, nextState);
+                }
+            });
+        }
+
+        return null;
+    }
+
+    tracePath(grid, start, state, previous, points) {
+        const path = [];
+        for (let current = state; current !== null; current = previous.get(current)) {
+            const point = points.get(current);
+            path.unshift({ x: grid.xs[point.ix], y: grid.ys[point.iy] });
+        }
+        path.unshift({ x: grid.xs[start.ix], y: grid.ys[start.iy] });
+        return path;
+    }
+}
+
+/**
+ * Small binary heap of values ordered by cost
+ */
+class MinQueue {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(cost, value) {
+        const items = this.items;
+        items.push({ cost, value });
+        let index = items.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (items[parent].cost <= items[index].cost) {
+                break;
+            }
+            [items[parent], items[index]] = [items[index], items[parent]];
+            index = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let index = 0;
+            for (;;) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                if (left < items.length && items[left].cost < items[smallest].cost) {
+                    smallest = left;
+                }
+                if (right < items.length && items[right].cost < items[smallest].cost) {
+                    smallest = right;
+                }
+                if (smallest === index) {
+                    break;
+                }
+                [items[smallest], items[index]] = [items[index], items[smallest]];
+                index = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+function allowedDirections(direction) {
+    if (!direction) {
+        return DIRECTIONS.map((_, index) => index);
+    }
+    return [DIRECTIONS.findIndex(vector => vector.x === Math.sign(direction.x) && vector.y === Math.sign(direction.y))];
+}
+
+function distance(grid, a, b) {
+    return Math.abs(grid.xs[a.ix] - grid.xs[b.ix]) + Math.abs(grid.ys[a.iy] - grid.ys[b.iy]);
+}
+
+/**
+ * Middle of the gap between two ranges, or of their overlap if they overlap
+ */
+function gapMiddle(start1, end1, start2, end2) {
+    if (end1 < start2) {
+        return (end1 + start2) / 2;
+    }
+    if (end2 < start1) {
+        return (end2 + start1) / 2;
+    }
+    return (Math.max(start1, start2) + Math.min(end1, end2)) / 2;
+}
+
+function removeStraightCorners(path) {
+    return path.filter((point, index) => {
+        if (index === 0 || index === path.length - 1) {
+            return true;
+        }
+        const before = path[index - 1];
+        const after = path[index + 1];
+        return !((before.x === point.x && point.x === after.x) || (before.y === point.y && point.y === after.y));
+    });
+}
+
+/**
+ * Move a free end from inside its box to where the route leaves the box
+ */
+function clipFreeEnd(points, index, nextIndex, end) {
+    const box = end.box;
+    const point = points[index];
+    const next = points[nextIndex];
+    if (end.direction || !box || !next || !(point.x > box.left && point.x < box.right && point.y > box.bottom && point.y < box.top)) {
+        return;
+    }
+
+    if (next.x > point.x) {
+        points[index] = { x: box.right, y: point.y };
+    } else if (next.x < point.x) {
+        points[index] = { x: box.left, y: point.y };
+    } else if (next.y > point.y) {
+        points[index] = { x: point.x, y: box.top };
+    } else if (next.y < point.y) {
+        points[index] = { x: point.x, y: box.bottom };
+    }
+}
+
+function uniqueSorted(values) {
+    return [...new Set(values.filter(value => Number.isFinite(value)).map(round))].sort((a, b) => a - b);
+}
+
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+module.exports = { OrthogonalRouter };
@@ -1,18 +1,35 @@
 'use strict';
 const DiagramBuilder = require('./diagram-builder');
+const Diagram = require('./diagram');
+const FileWatcher = require('./utils/file-watcher');
+const PreviewServer = require('./server/preview-server');
 
 async function main() {
     // Command line argument parsing
-    const args = process.argv.slice(2);
+    let args = process.argv.slice(2);
+
+    // Optional command before the options
+    let command = 'render';
+    if (args[0] === 'serve' || args[0] === 'validate' || args[0] === 'export-map') {
+        command = args[0];
+        args = args.slice(1);
+    }
+
     const options = {
         nodeFiles: [],
         edgeFiles: [],
         yamlFiles: [],
         mapFile: null,
         styleFile: null,
-        outputFile: 'output/diagram',
+        outputFile: null,
         grid: null,
-        verbose: false
+        verbose: false,
+        watch: false,
+        port: 8080,
+        format: 'text',
+        snap: 1,
+        includeTags: [],
+        excludeTags: []
     };
 
     // Parse command line arguments
@@ -41,6 +58,13 @@ async function main() {
                 }
                 break;
                 
+            case '-x':
+            case '--workbook':
+                if (i + 1 < args.length) {
+                    options.workbook = args[++i];
+                }
+                break;
+
             case '-m':
             case '--map':
                 if (i + 1 < args.length) {
@@ -72,7 +96,32 @@ async function main() {
             case '--verbose':
                 options.verbose = true;
                 break;
+
+            case '-w':
+            case '--watch':
+                options.watch = true;
+                break;
                 
+            case '-p':
+            case '--port':
+                if (i + 1 < args.length) {
+                    options.port = parseInt(args[++i], 10);
+                }
+                break;
+
+            case '-f':
+            case '--format':
+                if (i + 1 < args.length) {
+                    options.format = args[++i];
+                }
+                break;
+
+            case '--snap':
+                if (i + 1 < args.length) {
+                    options.snap = parseFloat(args[++i]);
+                }
+                break;
+
             case '-r':
             case '--renderer':
                 if (i + 1 < args.length) {
@@ -80,6 +129,18 @@ async function main() {
                 }
                 break;
                 
+            case '--include-tags':
+                if (i + 1 < args.length) {
+                    options.includeTags = args[++i].split(',').map(t => t.trim());
+                }
+                break;
+
+            case '--exclude-tags':
+                if (i + 1 < args.length) {
+                    options.excludeTags = args[++i].split(',').map(t => t.trim());
+                }
+                break;
+                
             case '-h':
             case '--help':
                 showHelp();
@@ -89,56 +150,156 @@ async function main() {
         }
     }
 
+    // A workbook holds the nodes, edges, position map and styles in its sheets
+    if (options.workbook) {
+        options.nodeFiles = [...options.nodeFiles, options.workbook];
+        options.edgeFiles = [...options.edgeFiles, options.workbook];
+        options.styleFile = [...(options.styleFile || []), options.workbook];
+        options.mapFile = options.mapFile || options.workbook;
+    }
+
     // Validate that we have at least one source of node data
     if (
         (!options.nodeFiles || options.nodeFiles.length === 0) && 
         (!options.yamlFiles || options.yamlFiles.length === 0) && 
         !options.mapFile
     ) {
-        console.error('Error: At least one node file (-n), mixed YAML file (-y), or position map (-m) must be provided.');
+        console.error('Error: At least one node file (-n), mixed YAML file (-y), workbook (-x), or position map (-m) must be provided.');
         showHelp();
         process.exit(1);
     }
 
     function showHelp() {
-        console.log('Usage: node src/index.js [-n <nodes.csv,nodes.yaml>] [-e <edges.csv,edges.yaml>] [-y <mixed.yaml>] [-m <positions.csv>] [-s <style.json>] [-o <output/diagram>] [-g <grid_spacing>] [--verbose]');
-        console.log('  -n, --nodes      Comma-separated list of node files (CSV) or equivalent data in YAML');
-        console.log('  -e, --edges      Comma-separated list of edge files (CSV) or equivalent data in YAML');
-        console.log('  -y, --yaml       Mixed YAML file containing both nodes and edges (edges processed after nodes and position map)');
-        console.log('  -m, --map        Position map file (CSV)');
+        console.log('Usage: node src/index.js [serve|validate|export-map] [-n <nodes.csv,nodes.yaml>] [-e <edges.csv,edges.yaml>] [-y <mixed.yaml>] [-x <workbook.xlsx>] [-m <positions.csv>] [-s <style.json>] [-o <output/diagram>] [-g <grid_spacing>] [--verbose] [--watch]');
+        console.log('  -n, --nodes      Comma-separated list of node files (CSV, TSV, YAML, JSON, Excel, draw.io, Excalidraw)');
+        console.log('  -e, --edges      Comma-separated list of edge files (CSV, TSV, YAML, JSON, Excel, draw.io, Excalidraw)');
+        console.log('  -y, --yaml       Mixed YAML or JSON file containing both nodes and edges (edges processed after nodes and position map)');
+        console.log('  -x, --workbook   Excel workbook (.xlsx, .xlsm) with nodes, edges, map and styles sheets');
+        console.log('  -m, --map        Position map file (CSV or Excel workbook)');
         console.log('  -s, --style      Style file (JSON)');
         console.log('  -o, --output     Output file path (default: output/diagram)');
         console.log('  -g, --grid       Grid spacing (optional)');
         console.log('  --verbose        Show verbose output');
-        console.log('  -r, --renderer   Output renderer type (latex, text) [default: latex]');
+        console.log('  -w, --watch      Re-render whenever an input file changes');
+        console.log('  -r, --renderer   Output renderer type (latex, svg, text, dot, mermaid, plantuml, drawio) [default: latex]');
+        console.log('  --include-tags   Comma-separated tags, only draw nodes with one of them (tags or layer field)');
+        console.log('  --exclude-tags   Comma-separated tags, hide nodes and edges with any of them');
         console.log('  -h, --help       Show this help message');
+        console.log('');
+        console.log('Commands:');
+        console.log('  serve            Preview the diagram as SVG in the browser, reloading on input changes');
+        console.log('  -p, --port       Port for serve [default: 8080]');
+        console.log('  validate         Check the input files without rendering, exits with 1 if there are errors');
+        console.log('  -f, --format     Report format for validate (text, json) [default: text]');
+        console.log('  export-map       Write the resolved layout as a position map CSV to the output path [default: output/map.csv]');
+        console.log('  --snap           Grid spacing the exported positions are snapped to [default: 1]');
     }
 
     const diagramBuilder = new DiagramBuilder({
         grid: options.grid,
         verbose: options.verbose,
-        renderer: options.renderer || 'latex',
-        styleFile: options.styleFile
+        // validate keeps stdout for the report, so the JSON can be piped
+        logger: command === 'validate' ? { log: console.error, info: console.error } : console,
+        // serve always previews SVG, with node details for hovering
+        renderer: command === 'serve' ? 'svg' : (options.renderer || 'latex'),
+        annotateNodes: command === 'serve',
+        styleFile: options.styleFile,
+        includeTags: options.includeTags,
+        excludeTags: options.excludeTags
     });
 
-    try {
-        // Parse comma-separated lists of node and edge files
-        const nodeFiles = options.nodeFiles;
-        const edgeFiles = options.edgeFiles;
-        const mixedYamlFile = options.yamlFiles[0] || null;
-        const styleFiles = options.styleFile;
-
-        await diagramBuilder.loadData(styleFiles, nodeFiles, edgeFiles, options.mapFile, mixedYamlFile);
-
-        if (diagramBuilder.verbose) {
-            const nodeCount = diagramBuilder.readerManager.getNodes().size;
-            const edgeCount = diagramBuilder.readerManager.getEdges().length;
-            console.log(`Loaded ${nodeCount} nodes and ${edgeCount} edges`);
+    // Parse comma-separated lists of node and edge files
+    const nodeFiles = options.nodeFiles;
+    const edgeFiles = options.edgeFiles;
+    const mixedYamlFile = options.yamlFiles[0] || null;
+    const styleFiles = options.styleFile;
+    const outputPath = options.outputFile || 'output/diagram';
+
+    // Problems found while loading, such as edges to missing nodes, which are left out of the drawing
+    function printProblems(report) {
+        if (report.issues.length > 0) {
+            console.error(report.formatText());
+        }
+    }
+
+    async function build() {
+        const diagrams = await diagramBuilder.renderDiagrams(styleFiles, nodeFiles, edgeFiles, options.mapFile, mixedYamlFile, outputPath);
+        printProblems(diagramBuilder.report);
+
+        for (const { name, outputs } of diagrams) {
+            console.log(`Diagram ${name ? `'${name}' ` : ''}rendered to ${outputs.join(', ')}`);
+        }
+    }
+
+    const inputFiles = [...nodeFiles, ...edgeFiles, mixedYamlFile, options.mapFile, ...(styleFiles || [])];
+
+    if (command === 'validate') {
+        const report = await diagramBuilder.validate(styleFiles, nodeFiles, edgeFiles, options.mapFile, mixedYamlFile);
+
+        if (options.format === 'json') {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            console.log(report.formatText());
         }
 
-        const outputPath = options.outputFile || 'output/diagram';
-        await diagramBuilder.renderDiagram(outputPath);
-        console.log(`Diagram rendered to ${outputPath}.pdf`);
+        process.exitCode = report.hasErrors() ? 1 : 0;
+        return;
+    }
+
+    if (command === 'export-map') {
+        try {
+            await diagramBuilder.loadData(styleFiles, nodeFiles, edgeFiles, options.mapFile, mixedYamlFile);
+            printProblems(diagramBuilder.report);
+            const mapFile = await diagramBuilder.exportPositionMap(options.outputFile || 'output/map.csv', { grid: options.snap });
+            console.log(`Position map written to ${mapFile}`);
+        } catch (error) {
+            console.error('Failed to export position map:', error.message || error);
+            process.exit(1);
+        }
+        return;
+    }
+
+    if (command === 'serve') {
+        const server = new PreviewServer({
+            port: options.port,
+            files: inputFiles,
+            build: async () => {
+                diagramBuilder.reset();
+                await diagramBuilder.loadData(styleFiles, nodeFiles, edgeFiles, options.mapFile, mixedYamlFile);
+                printProblems(diagramBuilder.report);
+                return diagramBuilder.renderDiagramToString();
+            }
+        });
+
+        const url = await server.start();
+        console.log(`Previewing at ${url} (Ctrl+C to stop)`);
+        return;
+    }
+
+    if (options.watch) {
+        // Keep watching after failed builds, e.g. LaTeX errors while a file is half edited
+        const rebuild = async () => {
+            try {
+                await build();
+            } catch (error) {
+                console.error('Failed to build diagram:', error.message || error);
+            }
+        };
+
+        await rebuild();
+
+        const watcher = new FileWatcher(inputFiles, async (changed) => {
+            console.log(`Changed: ${changed.join(', ')}`);
+            diagramBuilder.reset();
+            await rebuild();
+        }).start();
+
+        console.log(`Watching ${watcher.files.size} input files for changes (Ctrl+C to stop)`);
+        return;
+    }
+
+    try {
+        await build();
     } catch (error) {
         console.error('Failed to build diagram:', error);
         process.exit(1);
@@ -152,4 +313,5 @@ if (require.main === module) {
     });
 }
 
-module.exports = DiagramBuilder; 
\ No newline at end of file
+module.exports = DiagramBuilder;
+module.exports.Diagram = Diagram;
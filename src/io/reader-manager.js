@@ -2,7 +2,15 @@ const path = require('path');
 const NodeReader = require('./readers/node-reader');
 const EdgeReader = require('./readers/edge-reader');
 const StyleReader = require('./readers/style-reader');
+const DiagramReader = require('./readers/diagram-reader');
 const { Node } = require('./models/node');
+const SourceLocation = require('./source-location');
+const ColumnAliases = require('./readers/column-aliases');
+const CsvReader = require('./readers/csv-reader');
+const { ValidationReport } = require('../validation/validation-report');
+
+// Node fields that must hold numbers when they are set
+const NUMERIC_NODE_FIELDS = ['x', 'y', 'width', 'height', 'w', 'h', 'x_offset', 'y_offset', 'w_offset', 'h_offset', 'padding'];
 
 /**
  * Manager class to handle reading from multiple files in different formats
@@ -10,29 +18,89 @@ const { Node } = require('./models/node');
 class ReaderManager {
     /**
      * Create a new ReaderManager
-     * @param {Object} styleHandler - Style handler for processing styles
+     * @param {Object} options - Options
+     * @param {ValidationReport} options.report - Report that collects problems found while reading
+     * @param {Object} options.logger - Where progress messages go, with an info method (default: console)
      */
-    constructor() {
+    constructor(options = {}) {
         this.nodes = new Map();
         this.edges = [];
         // New collection for storing all node records without merging
         this.allNodeRecords = [];
+        this.report = options.report || new ValidationReport();
+        this.logger = options.logger || console;
+        // Where each node was first defined (name -> { file, row | document })
+        this.nodeSources = new Map();
+        // Column aliases and schema version from page documents, see ColumnAliases
+        this.columns = ColumnAliases.fromDocuments([]);
+        // Deprecated columns already reported, once per file
+        this.deprecatedColumns = new Set();
+        // How CSV files are read, from the csv setting of page documents, see CsvReader.getDialect
+        this.csvDialect = {};
+    }
+
+    /**
+     * Take the settings of the page documents that affect how files are read from now on:
+     * column aliases and schema version, and the CSV dialect
+     * @param {Array} documents - Page and style documents
+     */
+    readPageSettings(documents) {
+        this.columns = ColumnAliases.fromDocuments(documents);
+        this.csvDialect = { ...StyleReader.getPageSetting(documents, 'csv') };
+    }
+
+    /**
+     * Whether a file extension is read as CSV, tab separated files included
+     */
+    static isCsvExtension(fileExtension) {
+        return fileExtension === 'csv' || fileExtension === 'tsv';
+    }
+
+    /**
+     * Rename the columns of records to the names the readers use, reporting deprecated columns
+     * @param {Array<Object>} records - Node or edge records
+     * @param {string} kind - node or edge
+     * @param {string} file - File the records were read from
+     * @returns {Array<Object>} Records with canonical column names
+     */
+    applyColumnAliases(records, kind, file) {
+        return records.map(record => ColumnAliases.apply(record, kind, this.columns, (from, to) => {
+            const key = `${file}:${kind}:${from}`;
+            if (this.deprecatedColumns.has(key)) {
+                return;
+            }
+            this.deprecatedColumns.add(key);
+
+            const message = ColumnAliases.getDeprecationMessage(kind, from, to);
+            this.report.warning(message, { file, ...SourceLocation.get(record), field: from });
+        }));
     }
 
     /**
-     * Process style files (JSON or YAML)
+     * Process style files (JSON, YAML or Excel)
      * @param {Array} styleFiles - Array of file paths to process
      * @param {Object} styleHandler - Style handler for processing styles
      * @returns {Array} - Combined collection of style records
      */
     async processStyleFiles(styleFiles, styleHandler) {
+        const documents = await this.readStyleFiles(styleFiles);
+        return styleHandler.processPageAndStyleDocuments(documents);
+    }
+
+    /**
+     * Read the page and style documents of style files (JSON, YAML or Excel) without applying them
+     * The documents can be given to any number of style handlers
+     * @param {Array} styleFiles - Array of file paths to read
+     * @returns {Promise<Array>} - Page and style documents in file order
+     */
+    async readStyleFiles(styleFiles) {
         // Return empty array if no style files provided
         if (!styleFiles || styleFiles.length === 0) {
-            console.info('No style files provided, using empty style set');
+            this.logger.info('No style files provided, using empty style set');
             return [];
         }
         
-        // Initialize result array to collect all style records
+        // Initialize result array to collect all style documents
         const result = [];
         
         // Process each file
@@ -43,38 +111,67 @@ class ReaderManager {
             // Process based on file extension
             try {
                 if (fileExtension === 'json') {
-                    let pageAndStyleDocuments = await StyleReader.readFromJson(file);
-                    const jsonStyles = styleHandler.processPageAndStyleDocuments(pageAndStyleDocuments);
-                    // Add to result array
-                    result.push(...jsonStyles);
+                    result.push(...await StyleReader.readFromJson(file));
                 } else if (fileExtension === 'yaml' || fileExtension === 'yml') {
-                    let styleDocuments = await StyleReader.readFromYaml(file);   
-                    // Process the documents with the style handler
-                    const yamlStyles = styleHandler.processPageAndStyleDocuments(styleDocuments);
-                    // Add to result array
-                    result.push(...yamlStyles);
+                    result.push(...await StyleReader.readFromYaml(file));
+                } else if (fileExtension === 'xlsx' || fileExtension === 'xlsm') {
+                    result.push(...await StyleReader.readFromXlsx(file));
                 } else {
-                    console.warn(`Unsupported file format for styles: ${fileExtension}`);
+                    this.report.warning(`Unsupported file format for styles: ${fileExtension}`, { file });
                     continue;
                 }
             } catch (error) {
-                console.error(`Error processing style file ${file}:`, error);
+                this.report.error(error.message, { file });
             }
         }
         
         return result;
 
     }
+
+    /**
+     * Read the diagram documents of YAML and JSON files, see DiagramReader
+     * Diagrams without a name are reported and left out
+     * @param {Array} files - Array of file paths, files that are not YAML or JSON are skipped
+     * @returns {Promise<Array<Object>>} - Diagram documents in file order
+     */
+    async readDiagramFiles(files) {
+        const diagrams = [];
+
+        for (const file of files || []) {
+            const fileExtension = path.extname(file).toLowerCase().replace('.', '');
+            if (!['yaml', 'yml', 'json'].includes(fileExtension)) {
+                continue;
+            }
+
+            try {
+                const documents = fileExtension === 'json'
+                    ? await DiagramReader.readFromJson(file)
+                    : await DiagramReader.readFromYaml(file);
+                for (const diagram of documents) {
+                    if (diagram.name === undefined || diagram.name === null || String(diagram.name).trim() === '') {
+                        this.report.error('Diagram has no name', { file, ...SourceLocation.get(diagram), field: 'name' });
+                        continue;
+                    }
+                    diagrams.push(SourceLocation.set(diagram, { file, ...SourceLocation.get(diagram) }));
+                }
+            } catch (error) {
+                this.report.error(error.message, { file });
+            }
+        }
+
+        return diagrams;
+    }
     
     /**
-     * Process multiple node files (CSV or YAML) and store without merging
+     * Process multiple node files (CSV, YAML, JSON, Excel, draw.io or Excalidraw) and store without merging
      * @param {Array} nodeFiles - Array of file paths to process
      * @returns {Array} - Array of all node records (without merging)
      */
     async processNodeFiles(nodeFiles) {
         // Return empty array if no node files provided
         if (!nodeFiles || nodeFiles.length === 0) {
-            console.info('No node files provided, using empty node set');
+            this.logger.info('No node files provided, using empty node set');
             this.allNodeRecords = [];
             return [];
         }
@@ -86,14 +183,29 @@ class ReaderManager {
             
             // Process based on file extension
             let records = [];
-            if (fileExtension === 'csv') {
-                records = await NodeReader.readRecordsFromCsv(file);
-            } else if (fileExtension === 'yaml' || fileExtension === 'yml') {
-                records = await NodeReader.readRecordsFromYaml(file);       
-            } else {
-                console.warn(`Unsupported file format for nodes: ${fileExtension}`);
+            try {
+                if (ReaderManager.isCsvExtension(fileExtension)) {
+                    records = await NodeReader.readRecordsFromCsv(file, this.csvDialect);
+                } else if (fileExtension === 'yaml' || fileExtension === 'yml') {
+                    records = await NodeReader.readRecordsFromYaml(file);       
+                } else if (fileExtension === 'json') {
+                    records = await NodeReader.readRecordsFromJson(file);
+                } else if (fileExtension === 'xlsx' || fileExtension === 'xlsm') {
+                    records = await NodeReader.readRecordsFromXlsx(file);
+                } else if (fileExtension === 'drawio') {
+                    records = await NodeReader.readRecordsFromDrawio(file);
+                } else if (fileExtension === 'excalidraw') {
+                    records = await NodeReader.readRecordsFromExcalidraw(file);
+                } else {
+                    this.report.warning(`Unsupported file format for nodes: ${fileExtension}`, { file });
+                    continue;
+                }
+            } catch (error) {
+                this.report.error(error.message, { file });
                 continue;
             }
+
+            records = this.checkNodeRecords(records, file);
                 
             // Add all records to the collection without merging
             this.allNodeRecords = [...this.allNodeRecords, ...records];
@@ -101,6 +213,38 @@ class ReaderManager {
         
         return this.allNodeRecords;
     }
+
+    /**
+     * Report node records that cannot be used, and remember where each node is defined
+     * Columns are renamed first, see applyColumnAliases
+     * @param {Array} records - Node records read from one file
+     * @param {string} file - File the records were read from
+     * @returns {Array} Records that have a name, with canonical column names
+     */
+    checkNodeRecords(records, file) {
+        return this.applyColumnAliases(records, 'node', file).filter(record => {
+            const location = { file, ...SourceLocation.get(record) };
+
+            if (record.name === undefined || record.name === null || String(record.name).trim() === '') {
+                this.report.error('Node has no name', { ...location, field: 'name' });
+                return false;
+            }
+
+            if (!this.nodeSources.has(record.name)) {
+                this.nodeSources.set(record.name, location);
+            }
+
+            for (const field of NUMERIC_NODE_FIELDS) {
+                const value = record[field];
+                if (value !== undefined && value !== null && value !== '' && isNaN(Number(value))) {
+                    this.report.error(`Node '${record.name}' has a non-numeric ${field} '${value}'`,
+                        { ...location, field, node: record.name });
+                }
+            }
+
+            return true;
+        });
+    }
     
     /**
      * Merge all collected node records and update the nodes map
@@ -116,7 +260,7 @@ class ReaderManager {
             
             if (mergedRecords.has(nodeName)) {
                 const existingRecord = mergedRecords.get(nodeName);
-                console.info(`Merging duplicate node record: ${nodeName}`);
+                this.logger.info(`Merging duplicate node record: ${nodeName}`);
                 
                 // Merge records (later records overwrite earlier ones)
                 for (const [key, value] of Object.entries(record)) {
@@ -162,7 +306,7 @@ class ReaderManager {
     }
     
     /**
-     * Process multiple edge files (CSV or YAML)
+     * Process multiple edge files (CSV, YAML, JSON, Excel, draw.io or Excalidraw)
      * @param {Array} edgeFiles - Array of file paths to process
      * @param {Object} scale - Scale information for positions
      * @returns {Array} - Array of edge objects
@@ -170,7 +314,7 @@ class ReaderManager {
     async processEdgeFiles(edgeFiles, styleHandler) {
         // Return empty array if no edge files provided
         if (!edgeFiles || edgeFiles.length === 0) {
-            console.info('No edge files provided, using empty edge set');
+            this.logger.info('No edge files provided, using empty edge set');
             return [];
         }
         
@@ -180,37 +324,110 @@ class ReaderManager {
             return [];
         }
         
-        // Process each file
-        for (const file of edgeFiles) {
+        const entries = await this.readEdgeRecords(edgeFiles);
+        return this.processEdgeRecords(entries, styleHandler);
+    }
+
+    /**
+     * Read edge records from multiple edge files (CSV, YAML, JSON, Excel, draw.io or Excalidraw) without processing them
+     * Each record is kept with its file, so problems can be reported against it
+     * @param {Array} edgeFiles - Array of file paths to read
+     * @returns {Promise<Array<{file: string, record: Object}>>} - Edge records in file order
+     */
+    async readEdgeRecords(edgeFiles) {
+        const entries = [];
+
+        for (const file of edgeFiles || []) {
             // Get file extension
             const fileExtension = path.extname(file).toLowerCase().replace('.', '');
             
             // Process based on file extension
             try {
                 let records = [];
-                if (fileExtension === 'csv') {
-                    records = await EdgeReader.readFromCsv(file);
+                if (ReaderManager.isCsvExtension(fileExtension)) {
+                    records = await EdgeReader.readFromCsv(file, this.csvDialect);
                 } else if (fileExtension === 'yaml' || fileExtension === 'yml') {
                     records = await EdgeReader.readFromYaml(file);
+                } else if (fileExtension === 'json') {
+                    records = await EdgeReader.readFromJson(file);
+                } else if (fileExtension === 'xlsx' || fileExtension === 'xlsm') {
+                    records = await EdgeReader.readFromXlsx(file);
+                } else if (fileExtension === 'drawio') {
+                    records = await EdgeReader.readFromDrawio(file);
+                } else if (fileExtension === 'excalidraw') {
+                    records = await EdgeReader.readFromExcalidraw(file);
                 } else {
-                    console.warn(`Unsupported file format for edges: ${fileExtension}`);
+                    this.report.warning(`Unsupported file format for edges: ${fileExtension}`, { file });
                     continue;
                 }
-                
-                // Now process the records into edges
-                const newEdges = records
-                    .map(record => EdgeReader.processEdgeRecord(record, this.nodes, styleHandler.getPageScale()))
-                    .filter(edge => edge !== null);
-                
-                // Add edges to array
-                this.edges = [...this.edges, ...newEdges];
+
+
+                entries.push(...this.applyColumnAliases(records, 'edge', file).map(record => ({ file, record })));
             } catch (error) {
-                console.error(`Error processing edge file ${file}:`, error);
+                this.report.error(error.message, { file });
             }
         }
         
+        return entries;
+    }
+
+    /**
+     * Turn edge records read by readEdgeRecords into edges
+     * Needs the nodes to be positioned and scaled first
+     * @param {Array<{file: string, record: Object}>} entries - Edge records with their files
+     * @param {Object} styleHandler - Style handler for the page scale
+     * @returns {Array} - Array of edge objects
+     */
+    processEdgeRecords(entries, styleHandler) {
+        const newEdges = entries
+            .map(({ file, record }) => this.processEdgeRecord(record, file, styleHandler))
+            .filter(edge => edge !== null);
+
+        // Add edges to array
+        this.edges = [...this.edges, ...newEdges];
+
         return this.edges;
     }
+
+    /**
+     * Turn one edge record into an edge, reporting records that cannot be used
+     * @param {Object} record - Edge record
+     * @param {string} file - File the record was read from
+     * @param {Object} styleHandler - Style handler for the page scale
+     * @returns {Object|null} Edge, or null if the record was skipped
+     */
+    processEdgeRecord(record, file, styleHandler) {
+        const location = { file, ...SourceLocation.get(record) };
+        const isEmpty = value => value === undefined || value === null || value === '';
+
+        // Completely empty rows are skipped without comment
+        if (Object.values(record).every(isEmpty)) {
+            return null;
+        }
+
+        let usable = true;
+        for (const field of ['from', 'to']) {
+            const name = record[field];
+            if (isEmpty(name)) {
+                this.report.error(`Edge has no '${field}' node`, { ...location, field });
+                usable = false;
+            } else if (!this.nodes.has(name)) {
+                this.report.error(`Edge references missing node '${name}'`, { ...location, field });
+                usable = false;
+            }
+        }
+
+        if (!usable) {
+            return null;
+        }
+
+        try {
+            return EdgeReader.processEdgeRecord(record, this.nodes, styleHandler.getPageScale());
+        } catch (error) {
+            this.report.error(`Edge from '${record.from}' to '${record.to}' could not be processed: ${error.message}`, location);
+            return null;
+        }
+    }
     
     /**
      * Get all nodes
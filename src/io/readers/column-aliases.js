@@ -0,0 +1,149 @@
+const SourceLocation = require('../source-location');
+const StyleReader = require('./style-reader');
+
+// Version of the node and edge columns read today; records without a version are read as version 1
+const SCHEMA_VERSION = 2;
+
+// Marks records whose columns are already canonical, so they are not renamed twice
+// A symbol survives the copies made when records are merged, and is not a column itself
+const CANONICAL = Symbol('canonical columns');
+
+// Columns renamed since version 1, with the version that renamed them
+// A column with a separator is joined onto the value of its new column, as in node.anchor
+const RENAMED_COLUMNS = {
+    node: [
+        { from: 'color', to: 'edge_color', version: 2 },
+        { from: 'relative_to', to: 'position_of', version: 2 },
+        { from: 'relative_to_anchor', to: 'position_of', separator: '.', version: 2 },
+        { from: 'relative_offset_x', to: 'x_offset', version: 2 },
+        { from: 'relative_offset_y', to: 'y_offset', version: 2 }
+    ],
+    edge: [
+        { from: 'startAnchor', to: 'start_anchor', version: 2 },
+        { from: 'endAnchor', to: 'end_anchor', version: 2 }
+    ]
+};
+
+/**
+ * Maps the column names of node and edge records onto the fields the readers use
+ *
+ * Columns renamed between schema versions are read under their new names, with a
+ * deprecation warning, unless the record says it was written for a version that
+ * already has the new names. Aliases of one's own, such as source for from, come
+ * from the columns setting of a page document:
+ *
+ *   type: page
+ *   columns:
+ *     version: 1
+ *     node: { Node Name: name }
+ *     edge: { source: from, target: to }
+ *
+ * A record's version field, a CSV column or a YAML key, overrides the page's version.
+ */
+class ColumnAliases {
+    static SCHEMA_VERSION = SCHEMA_VERSION;
+
+    /**
+     * Column settings from the columns field of page documents, later pages overriding earlier ones
+     * @param {Array<Object>} documents - Page and style documents, as read by StyleReader
+     * @returns {{version: number|undefined, node: Object, edge: Object}} Column settings
+     */
+    static fromDocuments(documents) {
+        const columns = StyleReader.getPageSetting(documents, 'columns') || {};
+
+        return { version: columns.version, node: { ...columns.node }, edge: { ...columns.edge } };
+    }
+
+    /**
+     * Record with its columns under the names the readers use
+     * A copy is returned, with the same source location, and records that
+     * already went through here are returned unchanged
+     * @param {Object} record - Node or edge record
+     * @param {string} kind - node or edge
+     * @param {Object} columns - Column settings, see fromDocuments
+     * @param {Function} onDeprecated - Called with (from, to) for each deprecated column, warns by default
+     * @returns {Object} Record with canonical column names
+     */
+    static apply(record, kind, columns = {}, onDeprecated = null) {
+        if (!record || typeof record !== 'object' || record[CANONICAL]) {
+            return record;
+        }
+
+        const renames = this.getRenames(kind, this.getVersion(record, columns), columns);
+        const warn = onDeprecated || ((from, to) => console.warn(this.getDeprecationMessage(kind, from, to)));
+        const result = { [CANONICAL]: true };
+        const renamed = [];
+
+        for (const [key, value] of Object.entries(record)) {
+            if (key === 'version') {
+                continue;
+            }
+            if (renames.has(key)) {
+                renamed.push([key, value]);
+            } else {
+                result[key] = value;
+            }
+        }
+
+        // A value under the new name wins over one under an old name, and
+        // joined columns come last so there is a value to join them onto
+        const isEmpty = (value) => value === undefined || value === null || value === '';
+        const joined = renamed.filter(([key]) => renames.get(key).separator);
+        for (const [key, value] of [...renamed.filter(entry => !joined.includes(entry)), ...joined]) {
+            const { to, separator, deprecated } = renames.get(key);
+            if (deprecated) {
+                warn(key, to);
+            }
+            if (separator) {
+                if (!isEmpty(value) && !isEmpty(result[to]) && !String(result[to]).includes(separator)) {
+                    result[to] = `${result[to]}${separator}${value}`;
+                }
+            } else if (isEmpty(result[to])) {
+                result[to] = value;
+            }
+        }
+
+        return SourceLocation.set(result, SourceLocation.get(record));
+    }
+
+    /**
+     * Schema version a record was written for
+     * @returns {number} The record's version, else the page's, else 1
+     */
+    static getVersion(record, columns = {}) {
+        for (const version of [record.version, columns.version]) {
+            if (version !== undefined && version !== null && version !== '' && Number.isFinite(Number(version))) {
+                return Number(version);
+            }
+        }
+        return 1;
+    }
+
+    /**
+     * Old column names and what they are read as, for one kind of record and version
+     * @returns {Map<string, {to: string, separator: string|undefined, deprecated: boolean}>} Renames by old name
+     */
+    static getRenames(kind, version, columns = {}) {
+        const renames = new Map();
+
+        for (const { from, to, separator, version: renamedIn } of RENAMED_COLUMNS[kind] || []) {
+            if (version < renamedIn) {
+                renames.set(from, { to, separator, deprecated: true });
+            }
+        }
+        for (const [from, to] of Object.entries(columns[kind] || {})) {
+            if (from !== to) {
+                renames.set(from, { to, deprecated: false });
+            }
+        }
+
+        return renames;
+    }
+
+    static getDeprecationMessage(kind, from, to) {
+        const label = kind === 'edge' ? 'Edge' : 'Node';
+        return `${label} column '${from}' is deprecated, use '${to}'`;
+    }
+}
+
+module.exports = ColumnAliases;
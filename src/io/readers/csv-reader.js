@@ -1,48 +1,219 @@
 const fs = require('fs');
 const { parse } = require('csv-parse');
+const SourceLocation = require('../source-location');
+
+// How CSV files are read unless a page's csv setting or the file itself says otherwise
+const DEFAULT_DIALECT = {
+    // auto: whichever of , ; tab | the header row uses most
+    // A file's sep= line, or a .tsv extension, wins over any delimiter
+    delimiter: 'auto',
+    quote: '"',
+    // Lines starting with this are skipped; off unless set, as values such as #FF0000 are common
+    comment: null,
+    // Strip a byte order mark, as Excel writes for UTF-8
+    bom: true,
+    // A header starting with this ends the columns that are read, as in the CSV export macro
+    ignore_columns: '//'
+};
+
+const DELIMITER_NAMES = { tab: '\t', '\\t': '\t', comma: ',', semicolon: ';', pipe: '|' };
+const DETECTED_DELIMITERS = [',', ';', '\t', '|'];
+
+// Excel's first line naming the delimiter, e.g. sep=;
+const SEPARATOR_LINE = /^"?sep=(.)"?[ \t]*$/i;
 
 class CsvReader {
-    static readFile(filePath) {
+    static DEFAULT_DIALECT = DEFAULT_DIALECT;
+
+    /**
+     * Read the records of a CSV file
+     * @param {string} filePath - Path to the file
+     * @param {Object} dialect - Dialect options, see getDialect
+     * @returns {Promise<Array<Object>>} - Records, one per non-empty row
+     */
+    static async readFile(filePath, dialect = {}) {
+        if (!filePath) {
+            return [];
+        }
+
+        const content = await fs.promises.readFile(filePath, 'utf8');
+        return this.load(content, dialect, filePath);
+    }
+
+    /**
+     * Parse CSV content that is already in memory
+     * @param {string} content - CSV content, with a header row
+     * @param {Object} dialect - Dialect options, see getDialect
+     * @param {string} file - File the content was read from, if any, for its extension
+     * @returns {Promise<Array<Object>>} - Records, one per non-empty row
+     */
+    static load(content, dialect = {}, file = null) {
+        const { text, options } = this.prepare(content, dialect, file);
+
         return new Promise((resolve, reject) => {
-            if (!filePath) {
-                resolve([]);
-                return;
-            }
+            parse(text, this.getParserOptions(options), (error, records) => {
+                if (error) {
+                    reject(error);
+                    return;
+                }
+                resolve(records.filter(record => !this.isEmptyRecord(record)));
+            });
+        });
+    }
 
-            const records = [];
-            fs.createReadStream(filePath)
-                .pipe(parse({
-                    columns: true,
-                    skip_empty_lines: true,
-                    trim: true,
-                    cast: (value, context) => {
-                        // If the field was quoted, return as-is
-                        if (context.quoting) {
-                            return value;
-                        }
-                        // For unquoted fields, convert NULL/null to null
-                        if (value.toLowerCase() === 'null') {
-                            return null;
-                        }
-                        return value;
-                    }
-                }))
-                .on('data', (record) => {
-                    // Skip completely empty rows
-                    const values = Object.values(record).map(val => val?.trim() || '');
-                    const isEmptyRow = values.every(val => val === '');
-                    if (!isEmptyRow) {
-                        records.push(record);
-                    }
-                })
-                .on('end', () => {
-                    resolve(records);
-                })
-                .on('error', (error) => {
+    /**
+     * Parse CSV content into rows of cells, without a header row, e.g. for position maps
+     * Columns from an ignored header in the first row onward are left out, as in load
+     * @param {string} content - CSV content
+     * @param {Object} dialect - Dialect options, see getDialect
+     * @param {string} file - File the content was read from, if any, for its extension
+     * @returns {Promise<Array<Array<string>>>} - Rows of cells
+     */
+    static loadRows(content, dialect = {}, file = null) {
+        const { text, options } = this.prepare(content, dialect, file);
+
+        return new Promise((resolve, reject) => {
+            parse(text, { ...this.getParserOptions(options), columns: false, cast: false, on_record: undefined }, (error, rows) => {
+                if (error) {
                     reject(error);
-                });
+                    return;
+                }
+
+                const cutoff = rows.length > 0 ? this.getColumnCutoff(rows[0], options) : -1;
+                resolve(cutoff === -1 ? rows : rows.map(row => row.slice(0, cutoff)));
+            });
         });
     }
+
+    /**
+     * Resolve the dialect of some content, and drop its BOM and sep= line, keeping the line count
+     * @returns {{text: string, options: Object}} Content to parse and its dialect
+     */
+    static prepare(content, dialect, file) {
+        let text = content || '';
+        const options = this.getDialect(dialect);
+
+        if (options.bom && text.charCodeAt(0) === 0xfeff) {
+            text = text.slice(1);
+        }
+
+        const firstLineEnd = text.search(/\r?\n|$/);
+        const separator = text.slice(0, firstLineEnd).match(SEPARATOR_LINE);
+        if (separator) {
+            // An empty first line keeps the row numbers of error reports right
+            text = text.slice(firstLineEnd);
+        }
+
+        // A file naming its own delimiter, by a sep= line or its extension, knows best
+        if (separator) {
+            options.delimiter = separator[1];
+        } else if (/\.tsv$/i.test(file || '')) {
+            options.delimiter = '\t';
+        } else if (options.delimiter === 'auto') {
+            options.delimiter = this.detectDelimiter(text, options);
+        }
+
+        return { text, options };
+    }
+
+    /**
+     * Dialect options with their defaults, and delimiter names such as tab turned into characters
+     * @param {Object} dialect - Options
+     * @param {string} dialect.delimiter - Delimiter, a name (tab, comma, semicolon, pipe) or auto (default)
+     * @param {string|boolean} dialect.quote - Quote character, or false for none (default: ")
+     * @param {string} dialect.comment - Lines starting with this are skipped (default: none)
+     * @param {boolean} dialect.bom - Strip a byte order mark (default: true)
+     * @param {string|boolean} dialect.ignore_columns - Header prefix from which columns are left out, or false (default: //)
+     * @returns {Object} Complete dialect options
+     */
+    static getDialect(dialect = {}) {
+        const options = { ...DEFAULT_DIALECT };
+        for (const [key, value] of Object.entries(dialect || {})) {
+            if (value !== undefined && value !== null && value !== '') {
+                options[key] = value;
+            }
+        }
+
+        const delimiter = String(options.delimiter);
+        options.delimiter = DELIMITER_NAMES[delimiter.toLowerCase()] || delimiter;
+        return options;
+    }
+
+    /**
+     * The candidate delimiter that the first line with content uses most, outside quotes
+     * @returns {string} Delimiter, a comma if the line has none of them
+     */
+    static detectDelimiter(text, options) {
+        const line = text.split(/\r?\n/)
+            .find(candidate => candidate.trim() !== '' && !(options.comment && candidate.startsWith(options.comment))) || '';
+
+        const counts = new Map(DETECTED_DELIMITERS.map(delimiter => [delimiter, 0]));
+        let quoted = false;
+        for (const char of line) {
+            if (options.quote && char === options.quote) {
+                quoted = !quoted;
+            } else if (!quoted && counts.has(char)) {
+                counts.set(char, counts.get(char) + 1);
+            }
+        }
+
+        // Earlier candidates win ties, so a line without any is read as comma separated
+        return DETECTED_DELIMITERS.reduce((best, delimiter) => counts.get(delimiter) > counts.get(best) ? delimiter : best);
+    }
+
+    /**
+     * Index of the first column whose header starts with the ignored-column prefix
+     * @param {Array<string>} header - Header row
+     * @param {Object} options - Dialect options
+     * @returns {number} Index, or -1 if all columns are read
+     */
+    static getColumnCutoff(header, options) {
+        const prefix = options.ignore_columns;
+        if (!prefix || typeof prefix !== 'string') {
+            return -1;
+        }
+        return header.findIndex(name => String(name ?? '').trim().startsWith(prefix));
+    }
+
+    /**
+     * csv-parse options for a resolved dialect
+     * @param {Object} options - Dialect options, as from getDialect with the delimiter resolved
+     * @returns {Object} Parser options
+     */
+    static getParserOptions(options = this.getDialect({ delimiter: ',' })) {
+        return {
+            // Columns from an ignored header onward are skipped by naming them false
+            columns: (header) => {
+                const cutoff = this.getColumnCutoff(header, options);
+                return cutoff === -1 ? header : header.map((name, index) => index < cutoff ? name : false);
+            },
+            delimiter: options.delimiter,
+            quote: options.quote === false || options.quote === 'none' ? null : options.quote,
+            comment: options.comment || null,
+            // Only whole lines are comments, so values such as #FF0000 are kept
+            comment_no_infix: true,
+            skip_empty_lines: true,
+            trim: true,
+            cast: (value, context) => {
+                // If the field was quoted, return as-is
+                if (context.quoting) {
+                    return value;
+                }
+                // For unquoted fields, convert NULL/null to null
+                if (value.toLowerCase() === 'null') {
+                    return null;
+                }
+                return value;
+            },
+            // Remember the line each record ends on, for error reports
+            on_record: (record, context) => SourceLocation.set(record, { row: context.lines })
+        };
+    }
+
+    static isEmptyRecord(record) {
+        const values = Object.values(record).map(val => val?.trim() || '');
+        return values.every(val => val === '');
+    }
 }
 
-module.exports = CsvReader; 
\ No newline at end of file
+module.exports = CsvReader;
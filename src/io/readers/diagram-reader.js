@@ -0,0 +1,80 @@
+const fs = require('fs');
+const PropertyReader = require('./property-reader');
+const JsonReader = require('./json-reader');
+const PropertyProcessor = require('./property-processor');
+const StyleDocumentHandler = require('./style-document-handler');
+const SourceLocation = require('../source-location');
+
+/**
+ * Reads diagram documents, which describe one of several diagrams drawn from the same input files
+ *
+ * A diagram document looks like:
+ *
+ *   type: diagram
+ *   name: network              # required
+ *   output: network-view       # output file, relative to the output directory (default: the name)
+ *   nodes: [web, lb, db]       # only draw these nodes (default: all)
+ *   include_tags: network      # only draw nodes with one of these tags
+ *   exclude_tags: [internal]   # hide nodes and edges with any of these tags
+ *   page:                      # page settings for this diagram, merged over the page documents
+ *     scale:
+ *       position: { x: 2, y: 2 }
+ */
+class DiagramReader {
+    /**
+     * Read the diagram documents from a YAML file
+     * @param {string} yamlFile - Path to the YAML file
+     * @returns {Promise<Array<Object>>} Diagram documents, with their source locations
+     */
+    static async readFromYaml(yamlFile) {
+        const content = await fs.promises.readFile(yamlFile, 'utf8');
+        return this.loadFromYaml(content);
+    }
+
+    /**
+     * Read the diagram documents from YAML content that is already in memory
+     * @param {string} content - YAML content
+     * @returns {Array<Object>} Diagram documents, with their source locations
+     */
+    static loadFromYaml(content) {
+        return PropertyReader.loadRawYamlDocuments(content, {
+            filter: SourceLocation.documentFilter('diagram')
+        });
+    }
+
+    /**
+     * Read the diagram documents from a JSON file, an array of documents
+     * @param {string} jsonFile - Path to the JSON file
+     * @returns {Promise<Array<Object>>} Diagram documents, with their source locations
+     */
+    static async readFromJson(jsonFile) {
+        return JsonReader.readFile(jsonFile, {
+            filter: SourceLocation.documentFilter('diagram')
+        });
+    }
+
+    /**
+     * Read the diagram documents from JSON content that is already in memory
+     * @param {string} content - JSON content, an array of documents
+     * @returns {Array<Object>} Diagram documents, with their source locations
+     */
+    static loadFromJson(content) {
+        return JsonReader.load(content, {
+            filter: SourceLocation.documentFilter('diagram')
+        });
+    }
+
+    /**
+     * Turn a diagram's page settings into a page document for the style handler
+     * @param {Object} diagram - Diagram document
+     * @returns {Object|null} Page document with dynamic properties, or null if the diagram has no page settings
+     */
+    static getPageDocument(diagram) {
+        if (!diagram?.page || typeof diagram.page !== 'object') {
+            return null;
+        }
+        return PropertyProcessor.transformDocument({ type: 'page', ...diagram.page }, StyleDocumentHandler);
+    }
+}
+
+module.exports = DiagramReader;
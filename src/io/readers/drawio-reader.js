@@ -0,0 +1,344 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { Direction } = require('../../geometry/direction');
+const { parseXml, findElements, findElement, decodeEntities } = require('./xml-parser');
+
+// draw.io works in screen pixels at 96 dpi, one diagram unit is one centimetre
+const DEFAULT_PIXELS_PER_UNIT = 96 / 2.54;
+
+// TikZ arrow tips for draw.io arrow styles
+const ARROWS = {
+    classic: 'Stealth',
+    classicthin: 'Stealth',
+    block: 'Triangle',
+    blockthin: 'Triangle',
+    open: 'Straight Barb',
+    openthin: 'Straight Barb',
+    oval: 'Circle',
+    diamond: 'Diamond',
+    diamondthin: 'Diamond',
+    dash: 'Bar'
+};
+
+/**
+ * Reads draw.io (diagrams.net) files into node and edge records
+ *
+ * Vertices become node records with centre x/y and width/height in diagram units,
+ * with the y axis flipped; edges become edge records with their endpoints, anchors,
+ * arrows and waypoints. Records have the same shape as records read from CSV, so
+ * they go through NodeReader.processNodeRecord and EdgeReader.processEdgeRecord.
+ *
+ * Node names come from a `name` property on the cell (Edit Data in draw.io),
+ * falling back to the cell id.
+ */
+class DrawioReader {
+    /**
+     * Read node and edge records from a .drawio file
+     * @param {string} drawioFile - Path to the .drawio file
+     * @param {Object} options - Options
+     * @param {number} options.pixelsPerUnit - draw.io pixels per diagram unit
+     * @returns {Promise<{nodes: Array, edges: Array}>} Node and edge records
+     */
+    static async readFile(drawioFile, options = {}) {
+        const content = await fs.promises.readFile(drawioFile, 'utf8');
+        return this.parse(content, options);
+    }
+
+    /**
+     * Parse draw.io XML into node and edge records
+     * @param {string} content - draw.io file content
+     * @param {Object} options - Options, see readFile
+     * @returns {{nodes: Array, edges: Array}} Node and edge records
+     */
+    static parse(content, options = {}) {
+        const pixelsPerUnit = options.pixelsPerUnit || DEFAULT_PIXELS_PER_UNIT;
+        const model = this.getGraphModel(parseXml(content));
+
+        if (!model) {
+            throw new Error('No mxGraphModel found in draw.io file');
+        }
+
+        const cells = this.getCells(model);
+        const cellsById = new Map(cells.map(cell => [cell.id, cell]));
+
+        // Absolute offset of a cell's children, from its ancestors' geometry
+        const getOffset = (id) => {
+            const cell = cellsById.get(id);
+            if (!cell || !cell.vertex || !cell.geometry) {
+                return { x: 0, y: 0 };
+            }
+            const parentOffset = getOffset(cell.parent);
+            return {
+                x: parentOffset.x + cell.geometry.x,
+                y: parentOffset.y + cell.geometry.y
+            };
+        };
+
+        const toUnits = (pixels) => formatNumber(pixels / pixelsPerUnit);
+        const names = new Map();
+        const nodes = [];
+        const edges = [];
+
+        // Vertices, except labels that belong to edges and invisible group cells
+        for (const cell of cells) {
+            const parent = cellsById.get(cell.parent);
+            if (!cell.vertex || !cell.geometry || parent?.edge || 'group' in cell.style) {
+                continue;
+            }
+
+            const name = cell.name || cell.id;
+            names.set(cell.id, name);
+
+            const offset = getOffset(cell.parent);
+            const geometry = cell.geometry;
+            const record = {
+                name,
+                label: cell.label,
+                x: toUnits(offset.x + geometry.x + geometry.width / 2),
+                y: toUnits(-(offset.y + geometry.y + geometry.height / 2)),
+                width: toUnits(geometry.width),
+                height: toUnits(geometry.height),
+                anchor: 'center',
+                shape: this.getShape(cell.style)
+            };
+
+            const isText = 'text' in cell.style;
+            this.setColor(record, 'fillcolor', isText ? 'none' : cell.style.fillColor);
+            this.setColor(record, 'edge_color', isText ? 'none' : cell.style.strokeColor);
+            this.setColor(record, 'textcolor', cell.style.fontColor);
+
+            nodes.push(record);
+        }
+
+        // Edges
+        for (const cell of cells) {
+            if (!cell.edge) {
+                continue;
+            }
+
+            const from = names.get(cell.source);
+            const to = names.get(cell.target);
+            if (!from || !to) {
+                console.warn(`Skipping draw.io edge '${cell.id}': it is not connected to two shapes`);
+                continue;
+            }
+
+            const record = { from, to, path_type: '--' };
+
+            if (cell.label) {
+                record.label = cell.label;
+            }
+            this.setEdgeLabels(record, cell, cells);
+
+            // draw.io draws an end arrow unless told otherwise
+            const endArrow = this.getArrow(cell.style.endArrow ?? 'classic');
+            const startArrow = this.getArrow(cell.style.startArrow);
+            if (endArrow) {
+                record.end_arrow = endArrow;
+            }
+            if (startArrow) {
+                record.start_arrow = startArrow;
+            }
+
+            this.setColor(record, 'color', cell.style.strokeColor);
+
+            const startAnchor = this.getAnchor(cell.style.exitX, cell.style.exitY);
+            const endAnchor = this.getAnchor(cell.style.entryX, cell.style.entryY);
+            if (startAnchor) {
+                record.start_anchor = startAnchor;
+            }
+            if (endAnchor) {
+                record.end_anchor = endAnchor;
+            }
+
+            // Curved edges use their points as control points
+            const offset = getOffset(cell.parent);
+            const prefix = cell.style.curved === '1' ? 'ac' : 'a';
+            if (cell.points.length > 0) {
+                record.waypoints = cell.points
+                    .map(point => `${prefix}(${toUnits(offset.x + point.x)},${toUnits(-(offset.y + point.y))})`)
+                    .join(' ');
+            }
+
+            edges.push(record);
+        }
+
+        return { nodes, edges };
+    }
+
+    /**
+     * Find the graph model, decompressing the diagram if needed
+     * Older draw.io files store each page deflated and base64 encoded
+     */
+    static getGraphModel(root) {
+        const diagrams = findElements(root, 'diagram');
+        if (diagrams.length > 1) {
+            console.warn('draw.io file has more than one page, only the first page is read');
+        }
+
+        const page = diagrams[0] || root;
+        const model = findElement(page, 'mxGraphModel');
+        if (model) {
+            return model;
+        }
+
+        const compressed = page.text?.trim();
+        if (!compressed) {
+            return null;
+        }
+
+        const xml = decodeURIComponent(zlib.inflateRawSync(Buffer.from(compressed, 'base64')).toString('utf8'));
+        return findElement(parseXml(xml), 'mxGraphModel');
+    }
+
+    /**
+     * Flatten the mxCells of a graph model
+     * Cells with custom properties are wrapped in <object> or <UserObject>,
+     * which carry the id, label and properties
+     */
+    static getCells(model) {
+        const rootElement = findElement(model, 'root');
+        const cells = [];
+
+        for (const element of rootElement?.children || []) {
+            const wrapper = element.name === 'mxCell' ? null : element;
+            const cellElement = wrapper ? findElement(wrapper, 'mxCell') : element;
+            if (!cellElement) {
+                continue;
+            }
+
+            const attributes = { ...cellElement.attributes, ...(wrapper?.attributes || {}) };
+            const geometryElement = findElement(cellElement, 'mxGeometry');
+            const pointsElement = geometryElement?.children.find(child => child.name === 'Array' && child.attributes.as === 'points');
+
+            cells.push({
+                id: attributes.id,
+                name: attributes.name,
+                parent: attributes.parent,
+                source: attributes.source,
+                target: attributes.target,
+                vertex: attributes.vertex === '1',
+                edge: attributes.edge === '1',
+                label: htmlToText(attributes.label ?? attributes.value ?? ''),
+                style: parseStyle(attributes.style),
+                geometry: geometryElement ? {
+                    x: parseFloat(geometryElement.attributes.x) || 0,
+                    y: parseFloat(geometryElement.attributes.y) || 0,
+                    width: parseFloat(geometryElement.attributes.width) || 0,
+                    height: parseFloat(geometryElement.attributes.height) || 0
+                } : null,
+                points: (pointsElement?.children || []).map(point => ({
+                    x: parseFloat(point.attributes.x) || 0,
+                    y: parseFloat(point.attributes.y) || 0
+                }))
+            });
+        }
+
+        return cells;
+    }
+
+    /**
+     * Use labels placed along an edge as its start, middle and end labels
+     */
+    static setEdgeLabels(record, edgeCell, cells) {
+        for (const cell of cells) {
+            if (cell.parent !== edgeCell.id || !cell.label) {
+                continue;
+            }
+
+            const position = cell.geometry?.x || 0;
+            if (position < -1 / 3) {
+                record.start_label = cell.label;
+            } else if (position > 1 / 3) {
+                record.end_label = cell.label;
+            } else if (!record.label) {
+                record.label = cell.label;
+            }
+        }
+    }
+
+    static getShape(style) {
+        if (style.shape === 'ellipse' || 'ellipse' in style) {
+            return style.aspect === 'fixed' ? 'circle' : 'ellipse';
+        }
+        if (style.shape === 'rhombus' || 'rhombus' in style) {
+            return 'diamond';
+        }
+        return 'rectangle';
+    }
+
+    static getArrow(arrow) {
+        if (!arrow || arrow === 'none') {
+            return undefined;
+        }
+        return ARROWS[arrow] || 'Stealth';
+    }
+
+    /**
+     * Convert a draw.io connection constraint to an anchor name
+     * @param {string} x - Relative x on the shape, 0 (left) to 1 (right)
+     * @param {string} y - Relative y on the shape, 0 (top) to 1 (bottom)
+     * @returns {string|undefined} Anchor name such as "north east"
+     */
+    static getAnchor(x, y) {
+        if (x === undefined || y === undefined) {
+            return undefined;
+        }
+
+        const round = value => (Math.abs(value) < 0.5 ? 0 : Math.sign(value));
+        const dx = round(parseFloat(x) * 2 - 1);
+        const dy = round(1 - parseFloat(y) * 2);
+
+        return Direction.getDirectionName(dx, dy);
+    }
+
+    static setColor(record, key, color) {
+        if (color && color !== 'default') {
+            record[key] = color;
+        }
+    }
+}
+
+/**
+ * Parse a draw.io style string such as "ellipse;fillColor=#fff;" into an object
+ * Entries without a value, such as "ellipse", are set to true
+ */
+function parseStyle(style) {
+    const entries = {};
+
+    for (const entry of String(style || '').split(';')) {
+        if (!entry) continue;
+
+        const index = entry.indexOf('=');
+        if (index === -1) {
+            entries[entry] = true;
+        } else {
+            entries[entry.slice(0, index)] = entry.slice(index + 1);
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Convert a draw.io HTML label to plain text, one line per <br> or <div>
+ */
+function htmlToText(html) {
+    const text = String(html)
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(div|p)>/gi, '\n')
+        .replace(/<[^>]*>/g, '');
+
+    return decodeEntities(text)
+        .split('\n')
+        .map(line => line.trim())
+        .filter((line, i, lines) => line || i < lines.length - 1)
+        .join('\n')
+        .trim();
+}
+
+function formatNumber(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+module.exports = DrawioReader;
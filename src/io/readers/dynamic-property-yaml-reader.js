@@ -140,25 +140,20 @@ class DynamicPropertyYamlReader {
    * @returns {Object} Parsed YAML with transformed renderer objects
    */
   static loadFromYaml(yamlContent, options = {}) {
-    try {
-      // Create our custom schema
-      const schema = this.getSchema();
-      
-      // Parse the YAML with the schema
-      // loadAll returns all documents in a multi-document YAML string (separated by ---)
-      let docs = yaml.loadAll(yamlContent, { schema });
-      
-      // Apply filter if provided
-      if (options.filter && typeof options.filter === 'function') {
-        docs = docs.filter(options.filter);
-      }
-
-      // Otherwise return the array of documents
-      return docs;
-    } catch (error) {
-      console.error('Error parsing YAML:', error);
-      return null;
+    // Create our custom schema
+    const schema = this.getSchema();
+    
+    // Parse the YAML with the schema
+    // loadAll returns all documents in a multi-document YAML string (separated by ---)
+    let docs = yaml.loadAll(yamlContent, { schema });
+    
+    // Apply filter if provided
+    if (options.filter && typeof options.filter === 'function') {
+      docs = docs.filter(options.filter);
     }
+
+    // Otherwise return the array of documents
+    return docs;
   }
   
   /**
@@ -531,24 +526,19 @@ class DynamicPropertyYamlReader {
      * @returns {Promise<Array>} - Array of parsed YAML documents
      */
       static async readFile(yamlFile, options = {}) {
-        try {
-            const content = await fs.promises.readFile(yamlFile, 'utf8');
-            //const documents = yaml.loadAll(content);
-            
-            // // Apply filter if provided
-            // if (options.filter && typeof options.filter === 'function') {
-            //     return documents.filter(options.filter);
-            // }
-            
-            // return documents;
+        const content = await fs.promises.readFile(yamlFile, 'utf8');
+        //const documents = yaml.loadAll(content);
+        
+        // // Apply filter if provided
+        // if (options.filter && typeof options.filter === 'function') {
+        //     return documents.filter(options.filter);
+        // }
+        
+        // return documents;
 
-          const documents = this.loadFromYaml(content, options);
-          return documents;
-          
-        } catch (error) {
-            console.error(`Error reading YAML file ${yamlFile}:`, error);
-            return null; //throw error;
-        }
+        const documents = this.loadFromYaml(content, options);
+        return documents;
+        
     }
 
   /**
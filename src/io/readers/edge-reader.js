@@ -4,14 +4,23 @@ const { getNodeConnectionPoint } = require('../../geometry/node-connection-point
 const { parseWaypoints } = require('../../geometry/waypoint-parser');
 const { Direction } = require('../../geometry/direction');
 const { BoundingBox } = require('../../geometry/bounding-box');
+const { Point2D } = require('../../geometry/basic-points');
+const { OrthogonalRouter } = require('../../geometry/orthogonal-router');
 const YamlReader = require('./yaml-reader');
+const JsonReader = require('./json-reader');
+const DrawioReader = require('./drawio-reader');
+const ExcalidrawReader = require('./excalidraw-reader');
+const XlsxReader = require('./xlsx-reader');
+const SourceLocation = require('../source-location');
+const ColumnAliases = require('./column-aliases');
 
 const PATH_TYPES = {
     TO: 'to',
     LINE: '--',
     BAR_END: '-|',
     BAR_START: '|-',
-    CURVE: '..'
+    CURVE: '..',
+    ORTHO: 'ortho'
 };
 
 class EdgeReader {
@@ -117,13 +126,144 @@ class EdgeReader {
         };
     }
 
+    /**
+     * Whether an edge asks for a right-angle route, with path_type: ortho or route: orthogonal
+     * @param {Object} record - Edge record
+     * @returns {boolean} True for orthogonal edges
+     */
+    static isOrthogonal(record) {
+        const route = String(record.route || '').trim().toLowerCase();
+        return String(record.path_type || '').trim().toLowerCase() === PATH_TYPES.ORTHO ||
+            route === 'orthogonal' || route === PATH_TYPES.ORTHO;
+    }
+
+    /**
+     * Route an edge at right angles around the other nodes' bounding boxes
+     *
+     * An end anchored on a side (north, east, south or west) leaves or arrives that way,
+     * an end anchored anywhere else starts exactly there, and an end without an anchor
+     * (or with auto) may use any side of its node. The edge's own real waypoints are
+     * visited in order, with each leg between them routed in turn.
+     *
+     * @param {Object} record - Edge record
+     * @param {Object} fromNode - Start node
+     * @param {Object} toNode - End node
+     * @param {Map} nodes - All nodes, the ones other than the ends and their containers are avoided
+     * @param {Object} startPoint - Scaled connection point at the start anchor
+     * @param {Object} endPoint - Scaled connection point at the end anchor
+     * @param {Array} waypoints - Scaled waypoints from the record
+     * @returns {Object|null} Edge fields for the route: start, end, waypoints, anchors and
+     *   adjusted flags so every renderer draws the exact ends, or null if there is no route
+     */
+    static routeOrthogonally(record, fromNode, toNode, nodes, startPoint, endPoint, waypoints) {
+        // Boxes around either end, such as the end's container, are not in the way
+        const ends = [fromNode, toNode].map(node => BoundingBox.fromNode(node)).filter(result => result.success).map(result => result.boundingBox);
+        const encloses = (box, inner) => box.left <= inner.left && box.right >= inner.right && box.bottom <= inner.bottom && box.top >= inner.top;
+        const obstacles = [...nodes.values()]
+            .filter(node => node !== fromNode && node !== toNode)
+            .map(node => BoundingBox.fromNode(node))
+            .filter(result => result.success)
+            .map(result => result.boundingBox)
+            .filter(box => !ends.some(end => encloses(box, end)));
+        const router = new OrthogonalRouter(obstacles);
+
+        const first = this.getRouteEnd(fromNode, record.start_anchor, startPoint);
+        const last = this.getRouteEnd(toNode, record.end_anchor, endPoint);
+        const stops = [
+            first,
+            ...waypoints.filter(wp => !wp.isControl).map(wp => ({ point: new Point2D(wp.x, wp.y), box: null, direction: null, free: false })),
+            last
+        ];
+        this.alignFreeEnd(first, stops[1]);
+        this.alignFreeEnd(last, stops[stops.length - 2]);
+
+        const corners = [];
+        for (let i = 0; i < stops.length - 1; i++) {
+            const leg = router.route(stops[i], stops[i + 1]);
+            if (!leg) {
+                return null;
+            }
+            corners.push(...(i === 0 ? leg : leg.slice(1)));
+        }
+
+        const route = {
+            start: corners[0],
+            end: corners[corners.length - 1],
+            waypoints: corners.slice(1, -1).map(corner => ({ x: corner.x, y: corner.y, isControl: false })),
+            startAdjusted: true,
+            endAdjusted: true
+        };
+
+        // Free ends no longer sit on the anchor that was worked out for a straight line
+        if (first.free) {
+            route.start_anchor = null;
+        }
+        if (last.free) {
+            route.end_anchor = null;
+        }
+
+        return route;
+    }
+
+    /**
+     * Describe one end of an orthogonal route
+     * @returns {{point: Point2D, box: BoundingBox|null, direction: Object|null, free: boolean}} Route end
+     */
+    static getRouteEnd(node, anchor, point) {
+        const boxResult = BoundingBox.fromNode(node);
+        const box = boxResult.success ? boxResult.boundingBox : null;
+
+        const standard = Direction.standardiseBasicDirectionName(anchor);
+        const vector = standard && !this.shouldAutoSetAnchor(standard) ? Direction.getVector(standard, false, false) : null;
+        const free = !standard || this.shouldAutoSetAnchor(standard) || (vector && vector.x === 0 && vector.y === 0);
+
+        if (free && box) {
+            return { point: box.center(), box, direction: null, free: true };
+        }
+
+        // Only side anchors fix the direction, corners and other anchors just fix the point
+        const onSide = vector && (vector.x === 0) !== (vector.y === 0);
+        return {
+            point: new Point2D(point.x, point.y),
+            box,
+            direction: onSide ? { x: Math.sign(vector.x), y: Math.sign(vector.y) } : null,
+            free: false
+        };
+    }
+
+    /**
+     * Line a free end up with the other end of its leg where their nodes face each other,
+     * so the route can be a single straight line
+     */
+    static alignFreeEnd(end, other) {
+        if (!end.free) {
+            return;
+        }
+
+        const box = end.box;
+        const align = (low, high, otherLow, otherHigh, otherValue, centre) => {
+            if (!other.free || !other.box) {
+                return otherValue > low && otherValue < high ? otherValue : centre;
+            }
+            const overlapLow = Math.max(low, otherLow);
+            const overlapHigh = Math.min(high, otherHigh);
+            return overlapLow < overlapHigh ? (overlapLow + overlapHigh) / 2 : centre;
+        };
+
+        end.point = new Point2D(
+            align(box.left, box.right, other.box?.left, other.box?.right, other.point.x, end.point.x),
+            align(box.bottom, box.top, other.box?.bottom, other.box?.top, other.point.y, end.point.y)
+        );
+    }
+
     /**
      * Read edges from a CSV file
      * @param {string} edgeFile - Path to the CSV file
+     * @param {Object} dialect - CSV dialect options, see CsvReader.getDialect
      * @returns {Promise<Array>} - Array of edge records
      */
-    static async readFromCsv(edgeFile) {
-        const records = await CsvReader.readFile(edgeFile);
+    static async readFromCsv(edgeFile, dialect = {}) {
+        const records = await CsvReader.readFile(edgeFile, dialect);
         return records;
     }
 
@@ -134,159 +274,246 @@ class EdgeReader {
      */
     static async readFromYaml(yamlFile) {
         const records = await YamlReader.readFile(yamlFile, { 
-            filter: doc => doc && doc.type === 'edge' 
+            filter: SourceLocation.documentFilter('edge')
         });
         return records;
     }
+
+    /**
+     * Read edges from CSV content that is already in memory
+     * @param {string} content - CSV content
+     * @param {Object} dialect - CSV dialect options, see CsvReader.getDialect
+     * @returns {Promise<Array>} - Array of edge records
+     */
+    static async loadFromCsv(content, dialect = {}) {
+        return CsvReader.load(content, dialect);
+    }
+
+    /**
+     * Read edges from YAML content that is already in memory
+     * @param {string} content - YAML content
+     * @returns {Array} - Array of edge records
+     */
+    static loadFromYaml(content) {
+        return YamlReader.load(content, {
+            filter: SourceLocation.documentFilter('edge')
+        });
+    }
+
+    /**
+     * Read edges from a JSON file
+     * @param {string} jsonFile - Path to the JSON file, an array of documents
+     * @returns {Promise<Array>} - Array of edge records
+     */
+    static async readFromJson(jsonFile) {
+        return JsonReader.readFile(jsonFile, {
+            filter: SourceLocation.documentFilter('edge')
+        });
+    }
+
+    /**
+     * Read edges from JSON content that is already in memory
+     * @param {string} content - JSON content, an array of documents
+     * @returns {Array} - Array of edge records
+     */
+    static loadFromJson(content) {
+        return JsonReader.load(content, {
+            filter: SourceLocation.documentFilter('edge')
+        });
+    }
+
+    /**
+     * Read edges from a draw.io file
+     * @param {string} drawioFile - Path to the .drawio file
+     * @returns {Promise<Array>} - Array of edge records
+     */
+    static async readFromDrawio(drawioFile) {
+        const { edges } = await DrawioReader.readFile(drawioFile);
+        return edges;
+    }
+
+    /**
+     * Read edges from the edge sheets of an Excel workbook
+     * @param {string} workbookFile - Path to the .xlsx or .xlsm file
+     * @returns {Promise<Array>} - Array of edge records
+     */
+    static async readFromXlsx(workbookFile) {
+        const { edges } = await XlsxReader.readFile(workbookFile);
+        return edges;
+    }
+
+    /**
+     * Read edges from an Excalidraw file
+     * @param {string} excalidrawFile - Path to the .excalidraw file
+     * @returns {Promise<Array>} - Array of edge records
+     */
+    static async readFromExcalidraw(excalidrawFile) {
+        const { edges } = await ExcalidrawReader.readFile(excalidrawFile);
+        return edges;
+    }
     
     static processEdgeRecord(record, nodes, scale, styleHandler) {
+        // Read renamed and aliased columns under the names used below
+        record = ColumnAliases.apply(record, 'edge');
+
         // Skip empty rows
-        const values = Object.values(record).map(val => val?.trim() || '');
+        const values = Object.values(record).map(val => (val === undefined || val === null ? '' : String(val).trim()));
         if (values.every(val => val === '')) {
             return null;
         }
 
-        try {
-            const fromNode = nodes.get(record.from);
-            const toNode = nodes.get(record.to);
-
-            if (!fromNode || !toNode) {
-                console.error(`Edge references missing node: from='${record.from}' to='${record.to}'`);
-                return null;
-            }
+        const fromNode = nodes.get(record.from);
+        const toNode = nodes.get(record.to);
+        // ReaderManager reports these records, here they are only skipped
+        if (!fromNode || !toNode) {
+            return null;
+        }
 
-            const { startAnchor, endAnchor } = this.setConnectionDirections(
-                fromNode, toNode, record.start_anchor, record.end_anchor
-            );
+        const { startAnchor, endAnchor } = this.setConnectionDirections(
+            fromNode, toNode, record.start_anchor, record.end_anchor
+        );
 
-            // Get edge type, defaulting to 's' for simple if not specified
-            const edgeType = record.type || 's';
-   
+        // Get edge type, defaulting to 's' for simple if not specified
+        const edgeType = record.type || 's';
 
-            // Handle start adjustments, defaulting to 0 if fields don't exist
-            const startAdjust = {
-                x: (record.hasOwnProperty('start_adjust_x') ? parseFloat(record.start_adjust_x) : 0),
-                y: (record.hasOwnProperty('start_adjust_y') ? parseFloat(record.start_adjust_y) : 0)
-            };
 
-            // Handle end adjustments, defaulting to 0 if fields don't exist
-            const endAdjust = {
-                x: (record.hasOwnProperty('end_adjust_x') ? parseFloat(record.end_adjust_x) : 0),
-                y: (record.hasOwnProperty('end_adjust_y') ? parseFloat(record.end_adjust_y) : 0)
-            };
+        // Handle start adjustments, defaulting to 0 if fields don't exist
+        const startAdjust = {
+            x: (record.hasOwnProperty('start_adjust_x') ? parseFloat(record.start_adjust_x) : 0),
+            y: (record.hasOwnProperty('start_adjust_y') ? parseFloat(record.start_adjust_y) : 0)
+        };
 
-            // Determine if we should use adjusted points based on whether there are actual adjustments
-            const startAdjusted = Math.abs(startAdjust.x) > 0 || Math.abs(startAdjust.y) > 0;
-            const endAdjusted = Math.abs(endAdjust.x) > 0 || Math.abs(endAdjust.y) > 0;
-
-            // Use the validated directions from the auto connection points calculation
-            let startPoint = getNodeConnectionPoint(
-                fromNode,
-                scale,
-                startAnchor,
-                startAdjust,
-            );
-
-            let endPoint = getNodeConnectionPoint(
-                toNode,
-                scale,
-                endAnchor,
-                endAdjust
-            );
-
-            // Process waypoints for 'c' type edges only, ignore for 'r' type
-            const waypoints = (record.waypoints) ? 
-                parseWaypoints(
-                    record.waypoints, 
-                    startPoint,
-                    endPoint
-                )
-                .map(wp => this.scaleWaypoint(wp, scale)) : 
-                [];
-
-            //Scale the points
-            startPoint = this.scalePoint(startPoint, scale);
-            endPoint = this.scalePoint(endPoint, scale);
-
-            // Create base edge object with required fields
-            const edge = {
-                from: fromNode,
-                to: toNode,
-                style: record.style || 'default',
-                label: record.label,
-                start_label: record.start_label,
-                end_label: record.end_label,
-                start_arrow: record.start_arrow,
-                end_arrow: record.end_arrow,
-                attributes: record.attributes, // Store raw TikZ attributes for reference
-                path_type: record.path_type || PATH_TYPES.TO,
-                start_anchor: startAnchor,
-                end_anchor: endAnchor,
-                start: startPoint,
-                end: endPoint,
-                waypoints: waypoints,
-                from_name: record.from.replace(/\W/g, '_'),
-                to_name: record.to.replace(/\W/g, '_'),
-                label_justify: record.label_justify,
-
-                // Initialize output storage
-                rendered_output: ''
-            };
+        // Handle end adjustments, defaulting to 0 if fields don't exist
+        const endAdjust = {
+            x: (record.hasOwnProperty('end_adjust_x') ? parseFloat(record.end_adjust_x) : 0),
+            y: (record.hasOwnProperty('end_adjust_y') ? parseFloat(record.end_adjust_y) : 0)
+        };
 
-            // Get style defaults if available
-            const styleDefaults = styleHandler?.getStyleBranchAndModify(record.style, 'edge.object') || {};
-            
-            // Process TikZ attributes if present
-            let tikzAttributes = {};
-            if (record.tikz_object_attributes) {
-                const processedAttributes = styleHandler.processAttributes(record.tikz_object_attributes);
-                tikzAttributes = processedAttributes.tikz || {};
-            }
-            
-            // Process color attributes if present
-            if (record.color) {
-                tikzAttributes.draw = record.color;
+        // Determine if we should use adjusted points based on whether there are actual adjustments
+        const startAdjusted = Math.abs(startAdjust.x) > 0 || Math.abs(startAdjust.y) > 0;
+        const endAdjusted = Math.abs(endAdjust.x) > 0 || Math.abs(endAdjust.y) > 0;
+
+        // Use the validated directions from the auto connection points calculation
+        let startPoint = getNodeConnectionPoint(
+            fromNode,
+            scale,
+            startAnchor,
+            startAdjust,
+        );
+
+        let endPoint = getNodeConnectionPoint(
+            toNode,
+            scale,
+            endAnchor,
+            endAdjust
+        );
+
+        // Process waypoints for 'c' type edges only, ignore for 'r' type
+        const waypoints = (record.waypoints) ? 
+            parseWaypoints(
+                record.waypoints, 
+                startPoint,
+                endPoint
+            )
+            .map(wp => this.scaleWaypoint(wp, scale)) : 
+            [];
+
+        //Scale the points
+        startPoint = this.scalePoint(startPoint, scale);
+        endPoint = this.scalePoint(endPoint, scale);
+
+        // Orthogonal routes replace the ends and waypoints with the routed path
+        let route = null;
+        const orthogonal = this.isOrthogonal(record);
+        if (orthogonal) {
+            route = this.routeOrthogonally(record, fromNode, toNode, nodes, startPoint, endPoint, waypoints);
+            if (!route) {
+                console.warn(`No orthogonal route from '${record.from}' to '${record.to}', drawing a straight line`);
             }
-            
-            // Merge styles with attributes taking precedence
-            edge.mergedStyle = {
-                ...styleDefaults,
-                tikz: {
-                    ...styleDefaults.tikz,
-                    ...tikzAttributes
-                }
-            };
+        }
 
-            // Store the raw attributes for reference
-            edge.tikz_object_attributes = record.tikz_object_attributes;
+        // Create base edge object with required fields
+        const edge = {
+            from: fromNode,
+            to: toNode,
+            style: record.style || 'default',
+            label: record.label,
+            start_label: record.start_label,
+            end_label: record.end_label,
+            start_arrow: record.start_arrow,
+            end_arrow: record.end_arrow,
+            attributes: record.attributes, // Store raw TikZ attributes for reference
+            path_type: orthogonal ? PATH_TYPES.LINE : (record.path_type || PATH_TYPES.TO),
+            start_anchor: startAnchor,
+            end_anchor: endAnchor,
+            start: startPoint,
+            end: endPoint,
+            waypoints: waypoints,
+            from_name: record.from.replace(/\W/g, '_'),
+            to_name: record.to.replace(/\W/g, '_'),
+            label_justify: record.label_justify,
+            tags: record.tags,
+            layer: record.layer,
+            step: record.step,
+
+            // Initialize output storage
+            rendered_output: ''
+        };
 
-            // Add optional label positions if specified
-            if (record.label_position) {
-                edge.label_position = parseFloat(record.label_position);
-            }
-            if (record.start_label_position) {
-                edge.start_label_position = parseFloat(record.start_label_position);
-            }
-            if (record.end_label_position) {
-                edge.end_label_position = parseFloat(record.end_label_position);
-            }
+        if (route) {
+            Object.assign(edge, route, { route: 'orthogonal' });
+        }
 
-            // Add optional label segments if specified
-            if (record.label_segment) {
-                edge.label_segment = parseInt(record.label_segment);
-            }
-            if (record.start_label_segment) {
-                edge.start_label_segment = parseInt(record.start_label_segment);
-            }
-            if (record.end_label_segment) {
-                edge.end_label_segment = parseInt(record.end_label_segment);
+        // Get style defaults if available
+        const styleDefaults = styleHandler?.getStyleBranchAndModify(record.style, 'edge.object') || {};
+        
+        // Process TikZ attributes if present
+        let tikzAttributes = {};
+        if (record.tikz_object_attributes) {
+            const processedAttributes = styleHandler.processAttributes(record.tikz_object_attributes);
+            tikzAttributes = processedAttributes.tikz || {};
+        }
+        
+        // Process color attributes if present
+        if (record.color) {
+            tikzAttributes.draw = record.color;
+        }
+        
+        // Merge styles with attributes taking precedence
+        edge.mergedStyle = {
+            ...styleDefaults,
+            tikz: {
+                ...styleDefaults.tikz,
+                ...tikzAttributes
             }
+        };
+
+        // Store the raw attributes for reference
+        edge.tikz_object_attributes = record.tikz_object_attributes;
 
-            return edge;
-        } catch (error) {
-            console.error(`Error processing row: ${JSON.stringify(record)}`);
-            throw error;
+        // Add optional label positions if specified
+        if (record.label_position) {
+            edge.label_position = parseFloat(record.label_position);
+        }
+        if (record.start_label_position) {
+            edge.start_label_position = parseFloat(record.start_label_position);
         }
+        if (record.end_label_position) {
+            edge.end_label_position = parseFloat(record.end_label_position);
+        }
+
+        // Add optional label segments if specified
+        if (record.label_segment) {
+            edge.label_segment = parseInt(record.label_segment);
+        }
+        if (record.start_label_segment) {
+            edge.start_label_segment = parseInt(record.start_label_segment);
+        }
+        if (record.end_label_segment) {
+            edge.end_label_segment = parseInt(record.end_label_segment);
+        }
+
+        return edge;
     }
 
 
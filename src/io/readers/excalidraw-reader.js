@@ -0,0 +1,162 @@
+const fs = require('fs');
+
+// Excalidraw works in screen pixels at 96 dpi, one diagram unit is one centimetre
+const DEFAULT_PIXELS_PER_UNIT = 96 / 2.54;
+
+// TikZ shapes for Excalidraw element types
+const SHAPES = {
+    rectangle: 'rectangle',
+    ellipse: 'ellipse',
+    diamond: 'diamond'
+};
+
+// TikZ arrow tips for Excalidraw arrowheads
+const ARROWS = {
+    arrow: 'Stealth',
+    triangle: 'Triangle',
+    triangle_outline: 'Triangle',
+    dot: 'Circle',
+    circle: 'Circle',
+    circle_outline: 'Circle',
+    diamond: 'Diamond',
+    diamond_outline: 'Diamond',
+    bar: 'Bar'
+};
+
+/**
+ * Reads Excalidraw files into node and edge records
+ *
+ * Rectangles, ellipses, diamonds and free-standing text become node records with
+ * centre x/y and width/height in diagram units, with the y axis flipped. Arrows and
+ * lines bound to shapes at both ends become edge records, with their bends as waypoints.
+ * Records have the same shape as records read from CSV, so they go through
+ * NodeReader.processNodeRecord and EdgeReader.processEdgeRecord.
+ *
+ * Node names come from `customData.name` on the element, falling back to the element id.
+ */
+class ExcalidrawReader {
+    /**
+     * Read node and edge records from an .excalidraw file
+     * @param {string} excalidrawFile - Path to the .excalidraw file
+     * @param {Object} options - Options
+     * @param {number} options.pixelsPerUnit - Excalidraw pixels per diagram unit
+     * @returns {Promise<{nodes: Array, edges: Array}>} Node and edge records
+     */
+    static async readFile(excalidrawFile, options = {}) {
+        const content = await fs.promises.readFile(excalidrawFile, 'utf8');
+        return this.parse(JSON.parse(content), options);
+    }
+
+    /**
+     * Convert an Excalidraw scene into node and edge records
+     * @param {Object} scene - Parsed Excalidraw JSON
+     * @param {Object} options - Options, see readFile
+     * @returns {{nodes: Array, edges: Array}} Node and edge records
+     */
+    static parse(scene, options = {}) {
+        const pixelsPerUnit = options.pixelsPerUnit || DEFAULT_PIXELS_PER_UNIT;
+        const toUnits = (pixels) => formatNumber(pixels / pixelsPerUnit);
+
+        const elements = (scene?.elements || []).filter(element => element && !element.isDeleted);
+
+        // Text bound to a shape or an arrow is that element's label
+        const labels = new Map();
+        for (const element of elements) {
+            if (element.type === 'text' && element.containerId) {
+                labels.set(element.containerId, element.originalText ?? element.text);
+            }
+        }
+
+        const names = new Map();
+        const nodes = [];
+        const edges = [];
+
+        for (const element of elements) {
+            const isFreeText = element.type === 'text' && !element.containerId;
+            if (!SHAPES[element.type] && !isFreeText) {
+                continue;
+            }
+
+            const name = element.customData?.name || element.id;
+            names.set(element.id, name);
+
+            const record = {
+                name,
+                label: isFreeText ? (element.originalText ?? element.text) : (labels.get(element.id) ?? ''),
+                x: toUnits(element.x + element.width / 2),
+                y: toUnits(-(element.y + element.height / 2)),
+                width: toUnits(element.width),
+                height: toUnits(element.height),
+                anchor: 'center',
+                shape: SHAPES[element.type] || 'rectangle'
+            };
+
+            if (isFreeText) {
+                // Free-standing text has no outline
+                record.fillcolor = 'none';
+                record.edge_color = 'none';
+                this.setColor(record, 'textcolor', element.strokeColor);
+            } else {
+                this.setColor(record, 'fillcolor', element.backgroundColor);
+                this.setColor(record, 'edge_color', element.strokeColor);
+            }
+
+            nodes.push(record);
+        }
+
+        for (const element of elements) {
+            if (element.type !== 'arrow' && element.type !== 'line') {
+                continue;
+            }
+
+            const from = names.get(element.startBinding?.elementId);
+            const to = names.get(element.endBinding?.elementId);
+            if (!from || !to) {
+                console.warn(`Skipping Excalidraw ${element.type} '${element.id}': it is not bound to two shapes`);
+                continue;
+            }
+
+            const record = { from, to, path_type: '--' };
+
+            const label = labels.get(element.id);
+            if (label) {
+                record.label = label;
+            }
+
+            const endArrow = ARROWS[element.endArrowhead];
+            const startArrow = ARROWS[element.startArrowhead];
+            if (endArrow) {
+                record.end_arrow = endArrow;
+            }
+            if (startArrow) {
+                record.start_arrow = startArrow;
+            }
+
+            this.setColor(record, 'color', element.strokeColor);
+
+            // Points are relative to the element, the first and last are the endpoints
+            const points = (element.points || []).slice(1, -1);
+            if (points.length > 0) {
+                record.waypoints = points
+                    .map(([px, py]) => `a(${toUnits(element.x + px)},${toUnits(-(element.y + py))})`)
+                    .join(' ');
+            }
+
+            edges.push(record);
+        }
+
+        return { nodes, edges };
+    }
+
+    static setColor(record, key, color) {
+        if (color && color !== 'transparent') {
+            record[key] = color;
+        }
+    }
+}
+
+function formatNumber(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+module.exports = ExcalidrawReader;
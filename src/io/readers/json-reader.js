@@ -0,0 +1,42 @@
+const fs = require('fs');
+
+/**
+ * General-purpose JSON file reader
+ *
+ * A JSON file holds an array of documents, like the documents of a
+ * multi-document YAML file, or a single document.
+ */
+class JsonReader {
+    /**
+     * Read a JSON file and return its documents
+     * @param {string} jsonFile - Path to the JSON file
+     * @param {Object} options - Options for processing (optional)
+     * @param {Function} options.filter - Optional filter function to apply to documents
+     * @returns {Promise<Array>} - Array of documents
+     */
+    static async readFile(jsonFile, options = {}) {
+        const content = await fs.promises.readFile(jsonFile, 'utf8');
+        return this.load(content, options);
+    }
+
+    /**
+     * Parse JSON content that is already in memory
+     * @param {string} content - JSON content
+     * @param {Object} options - Options for processing (optional)
+     * @param {Function} options.filter - Optional filter function to apply to documents
+     * @returns {Array} - Array of documents
+     */
+    static load(content, options = {}) {
+        const parsed = JSON.parse(content);
+        const documents = Array.isArray(parsed) ? parsed : [parsed];
+
+        // Apply filter if provided
+        if (options.filter && typeof options.filter === 'function') {
+            return documents.filter(options.filter);
+        }
+
+        return documents;
+    }
+}
+
+module.exports = JsonReader;
@@ -2,23 +2,49 @@ const fs = require('fs');
 const CsvReader = require('./csv-reader');
 const yaml = require('js-yaml');
 const YamlReader = require('./yaml-reader');
+const JsonReader = require('./json-reader');
 const { Node } = require('../models/node');
 const ValueParser = require('./value-parser');
 const { Position, PositionType } = require('../../geometry/position');
 const Dimensions = require('../../geometry/dimensions');
 const DynamicPropertyParser = require('./dynamic-property-parser');
 const DynamicPropertyYamlReader = require('./dynamic-property-yaml-reader');
+const DrawioReader = require('./drawio-reader');
+const ExcalidrawReader = require('./excalidraw-reader');
+const XlsxReader = require('./xlsx-reader');
+const SourceLocation = require('../source-location');
+const ColumnAliases = require('./column-aliases');
 
 class NodeReader {
 
-    static async readFromCsv(nodeFile) {
-        const records = await CsvReader.readFile(nodeFile);
+    static async readFromCsv(nodeFile, dialect = {}) {
+        const records = await CsvReader.readFile(nodeFile, dialect);
         return records.map(record => this.processNodeRecord(record));
     }
 
-    static async readRecordsFromCsv(nodeFile) {
-        const records = await CsvReader.readFile(nodeFile);
-        
+    static async readRecordsFromCsv(nodeFile, dialect = {}) {
+        const records = await CsvReader.readFile(nodeFile, dialect);
+        return this.addDynamicProperties(records);
+    }
+
+    /**
+     * Read node records from CSV content that is already in memory
+     * @param {string} content - CSV content
+     * @param {Object} dialect - CSV dialect options, see CsvReader.getDialect
+     * @returns {Promise<Array>} - Array of node records
+     */
+    static async loadRecordsFromCsv(content, dialect = {}) {
+        const records = await CsvReader.load(content, dialect);
+        return this.addDynamicProperties(records);
+    }
+
+    /**
+     * Collect the dynamic properties of node records, from CSV columns or JSON keys
+     * named like _renderer:type:name, such as _latex:string:draw
+     * @param {Array} records - Records read from CSV or JSON
+     * @returns {Array} - The same records
+     */
+    static addDynamicProperties(records) {
         // Process each record for dynamic properties
         return records.map(record => {
             const dynamicProps = [];
@@ -32,11 +58,9 @@ class NodeReader {
             }
             
             // Add dynamic properties to record if any were found
+            // (on the record itself, so its source location is kept)
             if (dynamicProps.length > 0) {
-                return {
-                    ...record,
-                    _dynamicProperties: dynamicProps
-                };
+                record._dynamicProperties = dynamicProps;
             }
             
             return record;
@@ -53,8 +77,73 @@ class NodeReader {
         //     filter: doc => doc && doc.type === 'node' 
         // });
         return await DynamicPropertyYamlReader.readFile(yamlFile, { 
-            filter: doc => doc && doc.type === 'node' 
+            filter: SourceLocation.documentFilter('node')
+        });
+    }
+
+    /**
+     * Read node records from YAML content that is already in memory
+     * @param {string} content - YAML content
+     * @returns {Array} - Array of node records
+     */
+    static loadRecordsFromYaml(content) {
+        return DynamicPropertyYamlReader.loadFromYaml(content, {
+            filter: SourceLocation.documentFilter('node')
+        });
+    }
+
+    /**
+     * Read nodes from a JSON file
+     * @param {string} jsonFile - Path to the JSON file, an array of documents
+     * @returns {Promise<Array>} - Array of node records
+     */
+    static async readRecordsFromJson(jsonFile) {
+        const records = await JsonReader.readFile(jsonFile, {
+            filter: SourceLocation.documentFilter('node')
         });
+        return this.addDynamicProperties(records);
+    }
+
+    /**
+     * Read nodes from JSON content that is already in memory
+     * @param {string} content - JSON content, an array of documents
+     * @returns {Array} - Array of node records
+     */
+    static loadRecordsFromJson(content) {
+        const records = JsonReader.load(content, {
+            filter: SourceLocation.documentFilter('node')
+        });
+        return this.addDynamicProperties(records);
+    }
+
+    /**
+     * Read nodes from a draw.io file
+     * @param {string} drawioFile - Path to the .drawio file
+     * @returns {Promise<Array>} - Array of node records
+     */
+    static async readRecordsFromDrawio(drawioFile) {
+        const { nodes } = await DrawioReader.readFile(drawioFile);
+        return nodes;
+    }
+
+    /**
+     * Read nodes from the node sheets of an Excel workbook
+     * @param {string} workbookFile - Path to the .xlsx or .xlsm file
+     * @returns {Promise<Array>} - Array of node records
+     */
+    static async readRecordsFromXlsx(workbookFile) {
+        const { nodes } = await XlsxReader.readFile(workbookFile);
+        return this.addDynamicProperties(nodes);
+    }
+
+    /**
+     * Read nodes from an Excalidraw file
+     * @param {string} excalidrawFile - Path to the .excalidraw file
+     * @returns {Promise<Array>} - Array of node records
+     */
+    static async readRecordsFromExcalidraw(excalidrawFile) {
+        const { nodes } = await ExcalidrawReader.readFile(excalidrawFile);
+        return nodes;
     }
 
     /**
@@ -70,6 +159,10 @@ class NodeReader {
     }
     
     static processNodeRecord(record) {
+        // Read renamed and aliased columns under the names used below, keeping the record as given
+        const original = record;
+        record = ColumnAliases.apply(record, 'node');
+
         // Store unscaled position values
         const x = record.x !== undefined && record.x !== '' ? 
             parseFloat(record.x) : undefined;
@@ -99,7 +192,7 @@ class NodeReader {
         const w_offset = record.w_offset ? parseFloat(record.w_offset) : 0;
 
         const render = new Map();
-        const records = [{ ...record }];
+        const records = [{ ...original }];
 
         let nodeProperties = {
             name: ValueParser.parse(record.name, 'string'),
@@ -136,6 +229,9 @@ class NodeReader {
             // Add new relative positioning fields
             x_of: ValueParser.parse(record.x_of, 'string'),
             y_of: ValueParser.parse(record.y_of, 'string'),
+
+            // Parent in a tree layout
+            parent: ValueParser.parse(record.parent, 'string'),
             x_offset: x_offset,
             y_offset: y_offset,
             
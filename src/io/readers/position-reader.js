@@ -1,5 +1,7 @@
 const fs = require('fs');
-const { parse } = require('csv-parse');
+const CsvReader = require('./csv-reader');
+const XlsxReader = require('./xlsx-reader');
+const { Direction } = require('../../geometry/direction');
 
 class PositionReader {
     // Add a static property for the delimiter
@@ -7,70 +9,159 @@ class PositionReader {
     // Example: "node1;node2;node3" in a position cell will place all three nodes at that position
     static nodeNameDelimiter = ';';
 
-    static readFromCsv(positionFile) {
-        return new Promise((resolve, reject) => {
-            const positions = new Map();
-            let xLabels = [];
-            let isFirstRow = true;
-
-            fs.createReadStream(positionFile)
-                .pipe(parse({
-                    // Don't interpret first row as column names since we need them as coordinates
-                    columns: false,
-                    skip_empty_lines: true,
-                    trim: true
-                }))
-                .on('data', (row) => {
-                    if (isFirstRow) {
-                        // Process header row to get X coordinates
-                        // First column is typically 'r' (row label), rest are x positions
-                        xLabels = row.slice(1).map(x => x.trim());
-                        isFirstRow = false;
-                        return;
-                    }
+    static async readFromCsv(positionFile, dialect = {}) {
+        const content = await fs.promises.readFile(positionFile, 'utf8');
+        return this.loadFromCsv(content, dialect, positionFile);
+    }
+
+    /**
+     * Read a position map that is already in memory
+     * @param {string} content - Position map CSV, x positions across the first row and y positions down the first column
+     * @param {Object} dialect - CSV dialect options, see CsvReader.getDialect
+     * @param {string} file - File the content was read from, if any
+     * @returns {Promise<Map>} - Unscaled positions by node name
+     */
+    static async loadFromCsv(content, dialect = {}, file = null) {
+        // The first row holds coordinates, not column names
+        const rows = await CsvReader.loadRows(content, dialect, file);
+        return this.readRows(rows);
+    }
+
+    /**
+     * Read a position map from the map sheets of an Excel workbook
+     * @param {string} workbookFile - Path to the .xlsx or .xlsm file
+     * @returns {Promise<Map>} - Unscaled positions by node name, later sheets overriding earlier ones
+     */
+    static async readFromXlsx(workbookFile) {
+        const { maps } = await XlsxReader.readFile(workbookFile);
+        return new Map(maps.flatMap(rows => [...this.readRows(rows)]));
+    }
+
+    /**
+     * Read the rows of a position map, the first one holding the x positions
+     *
+     * A name repeated over a rectangular block of cells spans the block: it is
+     * placed at the block's centre, and xSpan and ySpan hold the distance between
+     * the outer x and y positions, from which its size is set. A name can end with
+     * @ and an anchor, such as web@nw, to place that point of the node at the
+     * matching point of its cell or block instead of its centre.
+     * @param {Array<Array<string>>} rows - Rows of cells
+     * @returns {Map} - Unscaled positions by node name, with xSpan, ySpan and anchor where given
+     */
+    static readRows(rows) {
+        const cells = new Map();
+        let xLabels = [];
+        let isFirstRow = true;
+        let rowIndex = 0;
+
+        for (const row of rows) {
+            if (isFirstRow) {
+                // Process header row to get X coordinates
+                // First column is typically 'r' (row label), rest are x positions
+                xLabels = row.slice(1).map(x => x.trim());
+                isFirstRow = false;
+                continue;
+            }
+
+            if (row.length < 2) continue; // Skip if not enough columns
+            rowIndex++;
+
+            // First column is Y coordinate
+            const yLabel = row[0].trim();
+            const yUnscaled = parseFloat(yLabel);
+
+            // Process each cell in the row
+            for (let j = 1; j < row.length; j++) {
+                const cellValue = row[j] ? row[j].trim() : '';
+                if (cellValue) {
+                    const xLabel = xLabels[j - 1];
+                    const xUnscaled = parseFloat(xLabel);
 
-                    if (row.length < 2) return; // Skip if not enough columns
-
-                    // First column is Y coordinate
-                    const yLabel = row[0].trim();
-                    const yUnscaled = parseFloat(yLabel);
-
-                    // Process each cell in the row
-                    for (let j = 1; j < row.length; j++) {
-                        const cellValue = row[j] ? row[j].trim() : '';
-                        if (cellValue) {
-                            const xLabel = xLabels[j - 1];
-                            const xUnscaled = parseFloat(xLabel);
-
-                            // Check for valid numerical positions
-                            if (!isNaN(xUnscaled) && !isNaN(yUnscaled)) {
-                                // Split cell value by delimiter and process each node name
-                                const nodeNames = cellValue.split(this.nodeNameDelimiter);
-                                
-                                // Set position for each non-empty node name
-                                for (const nodeName of nodeNames) {
-                                    const trimmedName = nodeName.trim();
-                                    if (trimmedName) {  // Only process non-empty node names
-                                        positions.set(trimmedName, {
-                                            xUnscaled,
-                                            yUnscaled
-                                        });
-                                    }
+                    // Check for valid numerical positions
+                    if (!isNaN(xUnscaled) && !isNaN(yUnscaled)) {
+                        // Split cell value by delimiter and process each node name
+                        const nodeNames = cellValue.split(this.nodeNameDelimiter);
+                        
+                        // Record the cell for each non-empty node name
+                        for (const nodeName of nodeNames) {
+                            const { name, anchor } = this.parseCellName(nodeName);
+                            if (name) {  // Only process non-empty node names
+                                if (!cells.has(name)) {
+                                    cells.set(name, []);
                                 }
-                            } else {
-                                console.warn(`Invalid position for node(s) '${cellValue}': x='${xLabel}', y='${yLabel}'`);
+                                cells.get(name).push({ column: j, row: rowIndex, xUnscaled, yUnscaled, anchor });
                             }
                         }
+                    } else {
+                        console.warn(`Invalid position for node(s) '${cellValue}': x='${xLabel}', y='${yLabel}'`);
                     }
-                })
-                .on('end', () => {
-                    resolve(positions);
-                })
-                .on('error', (error) => {
-                    reject(error);
-                });
+                }
+            }
+        }
+
+        const positions = new Map();
+        cells.forEach((nodeCells, name) => {
+            positions.set(name, this.getCellsPosition(name, nodeCells));
+        });
+        return positions;
+    }
+
+    /**
+     * Split a node name from the anchor after its @, e.g. web@nw
+     * @param {string} value - Node name as written in a cell
+     * @returns {{name: string, anchor: string|null}} Node name and anchor
+     */
+    static parseCellName(value) {
+        const trimmed = value.trim();
+        const at = trimmed.lastIndexOf('@');
+        if (at <= 0) {
+            return { name: trimmed, anchor: null };
+        }
+        return { name: trimmed.slice(0, at).trim(), anchor: trimmed.slice(at + 1).trim() || null };
+    }
+
+    /**
+     * Position of a node from the cells it is written in
+     * @param {string} name - Node name, for warnings
+     * @param {Array<Object>} cells - Cells with their column, row, positions and anchor
+     * @returns {Object} - Unscaled position, with xSpan, ySpan and anchor where given
+     */
+    static getCellsPosition(name, cells) {
+        const anchor = cells.find(cell => cell.anchor)?.anchor || null;
+        const withAnchor = (position) => anchor ? { ...position, anchor } : position;
+
+        const distinct = new Set(cells.map(cell => `${cell.column},${cell.row}`));
+        const columns = cells.map(cell => cell.column);
+        const rows = cells.map(cell => cell.row);
+        const blockSize = (Math.max(...columns) - Math.min(...columns) + 1) * (Math.max(...rows) - Math.min(...rows) + 1);
+
+        if (distinct.size === 1) {
+            const { xUnscaled, yUnscaled } = cells[cells.length - 1];
+            return withAnchor({ xUnscaled, yUnscaled });
+        }
+        if (distinct.size !== blockSize) {
+            // As before spans, the last cell wins
+            console.warn(`Node '${name}' is in cells that do not form a rectangle, placing it at the last one`);
+            const { xUnscaled, yUnscaled } = cells[cells.length - 1];
+            return withAnchor({ xUnscaled, yUnscaled });
+        }
+
+        const xs = cells.map(cell => cell.xUnscaled);
+        const ys = cells.map(cell => cell.yUnscaled);
+        const left = Math.min(...xs);
+        const right = Math.max(...xs);
+        const bottom = Math.min(...ys);
+        const top = Math.max(...ys);
+
+        // The anchor's point of the block, the centre without one
+        const vector = anchor ? Direction.getVector(anchor) : Direction.CENTER;
+        return withAnchor({
+            xUnscaled: (left + right) / 2 + vector.x * (right - left) / 2,
+            yUnscaled: (bottom + top) / 2 + vector.y * (top - bottom) / 2,
+            xSpan: right - left,
+            ySpan: top - bottom
         });
     }
 }
 
-module.exports = PositionReader; 
\ No newline at end of file
+module.exports = PositionReader;
\ No newline at end of file
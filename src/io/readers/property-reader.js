@@ -115,21 +115,16 @@ class PropertyReader {
    * @returns {Array} Array of transformed documents
    */
   static loadFromYaml(yamlContent, options = {}) {
-    try {
-      // Load raw YAML documents
-      const docs = this.loadRawYamlDocuments(yamlContent, options);
-      
-      // Transform each document using the provided handler or default to StyleDocumentHandler
-      const handler = options.handler || StyleDocumentHandler;
-      const transformedDocs = docs.map(doc => 
-        PropertyProcessor.transformDocument(doc, handler)
-      );
-      
-      return transformedDocs;
-    } catch (error) {
-      console.error('Error parsing YAML:', error);
-      return [];
-    }
+    // Load raw YAML documents
+    const docs = this.loadRawYamlDocuments(yamlContent, options);
+    
+    // Transform each document using the provided handler or default to StyleDocumentHandler
+    const handler = options.handler || StyleDocumentHandler;
+    const transformedDocs = docs.map(doc => 
+      PropertyProcessor.transformDocument(doc, handler)
+    );
+    
+    return transformedDocs;
   }
   
   /**
@@ -141,27 +136,41 @@ class PropertyReader {
    * @returns {Array} Array of transformed documents
    */
   static loadFromJson(jsonContent, options = {}) {
-    try {
-      // Parse JSON content
-      let jsonDoc = JSON.parse(jsonContent);
-      
-      // Ensure it's properly structured
-      if (!jsonDoc.style && !jsonDoc.page) {
-        jsonDoc = { style: jsonDoc };
-      }
-      
-      // Extract documents using the provided handler or default to StyleDocumentHandler
-      const handler = options.handler || StyleDocumentHandler;
-      const extractedDocs = handler.extractDocumentsFromJson(jsonDoc);
-      
-      // Transform each document
-      return extractedDocs.map(doc => 
-        PropertyProcessor.transformDocument(doc, handler)
-      );
-    } catch (error) {
-      console.error('Error parsing JSON:', error);
-      return [];
+    // Parse JSON content
+    return this.loadFromObject(JSON.parse(jsonContent), options);
+  }
+
+  /**
+   * Transform documents from an object shaped like a JSON style file
+   * 
+   * An array, or an object with a type, is taken as typed documents, like a multi-document YAML file
+   * 
+   * @param {Object|Array} jsonDoc - Object with style and page keys, just the styles, or an array of documents
+   * @param {Object} options - Options for transforming
+   * @param {Function} options.filter - Filter function for an array of documents
+   * @param {Object} options.handler - Document handler for transformation
+   * @returns {Array} Array of transformed documents
+   */
+  static loadFromObject(jsonDoc, options = {}) {
+    const handler = options.handler || StyleDocumentHandler;
+
+    if (Array.isArray(jsonDoc) || typeof jsonDoc?.type === 'string') {
+      const docs = [].concat(jsonDoc).filter(typeof options.filter === 'function' ? options.filter : () => true);
+      return docs.map(doc => PropertyProcessor.transformDocument(doc, handler));
+    }
+
+    // Ensure it's properly structured
+    if (!jsonDoc.style && !jsonDoc.page) {
+      jsonDoc = { style: jsonDoc };
     }
+    
+    // Extract documents using the provided handler or default to StyleDocumentHandler
+    const extractedDocs = handler.extractDocumentsFromJson(jsonDoc);
+    
+    // Transform each document
+    return extractedDocs.map(doc => 
+      PropertyProcessor.transformDocument(doc, handler)
+    );
   }
   
   /**
@@ -172,13 +181,8 @@ class PropertyReader {
    * @returns {Promise<Array>} Promise resolving to transformed documents
    */
   static async readYamlFile(yamlFile, options = {}) {
-    try {
-      const content = await fs.readFile(yamlFile, 'utf8');
-      return this.loadFromYaml(content, options);
-    } catch (error) {
-      console.error(`Error reading YAML file ${yamlFile}:`, error);
-      return [];
-    }
+    const content = await fs.readFile(yamlFile, 'utf8');
+    return this.loadFromYaml(content, options);
   }
   
   /**
@@ -189,13 +193,8 @@ class PropertyReader {
    * @returns {Promise<Array>} Promise resolving to transformed documents
    */
   static async readJsonFile(jsonFile, options = {}) {
-    try {
-      const content = await fs.readFile(jsonFile, 'utf8');
-      return this.loadFromJson(content, options);
-    } catch (error) {
-      console.error(`Error reading JSON file ${jsonFile}:`, error);
-      return [];
-    }
+    const content = await fs.readFile(jsonFile, 'utf8');
+    return this.loadFromJson(content, options);
   }
 }
 
@@ -4,6 +4,9 @@ const YamlReader = require('./yaml-reader');
 const DynamicPropertyYamlReader = require('./dynamic-property-yaml-reader');
 const PropertyReader = require('./property-reader');
 const StyleDocumentHandler = require('./style-document-handler');
+const DynamicPropertyParser = require('./dynamic-property-parser');
+const XlsxReader = require('./xlsx-reader');
+const DynamicPropertyMerger = require('./dynamic-property-merger');
 
 class StyleReader {
 
@@ -24,12 +27,7 @@ class StyleReader {
      * @returns {Promise<Array>} - Array of transformed documents
      */
     static async readFromJson(jsonFile) {
-        try {
-            return await PropertyReader.readJsonFile(jsonFile, this.styleOptions);
-        } catch (error) {
-            console.error(`Error reading JSON file ${jsonFile}:`, error);
-            throw error;
-        }
+        return await PropertyReader.readJsonFile(jsonFile, this.styleOptions);
     }
 
     /**
@@ -38,12 +36,103 @@ class StyleReader {
      * @returns {Promise<Array>} - Array of transformed documents
      */
     static async readFromYaml(yamlFile) {
-        try {
-            return await PropertyReader.readYamlFile(yamlFile, this.styleOptions);
-        } catch (error) {
-            console.error(`Error reading YAML file ${yamlFile}:`, error);
-            throw error;
+        return await PropertyReader.readYamlFile(yamlFile, this.styleOptions);
+    }
+
+    /**
+     * Read styles from JSON content that is already in memory
+     * @param {string} content - JSON content
+     * @returns {Array} - Array of transformed documents
+     */
+    static loadFromJson(content) {
+        return PropertyReader.loadFromJson(content, this.styleOptions);
+    }
+
+    /**
+     * Read styles from YAML content that is already in memory
+     * @param {string} content - YAML content
+     * @returns {Array} - Array of transformed documents
+     */
+    static loadFromYaml(content) {
+        return PropertyReader.loadFromYaml(content, this.styleOptions);
+    }
+
+    /**
+     * Read styles from the style sheets of an Excel workbook
+     *
+     * Each row is a style document: a name column (default: base), an optional
+     * type column (style or page), and a column per property with its dotted
+     * path as the header, such as node.object.fill, or a dynamic property
+     * header such as _latex:string:node.object.draw
+     * @param {string} workbookFile - Path to the .xlsx or .xlsm file
+     * @returns {Promise<Array>} - Array of transformed documents
+     */
+    static async readFromXlsx(workbookFile) {
+        const { styles } = await XlsxReader.readFile(workbookFile);
+        return PropertyReader.loadFromObject(styles.map(record => this.recordToDocument(record)), this.styleOptions);
+    }
+
+    /**
+     * Turn a style row into a style or page document
+     * @param {Object} record - Style record, see readFromXlsx
+     * @returns {Object} Document
+     */
+    static recordToDocument(record) {
+        const document = { type: record.type || 'style' };
+        if (document.type !== 'page') {
+            document.name = record.name || 'base';
+        }
+        const dynamicProperties = [];
+
+        for (const [key, value] of Object.entries(record)) {
+            if (key === 'type' || key === 'name' || value === '' || value === null || value === undefined) {
+                continue;
+            }
+
+            if (key.startsWith('_') && DynamicPropertyParser.isDynamicProperty(key)) {
+                dynamicProperties.push(DynamicPropertyParser.parse(key, value));
+                continue;
+            }
+
+            // Dotted headers become nested properties, as in YAML
+            const path = key.split('.');
+            let branch = document;
+            for (const segment of path.slice(0, -1)) {
+                if (typeof branch[segment] !== 'object' || branch[segment] === null) {
+                    branch[segment] = {};
+                }
+                branch = branch[segment];
+            }
+            branch[path[path.length - 1]] = value;
+        }
+
+        if (dynamicProperties.length > 0) {
+            document._dynamicProperties = dynamicProperties;
         }
+        return document;
+    }
+
+    /**
+     * Read styles from an object shaped like a JSON style file
+     * @param {Object} styles - Object with style and page keys, or just the styles
+     * @returns {Array} - Array of transformed documents
+     */
+    static loadFromObject(styles) {
+        return PropertyReader.loadFromObject(styles, this.styleOptions);
+    }
+
+    /**
+     * A setting of the page documents, such as columns or csv, later pages overriding earlier ones
+     * @param {Array<Object>} documents - Page and style documents
+     * @param {string} name - Name of the setting
+     * @returns {*} The setting, undefined if no page sets it
+     */
+    static getPageSetting(documents, name) {
+        const properties = (documents || [])
+            .filter(doc => doc && doc.type === 'page')
+            .flatMap(doc => doc._dynamicProperties || [])
+            .filter(property => property.namePathArray?.[0] === name);
+        return DynamicPropertyMerger.toHierarchy(properties)[name];
     }
 }
 
@@ -0,0 +1,260 @@
+const fs = require('fs');
+const path = require('path');
+const ZipReader = require('./zip-reader');
+const { parseXml, findElements, findElement } = require('./xml-parser');
+const SourceLocation = require('../source-location');
+
+// Sheets are matched to what they hold by a word in their name, e.g. "nodes" or "edges 2"
+const SHEET_KINDS = [
+    { kind: 'nodes', pattern: /\bnodes?\b/i },
+    { kind: 'edges', pattern: /\bedges?\b/i },
+    { kind: 'map', pattern: /\b(map|positions?)\b/i },
+    { kind: 'styles', pattern: /\bstyles?\b/i }
+];
+
+// A header starting with this ends the columns that are read, as in the CSV export macro
+const COLUMN_CUTOFF = '//';
+
+/**
+ * Reads Excel workbooks (.xlsx and .xlsm) directly, instead of exporting each sheet to CSV
+ *
+ * Sheets named like nodes, edges, map (or positions) and styles are read, and
+ * other sheets are ignored. Each sheet is read like its CSV export: the first
+ * row holds the column names, and the columns from the first one whose name
+ * starts with // onward are left out. Node and edge rows become records with
+ * the same text values as CSV records, map sheets become rows for
+ * PositionReader, and style rows keep their numbers and booleans.
+ */
+class XlsxReader {
+    /**
+     * Check whether a file is an Excel workbook, from its extension
+     * @param {string} file - File path
+     * @returns {boolean} True for .xlsx and .xlsm files
+     */
+    static isWorkbook(file) {
+        return /^\.xls[xm]$/i.test(path.extname(file || ''));
+    }
+
+    /**
+     * Read the sheets of a workbook
+     * @param {string} workbookFile - Path to the .xlsx or .xlsm file
+     * @returns {Promise<{nodes: Array, edges: Array, maps: Array<Array<Array<string>>>, styles: Array}>}
+     *   Node and edge records, the rows of each position map and style records, in sheet order
+     */
+    static async readFile(workbookFile) {
+        const buffer = await fs.promises.readFile(workbookFile);
+        return this.parse(buffer);
+    }
+
+    /**
+     * Read the sheets of a workbook that is already in memory
+     * @param {Buffer} buffer - Workbook content
+     * @returns {{nodes: Array, edges: Array, maps: Array<Array<Array<string>>>, styles: Array}} See readFile
+     */
+    static parse(buffer) {
+        const result = { nodes: [], edges: [], maps: [], styles: [] };
+
+        for (const sheet of this.readSheets(buffer)) {
+            const kind = this.getSheetKind(sheet.name);
+            if (!kind) {
+                continue;
+            }
+
+            const rows = this.cutColumns(sheet.rows);
+            if (kind === 'map') {
+                result.maps.push(rows.map(({ cells }) => cells.map(cell => this.toText(cell))));
+            } else {
+                const records = this.toRecords(sheet.name, rows, kind !== 'styles');
+                result[kind].push(...records);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * What a sheet holds, from its name
+     * @param {string} name - Sheet name
+     * @returns {string|null} nodes, edges, map or styles, or null for sheets that are not read
+     */
+    static getSheetKind(name) {
+        return SHEET_KINDS.find(({ pattern }) => pattern.test(name))?.kind || null;
+    }
+
+    /**
+     * Read every sheet of a workbook, in workbook order
+     * @param {Buffer} buffer - Workbook content
+     * @returns {Array<{name: string, rows: Array<{row: number, cells: Array}>}>} Sheets and their non-empty rows
+     */
+    static readSheets(buffer) {
+        const entries = ZipReader.readEntries(buffer);
+        const readXml = (name) => {
+            const entry = entries.get(name);
+            return entry ? parseXml(ZipReader.extract(buffer, entry).toString('utf8')) : null;
+        };
+
+        const workbook = readXml('xl/workbook.xml');
+        if (!workbook) {
+            throw new Error('Not an Excel workbook: xl/workbook.xml is missing');
+        }
+
+        // Sheet files are found through the workbook's relationships
+        const targets = new Map();
+        const relationships = readXml('xl/_rels/workbook.xml.rels');
+        for (const relationship of relationships ? findElements(relationships, 'Relationship') : []) {
+            const target = relationship.attributes.Target || '';
+            targets.set(relationship.attributes.Id, target.startsWith('/') ? target.slice(1) : `xl/${target}`);
+        }
+
+        const sharedStrings = this.readSharedStrings(readXml('xl/sharedStrings.xml'));
+
+        return findElements(workbook, 'sheet').map(sheet => {
+            const target = targets.get(sheet.attributes['r:id']);
+            const xml = target ? readXml(target) : null;
+            return {
+                name: sheet.attributes.name,
+                rows: xml ? this.readRows(xml, sharedStrings) : []
+            };
+        });
+    }
+
+    /**
+     * Strings shared between cells, from xl/sharedStrings.xml
+     * Rich text runs are joined, and phonetic guides left out
+     */
+    static readSharedStrings(sharedStrings) {
+        if (!sharedStrings) {
+            return [];
+        }
+
+        const text = (element) => element.name === 'rPh'
+            ? ''
+            : element.name === 't' ? element.text : element.children.map(text).join('');
+        return findElements(sharedStrings, 'si').map(text);
+    }
+
+    /**
+     * Non-empty rows of a worksheet, with cells placed in their columns
+     * @returns {Array<{row: number, cells: Array}>} Rows with their row numbers
+     */
+    static readRows(worksheet, sharedStrings) {
+        const rows = [];
+
+        findElements(worksheet, 'row').forEach((rowElement, index) => {
+            const row = Number(rowElement.attributes.r) || index + 1;
+            const cells = [];
+
+            rowElement.children.filter(child => child.name === 'c').forEach(cell => {
+                const column = cell.attributes.r ? this.getColumnIndex(cell.attributes.r) : cells.length;
+                cells[column] = this.readCell(cell, sharedStrings);
+            });
+
+            for (let i = 0; i < cells.length; i++) {
+                if (cells[i] === undefined) cells[i] = '';
+            }
+            if (cells.some(cell => this.toText(cell).trim() !== '')) {
+                rows.push({ row, cells });
+            }
+        });
+
+        return rows;
+    }
+
+    /**
+     * Value of a cell: a number, a boolean or text
+     */
+    static readCell(cell, sharedStrings) {
+        const type = cell.attributes.t;
+        const value = findElement(cell, 'v')?.text;
+
+        if (type === 'inlineStr') {
+            return findElements(cell, 't').map(element => element.text).join('');
+        }
+        if (value === undefined) {
+            return '';
+        }
+        if (type === 's') {
+            return sharedStrings[Number(value)] ?? '';
+        }
+        if (type === 'b') {
+            return value === '1';
+        }
+        if (type === undefined || type === 'n') {
+            const number = Number(value);
+            return Number.isFinite(number) ? number : value;
+        }
+        // str (formula text), e (error) and d (ISO date) are kept as text
+        return value;
+    }
+
+    /**
+     * Zero based column of a cell reference, e.g. 0 for A1 and 27 for AB3
+     */
+    static getColumnIndex(reference) {
+        const letters = reference.match(/^[A-Z]+/i)?.[0].toUpperCase() || 'A';
+        return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+    }
+
+    /**
+     * Leave out the columns from the first header starting with // onward
+     */
+    static cutColumns(rows) {
+        if (rows.length === 0) {
+            return rows;
+        }
+
+        const cutoff = rows[0].cells.findIndex(cell => this.toText(cell).trim().startsWith(COLUMN_CUTOFF));
+        if (cutoff === -1) {
+            return rows;
+        }
+        return rows.map(({ row, cells }) => ({ row, cells: cells.slice(0, cutoff) }))
+            .filter(({ cells }) => cells.some(cell => this.toText(cell).trim() !== ''));
+    }
+
+    /**
+     * Turn rows into records keyed by the header row, like CsvReader
+     * @param {string} sheet - Sheet name, for source locations
+     * @param {Array} rows - Rows, the first one the header
+     * @param {boolean} asText - Whether values are turned into text, as CSV values are
+     * @returns {Array<Object>} Records
+     */
+    static toRecords(sheet, rows, asText) {
+        if (rows.length === 0) {
+            return [];
+        }
+
+        const columns = rows[0].cells.map(cell => this.toText(cell).trim());
+        const records = rows.slice(1).map(({ row, cells }) => {
+            const record = {};
+            columns.forEach((column, index) => {
+                if (column === '') {
+                    return;
+                }
+                const value = cells[index] ?? '';
+                // As in CsvReader, null stands for no value
+                record[column] = this.toText(value).toLowerCase() === 'null' ? null
+                    : asText ? this.toText(value) : value;
+            });
+            return SourceLocation.set(record, { sheet, row });
+        });
+
+        // Skip rows with values only in unnamed columns
+        return records.filter(record => Object.values(record).some(value => this.toText(value) !== ''));
+    }
+
+    /**
+     * Cell value as it would appear in a CSV export
+     * Numbers are rounded to the 15 digits Excel shows, booleans are TRUE or FALSE
+     */
+    static toText(value) {
+        if (typeof value === 'number') {
+            return String(Number(value.toPrecision(15)));
+        }
+        if (typeof value === 'boolean') {
+            return value ? 'TRUE' : 'FALSE';
+        }
+        return String(value ?? '').trim();
+    }
+}
+
+module.exports = XlsxReader;
@@ -0,0 +1,77 @@
+// Minimal XML support for the readers of XML based formats, draw.io files and Excel workbooks
+
+const XML_ENTITIES = {
+    lt: '<',
+    gt: '>',
+    amp: '&',
+    quot: '"',
+    apos: "'",
+    nbsp: ' '
+};
+
+function decodeEntities(text) {
+    return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return XML_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * Minimal XML parser
+ * Returns a tree of { name, attributes, children, text } elements
+ */
+function parseXml(xml) {
+    const root = { name: '#document', attributes: {}, children: [], text: '' };
+    const stack = [root];
+    const tagPattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE[^>]*>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+    const attributePattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+    let match;
+    while ((match = tagPattern.exec(xml)) !== null) {
+        const current = stack[stack.length - 1];
+        const [, cdata, closing, name, attributeText, selfClosing, text] = match;
+
+        if (cdata !== undefined) {
+            current.text += cdata;
+        } else if (text !== undefined) {
+            current.text += decodeEntities(text);
+        } else if (name && closing) {
+            if (stack.length > 1) {
+                stack.pop();
+            }
+        } else if (name) {
+            const attributes = {};
+            let attributeMatch;
+            while ((attributeMatch = attributePattern.exec(attributeText)) !== null) {
+                attributes[attributeMatch[1]] = decodeEntities(attributeMatch[2] ?? attributeMatch[3]);
+            }
+
+            const element = { name, attributes, children: [], text: '' };
+            current.children.push(element);
+            if (!selfClosing) {
+                stack.push(element);
+            }
+        }
+    }
+
+    return root;
+}
+
+function findElements(element, name, found = []) {
+    for (const child of element.children) {
+        if (child.name === name) {
+            found.push(child);
+        }
+        findElements(child, name, found);
+    }
+    return found;
+}
+
+function findElement(element, name) {
+    return findElements(element, name)[0] || null;
+}
+
+module.exports = { parseXml, findElements, findElement, decodeEntities };
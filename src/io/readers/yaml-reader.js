@@ -13,20 +13,26 @@ class YamlReader {
      * @returns {Promise<Array>} - Array of parsed YAML documents
      */
     static async readFile(yamlFile, options = {}) {
-        try {
-            const content = await fs.promises.readFile(yamlFile, 'utf8');
-            const documents = yaml.loadAll(content);
-            
-            // Apply filter if provided
-            if (options.filter && typeof options.filter === 'function') {
-                return documents.filter(options.filter);
-            }
-            
-            return documents;
-        } catch (error) {
-            console.error(`Error reading YAML file ${yamlFile}:`, error);
-            throw error;
+        const content = await fs.promises.readFile(yamlFile, 'utf8');
+        return this.load(content, options);
+    }
+
+    /**
+     * Parse YAML content that is already in memory
+     * @param {string} content - YAML content
+     * @param {Object} options - Options for processing (optional)
+     * @param {Function} options.filter - Optional filter function to apply to documents
+     * @returns {Array} - Array of parsed YAML documents
+     */
+    static load(content, options = {}) {
+        const documents = yaml.loadAll(content);
+        
+        // Apply filter if provided
+        if (options.filter && typeof options.filter === 'function') {
+            return documents.filter(options.filter);
         }
+        
+        return documents;
     }
 }
 
@@ -0,0 +1,89 @@
+const zlib = require('zlib');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// The end of central directory record is 22 bytes, followed by a comment of up to 64 KiB
+const MAX_END_RECORD_SIZE = 22 + 0xffff;
+
+const STORED = 0;
+const DEFLATED = 8;
+
+/**
+ * Minimal reader for zip archives, such as Excel workbooks
+ * Supports stored and deflated entries, which is all Office writes; not zip64 or encryption
+ */
+class ZipReader {
+    /**
+     * List the entries of a zip archive from its central directory
+     * @param {Buffer} buffer - Zip archive
+     * @returns {Map<string, Object>} Entries by path, with compression method, sizes and local header offset
+     */
+    static readEntries(buffer) {
+        const end = this.findEndOfCentralDirectory(buffer);
+        const count = buffer.readUInt16LE(end + 10);
+        let offset = buffer.readUInt32LE(end + 16);
+
+        const entries = new Map();
+        for (let i = 0; i < count; i++) {
+            if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+                throw new Error('Invalid zip file: damaged central directory');
+            }
+
+            const nameLength = buffer.readUInt16LE(offset + 28);
+            const extraLength = buffer.readUInt16LE(offset + 30);
+            const commentLength = buffer.readUInt16LE(offset + 32);
+            const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+            entries.set(name, {
+                name,
+                method: buffer.readUInt16LE(offset + 10),
+                compressedSize: buffer.readUInt32LE(offset + 20),
+                size: buffer.readUInt32LE(offset + 24),
+                headerOffset: buffer.readUInt32LE(offset + 42)
+            });
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    /**
+     * Extract one entry of a zip archive
+     * @param {Buffer} buffer - Zip archive
+     * @param {Object} entry - Entry from readEntries
+     * @returns {Buffer} Uncompressed content
+     */
+    static extract(buffer, entry) {
+        const offset = entry.headerOffset;
+        if (buffer.readUInt32LE(offset) !== LOCAL_FILE_HEADER) {
+            throw new Error(`Invalid zip file: damaged entry '${entry.name}'`);
+        }
+
+        // The local header's name and extra field can differ in length from the central directory's
+        const start = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+        const data = buffer.subarray(start, start + entry.compressedSize);
+
+        if (entry.method === STORED) {
+            return data;
+        }
+        if (entry.method === DEFLATED) {
+            return zlib.inflateRawSync(data);
+        }
+        throw new Error(`Unsupported zip compression method ${entry.method} for '${entry.name}'`);
+    }
+
+    static findEndOfCentralDirectory(buffer) {
+        const last = Math.max(0, buffer.length - MAX_END_RECORD_SIZE);
+        for (let offset = buffer.length - 22; offset >= last; offset--) {
+            if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+                return offset;
+            }
+        }
+        throw new Error('Invalid zip file: no central directory found');
+    }
+}
+
+module.exports = ZipReader;
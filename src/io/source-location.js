@@ -0,0 +1,46 @@
+// Records are plain objects whose keys all become node or edge properties,
+// so where they were read from is kept alongside them instead of on them
+const locations = new WeakMap();
+
+/**
+ * Remembers which CSV row or YAML document a record was read from
+ */
+class SourceLocation {
+    /**
+     * @param {Object} record - Record read from a file
+     * @param {Object} location - { row } for CSV, { sheet, row } for Excel, { document } for YAML
+     * @returns {Object} The record
+     */
+    static set(record, location) {
+        if (record && typeof record === 'object') {
+            locations.set(record, location);
+        }
+        return record;
+    }
+
+    /**
+     * @param {Object} record - Record read from a file
+     * @returns {Object} The record's location, empty if unknown
+     */
+    static get(record) {
+        return (record && typeof record === 'object' && locations.get(record)) || {};
+    }
+
+    /**
+     * Document filter for YAML readers that keeps documents of one type
+     * and remembers each one's position in the file
+     * @param {string} type - Document type, e.g. 'node' or 'edge'
+     * @returns {Function} Filter for Array.prototype.filter
+     */
+    static documentFilter(type) {
+        return (doc, index) => {
+            if (!doc || doc.type !== type) {
+                return false;
+            }
+            SourceLocation.set(doc, { document: index + 1 });
+            return true;
+        };
+    }
+}
+
+module.exports = SourceLocation;
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const PositionReader = require('../readers/position-reader');
+const NodeDependencies = require('../../geometry/node-dependencies');
+const { Direction } = require('../../geometry/direction');
+
+// Largest map written, so a tiny grid on a large diagram fails instead of writing a huge file
+const MAX_CELLS = 1000000;
+
+/**
+ * Writes the layout of a built diagram as a position map, in the format PositionReader reads
+ *
+ * Each node goes in the cell nearest its resolved, unscaled position, so nodes placed
+ * relative to others, by a layout or by position_of, are written as plain cells. Nodes
+ * larger than one node are written into every cell they cover, the block PositionReader
+ * reads their size back from. The map
+ * holds every grid line between the outermost nodes, x across the first row and y down
+ * the first column from the top, as it would be laid out in a spreadsheet.
+ */
+class PositionMapWriter {
+    /**
+     * Write the position map of a built diagram to a file
+     * @param {string} mapFile - Path of the CSV file to write
+     * @param {Map} nodes - Positioned nodes by name
+     * @param {Object} options - See toCsv
+     * @returns {Promise<void>}
+     */
+    static async writeFile(mapFile, nodes, options = {}) {
+        await fs.promises.mkdir(path.dirname(mapFile), { recursive: true });
+        await fs.promises.writeFile(mapFile, this.toCsv(nodes, options), 'utf8');
+    }
+
+    /**
+     * Position map of a built diagram as CSV
+     * @param {Map} nodes - Positioned nodes by name
+     * @param {Object} options - Options
+     * @param {number} options.grid - Spacing the positions are snapped to (default: 1)
+     * @param {Object} options.scale - Page scale the nodes were sized with, see StyleHandler.getPageScale
+     * @returns {string} Position map CSV
+     */
+    static toCsv(nodes, options = {}) {
+        const grid = options.grid ?? 1;
+        if (!(grid > 0)) {
+            throw new Error(`Position map grid must be greater than 0, got '${options.grid}'`);
+        }
+
+        const cells = new Map();
+        for (const { name, column, row, anchor } of this.getCells(nodes, grid, options.scale)) {
+            const key = `${column},${row}`;
+            if (!cells.has(key)) {
+                cells.set(key, []);
+            }
+            cells.get(key).push(anchor ? `${name}@${anchor}` : name);
+        }
+
+        const keys = [...cells.keys()].map(key => key.split(',').map(Number));
+        if (keys.length === 0) {
+            return 'r\n';
+        }
+
+        const columns = keys.map(([column]) => column);
+        const rows = keys.map(([, row]) => row);
+        const [left, right] = [Math.min(...columns), Math.max(...columns)];
+        const [bottom, top] = [Math.min(...rows), Math.max(...rows)];
+
+        const size = (right - left + 2) * (top - bottom + 2);
+        if (size > MAX_CELLS) {
+            throw new Error(`Position map would have ${size} cells, use a larger grid than ${grid}`);
+        }
+
+        const lines = [];
+        const xs = [];
+        for (let column = left; column <= right; column++) {
+            xs.push(this.formatCoordinate(column, grid));
+        }
+        lines.push(['r', ...xs].map(value => this.escape(value)).join(','));
+
+        for (let row = top; row >= bottom; row--) {
+            const line = [this.formatCoordinate(row, grid)];
+            for (let column = left; column <= right; column++) {
+                line.push((cells.get(`${column},${row}`) || []).join(PositionReader.nodeNameDelimiter));
+            }
+            lines.push(line.map(value => this.escape(value)).join(','));
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Grid cells covered by each node with a resolved position
+     * Containers are left out, as they are fitted around their members
+     * @param {Map} nodes - Positioned nodes by name
+     * @param {number} grid - Grid spacing
+     * @param {Object} scale - Page scale, positions and sizes unscaled when not given
+     * @returns {Array<{name: string, column: number, row: number, anchor: string|null}>} Cells in node order
+     */
+    static getCells(nodes, grid, scale = {}) {
+        const containers = NodeDependencies.getMembers(nodes);
+        const cells = [];
+
+        for (const [name, node] of nodes) {
+            const x = node.position?.xUnscaled;
+            const y = node.position?.yUnscaled;
+            if (containers.has(name) || !Number.isFinite(x) || !Number.isFinite(y)) {
+                continue;
+            }
+
+            // A name with an @ needs an anchor after it, or the reader takes its end for one
+            const anchor = node.anchor || (name.includes('@') ? 'center' : null);
+            const vector = node.anchor ? Direction.getVector(node.anchor) : Direction.CENTER;
+            const columns = this.getCellRange(x, vector.x, this.getSpan(node.dimensions?.widthUnscaled, scale.position?.x, scale.size?.w), grid);
+            const rows = this.getCellRange(y, vector.y, this.getSpan(node.dimensions?.heightUnscaled, scale.position?.y, scale.size?.h), grid);
+
+            for (let row = rows.first; row <= rows.last; row++) {
+                for (let column = columns.first; column <= columns.last; column++) {
+                    cells.push({ name, column, row, anchor });
+                }
+            }
+        }
+
+        return cells;
+    }
+
+    /**
+     * Distance between the outer cells of a node, in position units
+     * The inverse of DiagramBuilder.getSpanSize, 0 for nodes no larger than one node
+     * @param {number} size - Unscaled width or height
+     * @param {number} positionScale - Page position scale on the same axis
+     * @param {number} sizeScale - Page size scale on the same axis
+     * @returns {number} Span
+     */
+    static getSpan(size, positionScale = 1, sizeScale = 1) {
+        if (!(size > 1)) {
+            return 0;
+        }
+        return (size - 1) * (sizeScale || 1) / (positionScale || 1);
+    }
+
+    /**
+     * First and last grid index of a block of cells on one axis
+     * @param {number} position - Position of the node's anchor point
+     * @param {number} anchor - Anchor vector on the same axis, -1 to 1
+     * @param {number} span - Distance between the outer cells
+     * @param {number} grid - Grid spacing
+     * @returns {{first: number, last: number}} Grid indices
+     */
+    static getCellRange(position, anchor, span, grid) {
+        const count = Math.round(span / grid);
+        const first = Math.round((position - (anchor + 1) * span / 2) / grid);
+        return { first, last: first + count };
+    }
+
+    /**
+     * Coordinate of a grid line, without floating point noise such as 0.30000000000000004
+     */
+    static formatCoordinate(index, grid) {
+        return String(Number((index * grid).toPrecision(12)));
+    }
+
+    /**
+     * Quote a CSV value if it holds a comma, quote or line break
+     */
+    static escape(value) {
+        return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    }
+}
+
+module.exports = PositionMapWriter;
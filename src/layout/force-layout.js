@@ -0,0 +1,195 @@
+const Layout = require('./layout');
+
+// Pull of every placed node towards the middle of the diagram, keeps unlinked nodes close
+const GRAVITY = 0.05;
+
+/**
+ * Force-directed (spring-electrical) layout
+ *
+ * Every pair of nodes pushes apart and every edge pulls its ends together, until
+ * linked nodes settle about edge_length apart. Distances are measured between node
+ * outlines rather than centres, so large nodes keep more room around them.
+ *
+ * Positioned nodes are pinned: they push and pull like the others but do not move.
+ * A placed node starts next to the nodes it is linked to, or at a random spot when
+ * it has none. The random numbers come from a seeded generator, so the same input
+ * always gives the same diagram.
+ *
+ * Page settings (layout: { type: force, ... }):
+ *   seed         seed for the random starting positions (default 1)
+ *   iterations   number of simulation steps (default 300)
+ *   edge_length  preferred gap between linked nodes (default 1.5)
+ */
+class ForceLayout extends Layout {
+    constructor(settings = {}, scale = {}) {
+        super(settings, scale);
+
+        this.seed = Layout.parseNumber(settings.seed, 1);
+        this.iterations = Math.max(1, Math.round(Layout.parseNumber(settings.iterations, 300)));
+        this.edgeLength = Layout.parseNumber(settings.edge_length, 1.5);
+    }
+
+    apply(nodes, edgeRecords, pinned = this.getPinnedCentres(nodes)) {
+        const free = [...nodes.keys()].filter(name => !Layout.isPositioned(nodes.get(name)));
+        if (free.length === 0) {
+            return [];
+        }
+
+        const random = createRandom(this.seed);
+        const bodies = new Map();
+
+        for (const [name, box] of pinned) {
+            bodies.set(name, { x: box.x, y: box.y, radius: Math.hypot(box.width, box.height) / 2, pinned: true });
+        }
+
+        const middle = this.getMiddle([...bodies.values()]);
+        const spread = this.edgeLength * Math.sqrt(free.length);
+
+        for (const name of free) {
+            const { width, height } = this.getSize(nodes.get(name));
+            bodies.set(name, { x: 0, y: 0, radius: Math.hypot(width, height) / 2, pinned: false, placed: false });
+        }
+
+        // Only links between nodes with coordinates take part
+        const links = Layout.getLinks(nodes, edgeRecords)
+            .filter(link => bodies.has(link.from) && bodies.has(link.to))
+            .map(link => [bodies.get(link.from), bodies.get(link.to)]);
+
+        this.placeStart(free.map(name => bodies.get(name)), links, middle, spread, random);
+        this.simulate([...bodies.values()], links, middle, spread, random);
+
+        // With nothing pinned, put the bottom left corner at the origin
+        if (pinned.size === 0) {
+            const bounds = Layout.getBounds(free.map(name => ({ ...this.getSize(nodes.get(name)), ...bodies.get(name) })));
+            for (const name of free) {
+                bodies.get(name).x -= bounds.left;
+                bodies.get(name).y -= bounds.bottom;
+            }
+        }
+
+        for (const name of free) {
+            this.placeCentre(nodes.get(name), bodies.get(name).x, bodies.get(name).y);
+        }
+
+        return free;
+    }
+
+    getMiddle(bodies) {
+        if (bodies.length === 0) {
+            return { x: 0, y: 0 };
+        }
+        return {
+            x: bodies.reduce((sum, body) => sum + body.x, 0) / bodies.length,
+            y: bodies.reduce((sum, body) => sum + body.y, 0) / bodies.length
+        };
+    }
+
+    /**
+     * Start each placed node beside the nodes it is linked to that already have a spot
+     */
+    placeStart(freeBodies, links, middle, spread, random) {
+        for (const body of freeBodies) {
+            const neighbours = links
+                .map(([a, b]) => (a === body ? b : (b === body ? a : null)))
+                .filter(other => other && (other.pinned || other.placed));
+
+            const around = neighbours.length > 0 ? this.getMiddle(neighbours) : middle;
+            const reach = neighbours.length > 0 ? this.edgeLength : spread;
+
+            body.x = around.x + (random() - 0.5) * 2 * reach;
+            body.y = around.y + (random() - 0.5) * 2 * reach;
+            body.placed = true;
+        }
+    }
+
+    simulate(bodies, links, middle, spread, random) {
+        const k = this.edgeLength;
+        const startTemperature = Math.max(k, spread / 2);
+
+        for (let iteration = 0; iteration < this.iterations; iteration++) {
+            const temperature = startTemperature * (1 - iteration / this.iterations);
+            bodies.forEach(body => {
+                body.dx = 0;
+                body.dy = 0;
+            });
+
+            // Every pair pushes apart
+            for (let i = 0; i < bodies.length; i++) {
+                for (let j = i + 1; j < bodies.length; j++) {
+                    const a = bodies[i];
+                    const b = bodies[j];
+                    if (a.pinned && b.pinned) {
+                        continue;
+                    }
+
+                    let dx = a.x - b.x;
+                    let dy = a.y - b.y;
+                    if (dx === 0 && dy === 0) {
+                        dx = (random() - 0.5) * k * 0.01;
+                        dy = (random() - 0.5) * k * 0.01;
+                    }
+                    const distance = Math.hypot(dx, dy);
+                    const gap = Math.max(distance - a.radius - b.radius, k * 0.05);
+                    const force = k * k / gap / distance;
+
+                    a.dx += dx * force;
+                    a.dy += dy * force;
+                    b.dx -= dx * force;
+                    b.dy -= dy * force;
+                }
+            }
+
+            // Edges pull their ends together
+            for (const [a, b] of links) {
+                const dx = b.x - a.x;
+                const dy = b.y - a.y;
+                const distance = Math.hypot(dx, dy);
+                if (distance === 0) {
+                    continue;
+                }
+                const gap = Math.max(distance - a.radius - b.radius, 0);
+                const force = gap * gap / k / distance;
+
+                a.dx += dx * force;
+                a.dy += dy * force;
+                b.dx -= dx * force;
+                b.dy -= dy * force;
+            }
+
+            // Move placed nodes, no further than the temperature allows
+            for (const body of bodies) {
+                if (body.pinned) {
+                    continue;
+                }
+                body.dx += (middle.x - body.x) * GRAVITY;
+                body.dy += (middle.y - body.y) * GRAVITY;
+
+                const length = Math.hypot(body.dx, body.dy);
+                if (length > 0) {
+                    const step = Math.min(length, temperature);
+                    body.x += body.dx / length * step;
+                    body.y += body.dy / length * step;
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Small seeded random number generator (mulberry32)
+ * @param {number} seed - Seed
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+    let state = Math.floor(seed) >>> 0;
+
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+module.exports = ForceLayout;
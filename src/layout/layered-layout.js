@@ -0,0 +1,267 @@
+const Layout = require('./layout');
+
+// Barycentre passes down and back up the layers when ordering nodes
+const ORDERING_PASSES = 8;
+
+/**
+ * Layered (Sugiyama-style) layout
+ *
+ * Places nodes in layers following the direction of the edges:
+ *   1. cycles are broken by reversing the edges that close them
+ *   2. each node goes one layer past the furthest of its predecessors, and
+ *      nodes with only outgoing edges are pulled down to sit just above their targets
+ *   3. edges spanning several layers get a hidden node in each layer they cross,
+ *      then nodes are ordered within layers by the average position of their
+ *      neighbours, keeping the order with the fewest crossings
+ *   4. layers are spaced by their deepest node, nodes within a layer by their size
+ *
+ * Explicitly positioned nodes take part in layering and ordering but keep their
+ * position. The placed nodes are put beside them (to the right for TB, below for LR)
+ * so the two never overlap.
+ *
+ * Page settings (layout: { type: layered, ... }):
+ *   direction      TB (top to bottom, default) or LR (left to right)
+ *   layer_spacing  gap between layers (default 1.5)
+ *   node_spacing   gap between nodes in a layer (default 1)
+ */
+class LayeredLayout extends Layout {
+    constructor(settings = {}, scale = {}) {
+        super(settings, scale);
+
+        const direction = String(settings.direction || 'TB').toUpperCase();
+        if (direction !== 'TB' && direction !== 'LR') {
+            console.warn(`Unknown layered layout direction '${settings.direction}', using TB`);
+        }
+        this.direction = direction === 'LR' ? 'LR' : 'TB';
+        this.layerSpacing = Layout.parseNumber(settings.layer_spacing, 1.5);
+        this.nodeSpacing = Layout.parseNumber(settings.node_spacing, 1);
+    }
+
+    apply(nodes, edgeRecords, pinned = this.getPinnedCentres(nodes)) {
+        const names = [...nodes.keys()];
+        const free = names.filter(name => !Layout.isPositioned(nodes.get(name)));
+        if (free.length === 0) {
+            return [];
+        }
+
+        const links = this.breakCycles(names, Layout.getLinks(nodes, edgeRecords));
+        const layerOf = this.assignLayers(names, links);
+        const layers = this.orderLayers(names, links, layerOf);
+
+        // Only placed nodes take up space in a layer
+        const freeSet = new Set(free);
+        const placedLayers = layers.map(layer => layer.filter(vertex => freeSet.has(vertex)));
+
+        this.placeLayers(nodes, placedLayers, pinned);
+
+        return free;
+    }
+
+    /**
+     * Reverse the edges that close cycles, found depth first in definition order
+     * @returns {Array<{from: string, to: string}>} Acyclic links
+     */
+    breakCycles(names, links) {
+        const outgoing = new Map(names.map(name => [name, []]));
+        links.forEach(link => outgoing.get(link.from).push(link.to));
+
+        const state = new Map();
+        const acyclic = [];
+
+        const visit = (name) => {
+            state.set(name, 'active');
+            for (const target of outgoing.get(name)) {
+                if (state.get(target) === 'active') {
+                    acyclic.push({ from: target, to: name });
+                    continue;
+                }
+                acyclic.push({ from: name, to: target });
+                if (!state.has(target)) {
+                    visit(target);
+                }
+            }
+            state.set(name, 'done');
+        };
+
+        names.forEach(name => {
+            if (!state.has(name)) {
+                visit(name);
+            }
+        });
+
+        return acyclic;
+    }
+
+    /**
+     * Longest path layering
+     * @returns {Map<string, number>} Layer of each node, starting at 0
+     */
+    assignLayers(names, links) {
+        const incoming = new Map(names.map(name => [name, []]));
+        const outgoing = new Map(names.map(name => [name, []]));
+        links.forEach(link => {
+            outgoing.get(link.from).push(link.to);
+            incoming.get(link.to).push(link.from);
+        });
+
+        // Topological order, sources first
+        const remaining = new Map(names.map(name => [name, incoming.get(name).length]));
+        const queue = names.filter(name => remaining.get(name) === 0);
+        const order = [];
+        while (queue.length > 0) {
+            const name = queue.shift();
+            order.push(name);
+            for (const target of outgoing.get(name)) {
+                remaining.set(target, remaining.get(target) - 1);
+                if (remaining.get(target) === 0) {
+                    queue.push(target);
+                }
+            }
+        }
+
+        const layerOf = new Map();
+        for (const name of order) {
+            const previous = incoming.get(name).map(source => layerOf.get(source) + 1);
+            layerOf.set(name, Math.max(0, ...previous));
+        }
+
+        // Sources only wait for their earliest target, rather than sitting in the top layer
+        for (const name of [...order].reverse()) {
+            if (incoming.get(name).length === 0 && outgoing.get(name).length > 0) {
+                layerOf.set(name, Math.min(...outgoing.get(name).map(target => layerOf.get(target))) - 1);
+            }
+        }
+
+        return layerOf;
+    }
+
+    /**
+     * Order nodes within each layer to reduce edge crossings
+     * @returns {Array<Array>} Layers of node names, with hidden nodes as objects
+     */
+    orderLayers(names, links, layerOf) {
+        const layerCount = Math.max(...layerOf.values()) + 1;
+        const layers = Array.from({ length: layerCount }, () => []);
+        names.forEach(name => layers[layerOf.get(name)].push(name));
+
+        // Neighbours in the layer above and below, with hidden nodes on long edges
+        const up = new Map(names.map(name => [name, []]));
+        const down = new Map(names.map(name => [name, []]));
+        for (const link of links) {
+            let previous = link.from;
+            for (let layer = layerOf.get(link.from) + 1; layer < layerOf.get(link.to); layer++) {
+                const hidden = { hidden: true };
+                layers[layer].push(hidden);
+                up.set(hidden, [previous]);
+                down.set(hidden, []);
+                down.get(previous).push(hidden);
+                previous = hidden;
+            }
+            down.get(previous).push(link.to);
+            up.get(link.to).push(previous);
+        }
+
+        let best = layers.map(layer => [...layer]);
+        let bestCrossings = this.countCrossings(best, down);
+
+        for (let pass = 0; pass < ORDERING_PASSES && bestCrossings > 0; pass++) {
+            const downward = pass % 2 === 0;
+            const sequence = layers.map((_, index) => downward ? index : layerCount - 1 - index).slice(1);
+
+            for (const index of sequence) {
+                const fixed = layers[downward ? index - 1 : index + 1];
+                const neighbours = downward ? up : down;
+                const positions = new Map(fixed.map((vertex, position) => [vertex, position]));
+
+                const barycentre = new Map(layers[index].map((vertex, position) => {
+                    const linked = neighbours.get(vertex).map(neighbour => positions.get(neighbour));
+                    return [vertex, linked.length > 0 ? linked.reduce((sum, value) => sum + value, 0) / linked.length : position];
+                }));
+
+                // Stable sort keeps the current order for ties
+                layers[index].sort((a, b) => barycentre.get(a) - barycentre.get(b));
+            }
+
+            const crossings = this.countCrossings(layers, down);
+            if (crossings < bestCrossings) {
+                best = layers.map(layer => [...layer]);
+                bestCrossings = crossings;
+            }
+        }
+
+        return best;
+    }
+
+    countCrossings(layers, down) {
+        let crossings = 0;
+
+        for (let index = 0; index < layers.length - 1; index++) {
+            const below = new Map(layers[index + 1].map((vertex, position) => [vertex, position]));
+            const segments = [];
+            layers[index].forEach((vertex, position) => {
+                down.get(vertex).forEach(target => segments.push([position, below.get(target)]));
+            });
+
+            for (let i = 0; i < segments.length; i++) {
+                for (let j = i + 1; j < segments.length; j++) {
+                    const [a1, b1] = segments[i];
+                    const [a2, b2] = segments[j];
+                    if ((a1 - a2) * (b1 - b2) < 0) {
+                        crossings++;
+                    }
+                }
+            }
+        }
+
+        return crossings;
+    }
+
+    /**
+     * Give each placed node its coordinates
+     * Layers are laid out along the depth axis and centred on the breadth axis,
+     * then the whole block is moved beside the fixed nodes
+     */
+    placeLayers(nodes, layers, pinned) {
+        const horizontal = this.direction === 'LR';
+        const centres = new Map();
+        let depth = 0;
+
+        for (const layer of layers.filter(layer => layer.length > 0)) {
+            const sizes = layer.map(name => this.getSize(nodes.get(name)));
+            const breadths = sizes.map(size => horizontal ? size.height : size.width);
+            const thickness = Math.max(0, ...sizes.map(size => horizontal ? size.width : size.height));
+            const total = breadths.reduce((sum, value) => sum + value, 0) + this.nodeSpacing * Math.max(0, layer.length - 1);
+
+            let breadth = -total / 2;
+            layer.forEach((name, index) => {
+                const along = breadth + breadths[index] / 2;
+                const across = depth + thickness / 2;
+                // TB: layers go down the page, LR: layers go right, first node at the top
+                centres.set(name, horizontal ? { x: across, y: -along } : { x: along, y: -across });
+                breadth += breadths[index] + this.nodeSpacing;
+            });
+
+            depth += thickness + this.layerSpacing;
+        }
+
+        // Move the block beside the fixed nodes, or to the origin if there are none
+        const block = Layout.getBounds([...centres].map(([name, centre]) => ({ ...this.getSize(nodes.get(name)), x: centre.x, y: centre.y })));
+        const fixed = Layout.getBounds([...pinned.values()]);
+
+        let shiftX = -block.left;
+        let shiftY = -block.bottom;
+        if (fixed && horizontal) {
+            shiftX = fixed.left - block.left;
+            shiftY = fixed.bottom - this.layerSpacing - block.top;
+        } else if (fixed) {
+            shiftX = fixed.right + this.nodeSpacing - block.left;
+            shiftY = fixed.top - block.top;
+        }
+
+        for (const [name, centre] of centres) {
+            this.placeCentre(nodes.get(name), centre.x + shiftX, centre.y + shiftY);
+        }
+    }
+}
+
+module.exports = LayeredLayout;
@@ -0,0 +1,223 @@
+const { Direction } = require('../geometry/direction');
+const { PositionType } = require('../geometry/position');
+
+/**
+ * Base class for automatic layouts
+ *
+ * A layout gives coordinates to the nodes that have no position of their own:
+ * no x and y, no at, no position_of, x_of or y_of, and no position map entry.
+ * Every other node is left where it is. Layouts run before nodes are positioned
+ * and scaled, so they work in unscaled position units and set each placed node's
+ * x and y as if they had been written in the node file. Node sizes are converted
+ * to the same units with the page scale, so spacing follows the drawn sizes.
+ */
+class Layout {
+    /**
+     * @param {Object} settings - The page's layout settings
+     * @param {Object} scale - The page's scale configuration, position and size factors default to 1
+     */
+    constructor(settings = {}, scale = {}) {
+        this.settings = settings;
+        this.scale = {
+            position: {
+                x: Layout.parseNumber(scale?.position?.x, 1) || 1,
+                y: Layout.parseNumber(scale?.position?.y, 1) || 1
+            },
+            size: {
+                w: Layout.parseNumber(scale?.size?.w, 1),
+                h: Layout.parseNumber(scale?.size?.h, 1)
+            }
+        };
+    }
+
+    /**
+     * Place the nodes that have no position
+     * @param {Map} nodes - Map of node name to node
+     * @param {Array} edgeRecords - Edge records, only from and to are used
+     * @param {Map} pinned - Centres and sizes of the positioned nodes, see getPinnedCentres
+     * @returns {Array<string>} Names of the nodes that were placed
+     */
+    apply(nodes, edgeRecords, pinned) {
+        throw new Error('apply() must be implemented by a layout');
+    }
+
+    /**
+     * Edge records the layout adds to the diagram, none by default
+     * @param {Map} nodes - Map of node name to node
+     * @param {Array} edgeRecords - Edge records read from the input files
+     * @returns {Array<Object>} Extra edge records
+     */
+    createEdgeRecords(nodes, edgeRecords) {
+        return [];
+    }
+
+    /**
+     * Whether a node has been positioned explicitly
+     * @param {Object} node - Node
+     * @returns {boolean} True if the node has a position of its own
+     */
+    static isPositioned(node) {
+        if (isNumber(node.x) && isNumber(node.y)) {
+            return true;
+        }
+        return ['at', 'position_of', 'x_of', 'y_of'].some(field => node[field] !== undefined && node[field] !== null && node[field] !== '');
+    }
+
+    /**
+     * Drawn size of a node in unscaled position units
+     * Relative sizes are not known yet, so they count as the default of 1
+     * @param {Object} node - Node
+     * @returns {{width: number, height: number}} Size
+     */
+    getSize(node) {
+        const width = isNumber(node.width) && node.width > 0 ? Number(node.width) : 1;
+        const height = isNumber(node.height) && node.height > 0 ? Number(node.height) : 1;
+
+        return {
+            width: width * this.scale.size.w / this.scale.position.x,
+            height: height * this.scale.size.h / this.scale.position.y
+        };
+    }
+
+    /**
+     * Position a node by its centre, allowing for its anchor
+     * @param {Object} node - Node
+     * @param {number} x - Centre x
+     * @param {number} y - Centre y
+     */
+    placeCentre(node, x, y) {
+        const { width, height } = this.getSize(node);
+        const vector = Layout.getAnchorVector(node);
+
+        node.x = round(x + vector.x * width / 2);
+        node.y = round(y + vector.y * height / 2);
+    }
+
+    /**
+     * Centres and sizes of the positioned nodes whose coordinates are known
+     *
+     * Uses the resolved position of nodes that have already been positioned,
+     * which covers nodes placed relative to others, or else their x and y.
+     * Nodes placed at named TikZ positions have no known coordinates and are left out.
+     *
+     * @param {Map} nodes - Map of node name to node
+     * @returns {Map<string, {x: number, y: number, width: number, height: number}>} Pinned nodes by name
+     */
+    getPinnedCentres(nodes) {
+        const pinned = new Map();
+
+        for (const [name, node] of nodes) {
+            if (!Layout.isPositioned(node)) {
+                continue;
+            }
+
+            let x;
+            let y;
+            let { width, height } = this.getSize(node);
+            if (node.position?.success && node.position.positionType === PositionType.COORDINATES) {
+                x = node.position.xUnscaled;
+                y = node.position.yUnscaled;
+                width = node.dimensions?.widthScaled / this.scale.position.x || width;
+                height = node.dimensions?.heightScaled / this.scale.position.y || height;
+            } else if (isNumber(node.x) && isNumber(node.y)) {
+                x = Number(node.x);
+                y = Number(node.y);
+            } else {
+                continue;
+            }
+
+            const vector = Layout.getAnchorVector(node);
+            pinned.set(name, {
+                x: x - vector.x * width / 2,
+                y: y - vector.y * height / 2,
+                width,
+                height
+            });
+        }
+
+        return pinned;
+    }
+
+    /**
+     * Offset of a node's anchor from its centre, in half widths and heights
+     * @param {Object} node - Node
+     * @returns {{x: number, y: number}} Anchor vector, the centre if the node has no recognised anchor
+     */
+    static getAnchorVector(node) {
+        return (node.anchor && Direction.getStrictAnchorNameAndVector(node.anchor)?.vector) || { x: 0, y: 0 };
+    }
+
+    /**
+     * Links between existing nodes, without duplicates or self loops
+     * @param {Map} nodes - Map of node name to node
+     * @param {Array} edgeRecords - Edge records
+     * @returns {Array<{from: string, to: string}>} Links in edge order
+     */
+    static getLinks(nodes, edgeRecords) {
+        const links = [];
+        const seen = new Set();
+
+        for (const record of edgeRecords || []) {
+            const from = record?.from;
+            const to = record?.to;
+            if (!nodes.has(from) || !nodes.has(to) || from === to) {
+                continue;
+            }
+
+            const key = JSON.stringify([from, to]);
+            if (!seen.has(key)) {
+                seen.add(key);
+                links.push({ from, to });
+            }
+        }
+
+        return links;
+    }
+
+    /**
+     * Bounding box of a set of boxes
+     * @param {Array<{x: number, y: number, width: number, height: number}>} boxes - Boxes by centre and size
+     * @returns {{left: number, right: number, bottom: number, top: number}|null} Bounds, or null if there are no boxes
+     */
+    static getBounds(boxes) {
+        let bounds = null;
+
+        for (const { x, y, width, height } of boxes) {
+            const box = {
+                left: x - width / 2,
+                right: x + width / 2,
+                bottom: y - height / 2,
+                top: y + height / 2
+            };
+
+            bounds = bounds ? {
+                left: Math.min(bounds.left, box.left),
+                right: Math.max(bounds.right, box.right),
+                bottom: Math.min(bounds.bottom, box.bottom),
+                top: Math.max(bounds.top, box.top)
+            } : box;
+        }
+
+        return bounds;
+    }
+
+    /**
+     * Read a numeric setting, page values may arrive as strings
+     * @param {*} value - Setting value
+     * @param {number} defaultValue - Value to use if the setting is missing or not a number
+     * @returns {number} Setting value
+     */
+    static parseNumber(value, defaultValue) {
+        return isNumber(value) ? Number(value) : defaultValue;
+    }
+}
+
+function isNumber(value) {
+    return value !== undefined && value !== null && value !== '' && Number.isFinite(Number(value));
+}
+
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+module.exports = Layout;
@@ -0,0 +1,276 @@
+const Layout = require('./layout');
+const ValueParser = require('../io/readers/value-parser');
+
+/**
+ * Tree (org chart) layout driven by the nodes' parent field
+ *
+ * Children go one level below their parent (or to its right for LR) in definition
+ * order, and each parent is centred over its first and last child. Subtrees are
+ * packed tidily: a subtree moves up against its left sibling until, on some level,
+ * the two are only sibling_spacing apart, so narrow branches tuck in under wide ones.
+ * Levels are as deep as their deepest node.
+ *
+ * A positioned node keeps its place and its subtree is laid out from it. The other
+ * trees are put side by side beside the positioned nodes (to the right for TB,
+ * below for LR). A parent that does not exist is ignored, and a parent cycle is
+ * broken at its first node so the rest can still be placed.
+ *
+ * Page settings (layout: { type: tree, ... }):
+ *   direction        TB (top to bottom, default) or LR (left to right)
+ *   level_spacing    gap between levels (default 1.5)
+ *   sibling_spacing  gap between neighbouring subtrees (default 1)
+ *   edges            add an edge from each parent to its children (default false)
+ *   edge_style       style of the added edges
+ */
+class TreeLayout extends Layout {
+    constructor(settings = {}, scale = {}) {
+        super(settings, scale);
+
+        const direction = String(settings.direction || 'TB').toUpperCase();
+        if (direction !== 'TB' && direction !== 'LR') {
+            console.warn(`Unknown tree layout direction '${settings.direction}', using TB`);
+        }
+        this.direction = direction === 'LR' ? 'LR' : 'TB';
+        this.levelSpacing = Layout.parseNumber(settings.level_spacing, 1.5);
+        this.siblingSpacing = Layout.parseNumber(settings.sibling_spacing, 1);
+        this.edges = ValueParser.parse(settings.edges, 'boolean') === true;
+        this.edgeStyle = settings.edge_style;
+    }
+
+    apply(nodes, edgeRecords, pinned = this.getPinnedCentres(nodes)) {
+        const free = [...nodes.keys()].filter(name => !Layout.isPositioned(nodes.get(name)));
+        if (free.length === 0) {
+            return [];
+        }
+        const freeSet = new Set(free);
+
+        const { roots, children } = this.buildForest(nodes, pinned);
+        const horizontal = this.direction === 'LR';
+        const breadth = name => this.getSize(nodes.get(name))[horizontal ? 'height' : 'width'];
+        const thickness = name => this.getSize(nodes.get(name))[horizontal ? 'width' : 'height'];
+
+        // Offset of each child along the level from its parent
+        const offsets = new Map();
+        const measure = (name) => {
+            const own = { left: -breadth(name) / 2, right: breadth(name) / 2 };
+            const kids = children.get(name);
+            if (kids.length === 0) {
+                return [own];
+            }
+
+            const { shifts, contour } = this.arrange(kids.map(measure));
+            const middle = (shifts[0] + shifts[shifts.length - 1]) / 2;
+            kids.forEach((kid, index) => offsets.set(kid, shifts[index] - middle));
+
+            return [own, ...contour.map(level => ({ left: level.left - middle, right: level.right - middle }))];
+        };
+
+        // Trees from positioned nodes stay with them, the others are packed side by side
+        const floating = roots.filter(root => !pinned.has(root));
+        const { shifts } = this.arrange(floating.map(measure));
+        roots.filter(root => pinned.has(root)).forEach(measure);
+
+        // Level of every node below its tree's root, and where each level sits
+        const levels = new Map();
+        const depths = [];
+        const walk = (name, level) => {
+            levels.set(name, level);
+            depths[level] = Math.max(depths[level] || 0, thickness(name));
+            children.get(name).forEach(kid => walk(kid, level + 1));
+        };
+        roots.forEach(root => walk(root, 0));
+
+        const levelCentres = [];
+        depths.forEach((depth, level) => {
+            levelCentres[level] = level === 0
+                ? depth / 2
+                : levelCentres[level - 1] + depths[level - 1] / 2 + this.levelSpacing + depth / 2;
+        });
+
+        // Centres along the level (breadth) and down the levels (depth), from each root
+        const toPoint = (along, across) => (horizontal ? { x: across, y: -along } : { x: along, y: -across });
+        const place = (root, along, across, centres) => {
+            const visit = (name, position) => {
+                if (freeSet.has(name)) {
+                    centres.set(name, toPoint(position, across + levelCentres[levels.get(name)] - levelCentres[0]));
+                }
+                children.get(name).forEach(kid => visit(kid, position + offsets.get(kid)));
+            };
+            visit(root, along);
+        };
+
+        const attached = new Map();
+        for (const root of roots.filter(root => pinned.has(root))) {
+            const centre = pinned.get(root);
+            place(root, horizontal ? -centre.y : centre.x, horizontal ? centre.x : -centre.y, attached);
+        }
+
+        const block = new Map();
+        floating.forEach((root, index) => place(root, shifts[index], levelCentres[0], block));
+
+        this.placeBlock(nodes, block, [...pinned.values(), ...this.toBoxes(nodes, attached)]);
+        for (const [name, centre] of attached) {
+            this.placeCentre(nodes.get(name), centre.x, centre.y);
+        }
+
+        return [...block.keys(), ...attached.keys()];
+    }
+
+    /**
+     * Parent edges to add to the diagram, when the edges setting is on
+     * Pairs that already have an edge from the parent to the child are left alone
+     * @param {Map} nodes - Map of node name to node
+     * @param {Array} edgeRecords - Edge records read from the input files
+     * @returns {Array<Object>} Edge records from each parent to its children
+     */
+    createEdgeRecords(nodes, edgeRecords) {
+        if (!this.edges) {
+            return [];
+        }
+
+        const existing = new Set((edgeRecords || []).map(record => JSON.stringify([record?.from, record?.to])));
+        const records = [];
+
+        for (const name of nodes.keys()) {
+            const parent = TreeLayout.getParent(nodes, name);
+            if (!parent || parent === name || existing.has(JSON.stringify([parent, name]))) {
+                continue;
+            }
+
+            const record = { from: parent, to: name };
+            if (this.edgeStyle) {
+                record.style = String(this.edgeStyle);
+            }
+            records.push(record);
+        }
+
+        return records;
+    }
+
+    /**
+     * Children of each node and the roots of the trees to lay out
+     * Positioned nodes start trees of their own, and parent cycles are cut at their first node
+     */
+    buildForest(nodes, pinned) {
+        const cut = new Set(TreeLayout.findParentCycles(nodes).map(cycle => cycle[0]));
+        cut.forEach(name => console.warn(`Node '${name}' is in a parent cycle, placing it as a root`));
+
+        const children = new Map([...nodes.keys()].map(name => [name, []]));
+        const roots = [];
+
+        for (const name of nodes.keys()) {
+            const parent = TreeLayout.getParent(nodes, name);
+            if (parent && !cut.has(name) && !pinned.has(name)) {
+                children.get(parent).push(name);
+            } else {
+                roots.push(name);
+            }
+        }
+
+        return { roots, children };
+    }
+
+    /**
+     * Pack subtree outlines side by side, each as close to the previous ones as sibling_spacing allows
+     * @param {Array<Array<{left: number, right: number}>>} contours - Extent of each subtree on each level, relative to its root
+     * @returns {{shifts: Array<number>, contour: Array<{left: number, right: number}>}} Shift of each subtree and the combined outline
+     */
+    arrange(contours) {
+        const shifts = [];
+        const contour = [];
+
+        contours.forEach((outline, index) => {
+            let shift = 0;
+            if (index > 0) {
+                shift = -Infinity;
+                for (let level = 0; level < Math.min(contour.length, outline.length); level++) {
+                    shift = Math.max(shift, contour[level].right + this.siblingSpacing - outline[level].left);
+                }
+            }
+            shifts.push(shift);
+
+            outline.forEach((extent, level) => {
+                const left = extent.left + shift;
+                const right = extent.right + shift;
+                contour[level] = contour[level]
+                    ? { left: Math.min(contour[level].left, left), right: Math.max(contour[level].right, right) }
+                    : { left, right };
+            });
+        });
+
+        return { shifts, contour };
+    }
+
+    /**
+     * Move the free trees beside the fixed nodes, or to the origin if there are none
+     */
+    placeBlock(nodes, centres, fixedBoxes) {
+        if (centres.size === 0) {
+            return;
+        }
+
+        const block = Layout.getBounds(this.toBoxes(nodes, centres));
+        const fixed = Layout.getBounds(fixedBoxes);
+
+        let shiftX = -block.left;
+        let shiftY = -block.bottom;
+        if (fixed && this.direction === 'LR') {
+            shiftX = fixed.left - block.left;
+            shiftY = fixed.bottom - this.siblingSpacing - block.top;
+        } else if (fixed) {
+            shiftX = fixed.right + this.siblingSpacing - block.left;
+            shiftY = fixed.top - block.top;
+        }
+
+        for (const [name, centre] of centres) {
+            this.placeCentre(nodes.get(name), centre.x + shiftX, centre.y + shiftY);
+        }
+    }
+
+    toBoxes(nodes, centres) {
+        return [...centres].map(([name, centre]) => ({ ...this.getSize(nodes.get(name)), x: centre.x, y: centre.y }));
+    }
+
+    /**
+     * Name of a node's parent, if the parent exists
+     * @param {Map} nodes - Map of node name to node
+     * @param {string} name - Node name
+     * @returns {string|undefined} Parent name
+     */
+    static getParent(nodes, name) {
+        const parent = nodes.get(name)?.parent;
+        return parent !== undefined && parent !== null && nodes.has(String(parent)) ? String(parent) : undefined;
+    }
+
+    /**
+     * Chains of nodes whose parents lead back to themselves
+     * @param {Map} nodes - Map of node name to node
+     * @returns {Array<Array<string>>} Each cycle, starting from its first defined node
+     */
+    static findParentCycles(nodes) {
+        const order = new Map([...nodes.keys()].map((name, index) => [name, index]));
+        const walkedFrom = new Map();
+        const cycles = [];
+
+        for (const start of nodes.keys()) {
+            const path = [];
+            let current = start;
+            while (current !== undefined && !walkedFrom.has(current)) {
+                walkedFrom.set(current, start);
+                path.push(current);
+                current = this.getParent(nodes, current);
+            }
+
+            // Only a walk that runs into itself has found a new cycle
+            if (current !== undefined && walkedFrom.get(current) === start) {
+                const cycle = path.slice(path.indexOf(current));
+                const first = cycle.reduce((best, name, index) => (order.get(name) < order.get(cycle[best]) ? index : best), 0);
+                cycles.push([...cycle.slice(first), ...cycle.slice(0, first)]);
+            }
+        }
+
+        return cycles;
+    }
+}
+
+module.exports = TreeLayout;
@@ -0,0 +1,57 @@
+/**
+ * Helpers shared by the renderers that export diagram source for other tools,
+ * such as Mermaid and PlantUML, which refer to nodes by id and draw arrow tips
+ * as characters at the ends of a link
+ */
+class DiagramSourceUtilities {
+    /**
+     * Create unique ids from node names, usable as bare words in diagram source
+     * @param {Array} nodes - Nodes to create ids for
+     * @param {Array<string>} reserved - Lower case keywords of the target language, which get a trailing _
+     * @returns {Map} Map of node name to id
+     */
+    static createIds(nodes, reserved = []) {
+        const ids = new Map();
+        const used = new Set();
+
+        for (const node of nodes) {
+            let id = String(node.name).replace(/[^A-Za-z0-9_]/g, '_') || 'node';
+            if (reserved.includes(id.toLowerCase())) {
+                id = `${id}_`;
+            }
+
+            let uniqueId = id;
+            for (let i = 2; used.has(uniqueId); i++) {
+                uniqueId = `${id}_${i}`;
+            }
+
+            used.add(uniqueId);
+            ids.set(node.name, uniqueId);
+        }
+
+        return ids;
+    }
+
+    /**
+     * Map a TikZ arrow tip to a link end
+     * @param {string} arrow - Arrow tip from the edge
+     * @param {boolean} atStart - Whether the tip is at the start of the link
+     * @returns {string} Link end (o, x, < or >), or an empty string for no tip
+     */
+    static getArrowTip(arrow, atStart) {
+        if (!arrow || String(arrow).toLowerCase() === 'none') {
+            return '';
+        }
+
+        const tip = String(arrow).toLowerCase();
+        if (tip === 'o' || tip === 'circle') {
+            return 'o';
+        }
+        if (tip === 'x' || tip === 'cross') {
+            return 'x';
+        }
+        return atStart ? '<' : '>';
+    }
+}
+
+module.exports = DiagramSourceUtilities;
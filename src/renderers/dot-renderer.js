@@ -0,0 +1,251 @@
+const Renderer = require('./renderer');
+const { Direction } = require('../geometry/direction');
+const { PositionType } = require('../geometry/position');
+const fs = require('fs');
+const DotStyleHandler = require('../styles/dot-style-handler');
+
+const CENTIMETRES_PER_INCH = 2.54;
+
+/**
+ * Renders diagrams as Graphviz DOT files
+ *
+ * Nodes are pinned at their scaled positions (`pos="x,y!"`, in inches) with their
+ * scaled sizes, so the file can be laid out with plain `neato` or `fdp`, which read
+ * pinned positions in inches, or edited further in Graphviz tooling without losing the
+ * layout. `neato -n` reads pos in points instead and would crowd the nodes together.
+ * Common TikZ style values (fill, draw, text, line width, rounded corners, dash flags)
+ * become DOT attributes, and an optional `dot` style branch supplies raw DOT attributes.
+ * Edge waypoints are not exported; Graphviz routes edges between the pinned nodes.
+ */
+class DotRenderer extends Renderer {
+    constructor(options = {}) {
+        super(options);
+
+        this.log = this.verbose ? console.log.bind(console) : () => {};
+
+        // Initialize the style handler
+        this.styleHandler = new DotStyleHandler(options);
+
+        this.graphName = options.graphName || 'diagram';
+    }
+
+    getOutputPath(basePath) {
+        return `${basePath}.dot`;
+    }
+
+    async render(nodes, edges, outputPath, options = {}) {
+        const dotContent = this.draft(nodes, edges, options);
+
+        // Save the DOT content to a .dot file
+        const dotFilePath = this.getOutputPath(outputPath);
+        fs.writeFileSync(dotFilePath, dotContent, 'utf8');
+        this.log(`DOT saved to ${dotFilePath}`);
+
+        return dotContent;
+    }
+
+    draft(nodes, edges, options = {}) {
+        // Ensure we have arrays, even if empty
+        const safeNodes = Array.isArray(nodes) ? nodes : [];
+        const safeEdges = Array.isArray(edges) ? edges : [];
+
+        const lines = [
+            `digraph ${this.quote(this.graphName)} {`,
+            `    graph ${this.formatAttributes({ layout: 'neato', splines: 'true', outputorder: 'edgesfirst' })};`,
+            `    node ${this.formatAttributes({ fixedsize: 'true' })};`
+        ];
+
+        // Invisible corners of the whole drawing, so reveal steps line up and have the same size
+        if (options.bounds) {
+            lines.push(...this.draftBounds(options.bounds));
+        }
+        safeNodes.forEach(node => lines.push(...this.draftNode(node)));
+        safeEdges.forEach(edge => lines.push(...this.draftEdge(edge)));
+
+        lines.push('}');
+
+        return lines.join('\n') + '\n';
+    }
+
+    draftBounds(bounds) {
+        return [[bounds.left, bounds.bottom], [bounds.right, bounds.top]].map(([x, y], index) => {
+            const attributes = { pos: `${this.toInches(x)},${this.toInches(y)}!`, shape: 'point', style: 'invis', width: 0, height: 0 };
+            return `    ${this.quote(`__bounds_${index + 1}`)} ${this.formatAttributes(attributes)};`;
+        });
+    }
+
+    /**
+     * Whether a node is drawn, pinned at coordinates or left for Graphviz to place
+     */
+    isPlaced(node) {
+        return node?.position?.positionType === PositionType.NAMED || this.hasCoordinates(node);
+    }
+
+    draftNode(node) {
+        const attributes = {};
+
+        // 1. Geometry, converted from centimetres to inches
+        if (node.position?.positionType === PositionType.NAMED) {
+            console.warn(`Node '${node.name}' is positioned by name (${node.position.at}), which the DOT renderer cannot resolve`);
+        } else if (!this.hasCoordinates(node)) {
+            this.log(`Node '${node.name}' has no coordinate position, skipping`);
+            return [];
+        } else {
+            const x = this.toInches(node.position.xScaled);
+            const y = this.toInches(node.position.yScaled);
+            attributes.pos = `${x},${y}!`;
+        }
+        if (node.dimensions) {
+            attributes.width = this.toInches(node.dimensions.widthScaled);
+            attributes.height = this.toInches(node.dimensions.heightScaled);
+        }
+
+        // 2. Style from the style handler
+        const nodeProperties = node._dynamicProperties || [];
+        const style = this.styleHandler.getStyleBranchAndModify(node.style, 'node.object', nodeProperties);
+        const tikz = { ...(style.tikz || {}) };
+
+        // 3. Node-specific attributes from CSV
+        if (node.tikz_object_attributes) {
+            Object.assign(tikz, this.styleHandler.processAttributes(node.tikz_object_attributes).tikz);
+        }
+        if (node.fillcolor) {
+            tikz.fill = node.fillcolor;
+        }
+        if (node.edge_color) {
+            tikz.draw = node.edge_color;
+        }
+        if (node.textcolor) {
+            tikz.text = node.textcolor;
+        }
+
+        attributes.shape = this.styleHandler.resolveShape(node.shape || tikz.shape);
+        attributes.label = node.hide_label === true ? '' : (node.label || node.name);
+        if (node.label_above) {
+            attributes.xlabel = node.label_above;
+        } else if (node.label_below) {
+            attributes.xlabel = node.label_below;
+        }
+
+        Object.assign(attributes, this.styleHandler.tikzToDotAttributes(tikz), style.dot || {});
+
+        return [`    ${this.quote(node.name)} ${this.formatAttributes(attributes)};`];
+    }
+
+    draftEdge(edge) {
+        if (!edge.from || !edge.to) {
+            return [];
+        }
+        // DOT would add a node left out of the drawing back for its edges
+        if (!this.isPlaced(edge.from) || !this.isPlaced(edge.to)) {
+            return [];
+        }
+
+        const style = this.styleHandler.getStyleBranchAndModify(edge.style, 'edge.object');
+        const tikz = { ...(style.tikz || {}) };
+
+        if (edge.tikz_object_attributes) {
+            Object.assign(tikz, this.styleHandler.processAttributes(edge.tikz_object_attributes).tikz);
+        }
+        if (edge.color) {
+            tikz.draw = edge.color;
+        }
+        // Edges are never filled, and DOT only rounds node corners
+        delete tikz.fill;
+        delete tikz['rounded corners'];
+
+        const attributes = this.styleHandler.tikzToDotAttributes(tikz);
+
+        // Arrow heads: DOT draws the head at the target and the tail at the source
+        const head = this.styleHandler.resolveArrow(edge.end_arrow);
+        const tail = this.styleHandler.resolveArrow(edge.start_arrow);
+        if (head !== 'none' && tail !== 'none') {
+            Object.assign(attributes, { dir: 'both', arrowhead: head, arrowtail: tail });
+        } else if (head !== 'none') {
+            Object.assign(attributes, { dir: 'forward', arrowhead: head });
+        } else if (tail !== 'none') {
+            Object.assign(attributes, { dir: 'back', arrowtail: tail });
+        } else {
+            attributes.dir = 'none';
+        }
+
+        if (edge.label) {
+            attributes.label = edge.label;
+        }
+        if (edge.start_label) {
+            attributes.taillabel = edge.start_label;
+        }
+        if (edge.end_label) {
+            attributes.headlabel = edge.end_label;
+        }
+
+        const tailport = this.getCompassPort(edge.start_anchor);
+        if (tailport) {
+            attributes.tailport = tailport;
+        }
+        const headport = this.getCompassPort(edge.end_anchor);
+        if (headport) {
+            attributes.headport = headport;
+        }
+
+        Object.assign(attributes, style.dot || {});
+
+        const from = edge.from.name || edge.from_name;
+        const to = edge.to.name || edge.to_name;
+
+        return [`    ${this.quote(from)} -> ${this.quote(to)} ${this.formatAttributes(attributes)};`];
+    }
+
+    /**
+     * Convert a node anchor to a DOT compass point
+     * @param {string} anchor - Anchor name, e.g. "north east"
+     * @returns {string|null} Compass point such as "ne", or null for the centre
+     */
+    getCompassPort(anchor) {
+        if (!anchor) {
+            return null;
+        }
+
+        const vector = Direction.getVector(anchor);
+        if (!vector || (vector.x === 0 && vector.y === 0)) {
+            return null;
+        }
+
+        const vertical = vector.y > 0 ? 'n' : vector.y < 0 ? 's' : '';
+        const horizontal = vector.x > 0 ? 'e' : vector.x < 0 ? 'w' : '';
+        return vertical + horizontal;
+    }
+
+    toInches(centimetres) {
+        return this.formatNumber((parseFloat(centimetres) || 0) / CENTIMETRES_PER_INCH);
+    }
+
+    formatNumber(value) {
+        return Math.round(value * 10000) / 10000;
+    }
+
+    formatAttributes(attributes) {
+        const parts = Object.entries(attributes)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([key, value]) => `${key}=${this.quote(value)}`);
+
+        return `[${parts.join(', ')}]`;
+    }
+
+    /**
+     * Quote a DOT identifier or attribute value
+     * Newlines become DOT's centred line break
+     * @param {*} value - Value to quote
+     * @returns {string} Quoted string
+     */
+    quote(value) {
+        const escaped = String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/"/g, '\\"')
+            .replace(/\r?\n/g, '\\n');
+
+        return `"${escaped}"`;
+    }
+}
+
+module.exports = DotRenderer;
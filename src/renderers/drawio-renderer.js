@@ -0,0 +1,434 @@
+const Renderer = require('./renderer');
+const { Direction } = require('../geometry/direction');
+const { BoundingBox } = require('../geometry/bounding-box');
+const { PositionType } = require('../geometry/position');
+const Container = require('../geometry/container');
+const fs = require('fs');
+const DrawioStyleHandler = require('../styles/drawio-style-handler');
+
+// draw.io works in screen pixels at 96 dpi
+const PIXELS_PER_CENTIMETRE = 96 / 2.54;
+
+// draw.io shape styles for TikZ shapes
+const SHAPES = {
+    rectangle: 'rounded=0',
+    circle: 'ellipse;aspect=fixed',
+    ellipse: 'ellipse',
+    diamond: 'rhombus'
+};
+
+// draw.io arrow styles for TikZ arrow tips, as [arrow, filled]
+const ARROWS = {
+    '>': ['classic', 1],
+    'latex': ['block', 1],
+    'stealth': ['block', 1],
+    'triangle': ['block', 1],
+    'circle': ['oval', 1],
+    'o': ['oval', 0],
+    'diamond': ['diamond', 1],
+    'bar': ['dash', 1],
+    '|': ['dash', 1]
+};
+
+/**
+ * Renders diagrams as draw.io (diagrams.net) files
+ *
+ * Every node becomes a vertex mxCell with the exact scaled geometry, converted from
+ * centimetres to draw.io pixels with the y axis flipped. Edges keep their anchors as
+ * exit/entry constraints and their waypoints as mxPoints; edges with control points
+ * are drawn curved, using the control points as the curve's points.
+ * An optional `drawio` style branch supplies raw draw.io style entries.
+ */
+class DrawioRenderer extends Renderer {
+    constructor(options = {}) {
+        super(options);
+
+        this.log = this.verbose ? console.log.bind(console) : () => {};
+
+        // Initialize the style handler
+        this.styleHandler = new DrawioStyleHandler(options);
+
+        this.pixelsPerCentimetre = options.pixelsPerCentimetre || PIXELS_PER_CENTIMETRE;
+    }
+
+    getOutputPath(basePath) {
+        return `${basePath}.drawio`;
+    }
+
+    async render(nodes, edges, outputPath, options = {}) {
+        const content = this.draft(nodes, edges, options);
+
+        // Save the XML to a .drawio file
+        const filePath = this.getOutputPath(outputPath);
+        fs.writeFileSync(filePath, content, 'utf8');
+        this.log(`draw.io diagram saved to ${filePath}`);
+
+        return content;
+    }
+
+    draft(nodes, edges, options = {}) {
+        // Ensure we have arrays, even if empty
+        const safeNodes = Array.isArray(nodes) ? nodes : [];
+        const safeEdges = Array.isArray(edges) ? edges : [];
+
+        // Cell ids of drawn nodes, used as edge sources and targets
+        this.nodeIds = new Map();
+
+        const cells = [
+            '<mxCell id="0"/>',
+            '<mxCell id="1" parent="0"/>'
+        ];
+
+        // A blank locked cell over the whole drawing, so reveal steps line up and have the same size
+        if (options.bounds) {
+            cells.push(...this.draftBounds(options.bounds));
+        }
+
+        safeNodes.forEach(node => cells.push(...this.draftNode(node)));
+        safeEdges.forEach((edge, index) => cells.push(...this.draftEdge(edge, `edge-${index + 1}`)));
+
+        const gridSize = options.grid && typeof options.grid === 'number'
+            ? Math.round(options.grid * this.pixelsPerCentimetre)
+            : 10;
+
+        return [
+            '<mxfile host="boxesandarrows">',
+            '  <diagram id="diagram" name="Page-1">',
+            `    <mxGraphModel${this.formatAttributes({ grid: 1, gridSize, guides: 1, page: 0 })}>`,
+            '      <root>',
+            ...cells.map(cell => `        ${cell}`),
+            '      </root>',
+            '    </mxGraphModel>',
+            '  </diagram>',
+            '</mxfile>',
+            ''
+        ].join('\n');
+    }
+
+    draftBounds(bounds) {
+        const geometry = {
+            x: this.toPixels(bounds.left),
+            y: this.toPixels(-bounds.top),
+            width: this.toPixels(bounds.right - bounds.left),
+            height: this.toPixels(bounds.top - bounds.bottom),
+            as: 'geometry'
+        };
+        const style = { fillColor: 'none', strokeColor: 'none', locked: 1 };
+
+        return [
+            `<mxCell${this.formatAttributes({ id: 'bounds', value: '', style: this.formatStyle(style), vertex: 1, parent: 1 })}>` +
+            `<mxGeometry${this.formatAttributes(geometry)}/>` +
+            '</mxCell>'
+        ];
+    }
+
+    draftNode(node) {
+        if (node.position?.positionType === PositionType.NAMED) {
+            console.warn(`Node '${node.name}' is positioned by name (${node.position.at}), which the draw.io renderer cannot resolve`);
+            return [];
+        }
+        if (!this.hasCoordinates(node)) {
+            this.log(`Node '${node.name}' has no coordinate position, skipping`);
+            return [];
+        }
+
+        const boxResult = BoundingBox.fromNode(node);
+        if (!boxResult.success) {
+            this.log(`Node '${node.name}' has no size, skipping`);
+            return [];
+        }
+        const box = boxResult.boundingBox;
+
+        // 1. Start with the style from the style handler
+        const nodeProperties = node._dynamicProperties || [];
+        const style = this.styleHandler.getStyleBranchAndModify(node.style, 'node.object', nodeProperties);
+        const tikz = { ...(style.tikz || {}) };
+
+        // 2. Apply node-specific attributes from CSV
+        if (node.tikz_object_attributes) {
+            Object.assign(tikz, this.styleHandler.processAttributes(node.tikz_object_attributes).tikz);
+        }
+        if (node.fillcolor) {
+            tikz.fill = node.fillcolor;
+        }
+        if (node.edge_color) {
+            tikz.draw = node.edge_color;
+        }
+        if (node.textcolor) {
+            tikz.text = node.textcolor;
+        }
+
+        const shape = String(node.shape || tikz.shape || 'rectangle').toLowerCase();
+        const styleEntries = {
+            ...this.getShapeStyle(shape, tikz),
+            whiteSpace: 'wrap',
+            html: 1,
+            ...this.getColorStyle(tikz),
+            ...this.getLabelCornerStyle(node),
+            ...(style.drawio || {})
+        };
+
+        const id = `node-${node.name}`;
+        this.nodeIds.set(node, id);
+
+        const label = node.hide_label === true ? '' : (node.label || node.name);
+        const geometry = {
+            x: this.toPixels(box.left),
+            y: this.toPixels(-box.top),
+            width: this.toPixels(box.width),
+            height: this.toPixels(box.height),
+            as: 'geometry'
+        };
+
+        // The node name is kept as a cell property, so the file can be read back
+        return [
+            `<UserObject${this.formatAttributes({ label: this.toHtml(label), name: node.name, id })}>` +
+            `<mxCell${this.formatAttributes({ style: this.formatStyle(styleEntries), vertex: 1, parent: 1 })}>` +
+            `<mxGeometry${this.formatAttributes(geometry)}/></mxCell></UserObject>`
+        ];
+    }
+
+    /**
+     * Label alignment for a node with a label_corner, such as top left for north west
+     */
+    getLabelCornerStyle(node) {
+        const corner = Container.getLabelCorner(node);
+        if (!corner) {
+            return {};
+        }
+
+        const { x, y } = corner.vector;
+        return {
+            align: x < 0 ? 'left' : (x > 0 ? 'right' : 'center'),
+            verticalAlign: y > 0 ? 'top' : (y < 0 ? 'bottom' : 'middle'),
+            spacingLeft: 4,
+            spacingRight: 4
+        };
+    }
+
+    draftEdge(edge, id) {
+        const source = this.nodeIds.get(edge.from);
+        const target = this.nodeIds.get(edge.to);
+        if (!source || !target) {
+            return [];
+        }
+
+        const style = this.styleHandler.getStyleBranchAndModify(edge.style, 'edge.object');
+        const tikz = { ...(style.tikz || {}) };
+
+        if (edge.tikz_object_attributes) {
+            Object.assign(tikz, this.styleHandler.processAttributes(edge.tikz_object_attributes).tikz);
+        }
+        if (edge.color) {
+            tikz.draw = edge.color;
+        }
+        // Edges are never filled
+        delete tikz.fill;
+
+        const points = this.getEdgePoints(edge);
+        const styleEntries = {
+            html: 1,
+            ...this.getArrowStyle('end', edge.end_arrow),
+            ...this.getArrowStyle('start', edge.start_arrow),
+            ...this.getAnchorStyle('exit', edge.start_anchor),
+            ...this.getAnchorStyle('entry', edge.end_anchor),
+            ...(points.some(point => point.isControl) ? { curved: 1 } : {}),
+            ...this.getColorStyle(tikz),
+            ...(style.drawio || {})
+        };
+        if (!styleEntries.strokeColor) {
+            styleEntries.strokeColor = '#000000';
+        }
+
+        const pointElements = points.map(point =>
+            `<mxPoint${this.formatAttributes({ x: this.toPixels(point.x), y: this.toPixels(-point.y) })}/>`
+        );
+        const geometry = pointElements.length > 0
+            ? `<mxGeometry relative="1" as="geometry"><Array as="points">${pointElements.join('')}</Array></mxGeometry>`
+            : '<mxGeometry relative="1" as="geometry"/>';
+
+        const cells = [
+            `<mxCell${this.formatAttributes({ id, value: this.toHtml(edge.label || ''), style: this.formatStyle(styleEntries), edge: 1, parent: 1, source, target })}>` +
+            `${geometry}</mxCell>`
+        ];
+
+        // Start and end labels are child cells placed along the edge
+        const endLabels = [
+            { text: edge.start_label, x: -0.8, suffix: 'start' },
+            { text: edge.end_label, x: 0.8, suffix: 'end' }
+        ];
+        for (const label of endLabels) {
+            if (!label.text) continue;
+
+            cells.push(
+                `<mxCell${this.formatAttributes({ id: `${id}-${label.suffix}`, value: this.toHtml(label.text), style: 'edgeLabel;html=1;align=center;verticalAlign=middle;resizable=0;', vertex: 1, connectable: 0, parent: id })}>` +
+                `<mxGeometry${this.formatAttributes({ x: label.x, relative: 1, as: 'geometry' })}><mxPoint as="offset"/></mxGeometry></mxCell>`
+            );
+        }
+
+        return cells;
+    }
+
+    /**
+     * Get the intermediate points of an edge, in order, with their control point flags
+     * Without waypoints, '|-' and '-|' edges get their corner as a point.
+     * Routed edges also keep their ends, so they meet the nodes where the route does.
+     * @param {Object} edge - Processed edge
+     * @returns {Array} Points with x, y and isControl
+     */
+    getEdgePoints(edge) {
+        const waypoints = edge.waypoints || [];
+        if (edge.route === 'orthogonal' && edge.start && edge.end) {
+            return [edge.start, ...waypoints, edge.end].map(point => ({ x: point.x, y: point.y, isControl: !!point.isControl }));
+        }
+        if (waypoints.length > 0) {
+            return waypoints.map(wp => ({ x: wp.x, y: wp.y, isControl: !!wp.isControl }));
+        }
+
+        if (edge.start && edge.end) {
+            if (edge.path_type === '|-') {
+                return [{ x: edge.start.x, y: edge.end.y, isControl: false }];
+            }
+            if (edge.path_type === '-|') {
+                return [{ x: edge.end.x, y: edge.start.y, isControl: false }];
+            }
+        }
+
+        return [];
+    }
+
+    /**
+     * Get the draw.io connection constraint for an anchor
+     * @param {string} prefix - 'exit' for the source, 'entry' for the target
+     * @param {string} anchor - Anchor name, e.g. "north east"
+     * @returns {Object} Style entries, empty for the centre or no anchor
+     */
+    getAnchorStyle(prefix, anchor) {
+        if (!anchor) {
+            return {};
+        }
+
+        const vector = Direction.getVector(anchor, false, false);
+        if (!vector || (vector.x === 0 && vector.y === 0)) {
+            return {};
+        }
+
+        return {
+            [`${prefix}X`]: (vector.x + 1) / 2,
+            [`${prefix}Y`]: (1 - vector.y) / 2,
+            [`${prefix}Dx`]: 0,
+            [`${prefix}Dy`]: 0
+        };
+    }
+
+    getArrowStyle(end, arrow) {
+        if (!arrow || String(arrow).toLowerCase() === 'none') {
+            return { [`${end}Arrow`]: 'none' };
+        }
+
+        const [type, filled] = ARROWS[String(arrow).toLowerCase()] || ARROWS['>'];
+        return {
+            [`${end}Arrow`]: type,
+            [`${end}Fill`]: filled
+        };
+    }
+
+    getShapeStyle(shape, tikz) {
+        const entries = {};
+        (SHAPES[shape] || SHAPES.rectangle).split(';').forEach(entry => {
+            const [key, value] = entry.split('=');
+            entries[key] = value === undefined ? '' : value;
+        });
+
+        if (entries.rounded !== undefined && tikz['rounded corners']) {
+            const radius = this.styleHandler.parseLength(tikz['rounded corners'] === true ? '4pt' : tikz['rounded corners']);
+            entries.rounded = 1;
+            entries.absoluteArcSize = 1;
+            entries.arcSize = this.toPixels(radius * 2);
+        }
+
+        return entries;
+    }
+
+    /**
+     * Translate TikZ colour, line width and dash attributes into draw.io style entries
+     * @param {Object} tikz - TikZ style attributes
+     * @returns {Object} Style entries
+     */
+    getColorStyle(tikz) {
+        const entries = {};
+
+        const colors = [
+            ['fill', 'fillColor', 'fillOpacity'],
+            ['draw', 'strokeColor', 'strokeOpacity'],
+            ['text', 'fontColor', 'textOpacity']
+        ];
+        for (const [key, colorKey, opacityKey] of colors) {
+            const color = this.styleHandler.resolveColor(tikz[key]);
+            if (!color) continue;
+
+            entries[colorKey] = color.color;
+            if (color.opacity < 1) {
+                entries[opacityKey] = Math.round(color.opacity * 100);
+            }
+        }
+
+        if (tikz['line width'] !== undefined) {
+            entries.strokeWidth = this.toPixels(this.styleHandler.parseLength(tikz['line width']));
+        }
+
+        if (Object.keys(tikz).some(key => /dashed|dotted/.test(key) && tikz[key] === true)) {
+            entries.dashed = 1;
+            if (Object.keys(tikz).some(key => /dotted/.test(key))) {
+                entries.dashPattern = '1 2';
+            }
+        }
+
+        return entries;
+    }
+
+    toPixels(centimetres) {
+        return this.formatNumber((parseFloat(centimetres) || 0) * this.pixelsPerCentimetre);
+    }
+
+    formatNumber(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    formatStyle(entries) {
+        return Object.entries(entries)
+            .map(([key, value]) => (value === '' ? key : `${key}=${value}`))
+            .join(';') + ';';
+    }
+
+    formatAttributes(attributes) {
+        return Object.entries(attributes)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([key, value]) => ` ${key}="${this.escapeXml(value)}"`)
+            .join('');
+    }
+
+    /**
+     * Convert label text to the HTML draw.io shows for html=1 cells
+     * LaTeX line breaks (\\) and newlines become <br>
+     */
+    toHtml(text) {
+        return String(text)
+            .split(/\r?\n|\\\\/)
+            .map(line => line
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;'))
+            .join('<br>');
+    }
+
+    escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+module.exports = DrawioRenderer;
@@ -6,6 +6,7 @@ const fs = require('fs');
 const path = require('path');
 const LatexStyleHandler = require('../styles/latex-style-handler');
 const { BoundingBox } = require('../geometry/bounding-box');
+const Container = require('../geometry/container');
 //const { canConvertPositionToCoordinates } = require('../io/readers/relative-node-processor');
 const { Position, PositionType } = require('../geometry/position');
 const LatexUtilities = require('./latex-utilities');
@@ -60,18 +61,12 @@ class LatexRenderer extends Renderer {
         };
     }
 
-    async render(nodes, edges, outputPath, options = {}) {
-
-        // Reset all state to initial values
-        this.initializeState({ 
-            verbose: this.verbose, 
-            useColor: this.useColor 
-        });
+    getOutputPath(basePath) {
+        return `${basePath}.pdf`;
+    }
 
-        let content = this.draft(nodes, edges, options);
-        
-        // Generate the complete LaTeX content
-        const latexContent = this.formatLatexContent(content);
+    async render(nodes, edges, outputPath, options = {}) {
+        const latexContent = this.renderToString(nodes, edges, options);
 
         // Save the LaTeX content to a .tex file
         const texFilePath = `${outputPath}.tex`;
@@ -82,6 +77,49 @@ class LatexRenderer extends Renderer {
         await LatexFileUtilities.compileToPdf(texFilePath, options);
         this.log(`PDF generated at ${outputPath}.pdf`);
     }
+
+    /**
+     * Render the reveal steps as the pages of one PDF, one tikzpicture per page
+     * Bounds carry over from one step to the next and the last step draws everything,
+     * so every page shares the bounding box of the whole diagram
+     */
+    async renderSteps(frames, outputPath, options = {}) {
+        this.initializeState({
+            verbose: this.verbose,
+            useColor: this.useColor
+        });
+
+        const pages = frames.map(frame => this.draft(frame.nodes, frame.edges, options));
+        const latexContent = this.formatLatexContent(pages[pages.length - 1], pages);
+
+        const texFilePath = `${outputPath}.tex`;
+        fs.writeFileSync(texFilePath, latexContent, 'utf8');
+        this.log(`LaTeX source with ${pages.length} steps saved to ${texFilePath}`);
+
+        await LatexFileUtilities.compileToPdf(texFilePath, options);
+        this.log(`PDF generated at ${outputPath}.pdf`);
+    }
+
+    getStepOutputPaths(basePath, count) {
+        return [this.getOutputPath(basePath)];
+    }
+
+    /**
+     * Render the complete LaTeX document without writing or compiling it
+     * @returns {string} LaTeX source
+     */
+    renderToString(nodes, edges, options = {}) {
+        // Reset all state to initial values
+        this.initializeState({ 
+            verbose: this.verbose, 
+            useColor: this.useColor 
+        });
+
+        const content = this.draft(nodes, edges, options);
+        
+        // Generate the complete LaTeX content
+        return this.formatLatexContent(content);
+    }
         
 
     
@@ -141,6 +179,10 @@ class LatexRenderer extends Renderer {
 
     // Core rendering methods
     draftNode(node) {
+        if (!this.isPlaced(node)) {
+            this.log(`Node '${node.name}' has no coordinate position, skipping`);
+            return;
+        }
 
         // POSITION
         // calculate position
@@ -239,6 +281,14 @@ class LatexRenderer extends Renderer {
         if (node.label_below) {
             styleStr += (styleStr.length > 0 ? ',' : '') + `label=below:{${this.escapeLaTeX(node.label_below)}}`;
         }
+
+        // A label in a corner is drawn inside the node at that corner instead of in the middle
+        const labelCorner = Container.getLabelCorner(node);
+        if (labelCorner && node.hide_label !== true) {
+            const corner = labelCorner.name;
+            styleStr += (styleStr.length > 0 ? ',' : '') + `label={[anchor=${corner}]${corner}:{${this.escapeLaTeX(node.label || node.name)}}}`;
+        }
+        const hideLabel = node.hide_label === true || labelCorner !== null;
         
         // Handle position_of with offsets
         if (hasPositionShift) {
@@ -249,7 +299,7 @@ class LatexRenderer extends Renderer {
             const shifts = [xShift, yShift].filter(Boolean).join(', ');
             
             // Check if the node should not display a label
-            if (node.hide_label === true) {
+            if (hideLabel) {
                 output += `\\node[${styleStr}] (${nodeId}) at ${pos} [${shifts}] {};`;
             } else {
                 // Get text style and apply formatting
@@ -289,7 +339,7 @@ class LatexRenderer extends Renderer {
             }
         } else {
             // Check if the node should not display a label
-            if (node.hide_label === true) {
+            if (hideLabel) {
                 output += `\\node[${styleStr}] (${nodeId}) at ${pos} {};`;
             } else {
                 // Get text style and apply formatting
@@ -332,8 +382,19 @@ class LatexRenderer extends Renderer {
         node.rendered_output = output;
     }
 
+    /**
+     * Whether a node is drawn, at coordinates or at a position TikZ resolves by name
+     */
+    isPlaced(node) {
+        return node?.position?.positionType === PositionType.NAMED || this.hasCoordinates(node);
+    }
+
     draftEdge(edge) {
-        
+        // TikZ cannot refer to a node left out of the drawing
+        if (!this.isPlaced(edge.from) || !this.isPlaced(edge.to)) {
+            return;
+        }
+
         // Track edge bounds
         this.updateBounds(edge.start.x, edge.start.y);
         this.updateBounds(edge.end.x, edge.end.y);
@@ -535,7 +596,14 @@ class LatexRenderer extends Renderer {
         return this.generateTikzOptions(style);
     }
 
-    formatLatexContent(content) {
+    /**
+     * Wrap drawn content in the document template
+     * @param {Array<string>} content - Drawn content
+     * @param {Array<Array<string>>|null} pages - Content of each page for a stepped document,
+     *   each page gets its own tikzpicture with the same bounding box
+     * @returns {string} LaTeX document
+     */
+    formatLatexContent(content, pages = null) {
         // Get color definitions from the style handler
         const colorDefinitions = this.styleHandler.getColorDefinitions().join('\n');
 
@@ -568,10 +636,24 @@ class LatexRenderer extends Renderer {
             }
         }
 
-        const body = content.join('\n');
+        let body = content.join('\n');
         
         // Use footer template and replace the post boilerplate tag
         const footer = this.footerTemplate.replace(/{{INCLUDE_POST_BOILERPLATE}}/g, this.postBoilerplateContent);
+
+        // Put each step in a tikzpicture of its own, which standalone's multi option makes a page
+        if (pages && pages.length > 1) {
+            const pageBreak = [
+                this.postBoilerplateContent,
+                '\\end{tikzpicture}',
+                '\\begin{tikzpicture}',
+                `\\useasboundingbox (${boxMinX},${boxMinY}) rectangle (${boxMaxX},${boxMaxY});`,
+                this.preBoilerplateContent
+            ].join('\n');
+            body = pages.map(page => page.join('\n')).join(`\n${pageBreak}\n`);
+            header = header.replace(/\\documentclass(?:\[([^\]]*)\])?\{standalone\}/, (match, classOptions) =>
+                `\\documentclass[${classOptions ? `${classOptions},` : ''}multi=tikzpicture]{standalone}`);
+        }
         
         return `${header}\n${body}\n${footer}`;
     }
@@ -0,0 +1,138 @@
+const Renderer = require('./renderer');
+const fs = require('fs');
+const DiagramSourceUtilities = require('./diagram-source-utilities');
+const MermaidStyleHandler = require('../styles/mermaid-style-handler');
+
+// Opening and closing brackets of the Mermaid flowchart shapes
+const SHAPES = {
+    rectangle: ['[', ']'],
+    circle: ['((', '))'],
+    ellipse: ['((', '))'],
+    diamond: ['{', '}']
+};
+
+// Mermaid words that cannot be used as node ids
+const RESERVED_IDS = ['end', 'graph', 'flowchart', 'subgraph', 'style', 'class', 'classdef', 'click', 'linkstyle'];
+
+/**
+ * Exports diagrams as Mermaid flowchart source
+ *
+ * Mermaid lays out the flowchart itself, so positions and sizes are dropped.
+ * Node shapes map to the native rectangle, circle and diamond shapes, and edge
+ * labels, arrow heads and dashed or dotted lines carry over.
+ */
+class MermaidRenderer extends Renderer {
+    constructor(options = {}) {
+        super(options);
+
+        this.log = this.verbose ? console.log.bind(console) : () => {};
+
+        // Initialize the style handler
+        this.styleHandler = new MermaidStyleHandler(options);
+
+        this.direction = options.direction || 'TB';
+    }
+
+    getOutputPath(basePath) {
+        return `${basePath}.mmd`;
+    }
+
+    async render(nodes, edges, outputPath, options = {}) {
+        const content = this.draft(nodes, edges, options);
+
+        // Save the Mermaid source to a .mmd file
+        const filePath = this.getOutputPath(outputPath);
+        fs.writeFileSync(filePath, content, 'utf8');
+        this.log(`Mermaid saved to ${filePath}`);
+
+        return content;
+    }
+
+    draft(nodes, edges, options = {}) {
+        // Ensure we have arrays, even if empty
+        const safeNodes = Array.isArray(nodes) ? nodes : [];
+        const safeEdges = Array.isArray(edges) ? edges : [];
+
+        const ids = this.createIds(safeNodes);
+        const lines = [`flowchart ${this.direction}`];
+
+        safeNodes.forEach(node => lines.push(this.draftNode(node, ids.get(node.name))));
+        safeEdges.forEach(edge => {
+            const line = this.draftEdge(edge, ids);
+            if (line) {
+                lines.push(line);
+            }
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    draftNode(node, id) {
+        const style = this.styleHandler.getStyleBranchAndModify(node.style, 'node.object', node._dynamicProperties || []);
+        const shape = String(node.shape || style.tikz?.shape || 'rectangle').toLowerCase();
+        const [open, close] = SHAPES[shape] || SHAPES.rectangle;
+
+        const label = node.hide_label === true ? ' ' : (node.label || node.name);
+
+        return `    ${id}${open}"${this.escapeLabel(label)}"${close}`;
+    }
+
+    draftEdge(edge, ids) {
+        let from = ids.get(edge.from?.name);
+        let to = ids.get(edge.to?.name);
+        if (!from || !to) {
+            return null;
+        }
+
+        const style = this.styleHandler.getStyleBranchAndModify(edge.style, 'edge.object');
+        const tikz = { ...(style.tikz || {}) };
+        if (edge.tikz_object_attributes) {
+            // Only flags such as "dashed" matter here
+            edge.tikz_object_attributes.split(',')
+                .map(attr => attr.trim())
+                .filter(attr => attr && !attr.includes('='))
+                .forEach(flag => {
+                    tikz[flag] = true;
+                });
+        }
+        const isDashed = Object.keys(tikz).some(key => /dashed|dotted/.test(key) && tikz[key] === true);
+
+        let startTip = DiagramSourceUtilities.getArrowTip(edge.start_arrow, true);
+        let endTip = DiagramSourceUtilities.getArrowTip(edge.end_arrow, false);
+
+        // Mermaid has no start-only arrow, so point the edge the other way
+        if (startTip && !endTip) {
+            [from, to] = [to, from];
+            endTip = DiagramSourceUtilities.getArrowTip(edge.start_arrow, false);
+            startTip = '';
+        }
+
+        let link;
+        if (isDashed) {
+            link = `${startTip}-.${endTip ? '-' + endTip : '-'}`;
+        } else {
+            link = `${startTip}--${endTip || '-'}`;
+        }
+
+        const label = edge.label ? `|"${this.escapeLabel(edge.label)}"|` : '';
+
+        return `    ${from} ${link}${label} ${to}`;
+    }
+
+    /**
+     * Create unique Mermaid ids from node names
+     * @param {Array} nodes - Nodes to create ids for
+     * @returns {Map} Map of node name to id
+     */
+    createIds(nodes) {
+        return DiagramSourceUtilities.createIds(nodes, RESERVED_IDS);
+    }
+
+    escapeLabel(text) {
+        return String(text)
+            .replace(/"/g, '#quot;')
+            .replace(/\r?\n|\\\\/g, '<br/>');
+    }
+}
+
+module.exports = MermaidRenderer;
@@ -0,0 +1,136 @@
+const Renderer = require('./renderer');
+const fs = require('fs');
+const DiagramSourceUtilities = require('./diagram-source-utilities');
+const PlantUmlStyleHandler = require('../styles/plantuml-style-handler');
+
+// PlantUML component diagram elements for TikZ shapes
+// Component diagrams have no diamond element, hexagon is the closest
+const ELEMENTS = {
+    rectangle: 'rectangle',
+    circle: 'circle',
+    ellipse: 'circle',
+    diamond: 'hexagon'
+};
+
+// PlantUML words that start a statement, so a link line starting with one as an alias would be misread
+const RESERVED_IDS = [
+    'as', 'end', 'note', 'legend', 'title', 'header', 'footer', 'skinparam', 'hide', 'show', 'remove',
+    'together', 'package', 'node', 'folder', 'frame', 'cloud', 'database', 'component', 'interface',
+    'rectangle', 'circle', 'hexagon', 'actor', 'usecase', 'left', 'top'
+];
+
+/**
+ * Exports diagrams as PlantUML component diagram source
+ *
+ * PlantUML lays out the diagram itself, so positions and sizes are dropped.
+ * Node shapes map to native elements, and edge labels, arrow heads and
+ * dashed or dotted lines carry over.
+ */
+class PlantUmlRenderer extends Renderer {
+    constructor(options = {}) {
+        super(options);
+
+        this.log = this.verbose ? console.log.bind(console) : () => {};
+
+        // Initialize the style handler
+        this.styleHandler = new PlantUmlStyleHandler(options);
+
+        this.direction = options.direction || 'TB';
+    }
+
+    getOutputPath(basePath) {
+        return `${basePath}.puml`;
+    }
+
+    async render(nodes, edges, outputPath, options = {}) {
+        const content = this.draft(nodes, edges, options);
+
+        // Save the PlantUML source to a .puml file
+        const filePath = this.getOutputPath(outputPath);
+        fs.writeFileSync(filePath, content, 'utf8');
+        this.log(`PlantUML saved to ${filePath}`);
+
+        return content;
+    }
+
+    draft(nodes, edges, options = {}) {
+        // Ensure we have arrays, even if empty
+        const safeNodes = Array.isArray(nodes) ? nodes : [];
+        const safeEdges = Array.isArray(edges) ? edges : [];
+
+        const ids = this.createIds(safeNodes);
+        const lines = ['@startuml'];
+
+        if (this.direction === 'LR') {
+            lines.push('left to right direction');
+        }
+
+        safeNodes.forEach(node => lines.push(this.draftNode(node, ids.get(node.name))));
+        safeEdges.forEach(edge => {
+            const line = this.draftEdge(edge, ids);
+            if (line) {
+                lines.push(line);
+            }
+        });
+
+        lines.push('@enduml');
+
+        return lines.join('\n') + '\n';
+    }
+
+    draftNode(node, id) {
+        const style = this.styleHandler.getStyleBranchAndModify(node.style, 'node.object', node._dynamicProperties || []);
+        const shape = String(node.shape || style.tikz?.shape || 'rectangle').toLowerCase();
+        const element = ELEMENTS[shape] || ELEMENTS.rectangle;
+
+        const label = node.hide_label === true ? ' ' : (node.label || node.name);
+
+        return `${element} "${this.escapeLabel(label)}" as ${id}`;
+    }
+
+    draftEdge(edge, ids) {
+        const from = ids.get(edge.from?.name);
+        const to = ids.get(edge.to?.name);
+        if (!from || !to) {
+            return null;
+        }
+
+        const style = this.styleHandler.getStyleBranchAndModify(edge.style, 'edge.object');
+        const tikz = { ...(style.tikz || {}) };
+        if (edge.tikz_object_attributes) {
+            // Only flags such as "dashed" matter here
+            edge.tikz_object_attributes.split(',')
+                .map(attr => attr.trim())
+                .filter(attr => attr && !attr.includes('='))
+                .forEach(flag => {
+                    tikz[flag] = true;
+                });
+        }
+        const isDashed = Object.keys(tikz).some(key => /dashed|dotted/.test(key) && tikz[key] === true);
+
+        const body = isDashed ? '..' : '--';
+        const startTip = DiagramSourceUtilities.getArrowTip(edge.start_arrow, true);
+        const endTip = DiagramSourceUtilities.getArrowTip(edge.end_arrow, false);
+        const link = `${startTip}${body}${endTip}`;
+        const label = edge.label ? ` : ${this.escapeLabel(edge.label)}` : '';
+
+        return `${from} ${link} ${to}${label}`;
+    }
+
+    /**
+     * Create unique PlantUML aliases from node names
+     * @param {Array} nodes - Nodes to create aliases for
+     * @returns {Map} Map of node name to alias
+     */
+    createIds(nodes) {
+        return DiagramSourceUtilities.createIds(nodes, RESERVED_IDS);
+    }
+
+    escapeLabel(text) {
+        return String(text)
+            .replace(/"/g, '<U+0022>')
+            .replace(/\r?\n|\\\\/g, '\\n');
+    }
+}
+
+module.exports = PlantUmlRenderer;
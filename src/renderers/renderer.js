@@ -1,3 +1,6 @@
+const { Direction } = require('../geometry/direction');
+const { BoundingBox } = require('../geometry/bounding-box');
+
 class Renderer {
     constructor(options = {}) {
         this.verbose = options.verbose || false;
@@ -21,8 +24,76 @@ class Renderer {
         throw new Error('render must be implemented by renderer');
     }
 
+    /**
+     * Render the diagram without writing it to disk
+     * Renderers that produce a complete document from draft can use this as is
+     * @returns {string} Rendered diagram
+     */
+    renderToString(nodes, edges, options = {}) {
+        return this.draft(nodes, edges, options);
+    }
+
+    /**
+     * Render one output per reveal step, numbered after the base path
+     * such as diagram-1.svg and diagram-2.svg. Every step gets the bounds of the
+     * last, complete one as options.bounds, so the steps line up and have the same size
+     * @param {Array<{nodes: Array, edges: Array}>} frames - What is drawn at each step, see RevealSteps
+     * @param {string} outputPath - Base output path, without extension
+     * @param {Object} options - Render options
+     * @returns {Promise<Array>} Result of each render
+     */
+    async renderSteps(frames, outputPath, options = {}) {
+        const last = frames[frames.length - 1];
+        const { boundingBox: bounds } = BoundingBox.fromNodes(last.nodes);
+        const results = [];
+        for (const [index, frame] of frames.entries()) {
+            results.push(await this.render(frame.nodes, frame.edges, `${outputPath}-${index + 1}`, { ...options, bounds }));
+        }
+        return results;
+    }
+
+    /**
+     * Files written by renderSteps
+     * @param {string} basePath - Base output path, without extension
+     * @param {number} count - Number of steps
+     * @returns {Array<string>} Output paths
+     */
+    getStepOutputPaths(basePath, count) {
+        return Array.from({ length: count }, (_, index) => this.getOutputPath(`${basePath}-${index + 1}`));
+    }
+
+    /**
+     * Whether a node has coordinates to be drawn at
+     * Nodes that could not be positioned are reported when the diagram is built,
+     * and every renderer leaves them out rather than drawing them at the origin
+     * @param {Object} node - Positioned node
+     * @returns {boolean}
+     */
+    hasCoordinates(node) {
+        return Number.isFinite(node?.position?.xScaled) && Number.isFinite(node?.position?.yScaled);
+    }
+
+    // Get node anchor vector from the node or the renderer's style handler
     getNodeAnchor(node) {
-        throw new Error('getNodeAnchor must be implemented by renderer');
+        if (!this.styleHandler) {
+            throw new Error('getNodeAnchor must be implemented by renderer');
+        }
+
+        // Check for anchor directly on node
+        if (node.anchor && typeof node.anchor === 'string') {
+            return Direction.getVector(node.anchor);
+        }
+
+        // Get anchor from style system
+        const anchor = this.styleHandler.getStyleValueWithNamesStringAndModifyWithDefault(
+            node.style,
+            'node.object.anchor',
+            [],
+            false,
+            'center'  // default if not found in any style
+        );
+
+        return Direction.getVector(anchor);
     }
 }
 
@@ -0,0 +1,759 @@
+const Renderer = require('./renderer');
+const { Direction } = require('../geometry/direction');
+const { BoundingBox } = require('../geometry/bounding-box');
+const { PositionType } = require('../geometry/position');
+const Container = require('../geometry/container');
+const fs = require('fs');
+const SvgStyleHandler = require('../styles/svg-style-handler');
+
+// Default sizes in centimetres, roughly matching the LaTeX output
+const DEFAULT_FONT_SIZE = 0.3;
+const DEFAULT_LINE_WIDTH = 0.02;
+const DEFAULT_ARROW_SIZE = 0.2;
+const LABEL_OFFSET = 0.15;
+
+// Dash patterns for TikZ line style flags, in multiples of the line width
+const DASH_PATTERNS = {
+    'dashed': [3, 3],
+    'densely dashed': [3, 2],
+    'loosely dashed': [3, 6],
+    'dotted': [1, 2],
+    'densely dotted': [1, 1],
+    'loosely dotted': [1, 4]
+};
+
+/**
+ * Renders diagrams as standalone SVG documents
+ *
+ * Uses the same scaled positions, dimensions and edge points as the LaTeX renderer,
+ * with one SVG user unit per centimetre. The y axis is flipped, as SVG y grows downwards.
+ * TikZ style values (fill, draw, line width, rounded corners, dash flags) are translated
+ * to SVG attributes, and an optional `svg` style branch supplies raw SVG attributes.
+ */
+class SvgRenderer extends Renderer {
+    constructor(options = {}) {
+        super(options);
+
+        this.log = this.verbose ? console.log.bind(console) : () => {};
+
+        // Initialize the style handler
+        this.styleHandler = new SvgStyleHandler(options);
+
+        // Wrap nodes in groups with a <title> describing them, for previews
+        this.annotateNodes = options.annotateNodes || false;
+
+        this.initializeState(options);
+    }
+
+    initializeState(options = {}) {
+        this.bounds = {
+            minX: Infinity,
+            minY: Infinity,
+            maxX: -Infinity,
+            maxY: -Infinity
+        };
+
+        // Bounding boxes of drawn nodes, used to clip edges attached to node centres
+        this.nodeBoxes = new Map();
+    }
+
+    getOutputPath(basePath) {
+        return `${basePath}.svg`;
+    }
+
+    async render(nodes, edges, outputPath, options = {}) {
+        const svgContent = this.renderToString(nodes, edges, options);
+
+        // Save the SVG content to a .svg file
+        const svgFilePath = this.getOutputPath(outputPath);
+        fs.writeFileSync(svgFilePath, svgContent, 'utf8');
+        this.log(`SVG saved to ${svgFilePath}`);
+
+        return svgContent;
+    }
+
+    /**
+     * Render one SVG per reveal step, all with the view box of the whole diagram
+     * so the steps line up when shown one after another
+     */
+    async renderSteps(frames, outputPath, options = {}) {
+        this.initializeState();
+        const last = frames[frames.length - 1];
+        this.draft(last.nodes, last.edges, options);
+        const bounds = { ...this.bounds };
+
+        const results = [];
+        for (const [index, frame] of frames.entries()) {
+            this.initializeState();
+            this.bounds = { ...bounds };
+            const svgContent = this.formatSvgContent(this.draft(frame.nodes, frame.edges, options));
+
+            const svgFilePath = this.getOutputPath(`${outputPath}-${index + 1}`);
+            fs.writeFileSync(svgFilePath, svgContent, 'utf8');
+            this.log(`SVG saved to ${svgFilePath}`);
+            results.push(svgContent);
+        }
+        return results;
+    }
+
+    /**
+     * Render the complete SVG document without writing it to disk
+     * @returns {string} SVG document
+     */
+    renderToString(nodes, edges, options = {}) {
+        // Reset all state to initial values
+        this.initializeState();
+
+        const content = this.draft(nodes, edges, options);
+
+        // Generate the complete SVG document
+        return this.formatSvgContent(content);
+    }
+
+    draft(nodes, edges, options = {}) {
+        const content = [];
+
+        // Ensure we have arrays, even if empty
+        const safeNodes = Array.isArray(nodes) ? nodes : [];
+        const safeEdges = Array.isArray(edges) ? edges : [];
+
+        safeNodes.forEach(node => content.push(...this.draftNode(node)));
+        safeEdges.forEach(edge => content.push(...this.draftEdge(edge)));
+
+        // If no content, set default bounding box for an empty diagram
+        if (safeNodes.length === 0 && safeEdges.length === 0) {
+            this.log('No nodes or edges provided, creating empty diagram');
+            this.updateBounds(0, 0);
+            this.updateBounds(10, 10);
+        }
+
+        // Draw grid if specified
+        if (options.grid && typeof options.grid === 'number') {
+            content.unshift(...this.drawGrid(options.grid));
+        }
+
+        return content;
+    }
+
+    updateBounds(x, y) {
+        this.bounds.minX = Math.min(this.bounds.minX, x);
+        this.bounds.minY = Math.min(this.bounds.minY, y);
+        this.bounds.maxX = Math.max(this.bounds.maxX, x);
+        this.bounds.maxY = Math.max(this.bounds.maxY, y);
+    }
+
+    draftNode(node) {
+        const output = [];
+
+        if (node.position?.positionType === PositionType.NAMED) {
+            console.warn(`Node '${node.name}' is positioned by name (${node.position.at}), which the SVG renderer cannot resolve`);
+            return output;
+        }
+        if (!this.hasCoordinates(node)) {
+            this.log(`Node '${node.name}' has no coordinate position, skipping`);
+            return output;
+        }
+
+        const boxResult = BoundingBox.fromNode(node);
+        if (!boxResult.success) {
+            this.log(`Node '${node.name}' has no size, skipping`);
+            return output;
+        }
+
+        const box = boxResult.boundingBox;
+        this.nodeBoxes.set(node, box);
+        this.updateBounds(box.left, box.bottom);
+        this.updateBounds(box.right, box.top);
+
+        // 1. Start with the style from the style handler
+        const nodeProperties = node._dynamicProperties || [];
+        const style = this.styleHandler.getStyleBranchAndModify(node.style, 'node.object', nodeProperties);
+        const tikz = { ...(style.tikz || {}) };
+
+        // 2. Apply node-specific attributes from CSV
+        if (node.tikz_object_attributes) {
+            Object.assign(tikz, this.styleHandler.processAttributes(node.tikz_object_attributes).tikz);
+        }
+        if (node.fillcolor) {
+            tikz.fill = node.fillcolor;
+        }
+        if (node.edge_color) {
+            tikz.draw = node.edge_color;
+        }
+        if (node.textcolor) {
+            tikz.text = node.textcolor;
+        }
+
+        const attributes = {
+            ...this.getShapeAttributes(tikz),
+            ...(style.svg || {})
+        };
+
+        const shape = (node.shape || tikz.shape || 'rectangle').toLowerCase();
+        output.push(this.draftShape(shape, box, tikz, attributes));
+
+        // 3. Labels
+        const textStyle = this.styleHandler.getStyleBranchAndModify(node.style, 'node.text');
+        const textAttributes = this.getTextAttributes(tikz, textStyle);
+        const center = box.center();
+
+        const labelCorner = Container.getLabelCorner(node);
+        if (node.hide_label !== true && labelCorner) {
+            // Justify the label inwards from the corner so it stays inside the node
+            const { x, y } = labelCorner.vector;
+            const justify = [y > 0 ? 'below' : (y < 0 ? 'above' : ''), x < 0 ? 'right' : (x > 0 ? 'left' : '')].join(' ').trim();
+            output.push(this.draftText(node.label || node.name, center.x + x * box.width / 2, center.y + y * box.height / 2, textAttributes, justify));
+        } else if (node.hide_label !== true) {
+            output.push(this.draftText(node.label || node.name, center.x, center.y, textAttributes));
+        }
+        if (node.label_above) {
+            output.push(this.draftText(node.label_above, center.x, box.top, textAttributes, 'above'));
+            this.updateBounds(center.x, box.top + LABEL_OFFSET + textAttributes['font-size']);
+        }
+        if (node.label_below) {
+            output.push(this.draftText(node.label_below, center.x, box.bottom, textAttributes, 'below'));
+            this.updateBounds(center.x, box.bottom - LABEL_OFFSET - textAttributes['font-size']);
+        }
+
+        if (this.annotateNodes) {
+            return [
+                `<g${this.formatAttributes({ class: 'node', 'data-name': node.name })}>`,
+                `<title>${this.escapeXml(this.describeNode(node, tikz))}</title>`,
+                ...output,
+                '</g>'
+            ];
+        }
+
+        return output;
+    }
+
+    /**
+     * Describe a node for previews: its name, style stack, resolved style
+     * and computed position and dimensions
+     * @param {Object} node - Positioned and scaled node
+     * @param {Object} tikz - Resolved TikZ style attributes
+     * @returns {string} Multi-line description
+     */
+    describeNode(node, tikz) {
+        const n = value => (value === undefined || value === null ? '?' : this.formatNumber(value));
+        const position = node.position || {};
+        const dimensions = node.dimensions || {};
+        const styleValues = Object.entries(tikz)
+            .map(([key, value]) => (value === true ? key : `${key}=${value}`))
+            .join(', ');
+
+        return [
+            node.name,
+            `style: ${this.styleHandler.normalizeStyleNames(node.style).join(' > ')}`,
+            `resolved: ${styleValues || '(none)'}`,
+            `position: (${n(position.xScaled)}, ${n(position.yScaled)}) unscaled (${n(position.xUnscaled)}, ${n(position.yUnscaled)})`,
+            `dimensions: ${n(dimensions.widthScaled)} x ${n(dimensions.heightScaled)} unscaled ${n(dimensions.widthUnscaled)} x ${n(dimensions.heightUnscaled)}`
+        ].join('\n');
+    }
+
+    /**
+     * Draw the outline of a node
+     * @param {string} shape - TikZ shape name
+     * @param {BoundingBox} box - Node bounding box in diagram coordinates
+     * @param {Object} tikz - TikZ style attributes
+     * @param {Object} attributes - SVG presentation attributes
+     * @returns {string} SVG element
+     */
+    draftShape(shape, box, tikz, attributes) {
+        const center = box.center();
+
+        switch (shape) {
+            case 'circle':
+            case 'ellipse':
+                return this.element('ellipse', {
+                    cx: this.formatNumber(center.x),
+                    cy: this.formatNumber(-center.y),
+                    rx: this.formatNumber(box.width / 2),
+                    ry: this.formatNumber(box.height / 2),
+                    ...attributes
+                });
+
+            case 'diamond': {
+                const points = [
+                    [center.x, box.top],
+                    [box.right, center.y],
+                    [center.x, box.bottom],
+                    [box.left, center.y]
+                ].map(([x, y]) => `${this.formatNumber(x)},${this.formatNumber(-y)}`).join(' ');
+
+                return this.element('polygon', { points, ...attributes });
+            }
+
+            default: {
+                const radius = this.styleHandler.parseLength(tikz['rounded corners'] === true ? '4pt' : tikz['rounded corners']);
+                const rect = {
+                    x: this.formatNumber(box.left),
+                    y: this.formatNumber(-box.top),
+                    width: this.formatNumber(box.width),
+                    height: this.formatNumber(box.height)
+                };
+                if (radius > 0) {
+                    rect.rx = this.formatNumber(radius);
+                }
+                return this.element('rect', { ...rect, ...attributes });
+            }
+        }
+    }
+
+    draftEdge(edge) {
+        const output = [];
+
+        // Edges of nodes left out of the drawing are left out too
+        if (!edge.start || !edge.end || !this.hasCoordinates(edge.from) || !this.hasCoordinates(edge.to)) {
+            return output;
+        }
+
+        const style = this.styleHandler.getStyleBranchAndModify(edge.style, 'edge.object');
+        const tikz = { ...(style.tikz || {}) };
+
+        if (edge.tikz_object_attributes) {
+            Object.assign(tikz, this.styleHandler.processAttributes(edge.tikz_object_attributes).tikz);
+        }
+        if (edge.color) {
+            tikz.draw = edge.color;
+        }
+        // Edges are never filled
+        delete tikz.fill;
+
+        const attributes = {
+            fill: 'none',
+            ...this.getShapeAttributes(tikz),
+            ...(style.svg || {})
+        };
+        if (!attributes.stroke) {
+            attributes.stroke = '#000000';
+        }
+
+        const points = this.getEdgePoints(edge);
+        points.forEach(point => this.updateBounds(point.x, point.y));
+
+        output.push(this.element('path', { d: this.getPathData(points), ...attributes }));
+
+        // Arrow heads point along the first and last piece of the path
+        const arrowStyle = this.styleHandler.getStyleBranchAndModify(edge.style, 'edge.arrow');
+        if (edge.end_arrow) {
+            output.push(this.draftArrow(edge.end_arrow, points[points.length - 2], points[points.length - 1], arrowStyle?.tikz?.end, attributes.stroke));
+        }
+        if (edge.start_arrow) {
+            output.push(this.draftArrow(edge.start_arrow, points[1], points[0], arrowStyle?.tikz?.start, attributes.stroke));
+        }
+
+        output.push(...this.draftEdgeLabels(edge, points));
+
+        return output;
+    }
+
+    /**
+     * Get the points of an edge path, in order, with their control point flags
+     * Follows the path types used by the LaTeX renderer: waypoints are joined with
+     * straight lines or curves, and without waypoints '|-' and '-|' add a corner
+     * @param {Object} edge - Processed edge
+     * @returns {Array} Points with x, y and isControl
+     */
+    getEdgePoints(edge) {
+        const waypoints = edge.waypoints || [];
+        const points = [
+            { x: edge.start.x, y: edge.start.y, isControl: false },
+            ...waypoints.map(wp => ({ x: wp.x, y: wp.y, isControl: !!wp.isControl })),
+            { x: edge.end.x, y: edge.end.y, isControl: false }
+        ];
+
+        if (waypoints.length === 0) {
+            if (edge.path_type === '|-') {
+                points.splice(1, 0, { x: edge.start.x, y: edge.end.y, isControl: false });
+            } else if (edge.path_type === '-|') {
+                points.splice(1, 0, { x: edge.end.x, y: edge.start.y, isControl: false });
+            }
+        }
+
+        // Edges attached to a node centre start and end at its border, as TikZ does
+        const fromBox = this.nodeBoxes.get(edge.from);
+        const toBox = this.nodeBoxes.get(edge.to);
+        points[0] = this.clipToBox(points[0], points[1], fromBox);
+        points[points.length - 1] = this.clipToBox(points[points.length - 1], points[points.length - 2], toBox);
+
+        return points;
+    }
+
+    /**
+     * Move a point inside a box to where the line towards another point leaves the box
+     * @param {Object} point - Point to clip
+     * @param {Object} towards - Next point on the line
+     * @param {BoundingBox} box - Box to clip against (optional)
+     * @returns {Object} The clipped point
+     */
+    clipToBox(point, towards, box) {
+        const isInside = box &&
+            point.x > box.left && point.x < box.right &&
+            point.y > box.bottom && point.y < box.top;
+
+        if (!isInside || !towards) {
+            return point;
+        }
+
+        const dx = towards.x - point.x;
+        const dy = towards.y - point.y;
+        const distances = [];
+
+        if (dx > 0) distances.push((box.right - point.x) / dx);
+        if (dx < 0) distances.push((box.left - point.x) / dx);
+        if (dy > 0) distances.push((box.top - point.y) / dy);
+        if (dy < 0) distances.push((box.bottom - point.y) / dy);
+
+        if (distances.length === 0) {
+            return point;
+        }
+
+        const t = Math.min(1, ...distances);
+        return { ...point, x: point.x + dx * t, y: point.y + dy * t };
+    }
+
+    /**
+     * Build SVG path data from edge points
+     * One control point gives a quadratic curve, two give a cubic curve
+     * @param {Array} points - Edge points with control flags
+     * @returns {string} SVG path data
+     */
+    getPathData(points) {
+        const p = point => `${this.formatNumber(point.x)},${this.formatNumber(-point.y)}`;
+        let data = `M ${p(points[0])}`;
+        let controls = [];
+
+        for (const point of points.slice(1)) {
+            if (point.isControl) {
+                controls.push(point);
+                continue;
+            }
+
+            if (controls.length === 0) {
+                data += ` L ${p(point)}`;
+            } else if (controls.length === 1) {
+                data += ` Q ${p(controls[0])} ${p(point)}`;
+            } else {
+                data += ` C ${p(controls[0])} ${p(controls[controls.length - 1])} ${p(point)}`;
+            }
+            controls = [];
+        }
+
+        return data;
+    }
+
+    /**
+     * Draw an arrow head at the tip of a line
+     * @param {string} arrowType - Arrow type from the edge (e.g. '>', 'Triangle', 'Circle')
+     * @param {Object} from - Point the line comes from
+     * @param {Object} tip - Arrow tip position
+     * @param {Object} arrowStyle - Arrow style with optional width and length
+     * @param {string} color - Arrow colour
+     * @returns {string} SVG element
+     */
+    draftArrow(arrowType, from, tip, arrowStyle = {}, color = '#000000') {
+        const width = this.styleHandler.parseLength(arrowStyle?.width, DEFAULT_ARROW_SIZE);
+        const length = this.styleHandler.parseLength(arrowStyle?.length, DEFAULT_ARROW_SIZE);
+
+        if (/circle/i.test(arrowType) || arrowType === 'o') {
+            return this.element('circle', {
+                cx: this.formatNumber(tip.x),
+                cy: this.formatNumber(-tip.y),
+                r: this.formatNumber(width / 2),
+                fill: color
+            });
+        }
+
+        // Unit vector along the line and its normal
+        const dx = tip.x - from.x;
+        const dy = tip.y - from.y;
+        const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+        const ux = dx / distance;
+        const uy = dy / distance;
+
+        const baseX = tip.x - ux * length;
+        const baseY = tip.y - uy * length;
+
+        const points = [
+            [tip.x, tip.y],
+            [baseX - uy * width / 2, baseY + ux * width / 2],
+            [baseX + uy * width / 2, baseY - ux * width / 2]
+        ].map(([x, y]) => `${this.formatNumber(x)},${this.formatNumber(-y)}`).join(' ');
+
+        return this.element('polygon', { points, fill: color });
+    }
+
+    draftEdgeLabels(edge, points) {
+        const output = [];
+        const justify = edge.label_justify || 'above';
+        const realPoints = points.filter(point => !point.isControl);
+
+        const labels = [
+            { text: edge.start_label, position: edge.start_label_position ?? 0.1, branch: 'edge.label_start' },
+            { text: edge.label, position: edge.label_position ?? 0.5, branch: 'edge.label' },
+            { text: edge.end_label, position: edge.end_label_position ?? 0.9, branch: 'edge.label_end' }
+        ];
+
+        for (const label of labels) {
+            if (!label.text) continue;
+
+            const point = this.getPointAlong(realPoints, label.position);
+            const labelStyle = this.styleHandler.getStyleBranchAndModify(edge.style, label.branch);
+            const textAttributes = this.getTextAttributes(labelStyle.tikz || {}, labelStyle);
+
+            output.push(this.draftText(label.text, point.x, point.y, textAttributes, justify));
+            this.updateBounds(point.x, point.y);
+        }
+
+        return output;
+    }
+
+    /**
+     * Get the point at a fraction of the length along a polyline
+     */
+    getPointAlong(points, fraction) {
+        const lengths = [];
+        let total = 0;
+        for (let i = 1; i < points.length; i++) {
+            const length = Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+            lengths.push(length);
+            total += length;
+        }
+
+        let remaining = total * Math.max(0, Math.min(1, fraction));
+        for (let i = 1; i < points.length; i++) {
+            const length = lengths[i - 1];
+            if (remaining <= length && length > 0) {
+                const t = remaining / length;
+                return {
+                    x: points[i - 1].x + (points[i].x - points[i - 1].x) * t,
+                    y: points[i - 1].y + (points[i].y - points[i - 1].y) * t
+                };
+            }
+            remaining -= length;
+        }
+
+        return points[points.length - 1];
+    }
+
+    /**
+     * Draw a text label, one tspan per line
+     * @param {string} text - Label text
+     * @param {number} x - Diagram x coordinate
+     * @param {number} y - Diagram y coordinate
+     * @param {Object} attributes - Text attributes including font-size
+     * @param {string} justify - Placement relative to the point (above, below, left, right or centre)
+     * @returns {string} SVG element
+     */
+    draftText(text, x, y, attributes, justify = 'center') {
+        const lines = String(text).split('\n');
+        const fontSize = attributes['font-size'];
+        const vector = this.getJustifyVector(justify);
+
+        // Shift the text block away from the point in the direction of justify
+        const offsetX = vector.x * LABEL_OFFSET;
+        const blockHeight = lines.length * fontSize;
+        const centerY = -(y + vector.y * (LABEL_OFFSET + blockHeight / 2));
+        const firstLineY = centerY - (blockHeight - fontSize) / 2;
+
+        const anchor = vector.x > 0 ? 'start' : (vector.x < 0 ? 'end' : 'middle');
+
+        const tspans = lines.map((line, i) =>
+            `<tspan x="${this.formatNumber(x + offsetX)}" y="${this.formatNumber(firstLineY + i * fontSize)}">${this.escapeXml(line)}</tspan>`
+        ).join('');
+
+        const textAttributes = {
+            'text-anchor': anchor,
+            'dominant-baseline': 'central',
+            ...attributes,
+            'font-size': this.formatNumber(fontSize)
+        };
+
+        return `<text${this.formatAttributes(textAttributes)}>${tspans}</text>`;
+    }
+
+    /**
+     * Get the direction vector for a TikZ placement such as 'above' or 'below left'
+     */
+    getJustifyVector(justify) {
+        const name = String(justify || 'center')
+            .trim()
+            .replace('above', 'up')
+            .replace('below', 'down')
+            .replace(/\s+/g, '_');
+
+        return Direction.getVector(name);
+    }
+
+    /**
+     * Translate TikZ style attributes into SVG presentation attributes
+     * @param {Object} tikz - TikZ style attributes
+     * @returns {Object} SVG attributes
+     */
+    getShapeAttributes(tikz) {
+        const attributes = {};
+
+        const fill = this.styleHandler.resolveColor(tikz.fill);
+        attributes.fill = fill ? fill.color : 'none';
+        if (fill && fill.opacity < 1) {
+            attributes['fill-opacity'] = fill.opacity;
+        }
+        if (tikz['fill opacity'] !== undefined) {
+            attributes['fill-opacity'] = parseFloat(tikz['fill opacity']);
+        }
+
+        const stroke = this.styleHandler.resolveColor(tikz.draw === true ? '#000000' : tikz.draw);
+        if (stroke) {
+            attributes.stroke = stroke.color;
+            if (stroke.opacity < 1) {
+                attributes['stroke-opacity'] = stroke.opacity;
+            }
+        }
+
+        const lineWidth = this.styleHandler.parseLength(tikz['line width'], DEFAULT_LINE_WIDTH);
+        attributes['stroke-width'] = this.formatNumber(lineWidth);
+        if (lineWidth === 0) {
+            attributes.stroke = 'none';
+        }
+
+        for (const [flag, pattern] of Object.entries(DASH_PATTERNS)) {
+            if (tikz[flag] === true || tikz[flag] === 'true') {
+                attributes['stroke-dasharray'] = pattern.map(n => this.formatNumber(n * Math.max(lineWidth, DEFAULT_LINE_WIDTH))).join(',');
+            }
+        }
+
+        return attributes;
+    }
+
+    /**
+     * Get text attributes for a label from node or edge style
+     * @param {Object} tikz - TikZ style attributes of the object
+     * @param {Object} textStyle - Text branch of the style (may contain an svg branch)
+     * @returns {Object} SVG text attributes
+     */
+    getTextAttributes(tikz, textStyle = {}) {
+        const attributes = {
+            'font-family': 'sans-serif',
+            'font-size': DEFAULT_FONT_SIZE,
+            fill: '#000000'
+        };
+
+        const color = this.styleHandler.resolveColor(tikz.text);
+        if (color) {
+            attributes.fill = color.color;
+        }
+
+        const svg = { ...(textStyle?.svg || {}) };
+        if (svg['font-size'] !== undefined) {
+            svg['font-size'] = this.styleHandler.parseLength(svg['font-size'], DEFAULT_FONT_SIZE);
+        }
+
+        return { ...attributes, ...svg };
+    }
+
+    // Add method to draw a grid with labels
+    drawGrid(gridSpacing) {
+        if (!gridSpacing || gridSpacing <= 0) return [];
+
+        const gridContent = [];
+
+        // gridSpacing is in unscaled coordinates, so convert to scaled
+        const scale = this.styleHandler.getPageScale();
+        const scaleX = parseFloat(scale?.position?.x) || 1;
+        const scaleY = parseFloat(scale?.position?.y) || 1;
+        const spacingX = gridSpacing * scaleX;
+        const spacingY = gridSpacing * scaleY;
+
+        const minX = Math.floor(this.bounds.minX / spacingX) * spacingX;
+        const maxX = Math.ceil(this.bounds.maxX / spacingX) * spacingX;
+        const minY = Math.floor(this.bounds.minY / spacingY) * spacingY;
+        const maxY = Math.ceil(this.bounds.maxY / spacingY) * spacingY;
+
+        const lineAttributes = {
+            stroke: 'gray',
+            'stroke-opacity': 0.5,
+            'stroke-width': DEFAULT_LINE_WIDTH,
+            'stroke-dasharray': '0.06,0.06'
+        };
+        const textAttributes = { 'font-family': 'sans-serif', 'font-size': DEFAULT_FONT_SIZE, fill: 'gray' };
+
+        for (let x = minX; x <= maxX; x += spacingX) {
+            gridContent.push(this.element('line', {
+                x1: this.formatNumber(x), y1: this.formatNumber(-minY),
+                x2: this.formatNumber(x), y2: this.formatNumber(-maxY),
+                ...lineAttributes
+            }));
+            gridContent.push(this.draftText(String(Math.round(x / scaleX * 100) / 100), x, minY, textAttributes, 'below'));
+        }
+
+        for (let y = minY; y <= maxY; y += spacingY) {
+            gridContent.push(this.element('line', {
+                x1: this.formatNumber(minX), y1: this.formatNumber(-y),
+                x2: this.formatNumber(maxX), y2: this.formatNumber(-y),
+                ...lineAttributes
+            }));
+            gridContent.push(this.draftText(String(Math.round(y / scaleY * 100) / 100), minX, y, textAttributes, 'left'));
+        }
+
+        // Leave room for the labels
+        this.updateBounds(minX - 1, minY - 1);
+        this.updateBounds(maxX, maxY);
+
+        return gridContent;
+    }
+
+    formatSvgContent(content) {
+        // Calculate bounding box after all nodes and edges have been drawn
+        const margin = this.styleHandler.getPageMargin() || {};
+        const marginW = parseFloat(margin.w) || 0;
+        const marginH = parseFloat(margin.h) || 0;
+
+        const minX = this.bounds.minX - marginW;
+        const maxX = this.bounds.maxX + marginW;
+        const minY = this.bounds.minY - marginH;
+        const maxY = this.bounds.maxY + marginH;
+
+        const width = this.formatNumber(maxX - minX);
+        const height = this.formatNumber(maxY - minY);
+        const viewBox = [minX, -maxY, maxX - minX, maxY - minY].map(n => this.formatNumber(n)).join(' ');
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}cm" height="${height}cm" viewBox="${viewBox}">`,
+            ...content.map(line => `  ${line}`),
+            '</svg>',
+            ''
+        ].join('\n');
+    }
+
+    element(name, attributes) {
+        return `<${name}${this.formatAttributes(attributes)}/>`;
+    }
+
+    formatAttributes(attributes) {
+        return Object.entries(attributes)
+            .filter(([, value]) => value !== undefined && value !== null && value !== false)
+            .map(([key, value]) => ` ${key}="${this.escapeXml(String(value))}"`)
+            .join('');
+    }
+
+    formatNumber(value) {
+        // Avoid floating point noise in the output
+        return Math.round(value * 10000) / 10000;
+    }
+
+    // Helper methods
+    escapeXml(text) {
+        if (text === undefined || text === null) return '';
+
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
+
+module.exports = SvgRenderer;
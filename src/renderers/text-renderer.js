@@ -0,0 +1,424 @@
+const Renderer = require('./renderer');
+const { Direction } = require('../geometry/direction');
+const { BoundingBox } = require('../geometry/bounding-box');
+const Container = require('../geometry/container');
+const fs = require('fs');
+const TextStyleHandler = require('../styles/text-style-handler');
+const SparseTextGrid = require('../character-system/sparse-text-grid');
+const GridOverlay = require('../character-system/grid-overlay');
+const CharacterUtils = require('../character-system/character-utils');
+
+// Arrow heads drawn at the end of an edge, keyed by the direction of travel
+const ARROW_CHARS = {
+    LEFT: '◀',
+    UP: '▲',
+    RIGHT: '▶',
+    DOWN: '▼'
+};
+
+/**
+ * Renders diagrams as Unicode box-drawing text
+ *
+ * Scaled diagram coordinates are converted to character cells, nodes are drawn as boxes
+ * and edges as orthogonal lines. Each layer is drawn into its own SparseTextGrid and the
+ * layers are combined with GridOverlay, so lines that meet or cross box borders are
+ * merged into the matching junction characters.
+ */
+class TextRenderer extends Renderer {
+    constructor(options = {}) {
+        super(options);
+
+        this.log = this.verbose ? console.log.bind(console) : () => {};
+
+        // Initialize the style handler
+        this.styleHandler = new TextStyleHandler(options);
+
+        // Number of character cells per scaled unit, text cells are roughly twice as tall as wide
+        this.cellsPerUnit = {
+            x: options.cellsPerUnit?.x || 4,
+            y: options.cellsPerUnit?.y || 2
+        };
+    }
+
+    getOutputPath(basePath) {
+        return `${basePath}.txt`;
+    }
+
+    async render(nodes, edges, outputPath, options = {}) {
+        const text = this.draft(nodes, edges, options);
+
+        // Save the text content to a .txt file
+        const textFilePath = this.getOutputPath(outputPath);
+        fs.writeFileSync(textFilePath, text + '\n', 'utf8');
+        this.log(`Text diagram saved to ${textFilePath}`);
+
+        return text;
+    }
+
+    /**
+     * Render one text file per reveal step, each drawn over the cells of the
+     * whole diagram so the steps line up and have the same size
+     */
+    async renderSteps(frames, outputPath, options = {}) {
+        const last = frames[frames.length - 1];
+        this.draft(last.nodes, last.edges, options);
+        const cellBounds = this.gridBounds;
+
+        const results = [];
+        for (const [index, frame] of frames.entries()) {
+            results.push(await this.render(frame.nodes, frame.edges, `${outputPath}-${index + 1}`, { ...options, cellBounds }));
+        }
+        return results;
+    }
+
+    /**
+     * Draw nodes and edges to a string
+     * @param {Array} nodes - Positioned and scaled nodes
+     * @param {Array} edges - Processed edges
+     * @param {Object} options - Render options
+     * @returns {string} The diagram as text
+     */
+    draft(nodes, edges, options = {}) {
+        const safeNodes = Array.isArray(nodes) ? nodes : [];
+        const safeEdges = Array.isArray(edges) ? edges : [];
+
+        if (options.grid) {
+            this.log('Grid overlay is not supported by the text renderer, ignoring');
+        }
+
+        // Cell rectangles of drawn nodes, used to clip edges at node borders
+        this.nodeCells = new Map();
+
+        const boxGrid = new SparseTextGrid();
+        const lineGrid = new SparseTextGrid();
+        const arrowGrid = new SparseTextGrid();
+        const labelGrid = new SparseTextGrid();
+
+        safeNodes.forEach(node => this.draftNode(node, boxGrid, labelGrid));
+        safeEdges.forEach(edge => this.draftEdge(edge, lineGrid, arrowGrid, labelGrid));
+
+        // Edges are drawn over node borders, arrow heads and labels are drawn over everything
+        let result = GridOverlay.overlay(boxGrid, lineGrid);
+        result = GridOverlay.overlay(result, arrowGrid);
+        result = GridOverlay.overlay(result, labelGrid);
+
+        // Cover the cells of a larger drawing, so reveal steps line up and have the same size
+        const { cellBounds } = options;
+        if (cellBounds) {
+            const drawn = result.cells.size > 0 ? result.getBounds() : null;
+            for (const [col, row] of [[cellBounds.minX, cellBounds.minY], [cellBounds.maxX, cellBounds.maxY]]) {
+                if (!drawn || col < drawn.minX || col > drawn.maxX || row < drawn.minY || row > drawn.maxY) {
+                    result.setChar(col, row, ' ');
+                }
+            }
+        }
+        this.gridBounds = result.cells.size > 0 ? result.getBounds() : null;
+
+        if (result.cells.size === 0) {
+            this.log('No nodes or edges provided, creating empty diagram');
+            return '';
+        }
+
+        const lines = result.toString().split('\n');
+        if (!cellBounds) {
+            return lines.map(line => line.trimEnd()).join('\n');
+        }
+
+        // Blank rows and columns at the edges are kept, as the grid trims them
+        const { minX, minY, maxX, maxY } = this.gridBounds;
+        while (lines.length < maxY - minY + 1) {
+            lines.push('');
+        }
+        return lines.map(line => line.padEnd(maxX - minX + 1)).join('\n');
+    }
+
+    /**
+     * Convert a scaled diagram coordinate to a character cell
+     * Text rows grow downwards, so the y axis is flipped
+     * @param {number} x - Scaled x coordinate
+     * @param {number} y - Scaled y coordinate
+     * @returns {{col: number, row: number}}
+     */
+    toCell(x, y) {
+        return {
+            col: Math.round(x * this.cellsPerUnit.x),
+            row: Math.round(-y * this.cellsPerUnit.y)
+        };
+    }
+
+    /**
+     * Write a character into a grid, merging it with what is already there
+     */
+    mergeChar(grid, col, row, char) {
+        const existing = grid.getCell(col, row).char;
+        grid.setChar(col, row, CharacterUtils.mergeCharacters(existing, char));
+    }
+
+    /**
+     * Write text into a grid, one cell per character
+     */
+    writeText(grid, col, row, text) {
+        Array.from(text).forEach((char, i) => grid.setChar(col + i, row, char));
+    }
+
+    draftNode(node, boxGrid, labelGrid) {
+        if (!this.hasCoordinates(node)) {
+            this.log(`Node '${node.name}' has no coordinate position, skipping`);
+            return;
+        }
+
+        const boxResult = BoundingBox.fromNode(node);
+        if (!boxResult.success) {
+            this.log(`Node '${node.name}' has no size, skipping`);
+            return;
+        }
+
+        const box = boxResult.boundingBox;
+        const topLeft = this.toCell(box.left, box.top);
+        const bottomRight = this.toCell(box.right, box.bottom);
+
+        const left = topLeft.col;
+        const top = topLeft.row;
+        const right = Math.max(bottomRight.col, left + 1);
+        const bottom = Math.max(bottomRight.row, top + 1);
+
+        this.nodeCells.set(node, { left, top, right, bottom });
+
+        // Corners
+        this.mergeChar(boxGrid, left, top, '┏');
+        this.mergeChar(boxGrid, right, top, '┓');
+        this.mergeChar(boxGrid, left, bottom, '┗');
+        this.mergeChar(boxGrid, right, bottom, '┛');
+
+        // Horizontal borders
+        for (let col = left + 1; col < right; col++) {
+            this.mergeChar(boxGrid, col, top, '━');
+            this.mergeChar(boxGrid, col, bottom, '━');
+        }
+
+        // Vertical borders
+        for (let row = top + 1; row < bottom; row++) {
+            this.mergeChar(boxGrid, left, row, '┃');
+            this.mergeChar(boxGrid, right, row, '┃');
+        }
+
+        if (node.hide_label === true) {
+            return;
+        }
+
+        // Put the label inside the box, truncating anything that does not fit
+        const innerWidth = right - left - 1;
+        const innerHeight = bottom - top - 1;
+        if (innerWidth <= 0) {
+            return;
+        }
+
+        const lines = String(node.label || node.name || '')
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line.length > 0);
+        const place = (space, used, side) => (side < 0 ? 0 : (side > 0 ? space - used : Math.floor((space - used) / 2)));
+
+        // A label_corner moves the label onto the top or bottom border line, at that
+        // corner or side, so it does not cover what is inside, such as container members
+        const corner = Container.getLabelCorner(node)?.vector;
+        if (corner) {
+            const text = Array.from(lines.join(' ')).slice(0, innerWidth).join('');
+            this.writeText(labelGrid, left + 1 + place(innerWidth, text.length, corner.x), corner.y < 0 ? bottom : top, text);
+            return;
+        }
+
+        if (innerHeight <= 0) {
+            return;
+        }
+        const firstRow = top + 1 + place(innerHeight, Math.min(lines.length, innerHeight), 0);
+
+        lines.slice(0, innerHeight).forEach((line, i) => {
+            const text = Array.from(line).slice(0, innerWidth).join('');
+            this.writeText(labelGrid, left + 1 + place(innerWidth, text.length, 0), firstRow + i, text);
+        });
+    }
+
+    draftEdge(edge, lineGrid, arrowGrid, labelGrid) {
+        // Edges of nodes left out of the drawing are left out too
+        if (!edge.start || !edge.end || !this.hasCoordinates(edge.from) || !this.hasCoordinates(edge.to)) {
+            return;
+        }
+
+        // Control points have no meaning for orthogonal text lines, only real waypoints are used
+        const points = [
+            edge.start,
+            ...(edge.waypoints || []).filter(wp => !wp.isControl),
+            edge.end
+        ].map(point => this.toCell(point.x, point.y));
+
+        const verticalFirst = this.isVerticalFirst(edge, points[0], points[1]);
+        const cells = this.clipToNodeBorders(
+            this.getPathCells(points, verticalFirst),
+            this.nodeCells.get(edge.from),
+            this.nodeCells.get(edge.to)
+        );
+
+        if (cells.length < 2) {
+            this.log(`Edge from '${edge.from_name}' to '${edge.to_name}' is too short to draw`);
+            return;
+        }
+
+        // Each cell connects towards the previous and next cells in the path
+        cells.forEach((cell, i) => {
+            let code = 0;
+            if (i > 0) {
+                code |= this.getDirectionBit(cell, cells[i - 1]);
+            }
+            if (i < cells.length - 1) {
+                code |= this.getDirectionBit(cell, cells[i + 1]);
+            }
+            this.mergeChar(lineGrid, cell.col, cell.row, CharacterUtils.getCodeChar(code));
+        });
+
+        if (edge.end_arrow) {
+            const last = cells[cells.length - 1];
+            arrowGrid.setChar(last.col, last.row, this.getArrowChar(cells[cells.length - 2], last));
+        }
+
+        if (edge.start_arrow) {
+            const first = cells[0];
+            arrowGrid.setChar(first.col, first.row, this.getArrowChar(cells[1], first));
+        }
+
+        if (edge.label) {
+            this.draftEdgeLabel(edge.label, cells, labelGrid);
+        }
+    }
+
+    /**
+     * Decide whether an L-shaped segment leaves vertically or horizontally
+     * @param {Object} edge - The edge being drawn
+     * @param {{col: number, row: number}} start - Cell the edge starts from
+     * @param {{col: number, row: number}} next - Cell of the first waypoint, or of the end
+     * @returns {boolean} True if segments should go vertical first
+     */
+    isVerticalFirst(edge, start, next) {
+        if (edge.path_type === '|-') {
+            return true;
+        }
+        if (edge.path_type === '-|') {
+            return false;
+        }
+
+        // Leave the start node in the direction of its anchor
+        if (edge.start_anchor) {
+            const vector = Direction.getVector(edge.start_anchor);
+            return vector.x === 0 && vector.y !== 0;
+        }
+
+        // Otherwise go straight up or down to a point above or below the start node,
+        // else along the longer of the two distances
+        const source = this.nodeCells.get(edge.from);
+        if (source && next.col >= source.left && next.col <= source.right) {
+            return true;
+        }
+        const dx = (next.col - start.col) / this.cellsPerUnit.x;
+        const dy = (next.row - start.row) / this.cellsPerUnit.y;
+        return Math.abs(dy) > Math.abs(dx);
+    }
+
+    /**
+     * Expand a list of cell corners into every cell along an orthogonal path
+     * @param {Array} points - Cells the path passes through
+     * @param {boolean} verticalFirst - Whether each segment goes vertical before horizontal
+     * @returns {Array} Adjacent cells from start to end
+     */
+    getPathCells(points, verticalFirst) {
+        const cells = [{ ...points[0] }];
+
+        const stepTo = (col, row) => {
+            let current = cells[cells.length - 1];
+            while (current.col !== col || current.row !== row) {
+                current = {
+                    col: current.col + Math.sign(col - current.col),
+                    row: current.row + Math.sign(row - current.row)
+                };
+                cells.push(current);
+            }
+        };
+
+        for (let i = 1; i < points.length; i++) {
+            const from = cells[cells.length - 1];
+            const to = points[i];
+
+            if (verticalFirst) {
+                stepTo(from.col, to.row);
+            } else {
+                stepTo(to.col, from.row);
+            }
+            stepTo(to.col, to.row);
+        }
+
+        return cells;
+    }
+
+    /**
+     * Remove path cells inside the start and end nodes
+     * Edges attached to a node centre are drawn from the border, as TikZ does
+     * @param {Array} cells - Adjacent cells from start to end
+     * @param {Object} fromRect - Cell rectangle of the start node (optional)
+     * @param {Object} toRect - Cell rectangle of the end node (optional)
+     * @returns {Array} The clipped cells
+     */
+    clipToNodeBorders(cells, fromRect, toRect) {
+        const isInside = (cell, rect) => !!rect &&
+            cell.col > rect.left && cell.col < rect.right &&
+            cell.row > rect.top && cell.row < rect.bottom;
+
+        let first = 0;
+        while (first < cells.length && isInside(cells[first], fromRect)) {
+            first++;
+        }
+
+        let last = cells.length - 1;
+        while (last >= first && isInside(cells[last], toRect)) {
+            last--;
+        }
+
+        return cells.slice(first, last + 1);
+    }
+
+    /**
+     * Get the box drawing direction bit pointing from one cell to an adjacent cell
+     */
+    getDirectionBit(from, to) {
+        if (to.col < from.col) return CharacterUtils.DIRECTION.LEFT;
+        if (to.col > from.col) return CharacterUtils.DIRECTION.RIGHT;
+        if (to.row < from.row) return CharacterUtils.DIRECTION.UP;
+        if (to.row > from.row) return CharacterUtils.DIRECTION.DOWN;
+        return 0;
+    }
+
+    /**
+     * Get the arrow head for a line arriving at a cell
+     */
+    getArrowChar(from, to) {
+        if (to.col < from.col) return ARROW_CHARS.LEFT;
+        if (to.col > from.col) return ARROW_CHARS.RIGHT;
+        if (to.row < from.row) return ARROW_CHARS.UP;
+        return ARROW_CHARS.DOWN;
+    }
+
+    draftEdgeLabel(label, cells, labelGrid) {
+        const text = String(label).replace(/\n/g, ' ');
+        const middle = cells[Math.floor(cells.length / 2)];
+        const previous = cells[Math.floor(cells.length / 2) - 1];
+
+        if (previous && previous.row === middle.row) {
+            // Horizontal run, place the label above the line
+            const col = middle.col - Math.floor(Array.from(text).length / 2);
+            this.writeText(labelGrid, col, middle.row - 1, text);
+        } else {
+            // Vertical run, place the label to the right of the line
+            this.writeText(labelGrid, middle.col + 2, middle.row, text);
+        }
+    }
+}
+
+module.exports = TextRenderer;
@@ -0,0 +1,182 @@
+const http = require('http');
+const FileWatcher = require('../utils/file-watcher');
+
+// Browser page: shows the SVG inline, reloads it on server events and
+// mirrors the hovered node's <title> into an info panel
+const PAGE = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>boxesandarrows preview</title>
+<style>
+  body { margin: 0; font-family: sans-serif; display: flex; height: 100vh; }
+  #diagram { flex: 1; overflow: auto; padding: 1em; }
+  #diagram svg { max-width: 100%; height: auto; }
+  #diagram g.node:hover { opacity: 0.7; }
+  #info { width: 24em; margin: 0; padding: 1em; background: #f4f4f4; border-left: 1px solid #ccc; white-space: pre-wrap; font-size: 0.85em; overflow: auto; }
+  #error { color: #b00020; white-space: pre-wrap; }
+</style>
+</head>
+<body>
+<div id="diagram"></div>
+<pre id="info">Hover over a node for details</pre>
+<script>
+  const diagram = document.getElementById('diagram');
+  const info = document.getElementById('info');
+
+  async function load() {
+    const response = await fetch('/diagram.svg', { cache: 'no-store' });
+    const text = await response.text();
+    if (response.ok) {
+      diagram.innerHTML = text.replace(/^<\\?xml[^>]*>/, '');
+    } else {
+      diagram.innerHTML = '<pre id="error"></pre>';
+      diagram.firstChild.textContent = text;
+    }
+  }
+
+  diagram.addEventListener('mouseover', event => {
+    const node = event.target.closest('g.node');
+    const title = node && node.querySelector('title');
+    if (title) {
+      info.textContent = title.textContent;
+    }
+  });
+
+  new EventSource('/events').addEventListener('reload', load);
+  load();
+</script>
+</body>
+</html>
+`;
+
+/**
+ * Local HTTP server that previews a diagram as SVG and reloads it on change
+ *
+ * Routes:
+ *   /             preview page
+ *   /diagram.svg  latest render, or the build error with status 500
+ *   /events       Server-Sent Events stream, sends `reload` after every build
+ */
+class PreviewServer {
+    /**
+     * @param {Object} options - Options
+     * @param {Function} options.build - Async function returning the SVG document
+     * @param {Array<string>} options.files - Input files to watch
+     * @param {number} options.port - Port to listen on (default 8080, 0 for any free port)
+     * @param {string} options.host - Host to listen on (default 127.0.0.1)
+     * @param {number} options.debounceMs - Quiet time after changes before rebuilding
+     */
+    constructor(options = {}) {
+        this.build = options.build;
+        this.files = options.files || [];
+        this.port = options.port ?? 8080;
+        this.host = options.host || '127.0.0.1';
+        this.debounceMs = options.debounceMs;
+
+        this.svg = null;
+        this.error = null;
+        this.clients = new Set();
+        this.server = null;
+        this.watcher = null;
+    }
+
+    /**
+     * Build the diagram, start watching the input files and listen for requests
+     * @returns {Promise<string>} URL of the preview page
+     */
+    async start() {
+        await this.rebuild();
+
+        this.watcher = new FileWatcher(this.files, async (changed) => {
+            console.log(`Changed: ${changed.join(', ')}`);
+            await this.rebuild();
+        }, { debounceMs: this.debounceMs }).start();
+
+        this.server = http.createServer((request, response) => this.handleRequest(request, response));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, resolve);
+        });
+
+        return this.getUrl();
+    }
+
+    async stop() {
+        this.watcher?.close();
+        this.clients.forEach(client => client.end());
+        this.clients.clear();
+
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+
+    getUrl() {
+        const { port } = this.server.address();
+        return `http://${this.host}:${port}/`;
+    }
+
+    /**
+     * Render the diagram again and tell connected browsers to reload
+     * Build errors are kept and shown in the browser instead of stopping the server
+     */
+    async rebuild() {
+        try {
+            this.svg = await this.build();
+            this.error = null;
+            console.log('Diagram rebuilt');
+        } catch (error) {
+            this.error = error;
+            console.error('Failed to build diagram:', error.message || error);
+        }
+
+        this.broadcast('reload');
+    }
+
+    broadcast(event, data = '') {
+        for (const client of this.clients) {
+            client.write(`event: ${event}\ndata: ${data}\n\n`);
+        }
+    }
+
+    handleRequest(request, response) {
+        const url = new URL(request.url, 'http://localhost');
+
+        switch (url.pathname) {
+            case '/':
+                response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+                response.end(PAGE);
+                break;
+
+            case '/diagram.svg':
+                if (this.error || !this.svg) {
+                    response.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+                    response.end(String(this.error?.message || this.error || 'Diagram has not been built'));
+                } else {
+                    response.writeHead(200, { 'Content-Type': 'image/svg+xml; charset=utf-8', 'Cache-Control': 'no-store' });
+                    response.end(this.svg);
+                }
+                break;
+
+            case '/events':
+                response.writeHead(200, {
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    'Connection': 'keep-alive'
+                });
+                response.write(': connected\n\n');
+                this.clients.add(response);
+                request.on('close', () => this.clients.delete(response));
+                break;
+
+            default:
+                response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+                response.end('Not found');
+        }
+    }
+}
+
+module.exports = PreviewServer;
@@ -0,0 +1,139 @@
+const StyleHandler = require('./style-handler');
+
+// TikZ shapes and their Graphviz equivalents
+const SHAPES = {
+    rectangle: 'box',
+    circle: 'circle',
+    ellipse: 'ellipse',
+    diamond: 'diamond',
+    trapezium: 'trapezium',
+    star: 'star',
+    'regular polygon': 'polygon'
+};
+
+// TikZ arrow tips and their Graphviz equivalents
+const ARROWS = {
+    '>': 'vee',
+    '<': 'vee',
+    'latex': 'normal',
+    'stealth': 'vee',
+    'triangle': 'normal',
+    'circle': 'dot',
+    'o': 'odot',
+    'square': 'box',
+    'diamond': 'diamond',
+    'bar': 'tee',
+    '|': 'tee',
+    'none': 'none'
+};
+
+class DotStyleHandler extends StyleHandler {
+    constructor(options = {}) {
+        // Initialize the base StyleHandler
+        super(options);
+    }
+
+    /**
+     * Convert a length such as "0.02cm" to points
+     * Plain numbers are treated as centimetres, like TikZ dimensions in the style files
+     * @param {string|number} value - Length value
+     * @returns {number|undefined} Length in points, or undefined if it cannot be parsed
+     */
+    parseLengthToPoints(value) {
+        return this.parseLength(value, null, 'pt') ?? undefined;
+    }
+
+    /**
+     * Convert a TikZ colour to a Graphviz colour
+     * Graphviz has no xcolor tints, so "red!40" becomes "red"
+     * @param {string} value - Colour value
+     * @returns {string|undefined} Graphviz colour
+     */
+    resolveColor(value) {
+        if (value === undefined || value === null || value === '' || value === true || value === false) {
+            return undefined;
+        }
+        return String(value).trim().split('!')[0];
+    }
+
+    /**
+     * Map a TikZ shape name to a Graphviz shape
+     * @param {string} shape - TikZ shape name
+     * @returns {string} Graphviz shape
+     */
+    resolveShape(shape) {
+        if (!shape) {
+            return 'box';
+        }
+        return SHAPES[String(shape).toLowerCase()] || 'box';
+    }
+
+    /**
+     * Map a TikZ arrow tip to a Graphviz arrow type
+     * @param {string} arrow - Arrow tip from an edge
+     * @returns {string} Graphviz arrow type
+     */
+    resolveArrow(arrow) {
+        if (!arrow) {
+            return 'none';
+        }
+        return ARROWS[String(arrow).toLowerCase()] || 'normal';
+    }
+
+    /**
+     * Translate common TikZ style attributes to Graphviz attributes
+     * @param {Object} tikz - TikZ style attributes
+     * @returns {Object} Graphviz attributes
+     */
+    tikzToDotAttributes(tikz = {}) {
+        const attributes = {};
+        const styles = [];
+
+        const fill = this.resolveColor(tikz.fill);
+        if (fill) {
+            attributes.fillcolor = fill;
+            styles.push('filled');
+        }
+
+        const draw = this.resolveColor(tikz.draw);
+        if (draw) {
+            attributes.color = draw;
+        }
+
+        const text = this.resolveColor(tikz.text);
+        if (text) {
+            attributes.fontcolor = text;
+        }
+
+        const lineWidth = this.parseLengthToPoints(tikz['line width']);
+        if (lineWidth !== undefined) {
+            attributes.penwidth = Math.round(lineWidth * 100) / 100;
+        }
+
+        if (this.parseLengthToPoints(tikz['rounded corners']) > 0 || tikz['rounded corners'] === true) {
+            styles.push('rounded');
+        }
+
+        for (const flag of ['dashed', 'dotted', 'bold']) {
+            if (tikz[flag] === true || tikz[flag] === 'true') {
+                styles.push(flag);
+            }
+        }
+
+        if (styles.length > 0) {
+            attributes.style = styles.join(',');
+        }
+
+        return attributes;
+    }
+
+    /**
+     * Get the list of compatible renderers for the DOT style handler
+     * @returns {Array} Array of compatible renderer names
+     */
+    getCompatibleRenderers() {
+        return ['dot', 'common'];
+    }
+}
+
+module.exports = DotStyleHandler;
@@ -0,0 +1,18 @@
+const SvgStyleHandler = require('./svg-style-handler');
+
+class DrawioStyleHandler extends SvgStyleHandler {
+    constructor(options = {}) {
+        // Lengths and colours are resolved the same way as for SVG
+        super(options);
+    }
+
+    /**
+     * Get the list of compatible renderers for the draw.io style handler
+     * @returns {Array} Array of compatible renderer names
+     */
+    getCompatibleRenderers() {
+        return ['drawio', 'common'];
+    }
+}
+
+module.exports = DrawioStyleHandler;
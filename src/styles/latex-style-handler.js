@@ -53,40 +53,20 @@ class LatexStyleHandler extends StyleHandler {
     }
 
     /**
-     * Process an attribute string into a style object
-     * @param {string} attributeStr - Attribute string (comma-separated list of attributes)
-     * @returns {Object} Style object with parsed attributes
+     * Skip attributes the renderer sets itself, and name hex colours in draw and fill
+     * @param {string} key - Attribute name
+     * @param {string} value - Attribute value
+     * @returns {string|undefined} Value to keep, or undefined to skip the attribute
      */
-    processAttributes(attributeStr) {
-        if (!attributeStr) return {};
-        
-        const style = { tikz: {} };
-        const attributes = attributeStr.split(',').map(attr => attr.trim());
-        
-        for (const attr of attributes) {
-            // Skip empty attributes
-            if (!attr) continue;
-            
-            // Handle key=value pairs
-            if (attr.includes('=')) {
-                const [key, value] = attr.split('=').map(s => s.trim());
-                
-                // Skip reserved attributes
-                if (this.reservedAttributes.has(key)) continue;
-                
-                // Process color values in draw and fill
-                if ((key === 'draw' || key === 'fill') && value.startsWith('#')) {
-                    style.tikz[key] = this.registerColor(value);
-                } else {
-                    style.tikz[key] = value;
-                }
-            } else {
-                // Handle flag attributes (no value)
-                style.tikz[attr] = true;
-            }
+    processAttributeValue(key, value) {
+        // Skip reserved attributes
+        if (this.reservedAttributes.has(key)) return undefined;
+
+        // Process color values in draw and fill
+        if ((key === 'draw' || key === 'fill') && value.startsWith('#')) {
+            return this.registerColor(value);
         }
-        
-        return style;
+        return value;
     }
 
     /**
@@ -0,0 +1,18 @@
+const StyleHandler = require('./style-handler');
+
+class MermaidStyleHandler extends StyleHandler {
+    constructor(options = {}) {
+        // Initialize the base StyleHandler
+        super(options);
+    }
+
+    /**
+     * Get the list of compatible renderers for the mermaid style handler
+     * @returns {Array} Array of compatible renderer names
+     */
+    getCompatibleRenderers() {
+        return ['mermaid', 'common'];
+    }
+}
+
+module.exports = MermaidStyleHandler;
@@ -0,0 +1,18 @@
+const StyleHandler = require('./style-handler');
+
+class PlantUmlStyleHandler extends StyleHandler {
+    constructor(options = {}) {
+        // Initialize the base StyleHandler
+        super(options);
+    }
+
+    /**
+     * Get the list of compatible renderers for the PlantUML style handler
+     * @returns {Array} Array of compatible renderer names
+     */
+    getCompatibleRenderers() {
+        return ['plantuml', 'common'];
+    }
+}
+
+module.exports = PlantUmlStyleHandler;
@@ -5,6 +5,16 @@ const DynamicProperty = require('../io/models/dynamic-property');
 // Base style for normalization
 const BASE_STYLE = 'base';
 
+// Length units understood in style values, expressed in centimetres
+const CENTIMETRES_PER_UNIT = {
+    cm: 1,
+    mm: 0.1,
+    in: 2.54,
+    pt: 2.54 / 72.27,
+    bp: 2.54 / 72,
+    px: 2.54 / 96
+};
+
 /**
  * Base StyleHandler class for managing style properties across different renderers
  * Provides common functionality for style management while allowing renderer-specific extensions
@@ -572,6 +582,76 @@ class StyleHandler {
         return ['common'];
     }
 
+    /**
+     * Process an attribute string into a style object
+     * @param {string} attributeStr - Attribute string (comma-separated list of attributes)
+     * @returns {Object} Style object with parsed attributes
+     */
+    processAttributes(attributeStr) {
+        if (!attributeStr) return {};
+
+        const style = { tikz: {} };
+        const attributes = attributeStr.split(',').map(attr => attr.trim());
+
+        for (const attr of attributes) {
+            // Skip empty attributes
+            if (!attr) continue;
+
+            // Handle key=value pairs
+            if (attr.includes('=')) {
+                const [key, value] = attr.split('=').map(s => s.trim());
+                const processed = this.processAttributeValue(key, value);
+                if (processed !== undefined) {
+                    style.tikz[key] = processed;
+                }
+            } else {
+                // Handle flag attributes (no value)
+                style.tikz[attr] = true;
+            }
+        }
+
+        return style;
+    }
+
+    /**
+     * Value to keep for a key=value attribute, see processAttributes
+     * Renderer style handlers override this to skip or convert attributes
+     * @param {string} key - Attribute name
+     * @param {string} value - Attribute value
+     * @returns {*} Value to keep, or undefined to skip the attribute
+     */
+    processAttributeValue(key, value) {
+        return value;
+    }
+
+    /**
+     * Convert a length such as "0.02cm" or "1pt" to a unit
+     * Plain numbers are treated as centimetres, like TikZ dimensions in the style files
+     * @param {string|number} value - Length value
+     * @param {*} defaultValue - Value returned if the length cannot be parsed
+     * @param {string} unit - Unit to convert to, one of cm, mm, in, pt, bp, px (default: cm)
+     * @returns {number} Length in the unit
+     */
+    parseLength(value, defaultValue = 0, unit = 'cm') {
+        if (value === undefined || value === null || value === '') {
+            return defaultValue;
+        }
+
+        let centimetres;
+        if (typeof value === 'number') {
+            centimetres = value;
+        } else {
+            const match = String(value).trim().match(/^(-?\d*\.?\d+)\s*([a-z]*)$/i);
+            const factor = match ? CENTIMETRES_PER_UNIT[match[2].toLowerCase() || 'cm'] : undefined;
+            if (factor === undefined) {
+                return defaultValue;
+            }
+            centimetres = parseFloat(match[1]) * factor;
+        }
+
+        return unit === 'cm' ? centimetres : centimetres / CENTIMETRES_PER_UNIT[unit];
+    }
+
     /**
      * Process YAML documents from the style YAML file
      * @param {Array} documents - Array of YAML documents
@@ -0,0 +1,47 @@
+const StyleHandler = require('./style-handler');
+
+class SvgStyleHandler extends StyleHandler {
+    constructor(options = {}) {
+        // Initialize the base StyleHandler
+        super(options);
+    }
+
+    /**
+     * Convert a TikZ colour to an SVG colour and opacity
+     * Hex and named colours are passed through, xcolor tints such as "red!40"
+     * (40% red on white) are approximated with opacity
+     * @param {string} value - Colour value
+     * @returns {{color: string, opacity: number}|null} SVG colour or null if no colour
+     */
+    resolveColor(value) {
+        if (value === undefined || value === null || value === '' || value === false) {
+            return null;
+        }
+
+        const text = String(value).trim();
+        if (text === 'none') {
+            return { color: 'none', opacity: 1 };
+        }
+
+        const tint = text.match(/^([#a-zA-Z0-9]+)!(\d*\.?\d+)$/);
+        if (tint) {
+            return {
+                color: tint[1],
+                opacity: Math.max(0, Math.min(100, parseFloat(tint[2]))) / 100
+            };
+        }
+
+        return { color: text, opacity: 1 };
+    }
+
+    /**
+     * Get the list of compatible renderers for the SVG style handler
+     * @returns {Array} Array of compatible renderer names
+     */
+    getCompatibleRenderers() {
+        // SVG shares vector properties with LaTeX
+        return ['svg', 'vector', 'common'];
+    }
+}
+
+module.exports = SvgStyleHandler;
@@ -0,0 +1,19 @@
+const StyleHandler = require('./style-handler');
+
+class TextStyleHandler extends StyleHandler {
+    constructor(options = {}) {
+        // Initialize the base StyleHandler
+        super(options);
+    }
+
+    /**
+     * Get the list of compatible renderers for the text style handler
+     * @returns {Array} Array of compatible renderer names
+     */
+    getCompatibleRenderers() {
+        // Text renderer only understands common and text-specific properties
+        return ['text', 'common'];
+    }
+}
+
+module.exports = TextStyleHandler;
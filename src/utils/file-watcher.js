@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Watches a set of files and calls back once per burst of changes.
+ *
+ * The parent directories are watched rather than the files themselves, so
+ * editors that save by writing a new file and renaming it over the old one
+ * keep being picked up. Callbacks never overlap: changes that arrive while
+ * a callback is running trigger one more call after it finishes.
+ */
+class FileWatcher {
+    /**
+     * @param {Array<string>} files - Files to watch
+     * @param {Function} onChange - Called with the array of changed files, may be async
+     * @param {Object} options - Options
+     * @param {number} options.debounceMs - Quiet time before calling back (default 200)
+     */
+    constructor(files, onChange, options = {}) {
+        this.files = new Set(files.filter(Boolean).map(file => path.resolve(file)));
+        this.onChange = onChange;
+        this.debounceMs = options.debounceMs ?? 200;
+
+        this.watchers = [];
+        this.pending = new Set();
+        this.timer = null;
+        this.running = false;
+    }
+
+    start() {
+        const directories = new Set([...this.files].map(file => path.dirname(file)));
+
+        for (const directory of directories) {
+            const watcher = fs.watch(directory, (eventType, fileName) => {
+                if (!fileName) {
+                    return;
+                }
+                const file = path.join(directory, fileName.toString());
+                if (this.files.has(file)) {
+                    this.queue(file);
+                }
+            });
+            watcher.on('error', error => console.error(`Error watching ${directory}:`, error));
+            this.watchers.push(watcher);
+        }
+
+        return this;
+    }
+
+    close() {
+        clearTimeout(this.timer);
+        this.watchers.forEach(watcher => watcher.close());
+        this.watchers = [];
+    }
+
+    queue(file) {
+        this.pending.add(file);
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.flush(), this.debounceMs);
+    }
+
+    async flush() {
+        // Wait for the running callback, it flushes again when done
+        if (this.running || this.pending.size === 0) {
+            return;
+        }
+
+        const changed = [...this.pending];
+        this.pending.clear();
+        this.running = true;
+
+        try {
+            await this.onChange(changed);
+        } catch (error) {
+            console.error('Error handling file change:', error);
+        } finally {
+            this.running = false;
+        }
+
+        if (this.pending.size > 0) {
+            await this.flush();
+        }
+    }
+}
+
+module.exports = FileWatcher;
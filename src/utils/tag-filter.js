@@ -0,0 +1,112 @@
+/**
+ * Chooses which nodes and edges are drawn from their tags
+ *
+ * Nodes and edges are tagged with a tags field (a YAML list, or tags separated by
+ * commas or semicolons) and a layer field, which counts as one more tag. With
+ * include tags, only nodes that have at least one of them are drawn. With exclude
+ * tags, anything that has one of them is hidden, even if it is also included.
+ *
+ * Untagged edges follow their nodes, and an edge is never drawn when either of
+ * its nodes is hidden. Filtering happens at render time, after every node has
+ * been positioned, so nodes placed relative to hidden nodes keep their places.
+ *
+ * A list of node names narrows the drawing down further to just those nodes.
+ */
+class TagFilter {
+    /**
+     * @param {Object} options - Options
+     * @param {Array<string>|string} options.include - Tags to draw, everything is drawn if empty
+     * @param {Array<string>|string} options.exclude - Tags to hide
+     * @param {Array<string>|string} options.nodes - Names of the only nodes to draw, every node if empty
+     */
+    constructor(options = {}) {
+        this.include = new Set(TagFilter.parseTags(options.include));
+        this.exclude = new Set(TagFilter.parseTags(options.exclude));
+        this.nodes = new Set(TagFilter.parseTags(options.nodes));
+    }
+
+    /**
+     * Whether the filter hides anything
+     * @returns {boolean} True if there are include or exclude tags, or node names
+     */
+    isActive() {
+        return this.include.size > 0 || this.exclude.size > 0 || this.nodes.size > 0;
+    }
+
+    /**
+     * Whether a node is drawn
+     * @param {Object} node - Node
+     * @returns {boolean} True if the node is drawn
+     */
+    isNodeVisible(node) {
+        if (this.nodes.size > 0 && !this.nodes.has(node?.name)) {
+            return false;
+        }
+        const tags = TagFilter.getTags(node);
+        if (tags.some(tag => this.exclude.has(tag))) {
+            return false;
+        }
+        return this.include.size === 0 || tags.some(tag => this.include.has(tag));
+    }
+
+    /**
+     * Whether an edge is drawn
+     * @param {Object} edge - Edge, with from and to nodes
+     * @returns {boolean} True if the edge and both its nodes are drawn
+     */
+    isEdgeVisible(edge) {
+        if (!this.isNodeVisible(edge.from) || !this.isNodeVisible(edge.to)) {
+            return false;
+        }
+
+        const tags = TagFilter.getTags(edge);
+        if (tags.length === 0) {
+            return true;
+        }
+        if (tags.some(tag => this.exclude.has(tag))) {
+            return false;
+        }
+        return this.include.size === 0 || tags.some(tag => this.include.has(tag));
+    }
+
+    /**
+     * Drop the nodes and edges that are not drawn
+     * @param {Array<Object>} nodes - Nodes
+     * @param {Array<Object>} edges - Edges
+     * @returns {{nodes: Array<Object>, edges: Array<Object>}} Nodes and edges to draw
+     */
+    apply(nodes, edges) {
+        if (!this.isActive()) {
+            return { nodes, edges };
+        }
+
+        return {
+            nodes: nodes.filter(node => this.isNodeVisible(node)),
+            edges: edges.filter(edge => this.isEdgeVisible(edge))
+        };
+    }
+
+    /**
+     * Tags of a node or edge, from its tags and layer fields
+     * @param {Object} item - Node or edge
+     * @returns {Array<string>} Tags
+     */
+    static getTags(item) {
+        return [...this.parseTags(item?.tags), ...this.parseTags(item?.layer)];
+    }
+
+    /**
+     * Read a list of tags, given as a list or separated by commas or semicolons
+     * @param {Array|string} value - Tags
+     * @returns {Array<string>} Trimmed tags
+     */
+    static parseTags(value) {
+        if (value === undefined || value === null) {
+            return [];
+        }
+        const tags = Array.isArray(value) ? value : String(value).split(/[,;]/);
+        return tags.map(tag => String(tag).trim()).filter(tag => tag !== '');
+    }
+}
+
+module.exports = TagFilter;
@@ -0,0 +1,112 @@
+const Severity = {
+    ERROR: 'error',
+    WARNING: 'warning'
+};
+
+/**
+ * Collects problems found while loading a diagram
+ *
+ * Each issue records where it came from, so it can be fixed without hunting:
+ *   file      input file path
+ *   sheet     worksheet name, for Excel workbooks
+ *   row       CSV line or worksheet row number (the header is line 1)
+ *   document  YAML document number within the file, counting from 1
+ *   field     column or property name
+ *   node      node the issue is about, when there is one
+ *
+ * Identical issues are only recorded once, as mixed YAML files are read by
+ * several stages of the pipeline.
+ */
+class ValidationReport {
+    constructor() {
+        this.issues = [];
+        this.keys = new Set();
+    }
+
+    /**
+     * Record an issue
+     * @param {string} severity - Severity.ERROR or Severity.WARNING
+     * @param {string} message - Description of the problem
+     * @param {Object} location - file, sheet, row, document, field and node, all optional
+     * @returns {Object} The issue
+     */
+    add(severity, message, location = {}) {
+        const issue = {
+            severity,
+            message,
+            file: location.file ?? null,
+            sheet: location.sheet ?? null,
+            row: location.row ?? null,
+            document: location.document ?? null,
+            field: location.field ?? null,
+            node: location.node ?? null
+        };
+
+        const key = JSON.stringify(issue);
+        if (!this.keys.has(key)) {
+            this.keys.add(key);
+            this.issues.push(issue);
+        }
+
+        return issue;
+    }
+
+    error(message, location) {
+        return this.add(Severity.ERROR, message, location);
+    }
+
+    warning(message, location) {
+        return this.add(Severity.WARNING, message, location);
+    }
+
+    getErrors() {
+        return this.issues.filter(issue => issue.severity === Severity.ERROR);
+    }
+
+    getWarnings() {
+        return this.issues.filter(issue => issue.severity === Severity.WARNING);
+    }
+
+    hasErrors() {
+        return this.issues.some(issue => issue.severity === Severity.ERROR);
+    }
+
+    toJSON() {
+        return {
+            valid: !this.hasErrors(),
+            errors: this.getErrors().length,
+            warnings: this.getWarnings().length,
+            issues: this.issues
+        };
+    }
+
+    /**
+     * Format the report for people, one line per issue followed by a summary
+     * e.g. "error: edges.csv, row 5, field 'to': Edge references missing node 'db'"
+     * @returns {string} Formatted report
+     */
+    formatText() {
+        const lines = this.issues.map(issue => {
+            const where = [];
+            if (issue.file) where.push(issue.file);
+            if (issue.sheet) where.push(`sheet '${issue.sheet}'`);
+            if (issue.row !== null) where.push(`row ${issue.row}`);
+            if (issue.document !== null) where.push(`document ${issue.document}`);
+            if (issue.field) where.push(`field '${issue.field}'`);
+
+            return where.length > 0
+                ? `${issue.severity}: ${where.join(', ')}: ${issue.message}`
+                : `${issue.severity}: ${issue.message}`;
+        });
+
+        const errors = this.getErrors().length;
+        const warnings = this.getWarnings().length;
+        lines.push(this.issues.length === 0
+            ? 'No problems found'
+            : `${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`);
+
+        return lines.join('\n');
+    }
+}
+
+module.exports = { ValidationReport, Severity };
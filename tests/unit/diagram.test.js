@@ -0,0 +1,84 @@
+const fs = require('fs');
+const Diagram = require('../../src/diagram');
+const { Diagram: ExportedDiagram } = require('../../src/index');
+
+describe('Diagram', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    jest.spyOn(fs, 'writeFileSync');
+    jest.spyOn(fs, 'createReadStream');
+    jest.spyOn(fs.promises, 'readFile');
+  });
+
+  afterEach(() => {
+    expect(fs.writeFileSync).not.toHaveBeenCalled();
+    expect(fs.createReadStream).not.toHaveBeenCalled();
+    expect(fs.promises.readFile).not.toHaveBeenCalled();
+    jest.restoreAllMocks();
+  });
+
+  test('should be exported with the library', () => {
+    expect(ExportedDiagram).toBe(Diagram);
+  });
+
+  test('should build from objects and strings in the order they were added', async () => {
+    const builder = await new Diagram()
+      .style({ page: { scale: { position: { x: 2, y: 2 } } } })
+      .node({ name: 'web', x: 0, y: 0 }, { name: 'db', x: 3, y: 0 })
+      .nodes('name,x,y\ncache,0,-2\ndb,,1\n')
+      .edge({ from: 'web', to: 'db', step: 2 })
+      .edges('from,to\nweb,cache\n')
+      .positions('r,0,1\n5,cache,\n')
+      .build();
+
+    const nodes = builder.readerManager.getNodes();
+    expect([...nodes.keys()]).toEqual(['web', 'db', 'cache']);
+    // Later records are merged over earlier ones
+    expect(nodes.get('db').position.xScaled).toBe(6);
+    expect(nodes.get('db').position.yScaled).toBe(2);
+    expect(nodes.get('cache').position.yScaled).toBe(10);
+    expect(builder.readerManager.getEdges().map(edge => edge.to.name)).toEqual(['db', 'cache']);
+    expect(builder.report.hasErrors()).toBe(false);
+  });
+
+  test('should render to a string without touching the disk', async () => {
+    const diagram = new Diagram({ renderer: 'svg' })
+      .style('{"default": {"node": {"width": 2}}}', 'json')
+      .nodes('type: node\nname: a\nx: 0\ny: 0\n', 'yaml')
+      .positions(new Map([['b', { x: 2, y: 0 }]]));
+
+    const svg = await diagram.render();
+
+    expect(svg).toMatch(/^<svg|<\?xml/);
+    expect(svg).toContain('>a<');
+    expect(svg).toContain('>b<');
+  });
+
+  test('should render named diagrams from mixed YAML', async () => {
+    const diagram = new Diagram({ renderer: 'dot' }).yaml(`---
+type: node
+name: a
+x: 0
+y: 0
+---
+type: node
+name: b
+x: 0
+y: 2
+---
+type: edge
+from: a
+to: b
+---
+type: diagram
+name: only-a
+nodes: a
+`);
+
+    expect(await diagram.render()).toContain('->');
+    const onlyA = await diagram.render('only-a');
+    expect(onlyA).toContain('"a"');
+    expect(onlyA).not.toContain('"b"');
+    await expect(diagram.render('missing')).rejects.toThrow("No diagram named 'missing'");
+  });
+});
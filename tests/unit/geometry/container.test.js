@@ -0,0 +1,131 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Container = require('../../../src/geometry/container');
+const NodeDependencies = require('../../../src/geometry/node-dependencies');
+const { Position, PositionType } = require('../../../src/geometry/position');
+const Dimensions = require('../../../src/geometry/dimensions');
+const DiagramBuilder = require('../../../src/diagram-builder');
+
+describe('Container', () => {
+  const nodeMap = (nodes) => new Map(Object.entries(nodes).map(([name, node]) => [name, { name, ...node }]));
+  const placed = (x, y, width = 1, height = 1) => ({
+    position: new Position({ success: true, xScaled: x, yScaled: y, positionType: PositionType.COORDINATES }),
+    dimensions: new Dimensions({ widthScaled: width, heightScaled: height }),
+    anchorVector: { x: 0, y: 0 }
+  });
+
+  test('should collect members from contains lists and group fields', () => {
+    const nodes = nodeMap({
+      outer: { contains: 'inner; c' },
+      inner: { contains: ['a', 'b', 'ghost'] },
+      a: {},
+      b: { group: 'inner' },
+      c: { group: 'missing' },
+      d: { group: 'd' }
+    });
+
+    expect(NodeDependencies.getMembers(nodes)).toEqual(new Map([
+      ['outer', ['inner', 'c']],
+      ['inner', ['a', 'b']]
+    ]));
+  });
+
+  test('should resolve members before their containers', () => {
+    const nodes = nodeMap({ box: { contains: 'a' }, a: { x: 0, y: 0 }, b: { group: 'box', x: 2, y: 0 } });
+
+    expect(NodeDependencies.resolveOrder(nodes).order).toEqual(['a', 'b', 'box']);
+  });
+
+  test('should fit around its members with padding in size units', () => {
+    const members = [placed(0, 0), placed(4, 2, 2, 2)];
+    const scale = { position: { x: 2, y: 1 }, size: { w: 2, h: 1 } };
+
+    const fitted = Container.fit({ padding: '0.25' }, members, scale);
+
+    expect(fitted.dimensions).toEqual(expect.objectContaining({ widthScaled: 6.5, heightScaled: 4, widthUnscaled: 3.25, heightUnscaled: 4 }));
+    expect(fitted.position).toEqual(expect.objectContaining({ success: true, xScaled: 2.25, yScaled: 1.25, xUnscaled: 1.125, yUnscaled: 1.25 }));
+  });
+
+  test('should allow for its own anchor and ignore unpositioned members', () => {
+    const unplaced = { position: new Position({ message: 'no position' }), dimensions: new Dimensions({}) };
+
+    const fitted = Container.fit({}, [placed(0, 0), unplaced], {}, { x: -1, y: 1 });
+
+    expect(fitted.position).toEqual(expect.objectContaining({ xScaled: -1, yScaled: 1 }));
+    expect(Container.fit({}, [unplaced], {})).toBeNull();
+  });
+
+  test('should read label corners', () => {
+    expect(Container.getLabelCorner({ label_corner: 'nw' }).name).toBe('north west');
+    expect(Container.getLabelCorner({ label_corner: 'south' }).vector).toEqual(expect.objectContaining({ x: 0, y: -1 }));
+    expect(Container.getLabelCorner({ label_corner: 'center' })).toBeNull();
+    expect(Container.getLabelCorner({})).toBeNull();
+  });
+});
+
+describe('DiagramBuilder containers', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'container-'));
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  const build = async (csv, style) => {
+    const nodesFile = path.join(tempDir, 'nodes.csv');
+    fs.writeFileSync(nodesFile, csv);
+    const styles = [];
+    if (style) {
+      styles.push(path.join(tempDir, 'style.yaml'));
+      fs.writeFileSync(styles[0], style);
+    }
+
+    const builder = new DiagramBuilder({ renderer: 'text' });
+    await builder.loadData(styles, [nodesFile], [], null, null);
+    return builder;
+  };
+
+  test('should follow its members, draw them on top and put the label in a corner', async () => {
+    const builder = await build('name,x,y,contains,group,label_corner\nbox,9,9,a,,\na,0,0,,,\nb,3,1,,box,\nc,6,0,,,\nouter,,,box;c,,south east\n');
+    const nodes = builder.readerManager.getNodes();
+
+    expect(nodes.get('box').position).toEqual(expect.objectContaining({ xScaled: 1.5, yScaled: 0.5 }));
+    expect(nodes.get('box').dimensions).toEqual(expect.objectContaining({ widthScaled: 5, heightScaled: 3 }));
+    expect(nodes.get('box').label_corner).toBe('north west');
+    expect(nodes.get('outer').dimensions).toEqual(expect.objectContaining({ widthScaled: 8.5, heightScaled: 4 }));
+    expect(builder.getNodesInDrawingOrder().map(node => node.name)).toEqual(['outer', 'box', 'a', 'b', 'c']);
+    expect(builder.report.issues).toEqual([]);
+
+    const lines = builder.renderer.draft(builder.getNodesInDrawingOrder(), []).split('\n');
+    // Labels go on the border line, clear of the members
+    expect(lines[1]).toMatch(/^┃ ┏box━+┓ +┃$/);
+    expect(lines[lines.length - 1]).toMatch(/^┗━+outer┛$/);
+  });
+
+  test('should leave containers out of automatic layouts', async () => {
+    const builder = await build('name,group\nbox,\na,box\nb,box\n', 'type: page\nlayout:\n  type: layered\n');
+    const nodes = builder.readerManager.getNodes();
+
+    expect(nodes.get('box').x).toBeUndefined();
+    expect(nodes.get('box').dimensions.widthScaled).toBe(4);
+  });
+
+  test('should report missing groups', async () => {
+    const nodesFile = path.join(tempDir, 'nodes.csv');
+    fs.writeFileSync(nodesFile, 'name,x,y,group\na,0,0,ghost\n');
+
+    const builder = new DiagramBuilder({ renderer: 'text' });
+    const report = await builder.validate([], [nodesFile], [], null, null);
+
+    expect(report.getErrors().map(issue => [issue.row, issue.field, issue.message])).toEqual([
+      [2, 'group', "Node 'a' is in missing group 'ghost'"]
+    ]);
+  });
+});
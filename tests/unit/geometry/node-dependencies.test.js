@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const NodeDependencies = require('../../../src/geometry/node-dependencies');
+const DiagramBuilder = require('../../../src/diagram-builder');
+
+describe('NodeDependencies', () => {
+  const nodeMap = (nodes) => new Map(Object.entries(nodes).map(([name, node]) => [name, { name, ...node }]));
+
+  test('should list the nodes a node references', () => {
+    const references = NodeDependencies.getReferences({ position_of: 'a.north', w_of: 'b', h_from: 'c.south', h_to: '' });
+
+    expect(references).toEqual([
+      { field: 'position_of', name: 'a' },
+      { field: 'w_of', name: 'b' },
+      { field: 'h_from', name: 'c' }
+    ]);
+  });
+
+  test('should order nodes after the nodes they reference', () => {
+    const nodes = nodeMap({
+      a: { position_of: 'c.east' },
+      b: { x: 0, y: 0 },
+      c: { x_of: 'd', y_of: 'b' },
+      d: { x: 5, y: 0 },
+      e: { h_from: 'a.north', h_to: 'd.south' }
+    });
+
+    const { order, cycles } = NodeDependencies.resolveOrder(nodes);
+
+    expect(order).toEqual(['d', 'b', 'c', 'a', 'e']);
+    expect(cycles).toEqual([]);
+  });
+
+  test('should keep definition order for independent nodes and ignore missing references', () => {
+    const nodes = nodeMap({ b: {}, a: { position_of: 'missing' }, c: {} });
+
+    expect(NodeDependencies.resolveOrder(nodes).order).toEqual(['b', 'a', 'c']);
+  });
+
+  test('should report reference cycles with the full chain', () => {
+    const nodes = nodeMap({
+      a: { position_of: 'b' },
+      b: { w_of: 'c' },
+      c: { y_of: 'a.south' },
+      d: { position_of: 'd' }
+    });
+
+    const { order, cycles } = NodeDependencies.resolveOrder(nodes);
+
+    expect(cycles).toEqual([['a', 'b', 'c', 'a'], ['d', 'd']]);
+    expect(order.sort()).toEqual(['a', 'b', 'c', 'd']);
+  });
+});
+
+describe('DiagramBuilder relative references', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dependencies-'));
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  const load = async (csv) => {
+    const nodeFile = path.join(tempDir, 'nodes.csv');
+    fs.writeFileSync(nodeFile, csv);
+    const builder = new DiagramBuilder({ renderer: 'text' });
+    await builder.loadData(null, [nodeFile], []);
+    return builder;
+  };
+
+  test('should resolve nodes that reference nodes defined later', async () => {
+    const builder = await load([
+      'name,x,y,width,height,position_of,x_offset,w_of,x_of,y_of',
+      'a,,,,,b,2,,,',
+      'b,,,,,,,,c,d',
+      'c,4,0,3,1,,,,,',
+      'd,0,7,1,1,,,,,',
+      'e,,,,,,,c,,'
+    ].join('\n'));
+    const nodes = builder.readerManager.getNodes();
+
+    expect(nodes.get('b').position).toEqual(expect.objectContaining({ xUnscaled: 4, yUnscaled: 7 }));
+    expect(nodes.get('a').position).toEqual(expect.objectContaining({ xUnscaled: 6, yUnscaled: 7 }));
+    expect(nodes.get('e').dimensions.widthUnscaled).toBe(3);
+    expect(builder.report.issues).toEqual([expect.objectContaining({ message: "Node 'e' has no position" })]);
+  });
+
+  test('should report reference cycles', async () => {
+    const builder = await load('name,position_of\na,b\nb,c\nc,a\n');
+
+    expect(builder.report.getErrors()).toEqual([
+      expect.objectContaining({ message: 'Reference cycle: a -> b -> c -> a', node: 'a', row: 2 })
+    ]);
+  });
+});
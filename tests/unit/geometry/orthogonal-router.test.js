@@ -0,0 +1,94 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { OrthogonalRouter } = require('../../../src/geometry/orthogonal-router');
+const { BoundingBox } = require('../../../src/geometry/bounding-box');
+const { Point2D } = require('../../../src/geometry/basic-points');
+const DiagramBuilder = require('../../../src/diagram-builder');
+
+describe('OrthogonalRouter', () => {
+  const box = (x, y, width = 1, height = 1) => new BoundingBox(x - width / 2, y - height / 2, x + width / 2, y + height / 2);
+  const free = (x, y) => ({ point: new Point2D(x, y), box: box(x, y), direction: null });
+  const coordinates = (points) => points.map(point => [point.x, point.y]);
+
+  test('should draw a straight line when nothing is in the way', () => {
+    const route = new OrthogonalRouter([]).route(free(0, 0), free(4, 0));
+
+    expect(coordinates(route)).toEqual([[0.5, 0], [3.5, 0]]);
+  });
+
+  test('should go around boxes in the way with as few bends as possible', () => {
+    // Reaches further up than down, so the short way is underneath
+    const wall = box(2, 0.5, 1, 3);
+
+    const route = new OrthogonalRouter([wall], { margin: 0.5 }).route(free(0, 0), free(4, 0));
+
+    expect(coordinates(route)).toEqual([[0, -0.5], [0, -1.5], [4, -1.5], [4, -0.5]]);
+    for (let i = 1; i < route.length; i++) {
+      expect(route[i].x === route[i - 1].x || route[i].y === route[i - 1].y).toBe(true);
+    }
+  });
+
+  test('should leave and arrive in the direction of side anchors', () => {
+    const from = { point: new Point2D(0.5, 0), box: box(0, 0), direction: { x: 1, y: 0 } };
+    const to = { point: new Point2D(0.5, 3), box: box(0, 3), direction: { x: 1, y: 0 } };
+
+    const route = new OrthogonalRouter([]).route(from, to);
+
+    expect(coordinates(route)).toEqual([[0.5, 0], [0.75, 0], [0.75, 3], [0.5, 3]]);
+  });
+
+  test('should give up when an end is walled in', () => {
+    const walls = [box(0, 2, 5, 1), box(0, -2, 5, 1), box(2, 0, 1, 5), box(-2, 0, 1, 5)];
+
+    expect(new OrthogonalRouter(walls).route(free(0, 0), free(6, 0))).toBeNull();
+  });
+});
+
+describe('Orthogonal edges', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ortho-'));
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  const build = async (edges) => {
+    const nodesFile = path.join(tempDir, 'nodes.csv');
+    const edgesFile = path.join(tempDir, 'edges.csv');
+    fs.writeFileSync(nodesFile, 'name,x,y,width,height\na,0,0,1,1\nb,6,0,1,1\nwall,3,0,1,3\n');
+    fs.writeFileSync(edgesFile, edges);
+
+    const builder = new DiagramBuilder({ renderer: 'latex' });
+    await builder.loadData([], [nodesFile], [edgesFile], null, null);
+    return builder.readerManager.getEdges();
+  };
+
+  test('should route edges around other nodes as real waypoints', async () => {
+    const [routed, straight] = await build('from,to,path_type,route\na,b,ortho,\nb,a,,orthogonal\n');
+
+    expect(routed).toEqual(expect.objectContaining({
+      route: 'orthogonal',
+      path_type: '--',
+      start: { x: 0, y: -0.5 },
+      end: { x: 6, y: -0.5 },
+      waypoints: [{ x: 0, y: -1.75, isControl: false }, { x: 6, y: -1.75, isControl: false }],
+      startAdjusted: true,
+      endAdjusted: true
+    }));
+    expect(straight.route).toBe('orthogonal');
+  });
+
+  test('should fall back to a straight edge when there is no route', async () => {
+    const [edge] = await build('from,to,path_type\na,a,ortho\n');
+
+    expect(edge.route).toBeUndefined();
+    expect(console.warn).toHaveBeenCalledWith("No orthogonal route from 'a' to 'a', drawing a straight line");
+  });
+});
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ColumnAliases = require('../../../src/io/readers/column-aliases');
+const NodeReader = require('../../../src/io/readers/node-reader');
+const SourceLocation = require('../../../src/io/source-location');
+const StyleReader = require('../../../src/io/readers/style-reader');
+const DiagramBuilder = require('../../../src/diagram-builder');
+
+// Columns of a record, without the mark left on records that were already renamed
+const columnsOf = (record) => Object.fromEntries(Object.entries(record));
+
+describe('ColumnAliases', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should read renamed columns under their new names and warn', () => {
+    const record = SourceLocation.set({ name: 'a', color: 'red' }, { row: 3 });
+    const onDeprecated = jest.fn();
+
+    const result = ColumnAliases.apply(record, 'node', {}, onDeprecated);
+
+    expect(columnsOf(result)).toEqual({ name: 'a', edge_color: 'red' });
+    expect(SourceLocation.get(result)).toEqual({ row: 3 });
+    expect(onDeprecated).toHaveBeenCalledWith('color', 'edge_color');
+    expect(record).toEqual({ name: 'a', color: 'red' });
+  });
+
+  test('should join the legacy relative columns into position_of and the offsets', () => {
+    const legacy = { relative_offset_y: '0', relative_to_anchor: 'north east', relative_to: 'a', relative_offset_x: '1' };
+
+    expect(columnsOf(ColumnAliases.apply({ name: 'b', ...legacy }, 'node')))
+      .toEqual({ name: 'b', position_of: 'a.north east', x_offset: '1', y_offset: '0' });
+    expect(columnsOf(ColumnAliases.apply({ name: 'b', relative_to: 'a', relative_to_anchor: '' }, 'node')))
+      .toEqual({ name: 'b', position_of: 'a' });
+    expect(columnsOf(ColumnAliases.apply({ name: 'b', position_of: 'c.south', relative_to_anchor: 'north' }, 'node')))
+      .toEqual({ name: 'b', position_of: 'c.south' });
+    expect(console.warn).toHaveBeenCalledWith("Node column 'relative_to_anchor' is deprecated, use 'position_of'");
+  });
+
+  test('should keep old names in records written for a later version', () => {
+    expect(columnsOf(ColumnAliases.apply({ from: 'a', startAnchor: 'east', version: 2 }, 'edge')))
+      .toEqual({ from: 'a', startAnchor: 'east' });
+    expect(columnsOf(ColumnAliases.apply({ from: 'a', startAnchor: 'east' }, 'edge', { version: 2 })))
+      .toEqual({ from: 'a', startAnchor: 'east' });
+    expect(columnsOf(ColumnAliases.apply({ from: 'a', startAnchor: 'east', version: '1' }, 'edge', { version: 2 })))
+      .toEqual({ from: 'a', start_anchor: 'east' });
+    expect(console.warn).toHaveBeenCalledWith("Edge column 'startAnchor' is deprecated, use 'start_anchor'");
+  });
+
+  test('should map aliases of one\'s own, the field itself winning', () => {
+    const columns = { node: {}, edge: { source: 'from', target: 'to' } };
+
+    expect(columnsOf(ColumnAliases.apply({ source: 'a', target: 'b' }, 'edge', columns))).toEqual({ from: 'a', to: 'b' });
+    expect(columnsOf(ColumnAliases.apply({ source: 'a', from: 'c', target: '' }, 'edge', columns))).toEqual({ from: 'c', to: '' });
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+
+  test('should not rename a record twice, even after it is copied', () => {
+    const once = ColumnAliases.apply({ name: 'a', color: 'red', version: 2 }, 'node');
+    const twice = ColumnAliases.apply({ ...once }, 'node');
+
+    expect(columnsOf(twice)).toEqual({ name: 'a', color: 'red' });
+    expect(NodeReader.processNodeRecord({ ...once }).edge_color).toBeUndefined();
+  });
+
+  test('should read the columns setting of page documents', () => {
+    const documents = [
+      ...StyleReader.loadFromObject({ page: { columns: { version: 1, node: { 'Node Name': 'name' } } } }),
+      ...StyleReader.loadFromObject({ page: { columns: { version: 2, edge: { source: 'from' } } } })
+    ];
+
+    expect(ColumnAliases.fromDocuments(documents)).toEqual({
+      version: 2,
+      node: { 'Node Name': 'name' },
+      edge: { source: 'from' }
+    });
+    expect(ColumnAliases.fromDocuments([])).toEqual({ version: undefined, node: {}, edge: {} });
+  });
+});
+
+describe('DiagramBuilder column aliases', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'column-aliases-'));
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('should read aliased and deprecated columns from files before checking them', async () => {
+    const styleFile = path.join(tempDir, 'style.yaml');
+    const nodeFile = path.join(tempDir, 'nodes.csv');
+    const edgeFile = path.join(tempDir, 'edges.csv');
+    fs.writeFileSync(styleFile, 'type: page\ncolumns:\n  node:\n    Node Name: name\n  edge:\n    source: from\n    target: to\n');
+    fs.writeFileSync(nodeFile, 'Node Name,x,y,color\na,0,0,red\nb,2,0,blue\n');
+    fs.writeFileSync(edgeFile, 'source,target,endAnchor\na,b,west\n');
+
+    const builder = new DiagramBuilder({ renderer: 'svg' });
+    await builder.loadData([styleFile], [nodeFile], [edgeFile], null, null);
+
+    const nodes = builder.readerManager.getNodes();
+    expect([...nodes.keys()]).toEqual(['a', 'b']);
+    expect(nodes.get('a').edge_color).toBe('red');
+    expect(builder.readerManager.getEdges()).toHaveLength(1);
+    expect(builder.report.hasErrors()).toBe(false);
+
+    // Each deprecated column is reported once per file
+    expect(builder.report.getWarnings().map(({ message, file, row }) => [message, file, row])).toEqual([
+      ["Node column 'color' is deprecated, use 'edge_color'", nodeFile, 2],
+      ["Edge column 'endAnchor' is deprecated, use 'end_anchor'", edgeFile, 2]
+    ]);
+  });
+
+  test('should place nodes with the legacy relative columns', async () => {
+    const nodeFile = path.join(tempDir, 'nodes.csv');
+    fs.writeFileSync(nodeFile, [
+      'name,x,y,width,height,anchor,relative_to,relative_to_anchor,relative_offset_x,relative_offset_y',
+      'a,0,0,2,2,center,,,,',
+      'b,,,2,2,south west,a,north east,1,0'
+    ].join('\n') + '\n');
+
+    const builder = new DiagramBuilder({ renderer: 'svg' });
+    await builder.loadData([], [nodeFile], [], null, null);
+
+    // One to the right of the north east corner of a
+    const { position } = builder.readerManager.getNodes().get('b');
+    expect([position.xUnscaled, position.yUnscaled]).toEqual([2, 1]);
+    expect(builder.report.hasErrors()).toBe(false);
+  });
+});
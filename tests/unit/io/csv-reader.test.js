@@ -0,0 +1,107 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CsvReader = require('../../../src/io/readers/csv-reader');
+const PositionReader = require('../../../src/io/readers/position-reader');
+const SourceLocation = require('../../../src/io/source-location');
+const DiagramBuilder = require('../../../src/diagram-builder');
+const Diagram = require('../../../src/diagram');
+
+describe('CsvReader dialects', () => {
+  test('should detect the delimiter from the header row', async () => {
+    expect(await CsvReader.load('name;x;y\n"a;b";1,5;2\n')).toEqual([{ name: 'a;b', x: '1,5', y: '2' }]);
+    expect(await CsvReader.load('name|label\na|one, two\n')).toEqual([{ name: 'a', label: 'one, two' }]);
+    expect(await CsvReader.load('name\na\n')).toEqual([{ name: 'a' }]);
+  });
+
+  test('should follow an Excel sep= line and keep the row numbers', async () => {
+    const records = await CsvReader.load('﻿sep=;\nname;x\na;1\nb;2\n', { delimiter: ',' });
+
+    expect(records).toEqual([{ name: 'a', x: '1' }, { name: 'b', x: '2' }]);
+    expect(records.map(record => SourceLocation.get(record).row)).toEqual([3, 4]);
+  });
+
+  test('should read tab separated content and .tsv files', async () => {
+    expect(await CsvReader.load('name,label\ta\n', { delimiter: 'tab' })).toEqual([]);
+    expect(await CsvReader.load('name\tlabel\na\tone, two\n', { delimiter: 'tab' }))
+      .toEqual([{ name: 'a', label: 'one, two' }]);
+    expect(await CsvReader.load('name\tlabel;x\na\tb;c\n', {}, 'nodes.tsv'))
+      .toEqual([{ name: 'a', 'label;x': 'b;c' }]);
+  });
+
+  test('should skip comment lines but keep values starting with the comment character', async () => {
+    const records = await CsvReader.load('# generated\nname,fill\na,#FF0000\n# b,#00FF00\n', { comment: '#' });
+
+    expect(records).toEqual([{ name: 'a', fill: '#FF0000' }]);
+    expect(SourceLocation.get(records[0]).row).toBe(3);
+  });
+
+  test('should leave out the columns from an ignored header onward', async () => {
+    expect(await CsvReader.load('name,x,// notes,y\na,1,check this,2\n')).toEqual([{ name: 'a', x: '1' }]);
+    expect(await CsvReader.load('name,# notes\na,b\n', { ignore_columns: '#' })).toEqual([{ name: 'a' }]);
+    expect(await CsvReader.load('name,// notes\na,b\n', { ignore_columns: false })).toEqual([{ name: 'a', '// notes': 'b' }]);
+  });
+
+  test('should use the quote character and null handling of the dialect', async () => {
+    expect(await CsvReader.load("name,label\na,'one, two'\nb,null\n", { quote: "'" }))
+      .toEqual([{ name: 'a', label: 'one, two' }, { name: 'b', label: null }]);
+    expect(await CsvReader.load('name,label\na,6" pipe\n', { quote: 'none' })).toEqual([{ name: 'a', label: '6" pipe' }]);
+  });
+
+  test('should keep a byte order mark only when asked to', async () => {
+    expect(Object.keys((await CsvReader.load('﻿name\na\n'))[0])).toEqual(['name']);
+    expect(Object.keys((await CsvReader.load('﻿name\na\n', { bom: false }))[0])).toEqual(['﻿name']);
+  });
+
+  test('should read position maps in the same dialect', async () => {
+    const positions = await PositionReader.loadFromCsv('r;0;2;// notes\n0;a,b;c;x\n');
+
+    expect([...positions.keys()]).toEqual(['a,b', 'c']);
+    expect(positions.get('c')).toMatchObject({ xUnscaled: 2, yUnscaled: 0 });
+  });
+});
+
+describe('DiagramBuilder CSV dialects', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-dialects-'));
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('should read node, edge and map files with the csv setting of the page', async () => {
+    const styleFile = path.join(tempDir, 'style.yaml');
+    const nodeFile = path.join(tempDir, 'nodes.csv');
+    const edgeFile = path.join(tempDir, 'edges.tsv');
+    const mapFile = path.join(tempDir, 'map.csv');
+    fs.writeFileSync(styleFile, 'type: page\ncsv:\n  delimiter: semicolon\n  comment: "!"\n');
+    fs.writeFileSync(nodeFile, '! exported\nname;label;fill\na;one, two;#FF0000\nb;;\n');
+    fs.writeFileSync(edgeFile, 'from\tto\tlabel\na\tb\tx;y\n');
+    fs.writeFileSync(mapFile, 'r;0;3\n0;a;b\n');
+
+    const builder = new DiagramBuilder({ renderer: 'svg' });
+    await builder.loadData([styleFile], [nodeFile], [edgeFile], mapFile, null);
+
+    const nodes = builder.readerManager.getNodes();
+    expect(nodes.get('a')).toMatchObject({ label: 'one, two', fill: '#FF0000' });
+    expect(nodes.get('b').position.xUnscaled).toBe(3);
+    expect(builder.readerManager.getEdges().map(edge => edge.label)).toEqual(['x;y']);
+    expect(builder.report.hasErrors()).toBe(false);
+  });
+
+  test('should read tab separated content given to a Diagram', async () => {
+    const builder = await new Diagram()
+      .nodes('name\tlabel\na\tone, two\n', 'tsv')
+      .positions('r\t0\n1\ta\n', 'tsv')
+      .build();
+
+    const node = builder.readerManager.getNodes().get('a');
+    expect(node.label).toBe('one, two');
+    expect(node.position.yUnscaled).toBe(1);
+  });
+});
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DiagramReader = require('../../../src/io/readers/diagram-reader');
+const DiagramBuilder = require('../../../src/diagram-builder');
+
+describe('DiagramReader', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'diagram-reader-'));
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  const yaml = `---
+type: style
+default:
+  node:
+    width: 1
+---
+type: node
+name: web
+x: 0
+y: 0
+tags: network
+---
+type: node
+name: db
+x: 2
+y: 0
+---
+type: node
+name: backup
+x: 4
+y: 0
+---
+type: edge
+from: web
+to: db
+---
+type: diagram
+name: network
+include_tags: network
+---
+type: diagram
+name: storage
+output: views/storage
+nodes: [db, backup, cache]
+page:
+  scale:
+    position: { x: 2, y: 2 }
+`;
+
+  test('should read only the diagram documents', async () => {
+    const file = path.join(tempDir, 'diagram.yaml');
+    fs.writeFileSync(file, yaml);
+
+    const diagrams = await DiagramReader.readFromYaml(file);
+
+    expect(diagrams.map(diagram => diagram.name)).toEqual(['network', 'storage']);
+    expect(DiagramReader.getPageDocument(diagrams[0])).toBeNull();
+    expect(DiagramReader.getPageDocument(diagrams[1]).type).toBe('page');
+  });
+
+  test('should render every diagram from inputs read once', async () => {
+    const file = path.join(tempDir, 'diagram.yaml');
+    fs.writeFileSync(file, yaml);
+
+    const builder = new DiagramBuilder({ renderer: 'svg' });
+    const readInputs = jest.spyOn(builder, 'readInputs');
+    const rendered = await builder.renderDiagrams([], [], [], null, file, path.join(tempDir, 'out'));
+
+    expect(readInputs).toHaveBeenCalledTimes(1);
+    expect(rendered).toEqual([
+      { name: 'network', outputs: [path.join(tempDir, 'network.svg')] },
+      { name: 'storage', outputs: [path.join(tempDir, 'views', 'storage.svg')] }
+    ]);
+
+    const network = fs.readFileSync(path.join(tempDir, 'network.svg'), 'utf8');
+    expect(network).toContain('>web<');
+    expect(network).not.toContain('>db<');
+
+    // The last diagram is still loaded, with its own page scale and selection
+    const { nodes, edges } = builder.getVisibleNodesAndEdges();
+    expect(nodes.map(node => node.name)).toEqual(['db', 'backup']);
+    expect(edges).toHaveLength(0);
+    expect(nodes[1].position.xScaled).toBe(8);
+    expect(builder.report.getWarnings().map(warning => warning.message))
+      .toContain("Diagram 'storage' selects missing node 'cache'");
+  });
+
+  test('should render the whole diagram when there are no diagram documents', async () => {
+    const nodesFile = path.join(tempDir, 'nodes.csv');
+    fs.writeFileSync(nodesFile, 'name,x,y\na,0,0\n');
+
+    const builder = new DiagramBuilder({ renderer: 'svg' });
+    const rendered = await builder.renderDiagrams([], [nodesFile], [], null, null, path.join(tempDir, 'out'));
+
+    expect(rendered).toEqual([{ name: null, outputs: [path.join(tempDir, 'out.svg')] }]);
+  });
+});
@@ -0,0 +1,121 @@
+const zlib = require('zlib');
+const DrawioReader = require('../../../src/io/readers/drawio-reader');
+const NodeReader = require('../../../src/io/readers/node-reader');
+const EdgeReader = require('../../../src/io/readers/edge-reader');
+
+describe('DrawioReader', () => {
+  // One pixel per unit keeps the expected geometry readable
+  const options = { pixelsPerUnit: 1 };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  const model = `
+    <mxGraphModel>
+      <root>
+        <mxCell id="0"/>
+        <mxCell id="1" parent="0"/>
+        <object label="Web &lt;b&gt;server&lt;/b&gt;&lt;br&gt;v2" name="web" id="abc-1">
+          <mxCell style="rounded=1;whiteSpace=wrap;html=1;fillColor=#dae8fc;strokeColor=#6c8ebf;" vertex="1" parent="1">
+            <mxGeometry x="10" y="20" width="100" height="40" as="geometry"/>
+          </mxCell>
+        </object>
+        <mxCell id="db" value="Database" style="ellipse;aspect=fixed;fontColor=#ff0000;" vertex="1" parent="1">
+          <mxGeometry x="200" y="20" width="40" height="40" as="geometry"/>
+        </mxCell>
+        <mxCell id="e1" value="queries" style="edgeStyle=none;html=1;exitX=1;exitY=0.5;exitDx=0;exitDy=0;startArrow=oval;strokeColor=#333333;curved=1;" edge="1" parent="1" source="abc-1" target="db">
+          <mxGeometry relative="1" as="geometry">
+            <Array as="points"><mxPoint x="150" y="0"/></Array>
+          </mxGeometry>
+        </mxCell>
+        <mxCell id="e1-end" value="1..*" style="edgeLabel;html=1;" vertex="1" connectable="0" parent="e1">
+          <mxGeometry x="0.8" relative="1" as="geometry"/>
+        </mxCell>
+        <mxCell id="e2" style="endArrow=none;" edge="1" parent="1" source="db">
+          <mxGeometry relative="1" as="geometry"/>
+        </mxCell>
+      </root>
+    </mxGraphModel>`;
+
+  test('should read vertices as node records with centre positions and colours', () => {
+    const { nodes } = DrawioReader.parse(model, options);
+
+    expect(nodes).toEqual([
+      {
+        name: 'web',
+        label: 'Web server\nv2',
+        x: 60,
+        y: -40,
+        width: 100,
+        height: 40,
+        anchor: 'center',
+        shape: 'rectangle',
+        fillcolor: '#dae8fc',
+        edge_color: '#6c8ebf'
+      },
+      {
+        name: 'db',
+        label: 'Database',
+        x: 220,
+        y: -40,
+        width: 40,
+        height: 40,
+        anchor: 'center',
+        shape: 'circle',
+        textcolor: '#ff0000'
+      }
+    ]);
+  });
+
+  test('should read connected edges with labels, arrows, anchors and waypoints', () => {
+    const { edges } = DrawioReader.parse(model, options);
+
+    expect(edges).toEqual([{
+      from: 'web',
+      to: 'db',
+      path_type: '--',
+      label: 'queries',
+      end_label: '1..*',
+      end_arrow: 'Stealth',
+      start_arrow: 'Circle',
+      color: '#333333',
+      start_anchor: 'east',
+      waypoints: 'ac(150,0)'
+    }]);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining("'e2'"));
+  });
+
+  test('should read compressed diagrams', () => {
+    const compressed = zlib.deflateRawSync(Buffer.from(encodeURIComponent(model))).toString('base64');
+    const file = `<mxfile><diagram id="d" name="Page-1">${compressed}</diagram></mxfile>`;
+
+    const { nodes } = DrawioReader.parse(file, options);
+
+    expect(nodes.map(node => node.name)).toEqual(['web', 'db']);
+  });
+
+  test('should produce records the node and edge readers accept', () => {
+    const { nodes, edges } = DrawioReader.parse(model, options);
+
+    const nodeMap = new Map(nodes.map(record => [record.name, NodeReader.processNodeRecord(record)]));
+    const scale = { position: { x: 1, y: 1 }, size: { w: 1, h: 1 } };
+    nodeMap.forEach(node => {
+      node.position.xScaled = node.x;
+      node.position.yScaled = node.y;
+      node.dimensions.widthScaled = node.width;
+      node.dimensions.heightScaled = node.height;
+      node.anchorVector = { x: 0, y: 0 };
+    });
+
+    const edge = EdgeReader.processEdgeRecord(edges[0], nodeMap, scale);
+
+    expect(nodeMap.get('web').label).toBe('Web server\nv2');
+    expect(edge.from.name).toBe('web');
+    expect(edge.waypoints).toEqual([{ x: 150, y: 0, isControl: true }]);
+  });
+});
@@ -0,0 +1,66 @@
+const ExcalidrawReader = require('../../../src/io/readers/excalidraw-reader');
+
+describe('ExcalidrawReader', () => {
+  // One pixel per unit keeps the expected geometry readable
+  const options = { pixelsPerUnit: 1 };
+
+  const scene = {
+    type: 'excalidraw',
+    elements: [
+      { id: 'r1', type: 'rectangle', x: 0, y: 0, width: 100, height: 50, strokeColor: '#1e1e1e', backgroundColor: '#a5d8ff', customData: { name: 'api' } },
+      { id: 't1', type: 'text', x: 10, y: 10, width: 80, height: 20, text: 'API', originalText: 'API', containerId: 'r1', strokeColor: '#1e1e1e' },
+      { id: 'd1', type: 'diamond', x: 200, y: 0, width: 60, height: 60, strokeColor: '#1e1e1e', backgroundColor: 'transparent' },
+      { id: 'n1', type: 'text', x: 0, y: 100, width: 40, height: 20, text: 'Note', strokeColor: '#e03131' },
+      { id: 'gone', type: 'ellipse', x: 0, y: 0, width: 10, height: 10, isDeleted: true },
+      {
+        id: 'a1',
+        type: 'arrow',
+        x: 100,
+        y: 25,
+        width: 100,
+        height: 50,
+        points: [[0, 0], [50, 50], [100, 5]],
+        startBinding: { elementId: 'r1' },
+        endBinding: { elementId: 'd1' },
+        startArrowhead: null,
+        endArrowhead: 'triangle',
+        strokeColor: '#1e1e1e'
+      },
+      { id: 't2', type: 'text', x: 150, y: 60, width: 30, height: 20, text: 'calls', containerId: 'a1' },
+      { id: 'a2', type: 'arrow', x: 0, y: 0, width: 10, height: 10, points: [[0, 0], [10, 10]], startBinding: { elementId: 'r1' }, endBinding: null }
+    ]
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('should read shapes and free text as node records', () => {
+    const { nodes } = ExcalidrawReader.parse(scene, options);
+
+    expect(nodes).toEqual([
+      { name: 'api', label: 'API', x: 50, y: -25, width: 100, height: 50, anchor: 'center', shape: 'rectangle', fillcolor: '#a5d8ff', edge_color: '#1e1e1e' },
+      { name: 'd1', label: '', x: 230, y: -30, width: 60, height: 60, anchor: 'center', shape: 'diamond', edge_color: '#1e1e1e' },
+      { name: 'n1', label: 'Note', x: 20, y: -110, width: 40, height: 20, anchor: 'center', shape: 'rectangle', fillcolor: 'none', edge_color: 'none', textcolor: '#e03131' }
+    ]);
+  });
+
+  test('should read bound arrows as edge records with bends as waypoints', () => {
+    const { edges } = ExcalidrawReader.parse(scene, options);
+
+    expect(edges).toEqual([{
+      from: 'api',
+      to: 'd1',
+      path_type: '--',
+      label: 'calls',
+      end_arrow: 'Triangle',
+      color: '#1e1e1e',
+      waypoints: 'a(150,-75)'
+    }]);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining("'a2'"));
+  });
+});
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonReader = require('../../../src/io/readers/json-reader');
+const NodeReader = require('../../../src/io/readers/node-reader');
+const SourceLocation = require('../../../src/io/source-location');
+const DiagramBuilder = require('../../../src/diagram-builder');
+const Diagram = require('../../../src/diagram');
+
+describe('JsonReader', () => {
+  test('should read an array of documents or a single document', () => {
+    const filter = doc => doc.type === 'node';
+
+    expect(JsonReader.load('[{"type": "node", "name": "a"}, {"type": "edge"}]', { filter })).toEqual([{ type: 'node', name: 'a' }]);
+    expect(JsonReader.load('{"type": "node", "name": "b"}')).toEqual([{ type: 'node', name: 'b' }]);
+    expect(() => JsonReader.load('[{"type": ')).toThrow();
+  });
+
+  test('should read dynamic properties from node keys', () => {
+    const records = NodeReader.loadRecordsFromJson(JSON.stringify([
+      { type: 'node', name: 'a', x: 1, '_latex:string:draw': 'blue', '_svg:float:stroke-width': 2 }
+    ]));
+
+    expect(records).toHaveLength(1);
+    expect(records[0].x).toBe(1);
+    expect(SourceLocation.get(records[0])).toEqual({ document: 1 });
+    expect(records[0]._dynamicProperties.map(property => [property.renderer, property.namePath, property.value]))
+      .toEqual([['latex', 'draw', 'blue'], ['svg', 'stroke-width', 2]]);
+  });
+});
+
+describe('DiagramBuilder JSON input', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-reader-'));
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  const documents = [
+    { type: 'page', scale: { position: { x: 2, y: 2 } } },
+    { type: 'node', name: 'web', x: 0, y: 0 },
+    { type: 'node', name: 'db', x: 3, y: 0, '_latex:string:draw': 'red' },
+    { type: 'edge', from: 'web', to: 'db', label: 'queries' }
+  ];
+
+  test('should read nodes and edges from JSON node and edge files', async () => {
+    const file = path.join(tempDir, 'graph.json');
+    fs.writeFileSync(file, JSON.stringify(documents));
+
+    const builder = new DiagramBuilder({ renderer: 'svg' });
+    await builder.loadData([], [file], [file], null, null);
+
+    const nodes = builder.readerManager.getNodes();
+    expect([...nodes.keys()]).toEqual(['web', 'db']);
+    expect(nodes.get('db')._dynamicProperties[0].value).toBe('red');
+    expect(builder.readerManager.getEdges()[0].label).toBe('queries');
+    expect(builder.report.hasErrors()).toBe(false);
+    expect(builder.report.getWarnings()).toHaveLength(0);
+  });
+
+  test('should read styles, nodes and edges from a mixed JSON file', async () => {
+    const file = path.join(tempDir, 'mixed.json');
+    fs.writeFileSync(file, JSON.stringify(documents));
+
+    const builder = new DiagramBuilder({ renderer: 'svg' });
+    await builder.loadData([], [], [], null, file);
+
+    expect(builder.readerManager.getNodes().get('db').position.xScaled).toBe(6);
+    expect(builder.readerManager.getEdges()).toHaveLength(1);
+  });
+
+  test('should read mixed JSON in memory', async () => {
+    const builder = await new Diagram().json(JSON.stringify(documents)).build();
+
+    expect(builder.readerManager.getNodes().get('db').position.xScaled).toBe(6);
+    expect(builder.readerManager.getEdges()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PositionMapWriter = require('../../../src/io/writers/position-map-writer');
+const PositionReader = require('../../../src/io/readers/position-reader');
+const DiagramBuilder = require('../../../src/diagram-builder');
+const Diagram = require('../../../src/diagram');
+
+const positioned = (entries) => new Map(entries.map(([name, x, y, extra = {}]) =>
+  [name, { name, position: { xUnscaled: x, yUnscaled: y }, ...extra }]));
+
+describe('PositionMapWriter', () => {
+  test('should write every grid line between the outermost nodes, y down from the top', () => {
+    const csv = PositionMapWriter.toCsv(positioned([
+      ['a', 0, 0],
+      ['b', 2, 1],
+      ['c', 2.1, 0.9],
+      ['d', 1, 1, { anchor: 'nw' }]
+    ]));
+
+    expect(csv).toBe('r,0,1,2\n1,,d@nw,b;c\n0,a,,\n');
+  });
+
+  test('should snap to the grid and leave out nodes without coordinates and containers', () => {
+    const csv = PositionMapWriter.toCsv(positioned([
+      ['a', 0.2, 0],
+      ['b', 0.6, 0.35],
+      ['named', null, null],
+      ['box', 0, 0, { contains: 'a' }]
+    ]), { grid: 0.5 });
+
+    expect(csv).toBe('r,0,0.5\n0.5,,b\n0,a,\n');
+    expect(() => PositionMapWriter.toCsv(new Map(), { grid: 0 })).toThrow('greater than 0');
+    expect(() => PositionMapWriter.toCsv(positioned([['a', 0, 0], ['b', 1000, 1000]]), { grid: 0.01 }))
+      .toThrow('use a larger grid');
+  });
+
+  test('should quote names the CSV reader would split and keep names with @ whole', async () => {
+    const csv = PositionMapWriter.toCsv(positioned([
+      ['web, east', 0, 0],
+      ['user@host', 1, 0]
+    ]));
+
+    const positions = await PositionReader.loadFromCsv(csv);
+    expect([...positions.keys()]).toEqual(['web, east', 'user@host']);
+    expect(positions.get('user@host')).toMatchObject({ xUnscaled: 1, yUnscaled: 0 });
+  });
+});
+
+describe('DiagramBuilder.exportPositionMap', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'position-map-'));
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('should write relatively placed nodes as cells that read back to the same layout', async () => {
+    const diagram = new Diagram()
+      .style({ page: { scale: { position: { x: 2, y: 2 } } } })
+      .node({ name: 'web', x: 0, y: 0 })
+      .node({ name: 'db', position_of: 'web', x_offset: 3 })
+      .node({ name: 'cache', x_of: 'db', y: 2 });
+    const builder = await diagram.build();
+
+    const mapFile = path.join(tempDir, 'nested', 'map.csv');
+    await builder.exportPositionMap(mapFile);
+    expect(fs.readFileSync(mapFile, 'utf8')).toBe('r,0,1,2,3\n2,,,,cache\n1,,,,\n0,web,,,db\n');
+
+    const reread = new DiagramBuilder({ renderer: 'svg' });
+    await reread.loadData([], [], [], mapFile, null);
+    const nodes = builder.readerManager.getNodes();
+    for (const [name, node] of reread.readerManager.getNodes()) {
+      expect(node.position.xUnscaled).toBe(nodes.get(name).position.xUnscaled);
+      expect(node.position.yUnscaled).toBe(nodes.get(name).position.yUnscaled);
+    }
+  });
+
+  test('should write nodes spanning cells into every cell they cover', async () => {
+    const map = 'r,0,1,2,3\n1,big,big,big,\n0,big,big,big,\n-1,,,,corner@nw\n-2,,,,corner@nw\n';
+    const build = (positions) => new Diagram()
+      .style({ page: { scale: { position: { x: 2, y: 2 } } } })
+      .positions(positions)
+      .build();
+    const builder = await build(map);
+
+    const mapFile = path.join(tempDir, 'map.csv');
+    await builder.exportPositionMap(mapFile);
+    expect(fs.readFileSync(mapFile, 'utf8')).toBe(map);
+
+    const nodes = builder.readerManager.getNodes();
+    expect([nodes.get('big').width, nodes.get('big').height]).toEqual([5, 3]);
+    const reread = await build(fs.readFileSync(mapFile, 'utf8'));
+    for (const [name, node] of reread.readerManager.getNodes()) {
+      expect(node.dimensions).toEqual(nodes.get(name).dimensions);
+      expect(node.position).toEqual(nodes.get(name).position);
+    }
+  });
+});
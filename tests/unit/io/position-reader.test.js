@@ -0,0 +1,84 @@
+const PositionReader = require('../../../src/io/readers/position-reader');
+const Diagram = require('../../../src/diagram');
+
+describe('PositionReader', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should place each name in a cell at its position', async () => {
+    const positions = await PositionReader.loadFromCsv('r,0,2\n0,a;b,\n1,,c\n');
+
+    expect(positions.get('a')).toEqual({ xUnscaled: 0, yUnscaled: 0 });
+    expect(positions.get('b')).toEqual({ xUnscaled: 0, yUnscaled: 0 });
+    expect(positions.get('c')).toEqual({ xUnscaled: 2, yUnscaled: 1 });
+  });
+
+  test('should centre a name repeated over a block on the block', () => {
+    const positions = PositionReader.readRows([
+      ['r', '0', '2', '4'],
+      ['0', 'wide', 'wide', 'wide'],
+      ['1', 'tall', 'box', 'box'],
+      ['2', 'tall', 'box', 'box']
+    ]);
+
+    expect(positions.get('wide')).toEqual({ xUnscaled: 2, yUnscaled: 0, xSpan: 4, ySpan: 0 });
+    expect(positions.get('tall')).toEqual({ xUnscaled: 0, yUnscaled: 1.5, xSpan: 0, ySpan: 1 });
+    expect(positions.get('box')).toEqual({ xUnscaled: 3, yUnscaled: 1.5, xSpan: 2, ySpan: 1 });
+  });
+
+  test('should read anchors after @ and place the anchor on the block', () => {
+    const positions = PositionReader.readRows([
+      ['r', '0', '2'],
+      ['0', 'single@w', 'title@nw'],
+      ['1', '', 'title']
+    ]);
+
+    expect(positions.get('single')).toEqual({ xUnscaled: 0, yUnscaled: 0, anchor: 'w' });
+    // North is towards larger y
+    expect(positions.get('title')).toEqual({ xUnscaled: 2, yUnscaled: 1, xSpan: 0, ySpan: 1, anchor: 'nw' });
+    expect(PositionReader.parseCellName('user@example@ne')).toEqual({ name: 'user@example', anchor: 'ne' });
+  });
+
+  test('should use the last cell of a name whose cells are not a rectangle', () => {
+    const positions = PositionReader.readRows([
+      ['r', '0', '1'],
+      ['0', 'a', 'a'],
+      ['1', 'a', '']
+    ]);
+
+    expect(positions.get('a')).toEqual({ xUnscaled: 0, yUnscaled: 1 });
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining("Node 'a' is in cells that do not form a rectangle"));
+  });
+});
+
+describe('DiagramBuilder map spans', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should size spanning nodes to cover their cells, unless their records give a size', async () => {
+    const builder = await new Diagram()
+      .style({ page: { scale: { position: { x: 2, y: 2 }, size: { w: 1, h: 1 } } } })
+      .node({ name: 'sized', width: 3 })
+      .positions('r,0,1,2\n0,wide,wide,wide\n1,sized,sized,\n2,corner@nw,,\n')
+      .build();
+
+    const nodes = builder.readerManager.getNodes();
+    // Three cells 2 apart, plus half a node either side
+    expect(nodes.get('wide').dimensions.widthScaled).toBe(5);
+    expect(nodes.get('wide').dimensions.heightScaled).toBe(1);
+    expect(nodes.get('wide').position.xScaled).toBe(2);
+    expect(nodes.get('sized').dimensions.widthScaled).toBe(3);
+    expect(nodes.get('corner').anchor).toBe('nw');
+    expect(nodes.get('corner').dimensions.widthScaled).toBe(1);
+  });
+});
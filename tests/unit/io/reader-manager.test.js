@@ -51,7 +51,7 @@ describe('ReaderManager', () => {
       
       const nodeRecords = await readerManager.processNodeFiles(['nodes.csv']);
       
-      expect(NodeReader.readRecordsFromCsv).toHaveBeenCalledWith('nodes.csv');
+      expect(NodeReader.readRecordsFromCsv).toHaveBeenCalledWith('nodes.csv', readerManager.csvDialect);
       expect(nodeRecords.length).toBe(2);
       expect(nodeRecords[0].name).toBe('node1');
       expect(nodeRecords[1].name).toBe('node2');
@@ -273,7 +273,7 @@ describe('ReaderManager', () => {
       
       const edges = await readerManager.processEdgeFiles(['edges.csv'], mockStyleHandler);
       
-      expect(EdgeReader.readFromCsv).toHaveBeenCalledWith('edges.csv');
+      expect(EdgeReader.readFromCsv).toHaveBeenCalledWith('edges.csv', readerManager.csvDialect);
       expect(EdgeReader.processEdgeRecord).toHaveBeenCalled();
       expect(edges.length).toBe(1);
       expect(edges[0].from).toBe('node1');
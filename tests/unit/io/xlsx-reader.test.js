@@ -0,0 +1,226 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const XlsxReader = require('../../../src/io/readers/xlsx-reader');
+const ZipReader = require('../../../src/io/readers/zip-reader');
+const StyleReader = require('../../../src/io/readers/style-reader');
+const SourceLocation = require('../../../src/io/source-location');
+const DiagramBuilder = require('../../../src/diagram-builder');
+
+// Build a zip archive, deflating every other entry so both methods are read
+function buildZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, content], index) => {
+    const data = Buffer.from(content, 'utf8');
+    const deflated = index % 2 === 1;
+    const stored = deflated ? zlib.deflateRawSync(data) : data;
+    const nameBuffer = Buffer.from(name, 'utf8');
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(deflated ? 8 : 0, 8);
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(deflated ? 8 : 0, 10);
+    central.writeUInt32LE(stored.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, stored);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + stored.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(centrals.length / 2, 8);
+  end.writeUInt16LE(centrals.length / 2, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+function cell(reference, value) {
+  if (typeof value === 'number') {
+    return `<c r="${reference}"><v>${value}</v></c>`;
+  }
+  if (typeof value === 'boolean') {
+    return `<c r="${reference}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  return `<c r="${reference}" t="inlineStr"><is><t>${value}</t></is></c>`;
+}
+
+// Build a workbook from sheets given as rows of cells, with columns A, B, ... and rows from 1
+function buildWorkbook(sheets) {
+  const names = Object.keys(sheets);
+  const files = {
+    'xl/workbook.xml': `<workbook xmlns:r="r"><sheets>${names.map((name, index) =>
+      `<sheet name="${name}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('')}</sheets></workbook>`,
+    'xl/_rels/workbook.xml.rels': `<Relationships>${names.map((name, index) =>
+      `<Relationship Id="rId${index + 1}" Target="worksheets/sheet${index + 1}.xml"/>`).join('')}</Relationships>`
+  };
+
+  names.forEach((name, index) => {
+    const rows = sheets[name].map((cells, row) => `<row r="${row + 1}">${cells.map((value, column) =>
+      value === undefined ? '' : cell(`${String.fromCharCode(65 + column)}${row + 1}`, value)).join('')}</row>`);
+    files[`xl/worksheets/sheet${index + 1}.xml`] = `<worksheet><sheetData>${rows.join('')}</sheetData></worksheet>`;
+  });
+
+  return buildZip(files);
+}
+
+describe('ZipReader', () => {
+  test('should extract stored and deflated entries', () => {
+    const zip = buildZip({ 'a.txt': 'stored', 'b.txt': 'deflated deflated deflated' });
+    const entries = ZipReader.readEntries(zip);
+
+    expect([...entries.keys()]).toEqual(['a.txt', 'b.txt']);
+    expect(ZipReader.extract(zip, entries.get('a.txt')).toString()).toBe('stored');
+    expect(ZipReader.extract(zip, entries.get('b.txt')).toString()).toBe('deflated deflated deflated');
+    expect(() => ZipReader.readEntries(Buffer.from('not a zip file at all, just some text'))).toThrow('no central directory');
+  });
+});
+
+describe('XlsxReader', () => {
+  test('should recognise workbooks by extension', () => {
+    expect(XlsxReader.isWorkbook('data.xlsx')).toBe(true);
+    expect(XlsxReader.isWorkbook('data.XLSM')).toBe(true);
+    expect(XlsxReader.isWorkbook('data.csv')).toBe(false);
+    expect(XlsxReader.isWorkbook(null)).toBe(false);
+  });
+
+  test('should read sheets by kind, cutting columns after //', () => {
+    const workbook = buildWorkbook({
+      'Nodes': [
+        ['name', 'x', 'y', '// notes', 'helper'],
+        ['web', 0, 0.1 + 0.2, 'front end', 1],
+        [undefined, undefined, undefined, 'only a note'],
+        ['db', 3, 'null']
+      ],
+      'edges': [
+        ['from', 'to', 'label'],
+        ['web', 'db', 'queries']
+      ],
+      'Map': [
+        ['r', 0, 1],
+        [5, 'db', '']
+      ],
+      'Notes': [
+        ['name'],
+        ['ignored']
+      ]
+    });
+
+    const { nodes, edges, maps, styles } = XlsxReader.parse(workbook);
+
+    expect(nodes).toEqual([
+      { name: 'web', x: '0', y: '0.3' },
+      { name: 'db', x: '3', y: null }
+    ]);
+    expect(SourceLocation.get(nodes[1])).toEqual({ sheet: 'Nodes', row: 4 });
+    expect(edges).toEqual([{ from: 'web', to: 'db', label: 'queries' }]);
+    expect(maps).toEqual([[['r', '0', '1'], ['5', 'db', '']]]);
+    expect(styles).toEqual([]);
+  });
+
+  test('should read shared strings and booleans', () => {
+    const files = {
+      'xl/workbook.xml': '<workbook xmlns:r="r"><sheets><sheet name="styles" sheetId="1" r:id="rId1"/></sheets></workbook>',
+      'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Target="/xl/worksheets/sheet1.xml"/></Relationships>',
+      'xl/sharedStrings.xml': '<sst><si><t>name</t></si><si><r><t>ba</t></r><r><t>se</t></r><rPh><t>x</t></rPh></si></sst>',
+      'xl/worksheets/sheet1.xml': '<worksheet><sheetData>'
+        + '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="inlineStr"><is><t>node.width</t></is></c>'
+        + '<c r="C1" t="inlineStr"><is><t>visible</t></is></c></row>'
+        + '<row r="2"><c r="A2" t="s"><v>1</v></c><c r="B2"><v>2.5</v></c><c r="C2" t="b"><v>1</v></c></row>'
+        + '</sheetData></worksheet>'
+    };
+
+    const { styles } = XlsxReader.parse(buildZip(files));
+
+    // Style values keep their types
+    expect(styles).toEqual([{ name: 'base', 'node.width': 2.5, visible: true }]);
+    expect(XlsxReader.toText(true)).toBe('TRUE');
+    expect(XlsxReader.toText(0.1 + 0.2)).toBe('0.3');
+  });
+});
+
+describe('StyleReader.recordToDocument', () => {
+  test('should nest dotted headers and parse dynamic property headers', () => {
+    const document = StyleReader.recordToDocument({
+      name: '',
+      'node.object.fill': 'blue',
+      'node.object.width': 2,
+      '_latex:string:node.object.draw': 'red',
+      empty: ''
+    });
+
+    expect(document.type).toBe('style');
+    expect(document.name).toBe('base');
+    expect(document.node).toEqual({ object: { fill: 'blue', width: 2 } });
+    expect(document.empty).toBeUndefined();
+    expect(document._dynamicProperties).toHaveLength(1);
+    expect(document._dynamicProperties[0]).toMatchObject({ renderer: 'latex', value: 'red' });
+
+    expect(StyleReader.recordToDocument({ type: 'page', 'scale.position.x': 2 }))
+      .toEqual({ type: 'page', scale: { position: { x: 2 } } });
+  });
+});
+
+describe('DiagramBuilder Excel input', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xlsx-reader-'));
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('should read nodes, edges, positions and styles from one workbook', async () => {
+    const file = path.join(tempDir, 'data.xlsx');
+    fs.writeFileSync(file, buildWorkbook({
+      'styles': [
+        ['type', 'scale.position.x', 'scale.position.y'],
+        ['page', 2, 2]
+      ],
+      'nodes': [
+        ['name', 'x', 'y', '// comment'],
+        ['web', 0, 0, 'ignored'],
+        ['db', 3, 0]
+      ],
+      'edges': [
+        ['from', 'to'],
+        ['web', 'db'],
+        ['web', 'cache']
+      ],
+      'positions': [
+        ['r', 0, 1],
+        [2, 'cache', '']
+      ]
+    }));
+
+    const builder = new DiagramBuilder({ renderer: 'svg' });
+    await builder.loadData([file], [file], [file], file, null);
+
+    const nodes = builder.readerManager.getNodes();
+    expect([...nodes.keys()]).toEqual(['web', 'db', 'cache']);
+    expect(nodes.get('db').position.xScaled).toBe(6);
+    expect(nodes.get('cache').position.yScaled).toBe(4);
+    expect(builder.readerManager.getEdges()).toHaveLength(2);
+    expect(builder.report.hasErrors()).toBe(false);
+  });
+});
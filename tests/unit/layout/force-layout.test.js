@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ForceLayout = require('../../../src/layout/force-layout');
+const DiagramBuilder = require('../../../src/diagram-builder');
+
+describe('ForceLayout', () => {
+  const nodeMap = (nodes) => new Map(Object.entries(nodes).map(([name, node]) => [name, { name, ...node }]));
+  const edges = (...pairs) => pairs.map(pair => {
+    const [from, to] = pair.split('>');
+    return { from, to };
+  });
+  const star = () => nodeMap({ hub: { x: 10, y: 10, width: 2, height: 2 }, a: {}, b: {}, c: {}, d: {}, e: { width: 3 } });
+  const spokes = edges('hub>a', 'hub>b', 'hub>c', 'hub>d', 'hub>e');
+  const coordinates = (nodes) => [...nodes.values()].map(node => [node.name, node.x, node.y]);
+
+  test('should give the same layout for the same seed', () => {
+    const first = star();
+    const second = star();
+    const reseeded = star();
+
+    new ForceLayout({ seed: 7 }).apply(first, spokes);
+    new ForceLayout({ seed: '7' }).apply(second, spokes);
+    new ForceLayout({ seed: 8 }).apply(reseeded, spokes);
+
+    expect(coordinates(second)).toEqual(coordinates(first));
+    expect(coordinates(reseeded)).not.toEqual(coordinates(first));
+  });
+
+  test('should settle linked nodes around pinned nodes without overlapping', () => {
+    const nodes = star();
+
+    const placed = new ForceLayout({ edge_length: 1.5 }).apply(nodes, spokes);
+
+    expect(placed).toEqual(['a', 'b', 'c', 'd', 'e']);
+    expect(nodes.get('hub')).toEqual(expect.objectContaining({ x: 10, y: 10 }));
+
+    const boxes = [...nodes.values()].map(node => ({
+      name: node.name, x: node.x, y: node.y, width: node.width || 1, height: node.height || 1
+    }));
+    for (const box of boxes.slice(1)) {
+      expect(Math.hypot(box.x - 10, box.y - 10)).toBeLessThan(5);
+    }
+    for (let i = 0; i < boxes.length; i++) {
+      for (let j = i + 1; j < boxes.length; j++) {
+        const apart = Math.abs(boxes[i].x - boxes[j].x) >= (boxes[i].width + boxes[j].width) / 2 ||
+          Math.abs(boxes[i].y - boxes[j].y) >= (boxes[i].height + boxes[j].height) / 2;
+        expect(apart).toBe(true);
+      }
+    }
+  });
+
+  test('should start at the origin when nothing is pinned', () => {
+    const nodes = nodeMap({ a: {}, b: {}, c: {} });
+
+    new ForceLayout().apply(nodes, edges('a>b', 'b>c'));
+
+    const xs = [...nodes.values()].map(node => node.x);
+    const ys = [...nodes.values()].map(node => node.y);
+    expect(Math.min(...xs)).toBeCloseTo(0.5);
+    expect(Math.min(...ys)).toBeCloseTo(0.5);
+  });
+});
+
+describe('DiagramBuilder force layout', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'force-'));
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('should pin nodes positioned relative to others', async () => {
+    const mixed = path.join(tempDir, 'mixed.yaml');
+    fs.writeFileSync(mixed, [
+      'type: page\nlayout:\n  type: force\n  seed: 3',
+      'type: node\nname: origin\nx: 0\ny: 0',
+      'type: node\nname: far\nposition_of: origin\nx_offset: 20',
+      'type: node\nname: satellite',
+      'type: edge\nfrom: far\nto: satellite'
+    ].join('\n---\n'));
+
+    const builder = new DiagramBuilder({ renderer: 'text' });
+    await builder.loadData([], [], [], null, mixed);
+
+    const nodes = builder.readerManager.getNodes();
+    expect(nodes.get('far').position).toEqual(expect.objectContaining({ xUnscaled: 20, yUnscaled: 0 }));
+    const satellite = nodes.get('satellite').position;
+    expect(Math.hypot(satellite.xUnscaled - 20, satellite.yUnscaled)).toBeLessThan(5);
+    expect(builder.report.issues).toEqual([]);
+  });
+});
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LayeredLayout = require('../../../src/layout/layered-layout');
+const Layout = require('../../../src/layout/layout');
+const DiagramBuilder = require('../../../src/diagram-builder');
+
+describe('LayeredLayout', () => {
+  const nodeMap = (nodes) => new Map(Object.entries(nodes).map(([name, node]) => [name, { name, ...node }]));
+  const edges = (...pairs) => pairs.map(pair => {
+    const [from, to] = pair.split('>');
+    return { from, to };
+  });
+
+  test('should only place nodes without a position of their own', () => {
+    expect(Layout.isPositioned({ x: 0, y: 2 })).toBe(true);
+    expect(Layout.isPositioned({ position_of: 'a.east' })).toBe(true);
+    expect(Layout.isPositioned({ at: 'a' })).toBe(true);
+    expect(Layout.isPositioned({ x: 1 })).toBe(false);
+    expect(Layout.isPositioned({ x: NaN, y: NaN })).toBe(false);
+  });
+
+  test('should put each node one layer below its furthest predecessor', () => {
+    const nodes = nodeMap({ a: {}, b: {}, c: {}, d: {} });
+
+    const placed = new LayeredLayout().apply(nodes, edges('a>b', 'b>c', 'a>c', 'c>d'));
+
+    expect(placed).toEqual(['a', 'b', 'c', 'd']);
+    // Centres, with the block's bottom left corner at the origin
+    expect(['a', 'b', 'c', 'd'].map(name => nodes.get(name).y)).toEqual([8, 5.5, 3, 0.5]);
+    expect(['a', 'b', 'c', 'd'].map(name => nodes.get(name).x)).toEqual([0.5, 0.5, 0.5, 0.5]);
+  });
+
+  test('should lay out layers left to right with the page spacing', () => {
+    const nodes = nodeMap({ root: {}, left: { width: 2 }, right: {} });
+
+    new LayeredLayout({ direction: 'lr', layer_spacing: '2', node_spacing: '0.5' })
+      .apply(nodes, edges('root>left', 'root>right'));
+
+    expect(nodes.get('root')).toEqual(expect.objectContaining({ x: 0.5, y: 1.25 }));
+    expect(nodes.get('left')).toEqual(expect.objectContaining({ x: 4, y: 2 }));
+    // Centred in a layer as deep as its widest node
+    expect(nodes.get('right')).toEqual(expect.objectContaining({ x: 4, y: 0.5 }));
+  });
+
+  test('should order nodes within layers to avoid crossings', () => {
+    const nodes = nodeMap({ a: {}, b: {}, x: {}, y: {} });
+
+    new LayeredLayout().apply(nodes, edges('a>y', 'b>x'));
+
+    expect(nodes.get('a').x).toBeLessThan(nodes.get('b').x);
+    expect(nodes.get('y').x).toBeLessThan(nodes.get('x').x);
+  });
+
+  test('should lay out graphs with cycles', () => {
+    const nodes = nodeMap({ a: {}, b: {}, c: {} });
+
+    new LayeredLayout().apply(nodes, edges('a>b', 'b>c', 'c>a'));
+
+    expect(nodes.get('a').y).toBeGreaterThan(nodes.get('b').y);
+    expect(nodes.get('b').y).toBeGreaterThan(nodes.get('c').y);
+  });
+
+  test('should leave positioned nodes fixed and place the rest beside them', () => {
+    const nodes = nodeMap({ web: { x: 0, y: 0, width: 3 }, api: {}, db: { anchor: 'north west' } });
+
+    const placed = new LayeredLayout().apply(nodes, edges('web>api', 'api>db'));
+
+    expect(placed).toEqual(['api', 'db']);
+    expect(nodes.get('web')).toEqual(expect.objectContaining({ x: 0, y: 0 }));
+    expect(nodes.get('api')).toEqual(expect.objectContaining({ x: 3, y: 0 }));
+    // Placed by its anchor, so its centre lines up with api
+    expect(nodes.get('db')).toEqual(expect.objectContaining({ x: 2.5, y: -2 }));
+  });
+});
+
+describe('DiagramBuilder layouts', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'layout-'));
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('should place unpositioned nodes with the layout from the page document', async () => {
+    const mixed = path.join(tempDir, 'mixed.yaml');
+    fs.writeFileSync(mixed, [
+      'type: page\nlayout: layered',
+      'type: node\nname: a',
+      'type: node\nname: b',
+      'type: edge\nfrom: a\nto: b'
+    ].join('\n---\n'));
+
+    const builder = new DiagramBuilder({ renderer: 'text' });
+    await builder.loadData([], [], [], null, mixed);
+
+    const nodes = builder.readerManager.getNodes();
+    expect(nodes.get('a').position).toEqual(expect.objectContaining({ xUnscaled: 0.5, yUnscaled: 3 }));
+    expect(nodes.get('b').position).toEqual(expect.objectContaining({ xUnscaled: 0.5, yUnscaled: 0.5 }));
+    expect(builder.readerManager.getEdges()).toHaveLength(1);
+    expect(builder.report.issues).toEqual([]);
+  });
+
+  test('should reject unknown layout types', () => {
+    const builder = new DiagramBuilder({ renderer: 'text' });
+
+    expect(builder.createLayout('layered')).toBeInstanceOf(LayeredLayout);
+    expect(builder.createLayout({ type: 'none' })).toBeNull();
+    expect(() => builder.createLayout('spiral')).toThrow('Unknown layout type: spiral');
+  });
+});
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TreeLayout = require('../../../src/layout/tree-layout');
+const DiagramBuilder = require('../../../src/diagram-builder');
+
+describe('TreeLayout', () => {
+  const nodeMap = (nodes) => new Map(Object.entries(nodes).map(([name, node]) => [name, { name, ...node }]));
+  const centre = (node) => ({ x: node.x, y: node.y });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should centre parents over their children and pack subtrees by their widths', () => {
+    const nodes = nodeMap({
+      ceo: { width: 2 },
+      cto: { parent: 'ceo' },
+      cfo: { parent: 'ceo' },
+      dev1: { parent: 'cto' },
+      dev2: { parent: 'cto' },
+      dev3: { parent: 'cto' },
+      accounts: { parent: 'cfo', width: 3 }
+    });
+
+    const placed = new TreeLayout().apply(nodes, []);
+
+    expect(placed).toHaveLength(7);
+    expect(centre(nodes.get('dev1'))).toEqual({ x: 0.5, y: 0.5 });
+    expect(centre(nodes.get('dev3'))).toEqual({ x: 4.5, y: 0.5 });
+    // One sibling gap between dev3's right edge and the wide accounts node
+    expect(centre(nodes.get('accounts'))).toEqual({ x: 7.5, y: 0.5 });
+    expect(centre(nodes.get('cto'))).toEqual({ x: 2.5, y: 3 });
+    expect(centre(nodes.get('cfo'))).toEqual({ x: 7.5, y: 3 });
+    expect(centre(nodes.get('ceo'))).toEqual({ x: 5, y: 5.5 });
+  });
+
+  test('should tuck a narrow subtree in under a wide neighbour', () => {
+    const nodes = nodeMap({
+      root: {},
+      wide: { parent: 'root', width: 5 },
+      branch: { parent: 'root' },
+      leaf: { parent: 'branch' }
+    });
+
+    new TreeLayout().apply(nodes, []);
+
+    // Only the top level keeps the subtrees apart, leaf sits under wide's right edge
+    expect(nodes.get('branch').x - nodes.get('wide').x).toBe(4);
+    expect(nodes.get('leaf').x).toBe(nodes.get('branch').x);
+  });
+
+  test('should grow left to right and measure nodes by their scaled size', () => {
+    const nodes = nodeMap({ root: {}, a: { parent: 'root' }, b: { parent: 'root' } });
+
+    new TreeLayout({ direction: 'lr', level_spacing: '1', sibling_spacing: '0.5' }, { size: { w: 2, h: 1 } })
+      .apply(nodes, []);
+
+    expect(centre(nodes.get('root'))).toEqual({ x: 1, y: 1.25 });
+    expect(centre(nodes.get('a'))).toEqual({ x: 4, y: 2 });
+    expect(centre(nodes.get('b'))).toEqual({ x: 4, y: 0.5 });
+  });
+
+  test('should lay out the subtree of a positioned node from it and put other trees beside it', () => {
+    const nodes = nodeMap({
+      root: { x: 10, y: 10 },
+      child: { parent: 'root' },
+      loose: {}
+    });
+
+    const placed = new TreeLayout().apply(nodes, []);
+
+    expect(placed).toEqual(['loose', 'child']);
+    expect(centre(nodes.get('root'))).toEqual({ x: 10, y: 10 });
+    expect(centre(nodes.get('child'))).toEqual({ x: 10, y: 7.5 });
+    expect(centre(nodes.get('loose'))).toEqual({ x: 12, y: 10 });
+  });
+
+  test('should find parent cycles and place their first node as a root', () => {
+    const nodes = nodeMap({ a: {}, x: { parent: 'y' }, y: { parent: 'x' }, self: { parent: 'self' } });
+
+    expect(TreeLayout.findParentCycles(nodes)).toEqual([['x', 'y'], ['self']]);
+
+    new TreeLayout().apply(nodes, []);
+
+    expect(nodes.get('y').y).toBeLessThan(nodes.get('x').y);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining("Node 'x' is in a parent cycle"));
+  });
+
+  test('should only add parent edges when asked and skip ones that already exist', () => {
+    const nodes = nodeMap({ root: {}, a: { parent: 'root' }, b: { parent: 'root' }, c: { parent: 'missing' } });
+    const existing = [{ from: 'root', to: 'a' }];
+
+    expect(new TreeLayout().createEdgeRecords(nodes, existing)).toEqual([]);
+    expect(new TreeLayout({ edges: 'yes', edge_style: 'dashed' }).createEdgeRecords(nodes, existing))
+      .toEqual([{ from: 'root', to: 'b', style: 'dashed' }]);
+  });
+});
+
+describe('DiagramBuilder tree layout', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tree-layout-'));
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('should place nodes from a parent column and draw the parent edges', async () => {
+    const style = path.join(tempDir, 'style.yaml');
+    const nodesFile = path.join(tempDir, 'nodes.csv');
+    fs.writeFileSync(style, 'type: page\nlayout:\n  type: tree\n  edges: true\n');
+    fs.writeFileSync(nodesFile, 'name,parent\nboss,\nleft,boss\nright,boss\n');
+
+    const builder = new DiagramBuilder({ renderer: 'text' });
+    await builder.loadData([style], [nodesFile], [], null, null);
+
+    const nodes = builder.readerManager.getNodes();
+    expect(nodes.get('boss').position).toEqual(expect.objectContaining({ xUnscaled: 1.5, yUnscaled: 3 }));
+    expect(nodes.get('right').position).toEqual(expect.objectContaining({ xUnscaled: 2.5, yUnscaled: 0.5 }));
+    expect(builder.readerManager.getEdges().map(edge => [edge.from.name, edge.to.name]))
+      .toEqual([['boss', 'left'], ['boss', 'right']]);
+    expect(builder.report.issues).toEqual([]);
+  });
+
+  test('should report missing parents and parent cycles', async () => {
+    const nodesFile = path.join(tempDir, 'nodes.csv');
+    fs.writeFileSync(nodesFile, 'name,parent,x,y\na,ghost,0,0\nb,c,1,0\nc,b,2,0\n');
+
+    const builder = new DiagramBuilder({ renderer: 'text' });
+    const report = await builder.validate([], [nodesFile], [], null, null);
+
+    expect(report.getErrors().map(issue => [issue.row, issue.field, issue.message])).toEqual([
+      [2, 'parent', "Node 'a' has missing parent 'ghost'"],
+      [3, 'parent', 'Parent cycle: b -> c -> b']
+    ]);
+  });
+});
@@ -0,0 +1,96 @@
+const DotRenderer = require('../../../src/renderers/dot-renderer');
+const { PositionType } = require('../../../src/geometry/position');
+const { createNode } = require('./renderer-fixtures');
+
+describe('DotRenderer', () => {
+  let renderer;
+
+  beforeEach(() => {
+    renderer = new DotRenderer();
+    renderer.styleHandler.addStyleProperties([
+      { renderer: 'common', namePath: 'node.object.tikz.fill', value: 'blue!20', dataType: 'string' },
+      { renderer: 'common', namePath: 'node.object.tikz.draw', value: '#333333', dataType: 'string' },
+      { renderer: 'common', namePath: 'node.object.tikz.line width', value: '1pt', dataType: 'string' },
+      { renderer: 'common', namePath: 'node.object.tikz.rounded corners', value: '0.1cm', dataType: 'string' },
+      { renderer: 'dot', namePath: 'node.object.dot.fontname', value: 'Helvetica', dataType: 'string' },
+      { renderer: 'latex', namePath: 'node.object.tikz.fill', value: 'red', dataType: 'string' }
+    ], 'base');
+  });
+
+  test('should accept dot and common properties', () => {
+    expect(renderer.styleHandler.getCompatibleRenderers()).toEqual(['dot', 'common']);
+  });
+
+  test('should write output to a .dot file', () => {
+    expect(renderer.getOutputPath('output/diagram')).toBe('output/diagram.dot');
+  });
+
+  test('should pin nodes at their scaled position and size in inches', () => {
+    const node = createNode('A', 2.54, 5.08, 1.27, 2.54);
+
+    const dot = renderer.draft([node], []);
+
+    expect(dot).toContain('"A" [pos="1,2!", width="0.5", height="1", shape="box", label="A", ' +
+      'fillcolor="blue", color="#333333", penwidth="1", style="filled,rounded", fontname="Helvetica"];');
+    expect(dot.startsWith('digraph "diagram" {')).toBe(true);
+  });
+
+  test('should write pos in inches for neato, which pins without an input scale', () => {
+    const dot = renderer.draft([createNode('A', 2.54 * 3, -2.54, 1, 1)], []);
+
+    // neato -n would read pos in points; plain neato and fdp read x,y! in inches
+    expect(dot).toContain('layout="neato"');
+    expect(dot).not.toContain('inputscale');
+    expect(dot).toContain('pos="3,-1!"');
+  });
+
+  test('should map shapes, node colours and escape labels', () => {
+    const node = createNode('B', 0, 0, 1, 1, { shape: 'diamond', edge_color: 'green', label: 'say "hi"\nnow' });
+
+    const dot = renderer.draft([node], []);
+
+    expect(dot).toContain('shape="diamond"');
+    expect(dot).toContain('label="say \\"hi\\"\\nnow"');
+    expect(dot).toContain('color="green"');
+  });
+
+  test('should export edge labels, arrows, colours and anchors', () => {
+    const a = createNode('A', 0, 0, 1, 1);
+    const b = createNode('B', 5, 0, 1, 1);
+    const edge = {
+      from: a,
+      to: b,
+      label: 'flows',
+      start_arrow: 'o',
+      end_arrow: '>',
+      color: 'red!50',
+      start_anchor: 'east',
+      end_anchor: 'north west'
+    };
+
+    const dot = renderer.draft([a, b], [edge]);
+
+    expect(dot).toContain('"A" -> "B" [color="red", dir="both", arrowhead="vee", arrowtail="odot", ' +
+      'label="flows", tailport="e", headport="nw"];');
+  });
+
+  test('should only draw the arrow heads an edge has', () => {
+    const a = createNode('A', 0, 0, 1, 1);
+    const b = createNode('B', 5, 0, 1, 1);
+
+    expect(renderer.draftEdge({ from: a, to: b, end_arrow: 'Stealth' })[0]).toContain('[dir="forward", arrowhead="vee"]');
+    expect(renderer.draftEdge({ from: a, to: b })[0]).toContain('[dir="none"]');
+  });
+
+  test('should leave named positions unpinned', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const node = createNode('C', 0, 0, 1, 1);
+    node.position.positionType = PositionType.NAMED;
+
+    const dot = renderer.draft([node], []);
+
+    expect(dot).not.toContain('pos=');
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,95 @@
+const DrawioRenderer = require('../../../src/renderers/drawio-renderer');
+const { createNode } = require('./renderer-fixtures');
+
+describe('DrawioRenderer', () => {
+  let renderer;
+
+  beforeEach(() => {
+    // One pixel per centimetre keeps the expected geometry readable
+    renderer = new DrawioRenderer({ pixelsPerCentimetre: 1 });
+    renderer.styleHandler.addStyleProperties([
+      { renderer: 'common', namePath: 'node.object.tikz.fill', value: 'blue!40', dataType: 'string' },
+      { renderer: 'common', namePath: 'node.object.tikz.draw', value: '#333333', dataType: 'string' },
+      { renderer: 'drawio', namePath: 'node.object.drawio.shadow', value: '1', dataType: 'string' },
+      { renderer: 'latex', namePath: 'node.object.tikz.fill', value: 'red', dataType: 'string' }
+    ], 'base');
+  });
+
+  test('should accept drawio and common properties', () => {
+    expect(renderer.styleHandler.getCompatibleRenderers()).toEqual(['drawio', 'common']);
+  });
+
+  test('should write output to a .drawio file', () => {
+    expect(renderer.getOutputPath('output/diagram')).toBe('output/diagram.drawio');
+  });
+
+  test('should keep the scaled node geometry with a flipped y axis', () => {
+    const node = createNode('A', 4, 2, 2, 1, { label: 'a & b' });
+
+    const xml = renderer.draft([node], []);
+
+    expect(xml).toContain('<UserObject label="a &amp;amp; b" name="A" id="node-A">' +
+      '<mxCell style="rounded=0;whiteSpace=wrap;html=1;fillColor=blue;fillOpacity=40;strokeColor=#333333;shadow=1;" vertex="1" parent="1">' +
+      '<mxGeometry x="3" y="-2.5" width="2" height="1" as="geometry"/></mxCell></UserObject>');
+    expect(xml.startsWith('<mxfile')).toBe(true);
+  });
+
+  test('should map shapes to draw.io shapes', () => {
+    const xml = renderer.draft([
+      createNode('B', 0, 0, 1, 1, { shape: 'circle' }),
+      createNode('C', 3, 0, 1, 1, { shape: 'diamond' })
+    ], []);
+
+    expect(xml).toContain('style="ellipse;aspect=fixed;');
+    expect(xml).toContain('style="rhombus;');
+  });
+
+  test('should keep anchors, waypoints and control points', () => {
+    const a = createNode('A', 0, 0, 2, 2);
+    const b = createNode('B', 6, 4, 2, 2);
+    const edge = {
+      from: a,
+      to: b,
+      start: { x: 1, y: 0 },
+      end: { x: 6, y: 3 },
+      start_anchor: 'east',
+      end_anchor: 'south',
+      waypoints: [{ x: 3, y: 0, isControl: true }, { x: 6, y: 1, isControl: true }],
+      end_arrow: '>',
+      start_arrow: 'o',
+      label: 'flows',
+      end_label: '1..*'
+    };
+
+    const xml = renderer.draft([a, b], [edge]);
+
+    expect(xml).toContain('<mxCell id="edge-1" value="flows" style="html=1;endArrow=classic;endFill=1;startArrow=oval;startFill=0;' +
+      'exitX=1;exitY=0.5;exitDx=0;exitDy=0;entryX=0.5;entryY=1;entryDx=0;entryDy=0;curved=1;strokeColor=#000000;" ' +
+      'edge="1" parent="1" source="node-A" target="node-B">');
+    expect(xml).toContain('<Array as="points"><mxPoint x="3" y="0"/><mxPoint x="6" y="-1"/></Array>');
+    expect(xml).toContain('<mxCell id="edge-1-end" value="1..*"');
+  });
+
+  test('should add the corner of |- edges without waypoints', () => {
+    expect(renderer.getEdgePoints({
+      start: { x: 0, y: 0 },
+      end: { x: 2, y: 3 },
+      waypoints: [],
+      path_type: '|-'
+    })).toEqual([{ x: 0, y: 3, isControl: false }]);
+  });
+
+  test('should keep the ends of routed edges', () => {
+    expect(renderer.getEdgePoints({
+      start: { x: 0, y: 0.5 },
+      end: { x: 2, y: 2.5 },
+      waypoints: [{ x: 0, y: 1.5, isControl: false }, { x: 2, y: 1.5, isControl: false }],
+      route: 'orthogonal'
+    })).toEqual([
+      { x: 0, y: 0.5, isControl: false },
+      { x: 0, y: 1.5, isControl: false },
+      { x: 2, y: 1.5, isControl: false },
+      { x: 2, y: 2.5, isControl: false }
+    ]);
+  });
+});
@@ -0,0 +1,59 @@
+const MermaidRenderer = require('../../../src/renderers/mermaid-renderer');
+
+describe('MermaidRenderer', () => {
+  let renderer;
+
+  const createNode = (name, extra = {}) => ({ name, label: name, ...extra });
+
+  beforeEach(() => {
+    renderer = new MermaidRenderer();
+  });
+
+  test('should write output to a .mmd file', () => {
+    expect(renderer.getOutputPath('output/diagram')).toBe('output/diagram.mmd');
+  });
+
+  test('should map node shapes to native flowchart shapes', () => {
+    const nodes = [
+      createNode('A'),
+      createNode('B', { shape: 'circle' }),
+      createNode('C', { shape: 'diamond', label: 'Is "it"\nok?' })
+    ];
+
+    expect(renderer.draft(nodes, [])).toBe([
+      'flowchart TB',
+      '    A["A"]',
+      '    B(("B"))',
+      '    C{"Is #quot;it#quot;<br/>ok?"}',
+      ''
+    ].join('\n'));
+  });
+
+  test('should create valid unique ids from node names', () => {
+    const ids = renderer.createIds([createNode('end'), createNode('my node'), createNode('my-node')]);
+
+    expect([...ids.values()]).toEqual(['end_', 'my_node', 'my_node_2']);
+  });
+
+  test('should carry over edge labels and arrow heads', () => {
+    const a = createNode('A');
+    const b = createNode('B');
+    const edges = [
+      { from: a, to: b, end_arrow: '>', label: 'next' },
+      { from: a, to: b, start_arrow: 'Stealth', end_arrow: '>' },
+      { from: a, to: b, start_arrow: '>' },
+      { from: a, to: b, end_arrow: 'o', tikz_object_attributes: 'dashed' },
+      { from: a, to: b }
+    ];
+
+    const lines = renderer.draft([a, b], edges).split('\n');
+
+    expect(lines.slice(3, 8)).toEqual([
+      '    A -->|"next"| B',
+      '    A <--> B',
+      '    B --> A',
+      '    A -.-o B',
+      '    A --- B'
+    ]);
+  });
+});
@@ -0,0 +1,71 @@
+const PlantUmlRenderer = require('../../../src/renderers/plantuml-renderer');
+
+describe('PlantUmlRenderer', () => {
+  let renderer;
+
+  const createNode = (name, extra = {}) => ({ name, label: name, ...extra });
+
+  beforeEach(() => {
+    renderer = new PlantUmlRenderer();
+  });
+
+  test('should write output to a .puml file', () => {
+    expect(renderer.getOutputPath('output/diagram')).toBe('output/diagram.puml');
+  });
+
+  test('should map node shapes to component diagram elements', () => {
+    const nodes = [
+      createNode('A'),
+      createNode('B', { shape: 'circle' }),
+      createNode('my node', { shape: 'diamond', label: 'Two\nlines' })
+    ];
+
+    expect(renderer.draft(nodes, [])).toBe([
+      '@startuml',
+      'rectangle "A" as A',
+      'circle "B" as B',
+      'hexagon "Two\\nlines" as my_node',
+      '@enduml',
+      ''
+    ].join('\n'));
+  });
+
+  test('should carry over edge labels and arrow heads', () => {
+    const a = createNode('A');
+    const b = createNode('B');
+    const edges = [
+      { from: a, to: b, end_arrow: '>', label: 'next' },
+      { from: a, to: b, start_arrow: '>' },
+      { from: a, to: b, start_arrow: 'o', end_arrow: '>', tikz_object_attributes: 'dotted' },
+      { from: a, to: { name: 'missing' } }
+    ];
+
+    const lines = renderer.draft([a, b], edges).split('\n');
+
+    expect(lines.slice(3, 7)).toEqual([
+      'A --> B : next',
+      'A <-- B',
+      'A o..> B',
+      '@enduml'
+    ]);
+  });
+
+  test('should not use PlantUML keywords as aliases', () => {
+    const note = createNode('note');
+    const end = createNode('End');
+
+    const lines = renderer.draft([note, end], [{ from: note, to: end, end_arrow: '>' }]).split('\n');
+
+    expect(lines.slice(1, 4)).toEqual([
+      'rectangle "note" as note_',
+      'rectangle "End" as End_',
+      'note_ --> End_'
+    ]);
+  });
+
+  test('should switch to left to right layout', () => {
+    renderer = new PlantUmlRenderer({ direction: 'LR' });
+
+    expect(renderer.draft([], [])).toContain('left to right direction');
+  });
+});
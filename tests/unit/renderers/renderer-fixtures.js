@@ -0,0 +1,26 @@
+const { Position, PositionType } = require('../../../src/geometry/position');
+const Dimensions = require('../../../src/geometry/dimensions');
+
+// Build a node positioned and scaled the way DiagramBuilder leaves it
+const createNode = (name, x, y, width, height, extra = {}) => ({
+  name,
+  label: name,
+  anchorVector: { x: 0, y: 0 },
+  position: new Position({
+    xUnscaled: x,
+    yUnscaled: y,
+    xScaled: x,
+    yScaled: y,
+    success: true,
+    positionType: PositionType.COORDINATES
+  }),
+  dimensions: new Dimensions({
+    widthUnscaled: width,
+    heightUnscaled: height,
+    widthScaled: width,
+    heightScaled: height
+  }),
+  ...extra
+});
+
+module.exports = { createNode };
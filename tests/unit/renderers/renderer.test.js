@@ -0,0 +1,40 @@
+const SvgRenderer = require('../../../src/renderers/svg-renderer');
+const TextRenderer = require('../../../src/renderers/text-renderer');
+const DotRenderer = require('../../../src/renderers/dot-renderer');
+const DrawioRenderer = require('../../../src/renderers/drawio-renderer');
+const LatexRenderer = require('../../../src/renderers/latex-renderer');
+const { Position } = require('../../../src/geometry/position');
+const { createNode } = require('./renderer-fixtures');
+
+describe('Renderer', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each([
+    ['svg', SvgRenderer],
+    ['text', TextRenderer],
+    ['dot', DotRenderer],
+    ['drawio', DrawioRenderer],
+    ['latex', LatexRenderer]
+  ])('should leave out nodes without coordinates and their edges in %s', (name, RendererClass) => {
+    const renderer = new RendererClass();
+    const placed = createNode('A', 3, 3, 4, 2);
+    // B is left the way DiagramBuilder leaves a node it could not position
+    const unplaced = createNode('B', 0, 0, 4, 2, { position: new Position({ message: 'No position' }) });
+    const edge = { from: placed, to: unplaced, from_name: 'A', to_name: 'B', start: { x: 3, y: 3 }, end: { x: 0, y: 0 }, waypoints: [], path_type: '--' };
+
+    expect(renderer.hasCoordinates(placed)).toBe(true);
+    expect(renderer.hasCoordinates(unplaced)).toBe(false);
+
+    const draft = (nodes, edges) => [].concat(new RendererClass().draft(nodes, edges)).join('\n');
+    const output = draft([placed, unplaced], [edge]);
+    expect(output).toContain('A');
+    expect(output).not.toContain('B');
+    expect(output).toBe(draft([placed], []));
+  });
+});
@@ -0,0 +1,121 @@
+const SvgRenderer = require('../../../src/renderers/svg-renderer');
+const { createNode } = require('./renderer-fixtures');
+
+describe('SvgRenderer', () => {
+  let renderer;
+
+  beforeEach(() => {
+    renderer = new SvgRenderer();
+    renderer.styleHandler.addStyleProperties([
+      { renderer: 'common', namePath: 'node.object.tikz.fill', value: '#ffeedd', dataType: 'string' },
+      { renderer: 'common', namePath: 'node.object.tikz.draw', value: 'blue!50', dataType: 'string' },
+      { renderer: 'common', namePath: 'node.object.tikz.line width', value: '1mm', dataType: 'string' },
+      { renderer: 'common', namePath: 'node.object.tikz.rounded corners', value: '0.1cm', dataType: 'string' },
+      { renderer: 'latex', namePath: 'node.object.tikz.fill', value: 'red', dataType: 'string' }
+    ], 'base');
+  });
+
+  describe('SvgStyleHandler', () => {
+    test('should accept svg, vector and common properties', () => {
+      expect(renderer.styleHandler.getCompatibleRenderers()).toEqual(['svg', 'vector', 'common']);
+    });
+
+    test('should convert lengths to centimetres', () => {
+      expect(renderer.styleHandler.parseLength('0.02cm')).toBeCloseTo(0.02);
+      expect(renderer.styleHandler.parseLength('5mm')).toBeCloseTo(0.5);
+      expect(renderer.styleHandler.parseLength('72.27pt')).toBeCloseTo(2.54);
+      expect(renderer.styleHandler.parseLength('wide', 0.3)).toBe(0.3);
+    });
+
+    test('should approximate xcolor tints with opacity', () => {
+      expect(renderer.styleHandler.resolveColor('#001122')).toEqual({ color: '#001122', opacity: 1 });
+      expect(renderer.styleHandler.resolveColor('white!0')).toEqual({ color: 'white', opacity: 0 });
+      expect(renderer.styleHandler.resolveColor(undefined)).toBeNull();
+    });
+  });
+
+  test('should write output to a .svg file', () => {
+    expect(renderer.getOutputPath('output/diagram')).toBe('output/diagram.svg');
+  });
+
+  test('should draw nodes with resolved styles and flipped y coordinates', () => {
+    const node = createNode('A', 1, 2, 2, 1);
+
+    const content = renderer.draft([node], []).join('\n');
+
+    expect(content).toContain('<rect x="0" y="-2.5" width="2" height="1" rx="0.1" fill="#ffeedd" stroke="blue" stroke-opacity="0.5" stroke-width="0.1"/>');
+    expect(content).toContain('<tspan x="1" y="-2">A</tspan>');
+  });
+
+  test('should let node colours override the style and escape labels', () => {
+    const node = createNode('A', 0, 0, 2, 2, { shape: 'circle', fillcolor: '#123456', label: 'a < b' });
+
+    const content = renderer.draft([node], []).join('\n');
+
+    expect(content).toContain('<ellipse cx="0" cy="0" rx="1" ry="1" fill="#123456"');
+    expect(content).toContain('a &lt; b');
+  });
+
+  test('should draw edges from the node border with arrow heads and labels', () => {
+    const a = createNode('A', 0, 0, 2, 2);
+    const b = createNode('B', 6, 0, 2, 2);
+    const edge = {
+      from: a,
+      to: b,
+      start: { x: 0, y: 0 },
+      end: { x: 6, y: 0 },
+      waypoints: [],
+      color: 'red',
+      end_arrow: '>',
+      label: 'flows',
+      path_type: '--'
+    };
+
+    const content = renderer.draft([a, b], [edge]).join('\n');
+
+    expect(content).toContain('<path d="M 1,0 L 5,0" fill="none" stroke="red"');
+    expect(content).toContain('<polygon points="5,0 4.8,-0.1 4.8,0.1" fill="red"/>');
+    expect(content).toContain('>flows</tspan>');
+  });
+
+  test('should draw control points as curves and path types as corners', () => {
+    const curve = renderer.getPathData([
+      { x: 0, y: 0 },
+      { x: 1, y: 1, isControl: true },
+      { x: 2, y: 0 },
+      { x: 3, y: 1, isControl: true },
+      { x: 4, y: 1, isControl: true },
+      { x: 5, y: 0 }
+    ]);
+    expect(curve).toBe('M 0,0 Q 1,-1 2,0 C 3,-1 4,-1 5,0');
+
+    const points = renderer.getEdgePoints({
+      start: { x: 0, y: 0 },
+      end: { x: 2, y: 3 },
+      waypoints: [],
+      path_type: '|-'
+    });
+    expect(points.map(p => [p.x, p.y])).toEqual([[0, 0], [0, 3], [2, 3]]);
+  });
+
+  test('should annotate nodes with their style stack, position and dimensions for previews', () => {
+    renderer = new SvgRenderer({ annotateNodes: true });
+    const node = createNode('A', 1, 2, 2, 1, { style: 'warning' });
+
+    const content = renderer.draft([node], []).join('\n');
+
+    expect(content).toContain('<g class="node" data-name="A">');
+    expect(content).toContain('<title>A\nstyle: base &gt; warning\nresolved: (none)\n' +
+      'position: (1, 2) unscaled (1, 2)\ndimensions: 2 x 1 unscaled 2 x 1</title>');
+  });
+
+  test('should wrap content in an svg document sized from the page margin', () => {
+    const node = createNode('A', 0, 0, 2, 2);
+    const content = renderer.draft([node], []);
+
+    const svg = renderer.formatSvgContent(content);
+
+    expect(svg).toContain('<svg xmlns="http://www.w3.org/2000/svg" width="4cm" height="4cm" viewBox="-2 -2 4 4">');
+    expect(svg.trim().endsWith('</svg>')).toBe(true);
+  });
+});
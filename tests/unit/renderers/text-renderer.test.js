@@ -0,0 +1,97 @@
+const TextRenderer = require('../../../src/renderers/text-renderer');
+const TextStyleHandler = require('../../../src/styles/text-style-handler');
+const { createNode } = require('./renderer-fixtures');
+
+describe('TextRenderer', () => {
+  let renderer;
+
+  beforeEach(() => {
+    renderer = new TextRenderer({ cellsPerUnit: { x: 2, y: 1 } });
+  });
+
+  test('should use a text style handler', () => {
+    expect(renderer.styleHandler).toBeInstanceOf(TextStyleHandler);
+    expect(renderer.styleHandler.getCompatibleRenderers()).toEqual(['text', 'common']);
+  });
+
+  test('should write output to a .txt file', () => {
+    expect(renderer.getOutputPath('output/diagram')).toBe('output/diagram.txt');
+  });
+
+  test('should return an empty string for an empty diagram', () => {
+    expect(renderer.draft([], [])).toBe('');
+  });
+
+  test('should draw a node as a box with a centred label', () => {
+    const node = createNode('A', 0, 0, 4, 2);
+
+    expect(renderer.draft([node], [])).toBe([
+      '┏━━━━━━━┓',
+      '┃   A   ┃',
+      '┗━━━━━━━┛'
+    ].join('\n'));
+  });
+
+  test('should truncate labels that do not fit and respect hide_label', () => {
+    const wide = createNode('Wide', 0, 0, 1, 2);
+    const hidden = createNode('Hidden', 10, 0, 4, 2, { hide_label: true });
+
+    const text = renderer.draft([wide, hidden], []);
+
+    expect(text).toContain('┃W┃');
+    expect(text).not.toContain('Hidden');
+  });
+
+  test('should draw edges from the node border with junctions and arrow heads', () => {
+    const a = createNode('A', 0, 0, 2, 2);
+    const b = createNode('B', 6, 0, 2, 2);
+    const edge = {
+      from: a,
+      to: b,
+      start: { x: 0, y: 0 },
+      end: { x: 6, y: 0 },
+      waypoints: [],
+      end_arrow: '>',
+      path_type: '--'
+    };
+
+    const lines = renderer.draft([a, b], [edge]).split('\n');
+
+    expect(lines[1]).toBe('┃ A ┣━━━━━━━▶ B ┃');
+  });
+
+  test('should route through waypoints with right-angle corners', () => {
+    const a = createNode('A', 0, 0, 2, 2);
+    const b = createNode('B', 6, -4, 2, 2);
+    const edge = {
+      from: a,
+      to: b,
+      start: { x: 1, y: 0 },
+      end: { x: 6, y: -3 },
+      waypoints: [{ x: 6, y: 0, isControl: false }],
+      label: 'go',
+      path_type: '--'
+    };
+
+    const text = renderer.draft([a, b], [edge]);
+
+    expect(text).toContain('┓');
+    expect(text).toContain('go');
+    expect(text.split('\n')[4]).toContain('┏━┻━┓');
+  });
+
+  test('should leave vertically towards points above or below the start node, or further away vertically', () => {
+    const a = createNode('A', 0, 0, 4, 2);
+    renderer.draft([a], []);
+    const start = { col: 0, row: 0 };
+
+    // Within the columns of A, and further away across than down
+    expect(renderer.isVerticalFirst({ from: a }, start, { col: 4, row: 2 })).toBe(true);
+    // Beside A, further away across or down
+    expect(renderer.isVerticalFirst({ from: a }, start, { col: 20, row: 2 })).toBe(false);
+    expect(renderer.isVerticalFirst({ from: a }, start, { col: 6, row: 8 })).toBe(true);
+    // Anchors and path types still decide first
+    expect(renderer.isVerticalFirst({ from: a, start_anchor: 'east' }, start, { col: 4, row: 2 })).toBe(false);
+    expect(renderer.isVerticalFirst({ from: a, path_type: '-|' }, start, { col: 6, row: 8 })).toBe(false);
+  });
+});
@@ -0,0 +1,83 @@
+const http = require('http');
+const PreviewServer = require('../../../src/server/preview-server');
+
+describe('PreviewServer', () => {
+  let server;
+  let url;
+
+  const get = (path) => new Promise((resolve, reject) => {
+    http.get(new URL(path, url), response => {
+      let body = '';
+      response.on('data', chunk => { body += chunk; });
+      response.on('end', () => resolve({ status: response.statusCode, type: response.headers['content-type'], body }));
+    }).on('error', reject);
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await server?.stop();
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  test('should serve the preview page and the rendered svg', async () => {
+    server = new PreviewServer({ port: 0, build: async () => '<svg id="one"/>' });
+    url = await server.start();
+
+    const page = await get('/');
+    const svg = await get('/diagram.svg');
+
+    expect(page.type).toContain('text/html');
+    expect(page.body).toContain("new EventSource('/events')");
+    expect(svg.type).toContain('image/svg+xml');
+    expect(svg.body).toBe('<svg id="one"/>');
+    expect((await get('/missing')).status).toBe(404);
+  });
+
+  test('should report build errors and keep serving', async () => {
+    let fail = true;
+    server = new PreviewServer({
+      port: 0,
+      build: async () => {
+        if (fail) throw new Error('Quote Not Closed');
+        return '<svg/>';
+      }
+    });
+    url = await server.start();
+
+    const failed = await get('/diagram.svg');
+    expect(failed.status).toBe(500);
+    expect(failed.body).toBe('Quote Not Closed');
+
+    fail = false;
+    await server.rebuild();
+    expect((await get('/diagram.svg')).body).toBe('<svg/>');
+  });
+
+  test('should push a reload event to connected browsers after each build', async () => {
+    server = new PreviewServer({ port: 0, build: async () => '<svg/>' });
+    url = await server.start();
+
+    const received = await new Promise((resolve, reject) => {
+      http.get(new URL('/events', url), response => {
+        let body = '';
+        response.on('data', chunk => {
+          body += chunk;
+          if (body.includes(': connected')) {
+            server.rebuild();
+          }
+          if (body.includes('event: reload')) {
+            response.destroy();
+            resolve(body);
+          }
+        });
+      }).on('error', reject);
+    });
+
+    expect(received).toContain('event: reload\ndata: \n\n');
+  });
+});
@@ -220,3 +220,24 @@ describe('StyleHandler.getStyleWithNamesString', () => {
     expect(handler.getStyleWithNamesString(null)).toEqual({});
   });
 });
+
+describe('StyleHandler attributes and lengths', () => {
+  let handler;
+  beforeEach(() => {
+    handler = new StyleHandler({ verbose: false });
+  });
+
+  test('parses key=value pairs and flags', () => {
+    expect(handler.processAttributes('draw=red, dashed,, line width = 1pt'))
+      .toEqual({ tikz: { draw: 'red', dashed: true, 'line width': '1pt' } });
+    expect(handler.processAttributes('')).toEqual({});
+  });
+
+  test('converts lengths to the unit asked for', () => {
+    expect(handler.parseLength('1in')).toBeCloseTo(2.54);
+    expect(handler.parseLength(2)).toBe(2);
+    expect(handler.parseLength('2.54cm', 0, 'pt')).toBeCloseTo(72.27);
+    expect(handler.parseLength('1bp', null, 'bp')).toBeCloseTo(1);
+    expect(handler.parseLength('3furlongs', null, 'pt')).toBeNull();
+  });
+});
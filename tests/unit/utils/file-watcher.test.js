@@ -0,0 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileWatcher = require('../../../src/utils/file-watcher');
+
+describe('FileWatcher', () => {
+  let directory;
+  let watcher;
+
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'file-watcher-'));
+    fs.writeFileSync(path.join(directory, 'nodes.csv'), 'name\n');
+    fs.writeFileSync(path.join(directory, 'other.csv'), 'name\n');
+  });
+
+  afterEach(() => {
+    watcher?.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should call back once for a burst of changes to watched files', async () => {
+    const onChange = jest.fn();
+    const file = path.join(directory, 'nodes.csv');
+    watcher = new FileWatcher([file, null], onChange, { debounceMs: 100 }).start();
+
+    fs.writeFileSync(file, 'name\na\n');
+    fs.writeFileSync(file, 'name\na\nb\n');
+    fs.writeFileSync(path.join(directory, 'other.csv'), 'name\nc\n');
+    await wait(400);
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange).toHaveBeenCalledWith([file]);
+  });
+
+  test('should pick up files replaced by rename', async () => {
+    const onChange = jest.fn();
+    const file = path.join(directory, 'nodes.csv');
+    watcher = new FileWatcher([file], onChange, { debounceMs: 50 }).start();
+
+    fs.writeFileSync(path.join(directory, 'nodes.csv.tmp'), 'name\nx\n');
+    fs.renameSync(path.join(directory, 'nodes.csv.tmp'), file);
+    await wait(300);
+
+    expect(onChange).toHaveBeenCalledWith([file]);
+  });
+
+  test('should not overlap callbacks and should rerun for changes made meanwhile', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const onChange = jest.fn(async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await wait(100);
+      running--;
+    });
+    const file = path.join(directory, 'nodes.csv');
+    watcher = new FileWatcher([file], onChange, { debounceMs: 10 });
+
+    watcher.queue(file);
+    await wait(30);
+    watcher.queue(file);
+    await wait(300);
+
+    expect(onChange).toHaveBeenCalledTimes(2);
+    expect(maxRunning).toBe(1);
+  });
+});
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RevealSteps = require('../../../src/utils/reveal-steps');
+const LatexFileUtilities = require('../../../src/renderers/latex-file-utilities');
+const DiagramBuilder = require('../../../src/diagram-builder');
+
+describe('RevealSteps', () => {
+  const a = { name: 'a' };
+  const b = { name: 'b', step: '2' };
+  const c = { name: 'c', step: 3 };
+  const names = (frame) => [frame.nodes.map(node => node.name), frame.edges.map(edge => edge.name)];
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should add each step to everything shown before it', () => {
+    const edges = [
+      { name: 'ab', from: a, to: b },
+      { name: 'ac', from: a, to: c, step: 1 },
+      { name: 'ba', from: b, to: a, step: 4 }
+    ];
+
+    const frames = RevealSteps.getFrames([a, b, c], edges);
+
+    expect(frames.map(frame => frame.step)).toEqual([undefined, 2, 3, 4]);
+    expect(names(frames[0])).toEqual([['a'], []]);
+    expect(names(frames[1])).toEqual([['a', 'b'], ['ab']]);
+    // An edge waits for both of its nodes
+    expect(names(frames[2])).toEqual([['a', 'b', 'c'], ['ab', 'ac']]);
+    expect(names(frames[3])).toEqual([['a', 'b', 'c'], ['ab', 'ac', 'ba']]);
+  });
+
+  test('should start with a frame without the lowest stepped node', () => {
+    const nodes = [{ name: 'A' }, { name: 'G' }, { name: 'B', step: 2 }, { name: 'C' }];
+
+    const frames = RevealSteps.getFrames(nodes, []);
+
+    expect(frames.map(frame => names(frame)[0])).toEqual([['A', 'G', 'C'], ['A', 'G', 'B', 'C']]);
+  });
+
+  test('should not add a frame when everything has a step', () => {
+    const frames = RevealSteps.getFrames([{ name: 'a', step: 1 }, b], [{ name: 'ab', from: { name: 'a', step: 1 }, to: b }]);
+
+    expect(frames.map(frame => frame.step)).toEqual([1, 2]);
+  });
+
+  test('should give a single frame when nothing has a step', () => {
+    const frames = RevealSteps.getFrames([a, { name: 'x', step: 'soon' }], []);
+
+    expect(frames).toHaveLength(1);
+    expect(frames[0].nodes).toHaveLength(2);
+    expect(console.warn).toHaveBeenCalledWith("Node 'x' has an invalid step 'soon', showing it from the start");
+  });
+});
+
+describe('DiagramBuilder reveal steps', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reveal-steps-'));
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  const build = async (renderer) => {
+    const nodesFile = path.join(tempDir, 'nodes.csv');
+    const edgesFile = path.join(tempDir, 'edges.csv');
+    fs.writeFileSync(nodesFile, 'name,x,y,step\na,0,0,1\nb,3,0,2\nc,0,-2,2\n');
+    fs.writeFileSync(edgesFile, 'from,to,step\na,b,\na,c,3\n');
+
+    const builder = new DiagramBuilder({ renderer });
+    await builder.loadData([], [nodesFile], [edgesFile], null, null);
+    await builder.renderDiagram(path.join(tempDir, 'out'));
+    return builder;
+  };
+
+  test('should write numbered SVG files that share the whole view box', async () => {
+    const builder = await build('svg');
+    const outputs = builder.getOutputPaths(path.join(tempDir, 'out'));
+
+    expect(outputs.map(file => path.basename(file))).toEqual(['out-1.svg', 'out-2.svg', 'out-3.svg']);
+    const svgs = outputs.map(file => fs.readFileSync(file, 'utf8'));
+    expect(new Set(svgs.map(svg => svg.match(/viewBox="[^"]*"/)[0])).size).toBe(1);
+    expect(svgs[0]).not.toContain('>b<');
+    expect(svgs[1]).toContain('>b<');
+    expect(svgs.map(svg => (svg.match(/<path|<line|<polyline/g) || []).length)).toEqual([0, 1, 2]);
+  });
+
+  test('should write one LaTeX page per step with the same bounding box', async () => {
+    jest.spyOn(LatexFileUtilities, 'compileToPdf').mockResolvedValue();
+    const builder = await build('latex');
+
+    expect(builder.getOutputPaths(path.join(tempDir, 'out'))).toEqual([path.join(tempDir, 'out.pdf')]);
+    const tex = fs.readFileSync(path.join(tempDir, 'out.tex'), 'utf8');
+    expect(tex).toContain('\\documentclass[multi=tikzpicture]{standalone}');
+    expect(tex.match(/\\begin\{tikzpicture\}/g)).toHaveLength(3);
+    expect(new Set(tex.match(/\\useasboundingbox .*;/g)).size).toBe(1);
+  });
+
+  test('should line up text steps on the whole drawing', async () => {
+    const nodesFile = path.join(tempDir, 'nodes.csv');
+    fs.writeFileSync(nodesFile, 'name,x,y,step\nnew,0,0,2\nold,3,-1,1\n');
+
+    const builder = new DiagramBuilder({ renderer: 'text' });
+    await builder.loadData([], [nodesFile], [], null, null);
+    await builder.renderDiagram(path.join(tempDir, 'out'));
+
+    const column = (file) => fs.readFileSync(path.join(tempDir, file), 'utf8').split('\n')
+      .find(line => line.includes('old')).indexOf('old');
+    expect(column('out-1.txt')).toBe(column('out-2.txt'));
+  });
+
+  test('should give every text step the size of the whole drawing', async () => {
+    await build('text');
+
+    const sizes = ['out-1.txt', 'out-2.txt', 'out-3.txt'].map(file => {
+      const lines = fs.readFileSync(path.join(tempDir, file), 'utf8').replace(/\n$/, '').split('\n');
+      return [lines.length, ...new Set(lines.map(line => line.length))];
+    });
+    expect(sizes[0]).toHaveLength(2);
+    expect(sizes[1]).toEqual(sizes[0]);
+    expect(sizes[2]).toEqual(sizes[0]);
+  });
+
+  test('should pin the bounds of the whole drawing in every DOT and draw.io step', async () => {
+    await build('dot');
+    const dots = ['out-1.dot', 'out-2.dot', 'out-3.dot'].map(file => fs.readFileSync(path.join(tempDir, file), 'utf8'));
+    const corners = dots.map(dot => dot.match(/"__bounds_\d" .*;/g));
+    expect(corners[0]).toHaveLength(2);
+    expect(corners[1]).toEqual(corners[0]);
+    expect(corners[2]).toEqual(corners[0]);
+
+    await build('drawio');
+    const cells = ['out-1.drawio', 'out-2.drawio', 'out-3.drawio']
+      .map(file => fs.readFileSync(path.join(tempDir, file), 'utf8').match(/<mxCell id="bounds".*<\/mxCell>/)[0]);
+    expect(new Set(cells).size).toBe(1);
+  });
+});
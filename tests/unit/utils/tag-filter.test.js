@@ -0,0 +1,76 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TagFilter = require('../../../src/utils/tag-filter');
+const DiagramBuilder = require('../../../src/diagram-builder');
+
+describe('TagFilter', () => {
+  const network = { name: 'router', tags: 'network; core' };
+  const data = { name: 'db', tags: ['data'], layer: 'storage' };
+  const plain = { name: 'note' };
+
+  test('should read tags from the tags and layer fields', () => {
+    expect(TagFilter.getTags(network)).toEqual(['network', 'core']);
+    expect(TagFilter.getTags(data)).toEqual(['data', 'storage']);
+    expect(TagFilter.getTags(plain)).toEqual([]);
+  });
+
+  test('should only draw included nodes and never draw excluded ones', () => {
+    const filter = new TagFilter({ include: ['network', 'storage'], exclude: 'core' });
+
+    expect(filter.isNodeVisible(network)).toBe(false);
+    expect(filter.isNodeVisible(data)).toBe(true);
+    expect(filter.isNodeVisible(plain)).toBe(false);
+    expect(new TagFilter({ exclude: ['data'] }).isNodeVisible(plain)).toBe(true);
+  });
+
+  test('should drop edges to hidden nodes and let untagged edges follow their nodes', () => {
+    const filter = new TagFilter({ exclude: ['secret'] });
+    const visible = { name: 'a' };
+    const hidden = { name: 'b', tags: 'secret' };
+
+    expect(filter.isEdgeVisible({ from: visible, to: visible })).toBe(true);
+    expect(filter.isEdgeVisible({ from: visible, to: hidden })).toBe(false);
+    expect(filter.isEdgeVisible({ from: visible, to: visible, layer: 'secret' })).toBe(false);
+  });
+
+  test('should pass everything through when there are no tags to filter by', () => {
+    const nodes = [network, plain];
+    const edges = [{ from: network, to: plain }];
+
+    expect(new TagFilter().apply(nodes, edges)).toEqual({ nodes, edges });
+  });
+});
+
+describe('DiagramBuilder tag filtering', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tag-filter-'));
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('should render only the tagged view and keep relative positions', async () => {
+    const nodesFile = path.join(tempDir, 'nodes.csv');
+    const edgesFile = path.join(tempDir, 'edges.csv');
+    fs.writeFileSync(nodesFile, 'name,x,y,x_of,y_of,tags\nweb,0,0,,,network\nfirewall,4,0,,,security\nlb,,2,firewall,,network\n');
+    fs.writeFileSync(edgesFile, 'from,to\nweb,lb\nweb,firewall\n');
+
+    const builder = new DiagramBuilder({ renderer: 'svg', excludeTags: ['security'] });
+    await builder.loadData([], [nodesFile], [edgesFile], null, null);
+
+    const { nodes, edges } = builder.getVisibleNodesAndEdges();
+    expect(nodes.map(node => node.name)).toEqual(['web', 'lb']);
+    expect(edges.map(edge => edge.to.name)).toEqual(['lb']);
+    expect(nodes[1].position.xScaled).toBe(4);
+
+    const svg = await builder.renderDiagramToString();
+    expect(svg).toContain('lb');
+    expect(svg).not.toContain('firewall');
+  });
+});
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DiagramBuilder = require('../../../src/diagram-builder');
+
+describe('DiagramBuilder.validate', () => {
+  let tempDir;
+
+  const write = (name, content) => {
+    const file = path.join(tempDir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  const validate = (...args) => new DiagramBuilder({ renderer: 'text' }).validate(...args);
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('should report csv problems with their line numbers and fields', async () => {
+    const nodes = write('nodes.csv', 'name,x,y,position_of\na,1,1,\n\nb,zz,1,\nc,,,missing.north\n,1,1,\n');
+    const edges = write('edges.csv', 'from,to\na,b\na,nope\nb,\n');
+
+    const report = await validate(null, [nodes], [edges]);
+
+    expect(report.issues.map(({ severity, row, field, message }) => ({ severity, row, field, message }))).toEqual([
+      { severity: 'error', row: 4, field: 'x', message: "Node 'b' has a non-numeric x 'zz'" },
+      { severity: 'error', row: 6, field: 'name', message: 'Node has no name' },
+      { severity: 'error', row: 5, field: 'position_of', message: "Node 'c' references missing node 'missing'" },
+      { severity: 'error', row: 3, field: 'to', message: "Edge references missing node 'nope'" },
+      { severity: 'error', row: 4, field: 'to', message: "Edge has no 'to' node" }
+    ]);
+    expect(report.issues.every(issue => issue.file === nodes || issue.file === edges)).toBe(true);
+  });
+
+  test('should only report edge problems, not print them', async () => {
+    const nodes = write('nodes.csv', 'name,x,y\na,0,0\n');
+    const edges = write('edges.csv', 'from,to\na,\n');
+
+    const report = await validate(null, [nodes], [edges]);
+
+    expect(report.getErrors().map(issue => issue.message)).toEqual(["Edge has no 'to' node"]);
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  test('should keep the problems found while reading through the render of each diagram', async () => {
+    const mixed = write('mixed.yaml', [
+      'type: diagram\nname: one',
+      'type: diagram\nname: two',
+      'type: node\nname: a\nx: 0\ny: 0',
+      'type: edge\nfrom: a\nto: zz'
+    ].join('\n---\n'));
+    const bad = write('bad.json', '[{"type":');
+
+    const builder = new DiagramBuilder({ renderer: 'text' });
+    await builder.renderDiagrams(null, [bad], [], null, mixed, path.join(tempDir, 'out'));
+
+    expect(builder.report.getErrors().map(issue => issue.file)).toContain(bad);
+    expect(builder.report.getErrors().map(issue => issue.message)).toContain("Edge references missing node 'zz'");
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  test('should send progress messages to the logger instead of the console', async () => {
+    const nodes = write('nodes.csv', 'name,x,y\na,0,0\na,,\n');
+    const logger = { log: jest.fn(), info: jest.fn() };
+
+    await new DiagramBuilder({ renderer: 'text', verbose: true, logger }).validate(null, [nodes], []);
+
+    expect(logger.info).toHaveBeenCalledWith('Merging duplicate node record: a');
+    expect(logger.log).toHaveBeenCalled();
+    expect(console.log).not.toHaveBeenCalled();
+    expect(console.info).not.toHaveBeenCalled();
+  });
+
+  test('should report yaml problems with their document numbers', async () => {
+    const mixed = write('mixed.yaml', [
+      'type: node\nname: a\nx: 0\ny: 0',
+      'type: node\nname: b',
+      'type: edge\nfrom: a\nto: c'
+    ].join('\n---\n'));
+
+    const report = await validate(null, [], [], null, mixed);
+
+    expect(report.issues).toEqual([
+      expect.objectContaining({ severity: 'warning', document: 2, node: 'b', message: "Node 'b' has no position" }),
+      expect.objectContaining({ severity: 'error', document: 3, field: 'to', message: "Edge references missing node 'c'" })
+    ]);
+    expect(report.hasErrors()).toBe(true);
+  });
+
+  test('should report style files that cannot be parsed', async () => {
+    const style = write('style.yaml', 'type: style\nstyle: [unclosed\n');
+    const nodes = write('nodes.csv', 'name,x,y\na,0,0\n');
+
+    const report = await validate([style], [nodes], []);
+
+    expect(report.getErrors()).toEqual([
+      expect.objectContaining({ file: style, message: expect.stringContaining('unexpected end of the stream') })
+    ]);
+  });
+
+  test('should pass valid input', async () => {
+    const nodes = write('nodes.csv', 'name,x,y\na,0,0\nb,2,0\n');
+    const edges = write('edges.csv', 'from,to\na,b\n');
+
+    const report = await validate(null, [nodes], [edges]);
+
+    expect(report.issues).toEqual([]);
+    expect(report.toJSON().valid).toBe(true);
+  });
+});
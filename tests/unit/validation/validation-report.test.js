@@ -0,0 +1,53 @@
+const { ValidationReport, Severity } = require('../../../src/validation/validation-report');
+
+describe('ValidationReport', () => {
+  test('should collect errors and warnings with their locations', () => {
+    const report = new ValidationReport();
+
+    report.error("Edge references missing node 'db'", { file: 'edges.csv', row: 5, field: 'to' });
+    report.warning("Node 'a' has no position", { file: 'nodes.yaml', document: 2, node: 'a' });
+
+    expect(report.hasErrors()).toBe(true);
+    expect(report.getErrors()).toHaveLength(1);
+    expect(report.getWarnings()).toHaveLength(1);
+    expect(report.issues[0]).toEqual({
+      severity: Severity.ERROR,
+      message: "Edge references missing node 'db'",
+      file: 'edges.csv',
+      sheet: null,
+      row: 5,
+      document: null,
+      field: 'to',
+      node: null
+    });
+  });
+
+  test('should record identical issues once', () => {
+    const report = new ValidationReport();
+
+    report.error('Bad YAML', { file: 'mixed.yaml' });
+    report.error('Bad YAML', { file: 'mixed.yaml' });
+
+    expect(report.issues).toHaveLength(1);
+  });
+
+  test('should be valid when there are only warnings', () => {
+    const report = new ValidationReport();
+    report.warning('Unsupported file format for nodes: txt', { file: 'nodes.txt' });
+
+    expect(report.toJSON()).toEqual(expect.objectContaining({ valid: true, errors: 0, warnings: 1 }));
+  });
+
+  test('should format issues as text', () => {
+    const report = new ValidationReport();
+    report.error("Edge references missing node 'db'", { file: 'edges.csv', row: 5, field: 'to' });
+    report.error('Unexpected end of input');
+
+    expect(report.formatText()).toBe([
+      "error: edges.csv, row 5, field 'to': Edge references missing node 'db'",
+      'error: Unexpected end of input',
+      '2 errors, 0 warnings'
+    ].join('\n'));
+    expect(new ValidationReport().formatText()).toBe('No problems found');
+  });
+});